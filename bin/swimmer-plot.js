@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { isCsvFile, parseSpreadsheet } from '../src/lib/parse.js';
+import { guessMapping, validateMapping } from '../src/lib/columnMapping.js';
+import { guessPhaseTableMapping, validatePhaseTableMapping } from '../src/lib/phases.js';
+import { guessEventTableMapping, validateEventTableMapping } from '../src/lib/events.js';
+import { guessIdColumn, joinTables, matchReport, validateAssignments } from '../src/lib/tables.js';
+import { cdiscDataset, cdiscMapping, defaultFilters, applyFilters } from '../src/lib/cdisc.js';
+import { detectDateFormat, mappedDateValues, dateFormatLabel } from '../src/lib/dates.js';
+import { DEFAULT_VOCABULARY, VOCABULARY_PRESETS } from '../src/lib/vocabularies.js';
+import { sheetRow } from '../src/lib/validation.js';
+import { createPlot } from '../src/lib/engine.js';
+import { FONT_FILES, parseFonts, missingGlyphs } from '../src/lib/fonts.js';
+import { DEFAULT_EXPORT, JOURNAL_PRESETS, figureSize, figureSvg, figurePdf, figuresPdf, rasterSvg, pageFileName } from '../src/lib/figure.js';
+import { PAGE_MODES, pageFigures } from '../src/lib/pages.js';
+import { setPngDpi, encodeTiff } from '../src/lib/imageFormats.js';
+import { THEME_PRESETS, applyTheme, parseTheme } from '../src/lib/styles.js';
+
+const USAGE = `Usage: swimmer-plot <data.csv|data.xlsx|data.xpt> [options]
+
+Options:
+  -c, --config <file>   JSON config (mapping, vocabulary, settings, sheet, rowFilters, assessmentTable, phaseTable, eventTable)
+  -o, --out <file>      Output file: .pdf, .svg, .png or .tif (default: swimmer_plot.svg)
+      --preset <id>     Journal width preset (${JOURNAL_PRESETS.map(p => p.id).join(', ')})
+      --width <size>    Figure width, e.g. 183mm or 7.2in (default: ${DEFAULT_EXPORT.width}mm)
+      --dpi <n>         Resolution of PNG/TIFF output (default: ${DEFAULT_EXPORT.dpi})
+      --text <mode>     SVG text: outline (paths) or embed (editable, font inside) (default: outline)
+      --theme <theme>   Style theme: ${THEME_PRESETS.map(t => t.id).join(', ')} or an exported .json file
+      --pages <mode>    Split large cohorts: ${PAGE_MODES.map(m => m.value).join(', ')} (default: none)
+      --per-page <n>    Patients per page when splitting (default: ${DEFAULT_EXPORT.perPage})
+      --strict          Exit with code 1 when validation finds errors
+  -h, --help            Show this help`;
+
+const readSpreadsheetFile = async (file, sheet = null) => {
+  const content = isCsvFile(file) ? await readFile(file, 'utf8') : new Uint8Array(await readFile(file));
+  return parseSpreadsheet(content, path.basename(file), sheet);
+};
+
+// Side tables are given as { file?, sheet?, ... }; without a file the sheet is read from the data workbook
+const readTableEntry = (entry, baseDir, dataFile) =>
+  readSpreadsheetFile(entry.file ? path.resolve(baseDir, entry.file) : dataFile, entry.sheet);
+
+// rowFilters ({ PARAMCD: ['OVRLRESP'] }) keep only the rows with those values; CDISC datasets
+// default to the overall response parameter and investigator assessments
+const tableFilters = (table, rowFilters) => rowFilters ?? defaultFilters(table);
+
+const resolveVocabulary = (vocabulary) => {
+  if (!vocabulary) return DEFAULT_VOCABULARY;
+  if (typeof vocabulary === 'object') return vocabulary;
+  const preset = VOCABULARY_PRESETS.find(v => v.id === vocabulary);
+  if (!preset) throw new Error(`알 수 없는 반응 기준입니다: "${vocabulary}" (${VOCABULARY_PRESETS.map(v => v.id).join(', ')})`);
+  return preset;
+};
+
+// A missing side table mapping is guessed from the headers
+const loadSideTable = async (entry, baseDir, dataFile, guessTableMapping, validateTableMapping) => {
+  if (!entry) return null;
+  const table = await readTableEntry(entry, baseDir, dataFile);
+  const mapping = { ...guessTableMapping(table.headers), ...entry.mapping };
+  const errors = validateTableMapping(mapping);
+  if (errors.length > 0) throw new Error(errors.join('\n'));
+  return { rows: applyFilters(table.rows, tableFilters(table, entry.rowFilters)), mapping };
+};
+
+// The data sheet, with an assessment table { file?, sheet?, patientId?, rowFilters? } joined on
+// patient ID. `cdisc` names the CDISC dataset of the data sheet (ADSL, DM...)
+const loadData = async (config, baseDir, dataFile) => {
+  const data = await readSpreadsheetFile(dataFile, config.sheet);
+  const cdisc = cdiscDataset(data)?.name || null;
+  if (!config.assessmentTable) {
+    return { ...data, rows: applyFilters(data.rows, tableFilters(data, config.rowFilters)), cdisc };
+  }
+  const assessments = await readTableEntry(config.assessmentTable, baseDir, dataFile);
+  const tables = [data, assessments];
+  const assignments = [
+    {
+      role: 'baseline',
+      idColumn: config.mapping?.patientId || guessIdColumn(data.headers),
+      filters: tableFilters(data, config.rowFilters),
+    },
+    {
+      role: 'assessments',
+      idColumn: config.assessmentTable.patientId || guessIdColumn(assessments.headers),
+      filters: tableFilters(assessments, config.assessmentTable.rowFilters),
+    },
+  ];
+  const errors = validateAssignments(tables, assignments);
+  if (errors.length > 0) throw new Error(errors.join('\n'));
+  matchReport(tables, assignments).tables.forEach(table => {
+    if (table.unmatched > 0) {
+      console.error(`[warning] ${table.label}: 일치하는 환자가 없는 ${table.unmatched}행 제외 (${table.unmatchedIds.join(', ')})`);
+    }
+  });
+  return { ...joinTables(tables, assignments).source, cdisc };
+};
+
+// Preset id or exported theme file; the config's own settings still win
+const loadTheme = async (value) => {
+  if (!value) return null;
+  const preset = THEME_PRESETS.find(t => t.id === value);
+  if (preset) return preset;
+  if (!value.toLowerCase().endsWith('.json')) {
+    throw new Error(`알 수 없는 테마입니다: "${value}" (${THEME_PRESETS.map(t => t.id).join(', ')} 또는 .json 파일)`);
+  }
+  return parseTheme(await readFile(value, 'utf8'));
+};
+
+const require = createRequire(import.meta.url);
+
+const readFont = async (file) => {
+  const bytes = await readFile(require.resolve(file));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+const loadFonts = async () => parseFonts(await Promise.all(FONT_FILES.map(async ({ regular, bold }) => ({
+  regular: await readFont(regular),
+  bold: await readFont(bold),
+}))));
+
+const parseWidth = (value, preset) => {
+  if (preset) {
+    const match = JOURNAL_PRESETS.find(p => p.id === preset);
+    if (!match) throw new Error(`알 수 없는 프리셋입니다: "${preset}" (${JOURNAL_PRESETS.map(p => p.id).join(', ')})`);
+    return { width: match.width, unit: 'mm' };
+  }
+  if (!value) return { width: DEFAULT_EXPORT.width, unit: 'mm' };
+  const match = /^(\d+(?:\.\d+)?)\s*(mm|in)?$/i.exec(value.trim());
+  if (!match) throw new Error(`너비 형식이 올바르지 않습니다: "${value}" (예: 183mm, 7.2in)`);
+  return { width: parseFloat(match[1]), unit: (match[2] || 'mm').toLowerCase() };
+};
+
+const renderRaster = async (svg, format, dpi) => {
+  let Resvg;
+  try {
+    ({ Resvg } = await import('@resvg/resvg-js'));
+  } catch {
+    throw new Error('PNG/TIFF 출력에는 @resvg/resvg-js 패키지가 필요합니다.');
+  }
+  const image = new Resvg(svg, { background: '#ffffff' }).render();
+  if (format === 'tiff') return encodeTiff({ width: image.width, height: image.height, data: image.pixels, dpi });
+  return setPngDpi(image.asPng(), dpi);
+};
+
+const outputFormat = (file) => {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.tif' || extension === '.tiff') return 'tiff';
+  if (['.pdf', '.png', '.svg'].includes(extension)) return extension.slice(1);
+  throw new Error(`지원하지 않는 출력 형식입니다: "${file}" (.pdf, .svg, .png, .tif)`);
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      config: { type: 'string', short: 'c' },
+      out: { type: 'string', short: 'o', default: 'swimmer_plot.svg' },
+      preset: { type: 'string' },
+      width: { type: 'string' },
+      dpi: { type: 'string', default: String(DEFAULT_EXPORT.dpi) },
+      text: { type: 'string', default: 'outline' },
+      theme: { type: 'string' },
+      pages: { type: 'string', default: 'none' },
+      'per-page': { type: 'string', default: String(DEFAULT_EXPORT.perPage) },
+      strict: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const config = values.config ? JSON.parse(await readFile(values.config, 'utf8')) : {};
+  const baseDir = values.config ? path.dirname(path.resolve(values.config)) : process.cwd();
+
+  const dataFile = positionals[0];
+  const { headers, rows, cdisc } = await loadData(config, baseDir, dataFile);
+  const guessed = guessMapping(headers, rows);
+  const mapping = { ...(cdisc ? cdiscMapping(guessed) : guessed), ...config.mapping };
+  const mappingErrors = validateMapping(mapping);
+  if (mappingErrors.length > 0) throw new Error(mappingErrors.join('\n'));
+
+  const format = outputFormat(values.out);
+  const dpi = parseFloat(values.dpi);
+  if (!(dpi > 0)) throw new Error(`DPI가 올바르지 않습니다: "${values.dpi}"`);
+  const size = { ...parseWidth(values.width, values.preset), dpi };
+  if (!PAGE_MODES.some(mode => mode.value === values.pages)) {
+    throw new Error(`알 수 없는 페이지 분할 방식입니다: "${values.pages}" (${PAGE_MODES.map(m => m.value).join(', ')})`);
+  }
+  const perPage = parseInt(values['per-page']);
+  if (!(perPage > 0)) throw new Error(`페이지당 환자 수가 올바르지 않습니다: "${values['per-page']}"`);
+
+  const theme = await loadTheme(values.theme);
+  const settings = theme
+    ? { ...applyTheme(theme), ...config.settings, style: { ...theme.style, ...config.settings?.style } }
+    : config.settings;
+
+  const vocabulary = resolveVocabulary(config.vocabulary);
+  const phaseTable = await loadSideTable(config.phaseTable, baseDir, dataFile, guessPhaseTableMapping, validatePhaseTableMapping);
+  const eventTable = await loadSideTable(config.eventTable, baseDir, dataFile, guessEventTableMapping, validateEventTableMapping);
+  const { issues, patients, figure, settings: resolved } = createPlot({ rows, mapping, vocabulary, settings, phaseTable, eventTable });
+
+  if (resolved.time.dateFormat === 'auto') {
+    const detected = detectDateFormat(mappedDateValues(rows, mapping, resolved.time, { phaseTable, eventTable }));
+    if (detected.ambiguous || detected.conflicting) {
+      console.error(`[warning] 날짜의 일/월 순서가 모호하여 ${dateFormatLabel(detected)}로 읽었습니다. settings.time.dateFormat으로 지정하세요.`);
+    }
+  }
+
+  issues.forEach(issue => {
+    console.error(`[${issue.severity}] row ${sheetRow(issue.rowIndex)} ${issue.patientId || '-'} ${issue.field || ''}: ${issue.message}`);
+  });
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  if (values.strict && errorCount > 0) {
+    console.error(`검증 오류 ${errorCount}건이 있어 플롯을 만들지 않았습니다.`);
+    return 1;
+  }
+
+  const fonts = await loadFonts();
+  const figures = values.pages === 'none'
+    ? [figure]
+    : pageFigures(patients, resolved, { pageBy: values.pages, perPage }, { vocabulary });
+  const sizes = figures.map(page => figureSize(page, size));
+  const missing = [...new Set(figures.flatMap(page => missingGlyphs(page.tree, fonts)))];
+  if (missing.length > 0 && !(format === 'svg' && values.text === 'embed')) {
+    console.error(`[warning] 포함된 글꼴에 없는 글자는 빈 상자로 나옵니다: ${missing.join(' ')}`);
+  }
+  if (format === 'pdf') {
+    const output = figures.length > 1 ? figuresPdf(figures, fonts, sizes) : figurePdf(figure.tree, fonts, sizes[0]);
+    await writeFile(values.out, output);
+    console.error(`${patients.length}명 환자 → ${values.out}${figures.length > 1 ? ` (${figures.length}쪽)` : ''}`);
+    return 0;
+  }
+  // Other formats get a file per page next to --out
+  const { dir, name, ext } = path.parse(values.out);
+  const files = [];
+  for (const [i, page] of figures.entries()) {
+    const file = path.join(dir, pageFileName(name, ext.slice(1), i, figures.length));
+    const output = format === 'svg'
+      ? figureSvg(page.tree, fonts, sizes[i], values.text)
+      : await renderRaster(rasterSvg(page.tree, fonts, sizes[i]), format, dpi);
+    await writeFile(file, output);
+    files.push(file);
+  }
+  console.error(`${patients.length}명 환자 → ${files.join(', ')}`);
+  return 0;
+};
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
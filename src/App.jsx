@@ -1,215 +1,392 @@
-import React, { useState, useCallback, useMemo } from 'react';
-import * as XLSX from 'xlsx';
-import Papa from 'papaparse';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import ColumnMapper from './components/ColumnMapper';
+import ValidationReport from './components/ValidationReport';
+import ResponseCriteriaPanel from './components/ResponseCriteriaPanel';
+import EventsPanel from './components/EventsPanel';
+import SortGroupPanel from './components/SortGroupPanel';
+import FilterPanel from './components/FilterPanel';
+import InteractivePlot from './components/InteractivePlot';
+import PatientDetail from './components/PatientDetail';
+import ExportDialog from './components/ExportDialog';
+import SummaryPanel from './components/SummaryPanel';
+import AnnotationPanel from './components/AnnotationPanel';
+import StylePanel from './components/StylePanel';
+import TrackPanel from './components/TrackPanel';
+import WaterfallPanel from './components/WaterfallPanel';
+import ImportPanel from './components/ImportPanel';
+import DataGrid from './components/DataGrid';
+import { initialMapping, reapplyMapping, validateMapping } from './lib/columnMapping';
+import { processData } from './lib/processData';
+import { validateData, excludedRows } from './lib/validation';
+import { readSpreadsheet, readTables } from './lib/readFile';
+import { joinTables } from './lib/tables';
+import { cdiscMapping, filterOptions } from './lib/cdisc';
+import { EMPTY_HISTORY, applyEdit, revertEdit, recordEdit, undoHistory, redoHistory } from './lib/editing';
+import { DATE_FORMATS, IMPUTATION_RULES, detectDateFormat, mappedDateValues, dateFormatLabel } from './lib/dates';
+import { DEFAULT_VOCABULARY } from './lib/vocabularies';
+import { BAR_MODES } from './lib/segments';
+import { guessPhaseTableMapping, phaseNames, phaseColor } from './lib/phases';
+import { guessEventTableMapping, eventTypes, eventStyle } from './lib/events';
+import {
+  TIME_UNITS,
+  MONTH_DEFINITIONS,
+  YEAR_DEFINITIONS,
+  ORIGIN_ROLES,
+  defaultAxisTitle,
+  unitAbbreviation,
+} from './lib/time';
+import { computeAxis, formatTick } from './lib/axis';
+import { DEFAULT_SETTINGS } from './lib/settings';
+import { axisOptions, computeLayout } from './lib/layout';
+import { filterPatients } from './lib/filtering';
+import { legendEntries } from './lib/legend';
+import { renderPlot } from './lib/render';
+import { usesCanvas } from './lib/canvas';
+import { computeWaterfall, renderWaterfall, compositeFigure } from './lib/waterfall';
+import { DEFAULT_EXPORT } from './lib/figure';
+import { pageFigures } from './lib/pages';
+import { PROJECT_EXTENSION, createProject, projectToJson, parseProject, saveSession, loadSession } from './lib/project';
+import { downloadBlob } from './lib/download';
+
+// Mapping stage when the restored mapping is incomplete
+const restoredStage = (project) => (
+  project.stage === 'plot' && project.mapping && validateMapping(project.mapping).length === 0 ? 'plot' : 'mapping'
+);
 
 const App = () => {
-  const [data, setData] = useState(null);
+  // The last session comes back on reload; without its data only the configuration is restored
+  const [restored] = useState(loadSession);
+  const restoredData = restored?.data;
+  const [source, setSource] = useState(restoredData?.source || null);
+  const [mapping, setMapping] = useState(restoredData ? restored.mapping || initialMapping(restoredData.source.headers, restoredData.source.rows) : null);
+  const [stage, setStage] = useState(restoredData ? restoredStage(restored) : 'upload');
+  const [vocabulary, setVocabulary] = useState(restored?.vocabulary || DEFAULT_VOCABULARY);
+  const [phaseSource, setPhaseSource] = useState(restoredData?.phaseSource || null);
+  const [eventSource, setEventSource] = useState(restoredData?.eventSource || null);
+  // Sheets waiting for roles in the import stage
+  const [importTables, setImportTables] = useState(null);
+  // Edits made in the data grid since the data was loaded
+  const [edits, setEdits] = useState(EMPTY_HISTORY);
   const [error, setError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
-  const [settings, setSettings] = useState({
-    sortBy: 'duration',
-    groupByCohort: true,
-    showGrid: true,
-    barHeight: 20,
-    barGap: 8,
-  });
+  const [settings, setSettings] = useState(restored?.settings || DEFAULT_SETTINGS);
+  // Configuration waiting for the next data file (opened project, previous data cut)
+  const [template, setTemplate] = useState(
+    !restoredData && restored?.mapping ? { name: restored.fileName || 'last session', mapping: restored.mapping } : null
+  );
+  const [notice, setNotice] = useState(null);
+  const [includeDataInProject, setIncludeDataInProject] = useState(false);
+  const [view, setView] = useState(null);
+  const [hoveredKey, setHoveredKey] = useState(null);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [pinnedKeys, setPinnedKeys] = useState(() => new Set());
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT);
+  const colors = settings.style.colors;
 
-  const colors = {
-    CR: '#2E9B6F',
-    PR: '#F5C342',
-    SD: '#7FBADC',
-    PD: '#8B8B8B',
-    ASCT: '#9B59B6',
-    Death: '#E53935',
-    bar: '#87CEEB',
-  };
+  const applySource = useCallback(({ fileName, headers, rows }) => {
+    setSource({ fileName, headers, rows });
+    setEdits(EMPTY_HISTORY);
+    if (template) {
+      const { mapping: reapplied, missing } = reapplyMapping(template.mapping, headers, rows);
+      setMapping(reapplied);
+      setNotice(missing.length > 0
+        ? `"${template.name}"의 설정을 적용했습니다. 새 파일에 없는 컬럼은 다시 지정하세요: ${missing.join(', ')}`
+        : `"${template.name}"의 매핑과 설정을 적용했습니다.`);
+    } else {
+      setMapping(initialMapping(headers, rows));
+      setNotice(null);
+    }
+    setStage('mapping');
+  }, [template]);
 
-  const parseFile = useCallback((file) => {
+  // One sheet goes straight to mapping; several sheets or files, or a CDISC dataset
+  // with parameters and visits to choose, are joined first
+  const parseFiles = useCallback((files) => {
     setError(null);
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      try {
-        let parsedData;
-        
-        if (file.name.endsWith('.csv')) {
-          const result = Papa.parse(e.target.result, { header: true });
-          parsedData = result.data;
+    readTables(files)
+      .then((tables) => {
+        if (tables.length === 1 && filterOptions(tables[0]).length === 0) {
+          applySource(tables[0]);
         } else {
-          const workbook = XLSX.read(e.target.result, { type: 'array' });
-          const sheetName = workbook.SheetNames[0];
-          parsedData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+          setImportTables(tables);
+          setStage('import');
         }
-        
-        const processedData = processData(parsedData);
-        setData(processedData);
-      } catch (err) {
+      })
+      .catch((err) => {
         setError('파일을 처리하는 중 오류가 발생했습니다: ' + err.message);
-      }
-    };
-    
-    if (file.name.endsWith('.csv')) {
-      reader.readAsText(file);
-    } else {
-      reader.readAsArrayBuffer(file);
-    }
-  }, []);
-
-  const processData = (rawData) => {
-    return rawData.map((row, index) => {
-      const c1d1 = parseDate(row.C1D1);
-      if (!c1d1) return null;
-
-      const responses = [];
-      for (let i = 1; i <= 10; i++) {
-        const dateKey = `Resp_date${i}`;
-        const respKey = `Response${i}`;
-        if (row[dateKey] && row[respKey]) {
-          const respDate = parseDate(row[dateKey]);
-          if (respDate) {
-            const months = (respDate - c1d1) / (1000 * 60 * 60 * 24 * 30.44);
-            responses.push({
-              month: months,
-              response: row[respKey],
-            });
-          }
-        }
-      }
-
-      let asctMonth = null;
-      if (row.ASCT_date) {
-        const asctDate = parseDate(row.ASCT_date);
-        if (asctDate) {
-          asctMonth = (asctDate - c1d1) / (1000 * 60 * 60 * 24 * 30.44);
-        }
-      }
-
-      let deathMonth = null;
-      if (row.Death_date) {
-        const deathDate = parseDate(row.Death_date);
-        if (deathDate) {
-          deathMonth = (deathDate - c1d1) / (1000 * 60 * 60 * 24 * 30.44);
-        }
-      }
-
-      const lastResponseDate = responses.length > 0 
-        ? Math.max(...responses.map(r => r.month))
-        : 0;
-      
-      const duration = Math.max(lastResponseDate, asctMonth || 0, deathMonth || 0, 1);
-
-      return {
-        id: row.Patient_ID || `Patient ${index + 1}`,
-        cohort: row.Cohort || 'Unknown',
-        duration,
-        responses,
-        asctMonth,
-        deathMonth,
-      };
-    }).filter(Boolean);
+      });
+  }, [applySource]);
+
+  // Phase and event tables from the import keep their patient ID column
+  const importJoined = (assignments) => {
+    const { source: joined, phases, events, cdisc } = joinTables(importTables, assignments);
+    const sideMapping = (table, guessTableMapping) =>
+      table ? { ...guessTableMapping(table.source.headers), patientId: table.idColumn } : null;
+    setPhaseSource(phases ? phases.source : null);
+    setEventSource(events ? events.source : null);
+    setImportTables(null);
+    applySource(joined);
+    setMapping(m => ({
+      ...(cdisc && !template ? cdiscMapping(m) : m),
+      phaseTable: sideMapping(phases, guessPhaseTableMapping) || m.phaseTable,
+      eventTable: sideMapping(events, guessEventTableMapping) || m.eventTable,
+    }));
   };
 
-  const parseDate = (value) => {
-    if (!value) return null;
-    if (value instanceof Date) return value;
-    if (typeof value === 'number') {
-      return new Date((value - 25569) * 86400 * 1000);
-    }
-    const parsed = new Date(value);
-    return isNaN(parsed) ? null : parsed;
+  // Side tables (phases, events) are joined to the main file on patient ID
+  const loadSideTable = (file, setTableSource, mappingKey, guessTableMapping, label) => {
+    setError(null);
+    readSpreadsheet(file)
+      .then(({ fileName, headers, rows }) => {
+        setTableSource({ fileName, headers, rows });
+        setMapping(m => {
+          const columns = Object.values(m[mappingKey] || {}).filter(Boolean);
+          const reusable = columns.length > 0 && columns.every(column => headers.includes(column));
+          return { ...m, [mappingKey]: reusable ? m[mappingKey] : guessTableMapping(headers) };
+        });
+      })
+      .catch((err) => {
+        setError(`${label}을 처리하는 중 오류가 발생했습니다: ` + err.message);
+      });
+  };
+
+  const removeSideTable = (setTableSource, mappingKey) => {
+    setTableSource(null);
+    setMapping(m => ({ ...m, [mappingKey]: null }));
+  };
+
+  const sideTables = useMemo(() => ({
+    phaseTable: phaseSource && mapping?.phaseTable ? { rows: phaseSource.rows, mapping: mapping.phaseTable } : null,
+    eventTable: eventSource && mapping?.eventTable ? { rows: eventSource.rows, mapping: mapping.eventTable } : null,
+  }), [phaseSource, eventSource, mapping]);
+
+  const validationOptions = useMemo(
+    () => ({ vocabulary, time: settings.time, ...sideTables }),
+    [vocabulary, settings.time, sideTables]
+  );
+
+  const issues = useMemo(() => {
+    if (!source || stage !== 'plot') return [];
+    return validateData(source.rows, mapping, validationOptions);
+  }, [source, mapping, stage, validationOptions]);
+
+  const data = useMemo(() => {
+    if (!source || stage !== 'plot') return null;
+    return processData(source.rows, mapping, {
+      exclude: excludedRows(issues, settings.flaggedRows),
+      vocabulary,
+      ...sideTables,
+      time: settings.time,
+    });
+  }, [source, mapping, stage, issues, settings.flaggedRows, vocabulary, sideTables, settings.time]);
+
+  // Grid edits change the rows in place of a re-upload; validation and the plot follow
+  const editData = (edit) => {
+    setSource(s => applyEdit(s, edit));
+    setEdits(h => recordEdit(h, edit));
+  };
+  const undoEdit = useCallback(() => {
+    const edit = edits.past[edits.past.length - 1];
+    if (!edit) return;
+    setSource(s => revertEdit(s, edit));
+    setEdits(undoHistory);
+  }, [edits]);
+  const redoEdit = useCallback(() => {
+    const edit = edits.future[0];
+    if (!edit) return;
+    setSource(s => applyEdit(s, edit));
+    setEdits(redoHistory);
+  }, [edits]);
+
+  // Shown beside the date format setting when it is left on auto-detect
+  const detectedDates = useMemo(() => {
+    if (!source || stage !== 'plot') return null;
+    return detectDateFormat(mappedDateValues(source.rows, mapping, settings.time, sideTables));
+  }, [source, mapping, stage, settings.time, sideTables]);
+
+  // The mapping and settings stay, ready for the next data cut
+  const resetFile = () => {
+    if (source && mapping) setTemplate({ name: source.fileName, mapping });
+    setNotice(null);
+    setSource(null);
+    setEdits(EMPTY_HISTORY);
+    setPhaseSource(null);
+    setEventSource(null);
+    setImportTables(null);
+    setStage('upload');
+    setView(null);
+    setSelectedKey(null);
+    setPinnedKeys(new Set());
   };
 
+  const startOver = () => {
+    setTemplate(null);
+    setSettings(DEFAULT_SETTINGS);
+    setVocabulary(DEFAULT_VOCABULARY);
+    setMapping(null);
+  };
+
+  // A project with data replaces everything; without data its configuration is applied
+  // to the file already loaded, or kept for the next one
+  const openProject = (file) => {
+    setError(null);
+    file.text()
+      .then(text => {
+        const project = parseProject(text);
+        const name = project.fileName || file.name;
+        setSettings(project.settings);
+        if (project.vocabulary) setVocabulary(project.vocabulary);
+        setView(null);
+        setSelectedKey(null);
+        setPinnedKeys(new Set());
+        if (project.data) {
+          const { source: projectSource } = project.data;
+          setSource(projectSource);
+          setEdits(EMPTY_HISTORY);
+          setPhaseSource(project.data.phaseSource);
+          setEventSource(project.data.eventSource);
+          setMapping(project.mapping || initialMapping(projectSource.headers, projectSource.rows));
+          setTemplate(null);
+          setNotice(null);
+          setStage(restoredStage({ ...project, stage: 'plot' }));
+        } else if (source && project.mapping) {
+          const { mapping: reapplied, missing } = reapplyMapping(project.mapping, source.headers, source.rows);
+          setMapping(reapplied);
+          setNotice(missing.length > 0
+            ? `"${name}" 프로젝트 설정을 적용했습니다. 이 파일에 없는 컬럼은 다시 지정하세요: ${missing.join(', ')}`
+            : `"${name}" 프로젝트의 매핑과 설정을 적용했습니다.`);
+          setStage('mapping');
+        } else {
+          setTemplate(project.mapping ? { name, mapping: project.mapping } : null);
+        }
+      })
+      .catch(err => setError('프로젝트를 불러오지 못했습니다: ' + err.message));
+  };
+
+  const saveProject = () => {
+    const project = createProject({ mapping, vocabulary, settings, source, phaseSource, eventSource }, { includeData: includeDataInProject });
+    const baseName = (source?.fileName || 'swimmer_plot').replace(/\.[^.]+$/, '');
+    downloadBlob(projectToJson(project), baseName + PROJECT_EXTENSION, 'application/json');
+  };
+
+  // Autosave, a moment after the last change
+  useEffect(() => {
+    const timer = setTimeout(() => saveSession({
+      mapping: source ? mapping : template?.mapping || null,
+      fileName: source ? source.fileName : template?.name || null,
+      vocabulary,
+      settings,
+      source,
+      phaseSource,
+      eventSource,
+      stage,
+    }), 500);
+    return () => clearTimeout(timer);
+  }, [mapping, template, vocabulary, settings, source, phaseSource, eventSource, stage]);
+
   const handleDrop = useCallback((e) => {
     e.preventDefault();
     setIsDragging(false);
-    const file = e.dataTransfer.files[0];
-    if (file) parseFile(file);
-  }, [parseFile]);
+    const files = [...e.dataTransfer.files];
+    if (files.length > 0) parseFiles(files);
+  }, [parseFiles]);
 
   const handleFileInput = useCallback((e) => {
-    const file = e.target.files[0];
-    if (file) parseFile(file);
-  }, [parseFile]);
-
-  const sortedData = useMemo(() => {
-    if (!data) return null;
-    
-    let sorted = [...data];
-    
-    if (settings.sortBy === 'duration') {
-      sorted.sort((a, b) => b.duration - a.duration);
-    } else if (settings.sortBy === 'id') {
-      sorted.sort((a, b) => a.id.localeCompare(b.id));
-    }
-    
-    if (settings.groupByCohort) {
-      const cohorts = {};
-      sorted.forEach(patient => {
-        if (!cohorts[patient.cohort]) cohorts[patient.cohort] = [];
-        cohorts[patient.cohort].push(patient);
-      });
-      return Object.entries(cohorts).sort((a, b) => a[0].localeCompare(b[0]));
-    }
-    
-    return [['All', sorted]];
-  }, [data, settings]);
-
-  const maxDuration = useMemo(() => {
-    if (!data) return 21;
-    return Math.ceil(Math.max(...data.map(d => d.duration)) / 3) * 3 + 3;
-  }, [data]);
-
-  const downloadSVG = () => {
-    const svg = document.getElementById('swimmer-plot-svg');
-    if (!svg) return;
-    
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svg);
-    const blob = new Blob([svgString], { type: 'image/svg+xml' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'swimmer_plot.svg';
-    a.click();
-    URL.revokeObjectURL(url);
-  };
+    const files = [...e.target.files];
+    if (files.length > 0) parseFiles(files);
+    e.target.value = '';
+  }, [parseFiles]);
 
-  const downloadPNG = () => {
-    const svg = document.getElementById('swimmer-plot-svg');
-    if (!svg) return;
-    
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const svgData = new XMLSerializer().serializeToString(svg);
-    const img = new Image();
-    
-    canvas.width = 1800;
-    canvas.height = svg.getBoundingClientRect().height * 2;
-    
-    img.onload = () => {
-      ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      
-      const a = document.createElement('a');
-      a.href = canvas.toDataURL('image/png');
-      a.download = 'swimmer_plot.png';
-      a.click();
-    };
-    
-    img.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgData)));
+  // Stats, legend and exports all follow the filtered subset
+  const shown = useMemo(
+    () => (data ? filterPatients(data, settings.filters, settings.patientOverrides) : null),
+    [data, settings.filters, settings.patientOverrides]
+  );
+
+  // `layout` / `plotTree` are what gets exported; the on-screen chart adds zoom and highlights
+  const layout = useMemo(
+    () => (shown ? computeLayout(shown, settings, { vocabulary, colors }) : null),
+    [shown, settings, vocabulary, colors]
+  );
+  const allLegendEntries = useMemo(
+    () => (shown ? legendEntries(shown, settings, { vocabulary, colors }) : []),
+    [shown, settings, vocabulary, colors]
+  );
+  const axis = layout ? layout.axis : computeAxis([], axisOptions(settings));
+  const plotTree = useMemo(
+    () => (layout ? renderPlot(layout, settings, { vocabulary }) : null),
+    [layout, settings, vocabulary]
+  );
+  const viewLayout = useMemo(
+    () => (shown && view ? computeLayout(shown, settings, { view, vocabulary, colors }) : layout),
+    [shown, settings, view, vocabulary, colors, layout]
+  );
+  // The export adds the waterfall panel below or beside the plot when it is switched on
+  const figure = useMemo(() => {
+    if (!plotTree) return null;
+    const plot = { tree: plotTree, width: layout.width, height: layout.height };
+    if (!settings.waterfall.show) return plot;
+    const waterfall = computeWaterfall(layout, settings);
+    return compositeFigure(plot, { ...waterfall, tree: renderWaterfall(waterfall, settings, { vocabulary }) }, settings.waterfall.placement);
+  }, [plotTree, layout, settings, vocabulary]);
+  // Pages only when splitting a large cohort; one composite figure otherwise
+  const { pageBy, perPage } = exportOptions;
+  const exportFigures = useMemo(() => {
+    if (!exportOpen || !figure) return null;
+    return pageBy === 'none' ? [figure] : pageFigures(shown, settings, { pageBy, perPage }, { vocabulary, colors });
+  }, [exportOpen, figure, pageBy, perPage, shown, settings, vocabulary, colors]);
+  const interaction = useMemo(
+    () => ({ hovered: hoveredKey, selected: selectedKey, pinned: pinnedKeys }),
+    [hoveredKey, selectedKey, pinnedKeys]
+  );
+  const screenTree = useMemo(() => (viewLayout ? renderPlot(viewLayout, settings, {
+    vocabulary,
+    id: 'swimmer-plot-svg',
+    interaction,
+  }) : null), [viewLayout, settings, vocabulary, interaction]);
+
+  const patientsByKey = useMemo(() => new Map((data || []).map(p => [p.key, p])), [data]);
+  const selectedPatient = selectedKey ? patientsByKey.get(selectedKey) : null;
+  const togglePin = (key) => setPinnedKeys(keys => {
+    const next = new Set(keys);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    return next;
+  });
+
+  const setTime = (field, value) => {
+    setView(null);
+    setSettings(s => ({ ...s, time: { ...s.time, [field]: value } }));
+  };
+  // Interval, max and break are in the previous unit, so reset them with it
+  const setTimeUnit = (unit) => {
+    setView(null);
+    setSettings(s => ({
+      ...s,
+      time: { ...s.time, unit },
+      tickInterval: 0,
+      axisMax: '',
+      breakStart: '',
+      breakEnd: '',
+    }));
   };
+  const originOptions = source && mapping ? [
+    ...ORIGIN_ROLES.filter(role => mapping[role.value]),
+    ...source.headers
+      .filter(header => !ORIGIN_ROLES.some(role => mapping[role.value] === header))
+      .map(header => ({ value: `column:${header}`, label: header })),
+  ] : [];
 
-  const totalPatients = sortedData 
-    ? sortedData.reduce((sum, [_, patients]) => sum + patients.length, 0) 
-    : 0;
-  
-  const svgHeight = sortedData 
-    ? sortedData.reduce((sum, [cohort, patients]) => {
-        return sum + patients.length * (settings.barHeight + settings.barGap) + 40;
-      }, 80)
-    : 400;
+  const allPhaseNames = shown ? phaseNames(shown) : [];
+  const allEventTypes = data ? eventTypes(data) : [];
+  const eventLabel = (type) => eventStyle(type, allEventTypes, settings.eventStyles).label;
+  const eventCounts = {};
+  (data || []).forEach(p => p.events.forEach(event => {
+    eventCounts[event.type] = (eventCounts[event.type] || 0) + 1;
+  }));
+
+  const totalPatients = layout ? layout.patientCount : 0;
 
   return (
     <div style={{
@@ -220,14 +397,12 @@ const App = () => {
       padding: '24px',
     }}>
       <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;600&family=Outfit:wght@300;400;600;700&display=swap');
-        
         * { box-sizing: border-box; margin: 0; padding: 0; }
         
         body { background: #0a192f; }
         
         .app-title {
-          font-family: 'Outfit', sans-serif;
+          font-family: 'Segoe UI', system-ui, sans-serif;
           font-weight: 700;
           font-size: 2.5rem;
           background: linear-gradient(135deg, #64ffda, #48cae4);
@@ -238,7 +413,7 @@ const App = () => {
         }
         
         .subtitle {
-          font-family: 'Outfit', sans-serif;
+          font-family: 'Segoe UI', system-ui, sans-serif;
           font-weight: 300;
           color: #8892b0;
           margin-top: 8px;
@@ -269,7 +444,7 @@ const App = () => {
         }
         
         .btn {
-          font-family: 'JetBrains Mono', monospace;
+          font-family: ui-monospace, Consolas, monospace;
           font-size: 0.85rem;
           padding: 10px 20px;
           border: 1px solid #64ffda;
@@ -284,6 +459,32 @@ const App = () => {
           background: rgba(100, 255, 218, 0.1);
         }
         
+        .btn:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+        
+        .btn-small {
+          padding: 5px 10px;
+          font-size: 0.75rem;
+        }
+        
+        .btn-primary {
+          background: #64ffda;
+          color: #0a192f;
+          font-weight: 600;
+        }
+        
+        .btn-primary:hover {
+          background: #48cae4;
+        }
+        
+        .btn-row {
+          display: flex;
+          gap: 8px;
+          flex-wrap: wrap;
+        }
+        
         .settings-panel {
           background: rgba(17, 34, 64, 0.8);
           border: 1px solid #233554;
@@ -293,7 +494,7 @@ const App = () => {
         }
         
         .settings-title {
-          font-family: 'Outfit', sans-serif;
+          font-family: 'Segoe UI', system-ui, sans-serif;
           font-weight: 600;
           font-size: 1rem;
           color: #ccd6f6;
@@ -314,50 +515,352 @@ const App = () => {
         }
         
         .setting-label {
-          font-family: 'JetBrains Mono', monospace;
+          font-family: ui-monospace, Consolas, monospace;
           font-size: 0.8rem;
           color: #8892b0;
         }
         
-        select, input[type="range"] {
+        select, input[type="range"], input[type="text"], input[type="number"], textarea {
           background: #0a192f;
           border: 1px solid #233554;
           color: #e6f1ff;
           padding: 6px 12px;
           border-radius: 4px;
-          font-family: 'JetBrains Mono', monospace;
+          font-family: ui-monospace, Consolas, monospace;
           font-size: 0.8rem;
         }
         
+        input[type="color"] {
+          width: 36px;
+          height: 26px;
+          padding: 0 2px;
+          background: #0a192f;
+          border: 1px solid #233554;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        
         select:focus, input:focus {
           outline: none;
           border-color: #64ffda;
         }
         
+        .mapper-hint {
+          font-size: 0.85rem;
+          color: #8892b0;
+          margin-bottom: 16px;
+        }
+        
+        .mapper-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+          gap: 12px;
+        }
+        
+        .mapper-label {
+          min-width: 170px;
+        }
+        
+        .mapper-pairs {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+        
+        .mapper-subpanel {
+          border: 1px solid #233554;
+          border-radius: 8px;
+          padding: 12px;
+        }
+        
+        .preview-table-wrap {
+          overflow-x: auto;
+        }
+        
+        .preview-table {
+          border-collapse: collapse;
+          font-family: ui-monospace, Consolas, monospace;
+          font-size: 0.75rem;
+        }
+        
+        .preview-table th, .preview-table td {
+          border: 1px solid #233554;
+          padding: 6px 10px;
+          text-align: left;
+          white-space: nowrap;
+        }
+        
+        .preview-table th {
+          color: #ccd6f6;
+          font-weight: 600;
+        }
+        
+        .preview-table th code {
+          color: #64ffda;
+          font-weight: 400;
+        }
+        
+        .preview-table td {
+          color: #8892b0;
+        }
+        
+        .validation-header {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 12px;
+        }
+        
+        .badge {
+          font-family: ui-monospace, Consolas, monospace;
+          font-size: 0.75rem;
+          padding: 3px 10px;
+          border-radius: 12px;
+          border: 1px solid currentColor;
+        }
+        
+        .badge-ok { color: #64ffda; }
+        .badge-warning, .severity-warning { color: #f5c342 !important; }
+        .badge-error, .severity-error { color: #ff6b6b !important; }
+        .badge-info, .severity-info { color: #8892b0 !important; }
+        
+        .validation-table-wrap {
+          max-height: 320px;
+          overflow-y: auto;
+        }
+
+        .data-grid-wrap {
+          max-height: 480px;
+          overflow-y: auto;
+        }
+
+        .data-grid th {
+          position: sticky;
+          top: 0;
+          background: #112240;
+        }
+
+        .data-grid-cell {
+          cursor: text;
+          min-width: 40px;
+        }
+
+        .data-grid-cell:hover {
+          background: rgba(100, 255, 218, 0.08);
+        }
+
+        .data-grid td.data-grid-editing {
+          padding: 2px 4px;
+        }
+
+        .data-grid-editing input {
+          font-family: inherit;
+          font-size: inherit;
+          padding: 3px 6px;
+        }
+
+        .data-grid td .btn + .btn {
+          margin-left: 4px;
+        }
+
+        .change-log {
+          margin: 8px 0 0 20px;
+          font-family: ui-monospace, Consolas, monospace;
+          font-size: 0.75rem;
+          color: #8892b0;
+          max-height: 200px;
+          overflow-y: auto;
+        }
+
+        .change-log-undone {
+          text-decoration: line-through;
+          opacity: 0.6;
+        }
+        
         .chart-container {
           background: #fff;
           border-radius: 12px;
           padding: 24px;
           overflow-x: auto;
+          margin-bottom: 24px;
+        }
+        
+        .zoom-controls {
+          align-items: center;
+          margin-bottom: 12px;
+        }
+        
+        .zoom-controls .btn {
+          border-color: #1F77B4;
+          color: #1F77B4;
+        }
+        
+        .zoom-hint {
+          font-size: 0.75rem;
+          color: #888;
         }
         
-        .legend {
+        .interactive-plot {
+          position: relative;
+          user-select: none;
+        }
+        
+        .plot-tooltip {
+          position: absolute;
+          pointer-events: none;
+          background: rgba(10, 25, 47, 0.92);
+          color: #e6f1ff;
+          border-radius: 6px;
+          padding: 8px 10px;
+          font-family: ui-monospace, Consolas, monospace;
+          font-size: 0.72rem;
+          line-height: 1.5;
+          white-space: nowrap;
+          z-index: 10;
+        }
+        
+        .plot-tooltip-label {
+          color: #64ffda;
+        }
+        
+        .pinned-bar {
           display: flex;
           flex-wrap: wrap;
-          gap: 16px;
+          align-items: center;
+          gap: 8px;
           margin-bottom: 16px;
-          padding: 12px 16px;
-          background: rgba(17, 34, 64, 0.05);
-          border-radius: 8px;
         }
         
-        .legend-item {
+        .detail-panel {
+          position: fixed;
+          top: 24px;
+          right: 24px;
+          width: 380px;
+          max-height: calc(100vh - 48px);
+          overflow-y: auto;
+          background: rgba(17, 34, 64, 0.97);
+          border: 1px solid #64ffda;
+          border-radius: 12px;
+          padding: 20px;
+          z-index: 20;
+          box-shadow: 0 12px 32px rgba(0, 0, 0, 0.4);
+        }
+        
+        .detail-panel .preview-table {
+          width: 100%;
+          margin-top: 8px;
+        }
+        
+        .detail-heading {
+          margin-top: 16px;
+          font-size: 0.8rem;
+          font-weight: 600;
+          color: #ccd6f6;
+        }
+
+        .filter-row {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 8px;
+          padding: 8px 10px;
+          border: 1px solid #233554;
+          border-radius: 6px;
+        }
+
+        .filter-values {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px 12px;
+          flex: 1;
+        }
+
+        .filter-value {
           display: flex;
           align-items: center;
+          gap: 4px;
+          font-size: 0.8rem;
+          color: #ccd6f6;
+        }
+
+        .group-list {
+          display: flex;
+          flex-direction: column;
           gap: 6px;
-          font-family: 'JetBrains Mono', monospace;
-          font-size: 0.75rem;
-          color: #333;
+          margin-top: 8px;
+        }
+
+        .group-item {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 6px 10px;
+          border: 1px solid #233554;
+          border-radius: 6px;
+          background: #0a192f;
+          cursor: grab;
+        }
+
+        .group-item-dragging {
+          opacity: 0.5;
+        }
+
+        .group-handle {
+          color: #8892b0;
+          letter-spacing: -2px;
+        }
+
+        .group-value {
+          min-width: 120px;
+          color: #ccd6f6;
+        }
+
+        .modal-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(2, 12, 27, 0.7);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 30;
+        }
+
+        .modal {
+          width: min(560px, calc(100vw - 48px));
+          max-height: calc(100vh - 48px);
+          overflow-y: auto;
+          background: #112240;
+          border: 1px solid #64ffda;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 12px 32px rgba(0, 0, 0, 0.4);
+        }
+
+        .summary-table td:not(:first-child), .summary-table th:not(:first-child) {
+          text-align: right;
+          white-space: nowrap;
+        }
+
+        .summary-table .summary-sub {
+          padding-left: 24px;
+        }
+
+        .notice-box {
+          background: rgba(100, 255, 218, 0.08);
+          border: 1px solid #64ffda;
+          border-radius: 8px;
+          padding: 12px 16px;
+          color: #ccd6f6;
+          font-size: 0.85rem;
+          margin-bottom: 16px;
+        }
+
+        .project-bar {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          align-items: center;
+          margin-top: 16px;
         }
         
         .error-box {
@@ -379,13 +882,13 @@ const App = () => {
           font-size: 1.5rem;
           font-weight: 600;
           color: #64ffda;
-          font-family: 'JetBrains Mono', monospace;
+          font-family: ui-monospace, Consolas, monospace;
         }
         
         .stat-label {
           font-size: 0.75rem;
           color: #8892b0;
-          font-family: 'JetBrains Mono', monospace;
+          font-family: ui-monospace, Consolas, monospace;
         }
         
         .btn-group {
@@ -407,301 +910,518 @@ const App = () => {
         <p className="subtitle">임상 연구를 위한 개별 환자 반응 시각화 도구</p>
       </header>
 
-      {!data ? (
-        <div
-          className={`upload-zone ${isDragging ? 'dragging' : ''}`}
-          onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
-          onDragLeave={() => setIsDragging(false)}
-          onDrop={handleDrop}
-          onClick={() => document.getElementById('file-input').click()}
-        >
-          <svg className="upload-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
-            <path d="M12 16V4m0 0L8 8m4-4l4 4" strokeLinecap="round" strokeLinejoin="round"/>
-            <path d="M3 16v2a2 2 0 002 2h14a2 2 0 002-2v-2" strokeLinecap="round"/>
-          </svg>
-          <p style={{ fontSize: '1.1rem', marginBottom: '8px', color: '#ccd6f6' }}>
-            엑셀 또는 CSV 파일을 드래그하거나 클릭하여 업로드
-          </p>
-          <p style={{ fontSize: '0.85rem', color: '#8892b0', marginBottom: '24px' }}>
-            지원 형식: .xlsx, .xls, .csv
-          </p>
-          <div style={{ 
-            background: 'rgba(100, 255, 218, 0.1)', 
-            padding: '16px', 
-            borderRadius: '8px',
-            maxWidth: '500px',
-            margin: '0 auto',
-            textAlign: 'left'
-          }}>
-            <p style={{ fontSize: '0.8rem', color: '#64ffda', marginBottom: '8px', fontWeight: '600' }}>
-              필요한 컬럼:
+      {!source ? (
+        <>
+          <div
+            className={`upload-zone ${isDragging ? 'dragging' : ''}`}
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            onClick={() => document.getElementById('file-input').click()}
+          >
+            <svg className="upload-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+              <path d="M12 16V4m0 0L8 8m4-4l4 4" strokeLinecap="round" strokeLinejoin="round"/>
+              <path d="M3 16v2a2 2 0 002 2h14a2 2 0 002-2v-2" strokeLinecap="round"/>
+            </svg>
+            <p style={{ fontSize: '1.1rem', marginBottom: '8px', color: '#ccd6f6' }}>
+              엑셀 또는 CSV 파일을 드래그하거나 클릭하여 업로드
             </p>
-            <p style={{ fontSize: '0.75rem', color: '#8892b0', lineHeight: '1.6' }}>
-              • <code style={{ color: '#64ffda' }}>Cohort</code> - 코호트/Arm 구분 (선택)<br/>
-              • <code style={{ color: '#64ffda' }}>Patient_ID</code> - 환자 ID<br/>
-              • <code style={{ color: '#64ffda' }}>C1D1</code> - 치료 시작일<br/>
-              • <code style={{ color: '#64ffda' }}>Resp_date1, Response1, ...</code> - 반응 평가 날짜와 결과<br/>
-              • <code style={{ color: '#64ffda' }}>ASCT_date</code> - ASCT 날짜 (선택)<br/>
-              • <code style={{ color: '#64ffda' }}>Death_date</code> - 사망 날짜 (선택)
+            <p style={{ fontSize: '0.85rem', color: '#8892b0', marginBottom: '24px' }}>
+              지원 형식: .xlsx, .xls, .csv, .xpt (SAS 전송 파일)
             </p>
+            <div style={{ 
+              background: 'rgba(100, 255, 218, 0.1)', 
+              padding: '16px', 
+              borderRadius: '8px',
+              maxWidth: '500px',
+              margin: '0 auto',
+              textAlign: 'left'
+            }}>
+              <p style={{ fontSize: '0.8rem', color: '#64ffda', marginBottom: '8px', fontWeight: '600' }}>
+                필요한 컬럼 (이름이 다르면 업로드 후 매핑 단계에서 지정):
+              </p>
+              <p style={{ fontSize: '0.75rem', color: '#8892b0', lineHeight: '1.6' }}>
+                • <code style={{ color: '#64ffda' }}>Cohort</code> - 코호트/Arm 구분 (선택)<br/>
+                • <code style={{ color: '#64ffda' }}>Patient_ID</code> - 환자 ID<br/>
+                • <code style={{ color: '#64ffda' }}>C1D1</code> - 치료 시작일<br/>
+                • <code style={{ color: '#64ffda' }}>Resp_date1, Response1, ...</code> - 반응 평가 날짜와 결과<br/>
+                • <code style={{ color: '#64ffda' }}>ASCT_date</code> - ASCT 날짜 (선택)<br/>
+                • <code style={{ color: '#64ffda' }}>Death_date</code> - 사망 날짜 (선택)<br/>
+                • <code style={{ color: '#64ffda' }}>EOT_date, Last_followup_date, Ongoing</code> - 치료 종료/추적관찰/지속 여부 (선택)<br/>
+                • 평가마다 한 행인 Long 형식도 자동 감지됩니다<br/>
+                • 환자, 반응 평가, 이벤트 시트가 나뉜 통합 문서나 여러 파일은 환자 ID로 연결합니다
+              </p>
+            </div>
+            <input
+              id="file-input"
+              type="file"
+              accept=".xlsx,.xls,.csv,.xpt"
+              multiple
+              onChange={handleFileInput}
+              style={{ display: 'none' }}
+            />
+            {error && <div className="error-box">{error}</div>}
+          </div>
+          <div className="project-bar">
+            <label className="btn btn-small">
+              Open Project…
+              <input
+                type="file"
+                accept=".json,application/json"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  if (e.target.files[0]) openProject(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+            {template ? (
+              <>
+                <span className="setting-label">
+                  <code>{template.name}</code>의 매핑과 설정(스타일, 필터, 그룹 순서 등)을 다음에 올리는 파일에 적용합니다.
+                </span>
+                <button className="btn btn-small" onClick={startOver}>Start Over</button>
+              </>
+            ) : (
+              <span className="setting-label">저장한 프로젝트(.json)를 열어 그림을 복원하거나, 그 설정을 새 데이터에 적용할 수 있습니다.</span>
+            )}
           </div>
-          <input
-            id="file-input"
-            type="file"
-            accept=".xlsx,.xls,.csv"
-            onChange={handleFileInput}
-            style={{ display: 'none' }}
+        </>
+      ) : stage === 'import' ? (
+        <>
+          {error && <div className="error-box" style={{ marginBottom: '16px' }}>{error}</div>}
+          <ImportPanel tables={importTables} onConfirm={importJoined} onCancel={resetFile} />
+        </>
+      ) : stage === 'mapping' ? (
+        <>
+          {error && <div className="error-box" style={{ marginBottom: '16px' }}>{error}</div>}
+          {notice && <div className="notice-box">{notice}</div>}
+          <ColumnMapper
+            fileName={source.fileName}
+            headers={source.headers}
+            rows={source.rows}
+            mapping={mapping}
+            phaseSource={phaseSource}
+            eventSource={eventSource}
+            onChange={setMapping}
+            onPhaseFile={(file) => loadSideTable(file, setPhaseSource, 'phaseTable', guessPhaseTableMapping, '단계 테이블')}
+            onPhaseRemove={() => removeSideTable(setPhaseSource, 'phaseTable')}
+            onEventFile={(file) => loadSideTable(file, setEventSource, 'eventTable', guessEventTableMapping, '이벤트 테이블')}
+            onEventRemove={() => removeSideTable(setEventSource, 'eventTable')}
+            onConfirm={() => setStage('plot')}
+            onCancel={resetFile}
           />
-          {error && <div className="error-box">{error}</div>}
-        </div>
+        </>
       ) : (
         <>
+          {error && <div className="error-box" style={{ marginBottom: '16px' }}>{error}</div>}
           <div className="stats-bar">
             <div>
               <div className="stat-value">{totalPatients}</div>
               <div className="stat-label">Total Patients</div>
             </div>
             <div>
-              <div className="stat-value">{sortedData?.length || 0}</div>
-              <div className="stat-label">Cohorts</div>
+              <div className="stat-value">{layout?.groups.length || 0}</div>
+              <div className="stat-label">Groups</div>
             </div>
             <div>
-              <div className="stat-value">{(maxDuration - 3).toFixed(0)}</div>
-              <div className="stat-label">Max Duration (mo)</div>
+              <div className="stat-value">{shown && shown.length > 0 ? Math.max(...shown.map(p => p.duration)).toFixed(0) : 0}</div>
+              <div className="stat-label">Max Duration ({unitAbbreviation(settings.time.unit)})</div>
+            </div>
+          </div>
+
+          <ValidationReport
+            issues={issues}
+            totalRows={source.rows.length}
+            plottedCount={data.length}
+            flaggedRows={settings.flaggedRows}
+            onFlaggedRowsChange={(value) => setSettings(s => ({ ...s, flaggedRows: value }))}
+          />
+
+          <ResponseCriteriaPanel vocabulary={vocabulary} onChange={setVocabulary} />
+
+          <EventsPanel
+            types={allEventTypes}
+            counts={eventCounts}
+            styles={settings.eventStyles}
+            onChange={(eventStyles) => setSettings(s => ({ ...s, eventStyles }))}
+          />
+
+          <SortGroupPanel
+            settings={settings}
+            headers={source.headers}
+            patients={data}
+            eventTypes={allEventTypes}
+            onChange={(changes) => setSettings(s => ({ ...s, ...changes }))}
+          />
+
+          <div className="settings-panel">
+            <div className="settings-title">Time Axis</div>
+            <div className="settings-row">
+              <div className="setting-item">
+                <span className="setting-label">Origin:</span>
+                <select value={settings.time.origin} onChange={(e) => setTime('origin', e.target.value)}>
+                  {originOptions.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="setting-item">
+                <span className="setting-label">Unit:</span>
+                <select value={settings.time.unit} onChange={(e) => setTimeUnit(e.target.value)}>
+                  {TIME_UNITS.map(unit => (
+                    <option key={unit.value} value={unit.value}>{unit.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {settings.time.unit === 'months' && (
+                <div className="setting-item">
+                  <span className="setting-label">Month =</span>
+                  <select value={settings.time.monthDays} onChange={(e) => setTime('monthDays', parseFloat(e.target.value))}>
+                    {MONTH_DEFINITIONS.map(def => (
+                      <option key={def.value} value={def.value}>{def.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {settings.time.unit === 'years' && (
+                <div className="setting-item">
+                  <span className="setting-label">Year =</span>
+                  <select value={settings.time.yearDays} onChange={(e) => setTime('yearDays', parseFloat(e.target.value))}>
+                    {YEAR_DEFINITIONS.map(def => (
+                      <option key={def.value} value={def.value}>{def.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="setting-item">
+                <span className="setting-label">Tick Every:</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="auto"
+                  style={{ width: '72px' }}
+                  value={settings.tickInterval || ''}
+                  onChange={(e) => setSettings(s => ({ ...s, tickInterval: Math.max(parseFloat(e.target.value) || 0, 0) }))}
+                />
+                <span className="setting-label">{settings.tickInterval ? '' : `(${formatTick(axis.interval)})`}</span>
+              </div>
+
+              <div className="setting-item">
+                <span className="setting-label">Axis Max:</span>
+                <input
+                  type="number"
+                  step="any"
+                  placeholder="auto"
+                  style={{ width: '72px' }}
+                  value={settings.axisMax}
+                  onChange={(e) => setSettings(s => ({ ...s, axisMax: e.target.value }))}
+                />
+              </div>
+
+              <div className="setting-item">
+                <span className="setting-label">Axis Title:</span>
+                <input
+                  type="text"
+                  placeholder={defaultAxisTitle(settings.time)}
+                  value={settings.axisTitle}
+                  onChange={(e) => setSettings(s => ({ ...s, axisTitle: e.target.value }))}
+                />
+              </div>
+
+              <div className="setting-item">
+                <span className="setting-label">Broken Axis:</span>
+                <input 
+                  type="checkbox" 
+                  checked={settings.brokenAxis}
+                  onChange={(e) => setSettings(s => ({ ...s, brokenAxis: e.target.checked }))}
+                  style={{ width: '18px', height: '18px' }}
+                />
+                {settings.brokenAxis && (
+                  <>
+                    <input
+                      type="number"
+                      step="any"
+                      placeholder={axis.break ? formatTick(axis.break.start) : 'from'}
+                      style={{ width: '64px' }}
+                      value={settings.breakStart}
+                      onChange={(e) => setSettings(s => ({ ...s, breakStart: e.target.value }))}
+                    />
+                    <span className="setting-label">–</span>
+                    <input
+                      type="number"
+                      step="any"
+                      placeholder={axis.break ? formatTick(axis.break.end) : 'to'}
+                      style={{ width: '64px' }}
+                      value={settings.breakEnd}
+                      onChange={(e) => setSettings(s => ({ ...s, breakEnd: e.target.value }))}
+                    />
+                  </>
+                )}
+              </div>
+            </div>
+            {settings.brokenAxis && !axis.break && (
+              <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+                축을 끊을 구간이 없습니다. 다른 환자보다 훨씬 긴 막대가 1–2개 있을 때 자동으로 구간을 제안하며, 직접 입력할 수도 있습니다.
+              </p>
+            )}
+            <div className="settings-row" style={{ marginTop: '12px' }}>
+              <div className="setting-item">
+                <span className="setting-label">Date Format:</span>
+                <select value={settings.time.dateFormat} onChange={(e) => setTime('dateFormat', e.target.value)}>
+                  {DATE_FORMATS.map(format => (
+                    <option key={format.value} value={format.value}>{format.label}</option>
+                  ))}
+                </select>
+                {settings.time.dateFormat === 'auto' && detectedDates && (
+                  <span className="setting-label">({dateFormatLabel(detectedDates)})</span>
+                )}
+              </div>
+
+              <div className="setting-item">
+                <span className="setting-label">Partial Dates:</span>
+                <select value={settings.time.imputation} onChange={(e) => setTime('imputation', e.target.value)}>
+                  {IMPUTATION_RULES.map(rule => (
+                    <option key={rule.value} value={rule.value}>{rule.label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
+            {settings.time.dateFormat === 'auto' && (detectedDates?.ambiguous || detectedDates?.conflicting) && (
+              <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+                {detectedDates.conflicting
+                  ? '일/월 순서가 서로 다른 날짜가 섞여 있습니다. 많은 쪽으로 읽었으니 Date Format을 직접 지정하세요.'
+                  : '12일 이후의 날짜가 없어 일/월 순서를 알 수 없습니다. MM/DD로 읽었으니 필요하면 Date Format을 직접 지정하세요.'}
+              </p>
+            )}
+            <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+              연·월만 있는 날짜("2023-01", "UN-JAN-2023")는 대체 규칙에 따라 그 기간의 첫날, 중간(15일 또는 7월 1일) 또는 마지막 날로 채우며, 툴팁과 검증 리포트에 대체(imputed)로 표시됩니다.
+            </p>
           </div>
 
           <div className="settings-panel">
             <div className="settings-title">Settings</div>
             <div className="settings-row">
               <div className="setting-item">
-                <span className="setting-label">Sort by:</span>
+                <span className="setting-label">Bar:</span>
                 <select 
-                  value={settings.sortBy}
-                  onChange={(e) => setSettings(s => ({ ...s, sortBy: e.target.value }))}
+                  value={settings.barMode}
+                  onChange={(e) => setSettings(s => ({ ...s, barMode: e.target.value }))}
                 >
-                  <option value="duration">Duration</option>
-                  <option value="id">Patient ID</option>
+                  {BAR_MODES.map(mode => (
+                    <option key={mode.value} value={mode.value}>{mode.label}</option>
+                  ))}
                 </select>
               </div>
-              
+
+              {settings.barMode === 'segmented' && (
+                <>
+                  <div className="setting-item">
+                    <span className="setting-label">Carry Forward:</span>
+                    <input 
+                      type="checkbox" 
+                      checked={settings.carryForward}
+                      onChange={(e) => setSettings(s => ({ ...s, carryForward: e.target.checked }))}
+                      style={{ width: '18px', height: '18px' }}
+                    />
+                  </div>
+                  <div className="setting-item">
+                    <span className="setting-label">Not Assessed:</span>
+                    <input 
+                      type="checkbox" 
+                      checked={settings.showNotAssessed}
+                      onChange={(e) => setSettings(s => ({ ...s, showNotAssessed: e.target.checked }))}
+                      style={{ width: '18px', height: '18px' }}
+                    />
+                  </div>
+                  <div className="setting-item">
+                    <span className="setting-label">Dots at Changes Only:</span>
+                    <input 
+                      type="checkbox" 
+                      checked={settings.dotsAtChangesOnly}
+                      onChange={(e) => setSettings(s => ({ ...s, dotsAtChangesOnly: e.target.checked }))}
+                      style={{ width: '18px', height: '18px' }}
+                    />
+                  </div>
+                </>
+              )}
+
+              {allPhaseNames.length > 0 && settings.barMode !== 'segmented' && (
+                <div className="setting-item">
+                  <span className="setting-label">Phase Labels:</span>
+                  <input 
+                    type="checkbox" 
+                    checked={settings.showPhaseLabels}
+                    onChange={(e) => setSettings(s => ({ ...s, showPhaseLabels: e.target.checked }))}
+                    style={{ width: '18px', height: '18px' }}
+                  />
+                  {allPhaseNames.map(name => (
+                    <input
+                      key={name}
+                      type="color"
+                      title={name}
+                      value={phaseColor(name, allPhaseNames, settings.phaseColors)}
+                      onChange={(e) => setSettings(s => ({ ...s, phaseColors: { ...s.phaseColors, [name]: e.target.value } }))}
+                    />
+                  ))}
+                </div>
+              )}
+
               <div className="setting-item">
-                <span className="setting-label">Group by Cohort:</span>
+                <span className="setting-label">EOT Reason:</span>
                 <input 
                   type="checkbox" 
-                  checked={settings.groupByCohort}
-                  onChange={(e) => setSettings(s => ({ ...s, groupByCohort: e.target.checked }))}
+                  checked={settings.showDiscontinuationReason}
+                  onChange={(e) => setSettings(s => ({ ...s, showDiscontinuationReason: e.target.checked }))}
                   style={{ width: '18px', height: '18px' }}
                 />
               </div>
-              
+
               <div className="setting-item">
-                <span className="setting-label">Bar Height:</span>
-                <input 
-                  type="range" 
-                  min="12" 
-                  max="32" 
-                  value={settings.barHeight}
-                  onChange={(e) => setSettings(s => ({ ...s, barHeight: parseInt(e.target.value) }))}
+                <span className="setting-label">Save Data in Project:</span>
+                <input
+                  type="checkbox"
+                  checked={includeDataInProject}
+                  onChange={(e) => setIncludeDataInProject(e.target.checked)}
+                  style={{ width: '18px', height: '18px' }}
                 />
-                <span style={{ color: '#64ffda', fontSize: '0.8rem', minWidth: '35px' }}>{settings.barHeight}px</span>
               </div>
 
               <div className="btn-group">
-                <button className="btn" onClick={downloadSVG}>SVG</button>
-                <button className="btn" onClick={downloadPNG}>PNG</button>
-                <button className="btn" onClick={() => setData(null)}>New File</button>
+                <button className="btn btn-primary" onClick={() => setExportOpen(true)}>Export…</button>
+                <button className="btn" onClick={saveProject}>Save Project</button>
+                <label className="btn">
+                  Open Project…
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                      if (e.target.files[0]) openProject(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                </label>
+                <button className="btn" onClick={() => setStage('mapping')}>Columns</button>
+                <button className="btn" onClick={resetFile} title="Keeps the mapping and settings for the next data file">New File</button>
               </div>
             </div>
           </div>
 
-          <div className="chart-container">
-            <div className="legend">
-              <div className="legend-item">
-                <svg width="16" height="16"><circle cx="8" cy="8" r="6" fill={colors.CR}/></svg>
-                <span>CR (Complete Response)</span>
-              </div>
-              <div className="legend-item">
-                <svg width="16" height="16"><circle cx="8" cy="8" r="6" fill={colors.PR}/></svg>
-                <span>PR (Partial Response)</span>
-              </div>
-              <div className="legend-item">
-                <svg width="16" height="16"><circle cx="8" cy="8" r="6" fill={colors.SD}/></svg>
-                <span>SD (Stable Disease)</span>
-              </div>
-              <div className="legend-item">
-                <svg width="16" height="16"><circle cx="8" cy="8" r="6" fill={colors.PD}/></svg>
-                <span>PD (Progressive Disease)</span>
-              </div>
-              <div className="legend-item">
-                <svg width="16" height="16">
-                  <polygon points="8,2 14,8 8,14 2,8" fill={colors.ASCT}/>
-                </svg>
-                <span>ASCT</span>
-              </div>
-              <div className="legend-item">
-                <svg width="16" height="16">
-                  <line x1="3" y1="3" x2="13" y2="13" stroke={colors.Death} strokeWidth="2.5"/>
-                  <line x1="13" y1="3" x2="3" y2="13" stroke={colors.Death} strokeWidth="2.5"/>
-                </svg>
-                <span>Death</span>
-              </div>
-            </div>
+          <StylePanel
+            settings={settings}
+            onChange={(changes) => setSettings(s => ({ ...s, ...changes }))}
+          />
 
-            <svg 
-              id="swimmer-plot-svg"
-              width="900" 
-              height={svgHeight}
-              style={{ fontFamily: "'Segoe UI', system-ui, sans-serif" }}
-            >
-              {settings.showGrid && Array.from({ length: Math.floor(maxDuration / 3) + 1 }, (_, i) => i * 3).map(month => (
-                <line
-                  key={month}
-                  x1={100 + (month / maxDuration) * 700}
-                  y1={40}
-                  x2={100 + (month / maxDuration) * 700}
-                  y2={svgHeight - 40}
-                  stroke="#e0e0e0"
-                  strokeDasharray="4,4"
-                />
-              ))}
+          <FilterPanel
+            settings={settings}
+            headers={source.headers}
+            patients={data}
+            eventTypes={allEventTypes}
+            shownCount={shown.length}
+            onChange={(changes) => setSettings(s => ({ ...s, ...changes }))}
+          />
 
-              <line x1="100" y1={svgHeight - 40} x2="800" y2={svgHeight - 40} stroke="#333" strokeWidth="1"/>
-              
-              {Array.from({ length: Math.floor(maxDuration / 3) + 1 }, (_, i) => i * 3).map(month => (
-                <g key={month}>
-                  <line
-                    x1={100 + (month / maxDuration) * 700}
-                    y1={svgHeight - 40}
-                    x2={100 + (month / maxDuration) * 700}
-                    y2={svgHeight - 35}
-                    stroke="#333"
-                  />
-                  <text
-                    x={100 + (month / maxDuration) * 700}
-                    y={svgHeight - 20}
-                    textAnchor="middle"
-                    fontSize="12"
-                    fill="#333"
-                  >
-                    {month}
-                  </text>
-                </g>
+          <TrackPanel
+            settings={settings}
+            headers={source.headers}
+            patients={data}
+            onChange={(changes) => setSettings(s => ({ ...s, ...changes }))}
+          />
+
+          <AnnotationPanel
+            settings={settings}
+            entries={allLegendEntries}
+            onChange={(changes) => setSettings(s => ({ ...s, ...changes }))}
+          />
+
+          {pinnedKeys.size > 0 && (
+            <div className="pinned-bar">
+              <span className="setting-label">Pinned:</span>
+              {[...pinnedKeys].filter(key => patientsByKey.has(key)).map(key => (
+                <button key={key} className="btn btn-small" onClick={() => setSelectedKey(key)}>
+                  {patientsByKey.get(key).id}
+                </button>
               ))}
-              
-              <text
-                x={450}
-                y={svgHeight - 2}
-                textAnchor="middle"
-                fontSize="13"
-                fill="#333"
-                fontWeight="500"
-              >
-                Time on treatment (months)
-              </text>
-
-              {sortedData && (() => {
-                let yOffset = 50;
-                return sortedData.map(([cohort, patients]) => {
-                  const cohortStart = yOffset;
-                  const cohortBars = patients.map((patient, idx) => {
-                    const y = yOffset + idx * (settings.barHeight + settings.barGap);
-                    const barWidth = (patient.duration / maxDuration) * 700;
-                    
-                    return (
-                      <g key={patient.id}>
-                        <rect
-                          x={100}
-                          y={y}
-                          width={barWidth}
-                          height={settings.barHeight}
-                          fill={colors.bar}
-                          rx={3}
-                          opacity={0.85}
-                        />
-                        
-                        {patient.responses.map((resp, i) => {
-                          const cx = 100 + (resp.month / maxDuration) * 700;
-                          const cy = y + settings.barHeight / 2;
-                          return (
-                            <circle
-                              key={i}
-                              cx={cx}
-                              cy={cy}
-                              r={6}
-                              fill={colors[resp.response] || '#999'}
-                              stroke="#fff"
-                              strokeWidth="1"
-                            />
-                          );
-                        })}
-                        
-                        {patient.asctMonth && (
-                          <polygon
-                            points={`${100 + (patient.asctMonth / maxDuration) * 700},${y + settings.barHeight / 2 - 7} ${100 + (patient.asctMonth / maxDuration) * 700 + 7},${y + settings.barHeight / 2} ${100 + (patient.asctMonth / maxDuration) * 700},${y + settings.barHeight / 2 + 7} ${100 + (patient.asctMonth / maxDuration) * 700 - 7},${y + settings.barHeight / 2}`}
-                            fill={colors.ASCT}
-                            stroke="#fff"
-                            strokeWidth="1"
-                          />
-                        )}
-                        
-                        {patient.deathMonth && (
-                          <g>
-                            <line
-                              x1={100 + (patient.deathMonth / maxDuration) * 700 - 5}
-                              y1={y + settings.barHeight / 2 - 5}
-                              x2={100 + (patient.deathMonth / maxDuration) * 700 + 5}
-                              y2={y + settings.barHeight / 2 + 5}
-                              stroke={colors.Death}
-                              strokeWidth="2.5"
-                            />
-                            <line
-                              x1={100 + (patient.deathMonth / maxDuration) * 700 + 5}
-                              y1={y + settings.barHeight / 2 - 5}
-                              x2={100 + (patient.deathMonth / maxDuration) * 700 - 5}
-                              y2={y + settings.barHeight / 2 + 5}
-                              stroke={colors.Death}
-                              strokeWidth="2.5"
-                            />
-                          </g>
-                        )}
-                      </g>
-                    );
-                  });
-                  
-                  const cohortHeight = patients.length * (settings.barHeight + settings.barGap);
-                  yOffset += cohortHeight + 40;
-                  
-                  return (
-                    <g key={cohort}>
-                      {settings.groupByCohort && sortedData.length > 1 && (
-                        <>
-                          <text
-                            x={50}
-                            y={cohortStart + cohortHeight / 2}
-                            textAnchor="middle"
-                            fontSize="14"
-                            fontWeight="600"
-                            fill="#333"
-                            transform={`rotate(-90, 50, ${cohortStart + cohortHeight / 2})`}
-                          >
-                            {cohort === 'A' ? 'Arm A' : cohort === 'B' ? 'Arm B' : cohort}
-                          </text>
-                          <path
-                            d={`M 70 ${cohortStart} L 75 ${cohortStart} L 75 ${cohortStart + cohortHeight - settings.barGap} L 70 ${cohortStart + cohortHeight - settings.barGap}`}
-                            stroke="#666"
-                            strokeWidth="1"
-                            fill="none"
-                          />
-                        </>
-                      )}
-                      {cohortBars}
-                    </g>
-                  );
-                });
-              })()}
-            </svg>
+              <button className="btn btn-small" onClick={() => setPinnedKeys(new Set())}>Clear</button>
+            </div>
+          )}
+
+          <div className="chart-container">
+            {screenTree && (
+              <InteractivePlot
+                tree={screenTree}
+                layout={viewLayout}
+                settings={settings}
+                canvas={usesCanvas(settings.renderMode, viewLayout.patientCount)}
+                bounds={{ min: layout.axis.min, max: layout.axis.max }}
+                view={view}
+                patients={patientsByKey}
+                describe={{ vocabulary, unit: settings.time.unit, eventLabel, tracks: viewLayout.tracks.columns }}
+                onViewChange={setView}
+                onHover={setHoveredKey}
+                onSelect={(key) => setSelectedKey(k => (k === key ? null : key))}
+                onRenderModeChange={(renderMode) => setSettings(s => ({ ...s, renderMode }))}
+              />
+            )}
           </div>
+
+          <DataGrid
+            source={source}
+            mapping={mapping}
+            issues={issues}
+            validationOptions={validationOptions}
+            history={edits}
+            focus={selectedPatient ? { id: selectedPatient.id, rowIndexes: selectedPatient.rowIndexes } : null}
+            onEdit={editData}
+            onUndo={undoEdit}
+            onRedo={redoEdit}
+          />
+
+          <WaterfallPanel
+            layout={layout}
+            settings={settings}
+            vocabulary={vocabulary}
+            patients={patientsByKey}
+            describe={{ vocabulary, unit: settings.time.unit, eventLabel }}
+            interaction={interaction}
+            onHover={setHoveredKey}
+            onSelect={(key) => setSelectedKey(k => (k === key ? null : key))}
+            onChange={(changes) => setSettings(s => ({ ...s, ...changes }))}
+          />
+
+          <SummaryPanel
+            patients={shown}
+            settings={settings}
+            vocabulary={vocabulary}
+            onChange={(changes) => setSettings(s => ({ ...s, ...changes }))}
+          />
+
+          {exportFigures && (
+            <ExportDialog
+              figures={exportFigures}
+              options={exportOptions}
+              onOptionsChange={setExportOptions}
+              onClose={() => setExportOpen(false)}
+            />
+          )}
+
+          {selectedPatient && (
+            <PatientDetail
+              patient={selectedPatient}
+              vocabulary={vocabulary}
+              unit={settings.time.unit}
+              eventLabel={eventLabel}
+              pinned={pinnedKeys.has(selectedKey)}
+              onTogglePin={() => togglePin(selectedKey)}
+              onClose={() => setSelectedKey(null)}
+            />
+          )}
         </>
       )}
       
@@ -710,7 +1430,7 @@ const App = () => {
         textAlign: 'center', 
         color: '#8892b0',
         fontSize: '0.8rem',
-        fontFamily: "'JetBrains Mono', monospace"
+        fontFamily: "ui-monospace, Consolas, monospace"
       }}>
         Swimmer's Plot Generator for Clinical Research
       </footer>
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import SvgTree from './SvgTree';
+import { h } from '../lib/svg';
+import { LEGEND_POSITIONS } from '../lib/legend';
+import { legendSwatch } from '../lib/render';
+
+const AnnotationPanel = ({ settings, entries, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  const toggleHidden = (id) => onChange({
+    legendHidden: settings.legendHidden.includes(id)
+      ? settings.legendHidden.filter(hidden => hidden !== id)
+      : [...settings.legendHidden, id],
+  });
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Titles &amp; Legend</div>
+        <span className="setting-label">
+          {settings.title || '(no title)'} · legend {LEGEND_POSITIONS.find(p => p.value === settings.legendPosition)?.label.toLowerCase()}
+        </span>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)}>
+            {expanded ? 'Close Editor' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '16px' }}>
+          <div className="mapper-pairs">
+            <div className="setting-item">
+              <span className="setting-label mapper-label">Title</span>
+              <input
+                type="text"
+                style={{ flex: 1 }}
+                value={settings.title}
+                onChange={(e) => onChange({ title: e.target.value })}
+              />
+            </div>
+            <div className="setting-item">
+              <span className="setting-label mapper-label">Subtitle</span>
+              <input
+                type="text"
+                style={{ flex: 1 }}
+                value={settings.subtitle}
+                onChange={(e) => onChange({ subtitle: e.target.value })}
+              />
+            </div>
+            <div className="setting-item" style={{ alignItems: 'flex-start' }}>
+              <span className="setting-label mapper-label">Footnote</span>
+              <textarea
+                rows={3}
+                style={{ flex: 1 }}
+                placeholder={'Data cut-off: 2024-03-31\nN = {N}'}
+                value={settings.footnote}
+                onChange={(e) => onChange({ footnote: e.target.value })}
+              />
+            </div>
+            <div className="setting-item">
+              <span className="setting-label mapper-label">Legend position</span>
+              <select value={settings.legendPosition} onChange={(e) => onChange({ legendPosition: e.target.value })}>
+                {LEGEND_POSITIONS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+              </select>
+            </div>
+          </div>
+
+          {settings.legendPosition !== 'none' && entries.length > 0 && (
+            <div className="preview-table-wrap" style={{ marginTop: '16px' }}>
+              <table className="preview-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Entry</th>
+                    <th>Label</th>
+                    <th>Show</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => (
+                    <tr key={entry.id}>
+                      <td>
+                        <svg width="24" height="14">
+                          <SvgTree node={h('g', {}, legendSwatch(entry))} />
+                        </svg>
+                      </td>
+                      <td>{entry.label}</td>
+                      <td>
+                        <input
+                          type="text"
+                          placeholder={entry.label}
+                          value={settings.legendLabels[entry.id] || ''}
+                          onChange={(e) => onChange({ legendLabels: { ...settings.legendLabels, [entry.id]: e.target.value } })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={!settings.legendHidden.includes(entry.id)}
+                          onChange={() => toggleHidden(entry.id)}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+            제목, 부제목, 각주와 범례는 화면과 모든 내보내기 형식(PDF, SVG, PNG, TIFF)에 포함됩니다. 각주의 {'{N}'}은 표시된 환자 수로 바뀝니다.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationPanel;
@@ -0,0 +1,401 @@
+import React, { useState } from 'react';
+import {
+  COLUMN_ROLES,
+  LAYOUTS,
+  guessMapping,
+  detectLayout,
+  validateMapping,
+  isMappingApplicable,
+  loadSavedMappings,
+  saveMapping,
+  deleteMapping,
+  emptyMapping,
+  detectPhaseColumns,
+} from '../lib/columnMapping';
+import { PHASE_TABLE_ROLES, validatePhaseTableMapping } from '../lib/phases';
+import { EVENT_TABLE_ROLES, validateEventTableMapping, detectEventColumns, eventTypeFromColumn } from '../lib/events';
+
+const PREVIEW_ROWS = 5;
+
+const ColumnMapper = ({
+  fileName,
+  headers,
+  rows,
+  mapping,
+  phaseSource,
+  eventSource,
+  onChange,
+  onPhaseFile,
+  onPhaseRemove,
+  onEventFile,
+  onEventRemove,
+  onConfirm,
+  onCancel,
+}) => {
+  const [savedMappings, setSavedMappings] = useState(loadSavedMappings);
+  const [mappingName, setMappingName] = useState('');
+
+  const errors = [
+    ...validateMapping(mapping),
+    ...(phaseSource ? validatePhaseTableMapping(mapping.phaseTable || {}) : []),
+    ...(eventSource ? validateEventTableMapping(mapping.eventTable || {}) : []),
+  ];
+
+  const setRole = (key, value) => onChange({ ...mapping, [key]: value });
+
+  const setPair = (index, field, value) => {
+    const assessments = mapping.assessments.map((pair, i) =>
+      i === index ? { ...pair, [field]: value } : pair
+    );
+    onChange({ ...mapping, assessments });
+  };
+
+  const addPair = () => onChange({
+    ...mapping,
+    assessments: [...mapping.assessments, { date: '', response: '' }],
+  });
+
+  const removePair = (index) => onChange({
+    ...mapping,
+    assessments: mapping.assessments.filter((_, i) => i !== index),
+  });
+
+  const setLayout = (layout) => onChange({
+    ...mapping,
+    layout,
+    assessments: layout === 'long'
+      ? [mapping.assessments[0] || { date: '', response: '' }]
+      : mapping.assessments,
+  });
+
+  const setPhase = (index, field, value) => onChange({
+    ...mapping,
+    phases: mapping.phases.map((phase, i) => (i === index ? { ...phase, [field]: value } : phase)),
+  });
+
+  const addPhase = () => onChange({
+    ...mapping,
+    phases: [...mapping.phases, { name: '', start: '', end: '' }],
+  });
+
+  const removePhase = (index) => onChange({
+    ...mapping,
+    phases: mapping.phases.filter((_, i) => i !== index),
+  });
+
+  const setPhaseTableColumn = (key, value) => onChange({
+    ...mapping,
+    phaseTable: { ...(mapping.phaseTable || {}), [key]: value },
+  });
+
+  const setEvent = (index, field, value) => onChange({
+    ...mapping,
+    events: mapping.events.map((event, i) => {
+      if (i !== index) return event;
+      // Picking a column names the event after it unless a name was typed
+      if (field === 'column' && (!event.type || event.type === eventTypeFromColumn(event.column || ''))) {
+        return { column: value, type: value ? eventTypeFromColumn(value) : '' };
+      }
+      return { ...event, [field]: value };
+    }),
+  });
+
+  const addEvent = () => onChange({
+    ...mapping,
+    events: [...mapping.events, { column: '', type: '' }],
+  });
+
+  const removeEvent = (index) => onChange({
+    ...mapping,
+    events: mapping.events.filter((_, i) => i !== index),
+  });
+
+  const autoDetectEvents = () => {
+    const used = Object.values(mapping).filter(value => typeof value === 'string');
+    const phaseColumns = mapping.phases.flatMap(phase => [phase.start, phase.end]);
+    const assessmentColumns = mapping.assessments.flatMap(pair => [pair.date, pair.response, pair.measurement]);
+    onChange({ ...mapping, events: detectEventColumns(headers, rows, [...used, ...phaseColumns, ...assessmentColumns]) });
+  };
+
+  const setEventRows = (field, value) => onChange({
+    ...mapping,
+    eventRows: { ...(mapping.eventRows || {}), [field]: value },
+  });
+
+  const setEventTableColumn = (key, value) => onChange({
+    ...mapping,
+    eventTable: { ...(mapping.eventTable || {}), [key]: value },
+  });
+
+  const isLong = mapping.layout === 'long';
+  const detectedLayout = detectLayout(rows, mapping);
+
+  const handleSave = () => {
+    const name = mappingName.trim();
+    if (!name) return;
+    setSavedMappings(saveMapping(name, mapping));
+    setMappingName('');
+  };
+
+  const handleApplySaved = (name) => {
+    const entry = savedMappings.find(m => m.name === name);
+    if (entry) onChange({ ...emptyMapping(), ...entry.mapping });
+  };
+
+  const columnSelect = (value, onSelect, options = headers) => (
+    <select value={value || ''} onChange={(e) => onSelect(e.target.value)}>
+      <option value="">— 사용 안 함 —</option>
+      {options.map(header => (
+        <option key={header} value={header}>{header}</option>
+      ))}
+    </select>
+  );
+
+  const previewColumns = [
+    ...COLUMN_ROLES.filter(role => mapping[role.key]).map(role => ({ label: role.label, column: mapping[role.key] })),
+    ...mapping.assessments
+      .filter(pair => pair.date && pair.response)
+      .slice(0, 2)
+      .flatMap((pair, i) => [
+        { label: `Assessment ${i + 1} date`, column: pair.date },
+        { label: `Assessment ${i + 1} response`, column: pair.response },
+      ]),
+  ];
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-title">Column Mapping — {fileName}</div>
+      <p className="mapper-hint">
+        컬럼 이름을 자동으로 추정했습니다. 잘못 지정된 항목은 드롭다운에서 수정하세요.
+      </p>
+
+      <div className="settings-row" style={{ marginBottom: '20px' }}>
+        <div className="setting-item">
+          <span className="setting-label mapper-label">Layout</span>
+          <select value={mapping.layout} onChange={(e) => setLayout(e.target.value)}>
+            {LAYOUTS.map(layout => (
+              <option key={layout.value} value={layout.value}>{layout.label}</option>
+            ))}
+          </select>
+          {detectedLayout !== mapping.layout && (
+            <span className="setting-label">
+              (감지된 형식: {LAYOUTS.find(layout => layout.value === detectedLayout).label})
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="mapper-grid">
+        {COLUMN_ROLES.map(role => (
+          <div className="setting-item" key={role.key}>
+            <span className="setting-label mapper-label">
+              {role.label}{role.required && ' *'}
+            </span>
+            {columnSelect(mapping[role.key], (value) => setRole(role.key, value))}
+          </div>
+        ))}
+      </div>
+
+      <div className="settings-title" style={{ marginTop: '20px' }}>Response Assessments *</div>
+      {isLong && (
+        <p className="mapper-hint">
+          각 행이 하나의 반응 평가입니다. 같은 환자 ID의 행을 묶어 한 환자로 표시합니다.
+        </p>
+      )}
+      <p className="mapper-hint">
+        세 번째 칸은 선택 사항으로, 평가별 종양 측정값(예: SLD)입니다. 지정하면 첫 측정을 baseline으로 Waterfall의 최대 % 변화를 계산합니다.
+      </p>
+      <div className="mapper-pairs">
+        {mapping.assessments.map((pair, index) => (
+          <div className="setting-item" key={index}>
+            <span className="setting-label mapper-label">{isLong ? 'Date / Response / Size' : `#${index + 1}`}</span>
+            {columnSelect(pair.date, (value) => setPair(index, 'date', value))}
+            {columnSelect(pair.response, (value) => setPair(index, 'response', value))}
+            {columnSelect(pair.measurement, (value) => setPair(index, 'measurement', value))}
+            {!isLong && <button className="btn btn-small" onClick={() => removePair(index)}>✕</button>}
+          </div>
+        ))}
+        <div className="btn-row">
+          {!isLong && <button className="btn btn-small" onClick={addPair}>+ Add pair</button>}
+          <button className="btn btn-small" onClick={() => onChange(guessMapping(headers, rows))}>Auto-detect</button>
+        </div>
+      </div>
+
+      <div className="settings-title" style={{ marginTop: '20px' }}>Treatment Phases</div>
+      <p className="mapper-hint">
+        유도요법, ASCT, 공고/유지요법, 후속 치료 등 단계별 시작/종료일 컬럼을 지정하거나 별도의 단계 테이블(환자 ID, 단계, 시작일, 종료일)을 불러오세요.
+      </p>
+      <div className="mapper-pairs">
+        {mapping.phases.map((phase, index) => (
+          <div className="setting-item" key={index}>
+            <input
+              type="text"
+              placeholder="Phase name"
+              value={phase.name}
+              onChange={(e) => setPhase(index, 'name', e.target.value)}
+            />
+            {columnSelect(phase.start, (value) => setPhase(index, 'start', value))}
+            {columnSelect(phase.end, (value) => setPhase(index, 'end', value))}
+            <button className="btn btn-small" onClick={() => removePhase(index)}>✕</button>
+          </div>
+        ))}
+        <div className="btn-row">
+          <button className="btn btn-small" onClick={addPhase}>+ Add phase</button>
+          <button className="btn btn-small" onClick={() => onChange({ ...mapping, phases: detectPhaseColumns(headers) })}>
+            Auto-detect
+          </button>
+          {!phaseSource && (
+            <label className="btn btn-small">
+              Load phase table…
+              <input
+                type="file"
+                accept=".xlsx,.xls,.csv,.xpt"
+                style={{ display: 'none' }}
+                onChange={(e) => e.target.files[0] && onPhaseFile(e.target.files[0])}
+              />
+            </label>
+          )}
+        </div>
+        {phaseSource && (
+          <div className="mapper-subpanel">
+            <div className="setting-item" style={{ marginBottom: '8px' }}>
+              <span className="setting-label">Phase table: <code>{phaseSource.fileName}</code> ({phaseSource.rows.length} rows)</span>
+              <button className="btn btn-small" onClick={onPhaseRemove}>Remove</button>
+            </div>
+            <div className="mapper-grid">
+              {PHASE_TABLE_ROLES.map(role => (
+                <div className="setting-item" key={role.key}>
+                  <span className="setting-label mapper-label">{role.label}{role.required && ' *'}</span>
+                  {columnSelect(mapping.phaseTable?.[role.key], (value) => setPhaseTableColumn(role.key, value), phaseSource.headers)}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="settings-title" style={{ marginTop: '20px' }}>Event Markers</div>
+      <p className="mapper-hint">
+        날짜 컬럼을 이벤트 마커로 지정합니다 (용량 감량, SAE, CAR-T 주입, 재발, 중도절단 등). 같은 이름의 컬럼 여러 개는 한 종류로 묶입니다. ASCT와 사망은 위에서 지정한 컬럼을 사용합니다.
+      </p>
+      <div className="mapper-pairs">
+        {mapping.events.map((event, index) => (
+          <div className="setting-item" key={index}>
+            {columnSelect(event.column, (value) => setEvent(index, 'column', value))}
+            <input
+              type="text"
+              placeholder="Event name"
+              value={event.type}
+              onChange={(e) => setEvent(index, 'type', e.target.value)}
+            />
+            <button className="btn btn-small" onClick={() => removeEvent(index)}>✕</button>
+          </div>
+        ))}
+        <div className="setting-item">
+          <span className="setting-label mapper-label">Event rows (type / date)</span>
+          {columnSelect(mapping.eventRows?.type, (value) => setEventRows('type', value))}
+          {columnSelect(mapping.eventRows?.date, (value) => setEventRows('date', value))}
+        </div>
+        <div className="btn-row">
+          <button className="btn btn-small" onClick={addEvent}>+ Add event column</button>
+          <button className="btn btn-small" onClick={autoDetectEvents}>Auto-detect</button>
+          {!eventSource && (
+            <label className="btn btn-small">
+              Load event table…
+              <input
+                type="file"
+                accept=".xlsx,.xls,.csv,.xpt"
+                style={{ display: 'none' }}
+                onChange={(e) => e.target.files[0] && onEventFile(e.target.files[0])}
+              />
+            </label>
+          )}
+        </div>
+        {eventSource && (
+          <div className="mapper-subpanel">
+            <div className="setting-item" style={{ marginBottom: '8px' }}>
+              <span className="setting-label">Event table: <code>{eventSource.fileName}</code> ({eventSource.rows.length} rows)</span>
+              <button className="btn btn-small" onClick={onEventRemove}>Remove</button>
+            </div>
+            <div className="mapper-grid">
+              {EVENT_TABLE_ROLES.map(role => (
+                <div className="setting-item" key={role.key}>
+                  <span className="setting-label mapper-label">{role.label}{role.required && ' *'}</span>
+                  {columnSelect(mapping.eventTable?.[role.key], (value) => setEventTableColumn(role.key, value), eventSource.headers)}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="settings-title" style={{ marginTop: '20px' }}>Saved Mappings</div>
+      <div className="settings-row">
+        <div className="setting-item">
+          <input
+            type="text"
+            placeholder="Mapping name"
+            value={mappingName}
+            onChange={(e) => setMappingName(e.target.value)}
+          />
+          <button className="btn btn-small" onClick={handleSave} disabled={!mappingName.trim()}>Save</button>
+        </div>
+        {savedMappings.length > 0 && (
+          <div className="setting-item">
+            <select value="" onChange={(e) => handleApplySaved(e.target.value)}>
+              <option value="">Load saved mapping…</option>
+              {savedMappings.map(entry => (
+                <option key={entry.name} value={entry.name} disabled={!isMappingApplicable(entry.mapping, headers)}>
+                  {entry.name}
+                </option>
+              ))}
+            </select>
+            <select value="" onChange={(e) => e.target.value && setSavedMappings(deleteMapping(e.target.value))}>
+              <option value="">Delete…</option>
+              {savedMappings.map(entry => (
+                <option key={entry.name} value={entry.name}>{entry.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="settings-title" style={{ marginTop: '20px' }}>Preview</div>
+      <div className="preview-table-wrap">
+        <table className="preview-table">
+          <thead>
+            <tr>
+              {previewColumns.map(({ label, column }) => (
+                <th key={label}>{label}<br/><code>{column}</code></th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+              <tr key={i}>
+                {previewColumns.map(({ label, column }) => (
+                  <td key={label}>{String(row[column] ?? '')}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="error-box">
+          {errors.map(message => <div key={message}>{message}</div>)}
+        </div>
+      )}
+
+      <div className="btn-row" style={{ marginTop: '20px' }}>
+        <button className="btn" onClick={onCancel}>Cancel</button>
+        <button className="btn btn-primary" onClick={onConfirm} disabled={errors.length > 0}>
+          Create Plot
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapper;
@@ -0,0 +1,269 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Papa from 'papaparse';
+import { sheetRow } from '../lib/validation';
+import { cellText, cellValue, insertedRow, describeEdit, draftIssues } from '../lib/editing';
+import { writeSpreadsheet } from '../lib/parse';
+import { downloadBlob } from '../lib/download';
+
+const PAGE_SIZE = 100;
+const SEVERITY_RANK = { error: 2, warning: 1, info: 0 };
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// The loaded rows as an editable sheet; every edit goes through onEdit so it can be undone,
+// and the plot and validation follow the edited rows
+const DataGrid = ({ source, mapping, issues, validationOptions, history, focus, onEdit, onUndo, onRedo }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(0);
+  const [onlyFocus, setOnlyFocus] = useState(true);
+  const [showLog, setShowLog] = useState(false);
+  // { rowIndex, column, text } of the cell being typed in
+  const [editing, setEditing] = useState(null);
+  // Enter and Escape close the cell before its blur arrives; the blur must not apply it again
+  const finished = useRef(false);
+
+  const { headers, rows } = source;
+  const idOf = (rowIndex) => (mapping.patientId ? cellText(rows[rowIndex]?.[mapping.patientId]) : '');
+
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) while the grid is open and no field has the focus
+  useEffect(() => {
+    if (!expanded) return undefined;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey && history.past.length > 0) {
+        e.preventDefault();
+        onUndo();
+      } else if ((key === 'y' || (key === 'z' && e.shiftKey)) && history.future.length > 0) {
+        e.preventDefault();
+        onRedo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [expanded, history, onUndo, onRedo]);
+
+  const cellIssues = useMemo(() => {
+    const map = new Map();
+    issues.forEach(issue => {
+      if (!issue.field) return;
+      const key = `${issue.rowIndex}\u0000${issue.field}`;
+      const current = map.get(key);
+      if (!current || SEVERITY_RANK[issue.severity] > SEVERITY_RANK[current.severity]) map.set(key, issue);
+    });
+    return map;
+  }, [issues]);
+
+  const query = search.trim().toLowerCase();
+  const focusRows = onlyFocus && focus ? focus.rowIndexes : null;
+  const listed = useMemo(() => {
+    const focused = focusRows ? new Set(focusRows) : null;
+    return rows
+      .map((row, rowIndex) => rowIndex)
+      .filter(rowIndex => !focused || focused.has(rowIndex))
+      .filter(rowIndex => !query || headers.some(header => cellText(rows[rowIndex][header]).toLowerCase().includes(query)));
+  }, [rows, headers, query, focusRows]);
+  const pageCount = Math.max(1, Math.ceil(listed.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = listed.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  const draft = editing && cellValue(editing.text, rows[editing.rowIndex][editing.column]);
+  const changed = editing && cellText(draft) !== cellText(rows[editing.rowIndex][editing.column]);
+  const pending = useMemo(
+    () => (changed ? draftIssues(source, mapping, validationOptions, { ...editing, value: draft }) : []),
+    [changed, source, mapping, validationOptions, editing, draft]
+  );
+
+  const startEditing = (rowIndex, column) => {
+    finished.current = false;
+    setEditing({ rowIndex, column, text: cellText(rows[rowIndex][column]) });
+  };
+
+  const finish = (apply) => {
+    if (!editing || finished.current) return;
+    finished.current = true;
+    const { rowIndex, column } = editing;
+    if (apply && changed) {
+      onEdit({ type: 'set', rowIndex, column, from: rows[rowIndex][column], to: draft, patientId: idOf(rowIndex) });
+    }
+    setEditing(null);
+  };
+
+  const insertBelow = (rowIndex) => {
+    onEdit({ type: 'insert', rowIndex: rowIndex + 1, row: insertedRow(source, rowIndex + 1, mapping) });
+  };
+
+  const addRow = () => {
+    onEdit({ type: 'insert', rowIndex: rows.length, row: insertedRow(source, rows.length) });
+    setSearch('');
+    setOnlyFocus(false);
+    setPage(Math.floor(rows.length / PAGE_SIZE));
+  };
+
+  const deleteRow = (rowIndex) => {
+    onEdit({ type: 'delete', rowIndex, row: rows[rowIndex], patientId: idOf(rowIndex) });
+  };
+
+  const baseName = source.fileName.replace(/\.[^.]+$/, '').replace(/[\s›+]+/g, '_');
+  const exportData = (format) => {
+    const content = writeSpreadsheet(source, format);
+    if (format === 'csv') downloadBlob('\uFEFF' + content, `${baseName}_edited.csv`, 'text/csv;charset=utf-8');
+    else downloadBlob(content, `${baseName}_edited.xlsx`, XLSX_TYPE);
+  };
+
+  const downloadLog = () => {
+    const csv = Papa.unparse(history.past.map((edit, i) => ({
+      Change: i + 1,
+      Type: edit.type,
+      Row: sheetRow(edit.rowIndex),
+      Patient_ID: edit.patientId || '',
+      Column: edit.column || '',
+      From: edit.type === 'set' ? cellText(edit.from) : '',
+      To: edit.type === 'set' ? cellText(edit.to) : '',
+    })));
+    downloadBlob('\uFEFF' + csv, `${baseName}_changes.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const editCount = history.past.length;
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Data</div>
+        <span className="setting-label">
+          {rows.length} rows · {headers.length} columns{editCount > 0 && ` · ${editCount} changes`}
+        </span>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={onUndo} disabled={editCount === 0} title="Ctrl+Z">Undo</button>
+          <button className="btn btn-small" onClick={onRedo} disabled={history.future.length === 0} title="Ctrl+Y">Redo</button>
+          <button className="btn btn-small" onClick={() => exportData('xlsx')}>XLSX</button>
+          <button className="btn btn-small" onClick={() => exportData('csv')}>CSV</button>
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)}>
+            {expanded ? 'Close Grid' : 'Edit Data'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '16px' }}>
+          <p className="mapper-hint">
+            셀을 클릭해 값을 고치고 Enter로 적용합니다(Esc: 취소). 고친 값은 바로 검증되고 플롯에 반영되며,
+            원본 파일은 바뀌지 않습니다. 고친 데이터는 XLSX/CSV로 내보낼 수 있습니다.
+          </p>
+          <div className="btn-row" style={{ marginBottom: '12px' }}>
+            <input
+              type="text"
+              placeholder="Search rows…"
+              value={search}
+              onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+            />
+            {focus && (
+              <label className="filter-value">
+                <input type="checkbox" checked={onlyFocus} onChange={(e) => { setOnlyFocus(e.target.checked); setPage(0); }} />
+                Only rows of {focus.id}
+              </label>
+            )}
+            <button className="btn btn-small" onClick={addRow}>+ Row</button>
+            <span className="setting-label">{listed.length} rows shown</span>
+          </div>
+
+          <div className="preview-table-wrap data-grid-wrap">
+            <table className="preview-table data-grid">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  {headers.map(header => <th key={header}>{header}</th>)}
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {pageRows.map(rowIndex => (
+                  <tr key={rowIndex}>
+                    <td>{sheetRow(rowIndex)}</td>
+                    {headers.map(header => {
+                      const issue = cellIssues.get(`${rowIndex}\u0000${header}`);
+                      const active = editing && editing.rowIndex === rowIndex && editing.column === header;
+                      if (active) {
+                        const worst = pending.find(i => i.severity === 'error') || pending[0];
+                        return (
+                          <td key={header} className="data-grid-editing">
+                            <input
+                              type="text"
+                              autoFocus
+                              className={worst ? `severity-${worst.severity}` : undefined}
+                              value={editing.text}
+                              size={Math.max(8, editing.text.length + 1)}
+                              onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                              onBlur={() => finish(true)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') finish(true);
+                                if (e.key === 'Escape') finish(false);
+                              }}
+                            />
+                          </td>
+                        );
+                      }
+                      return (
+                        <td
+                          key={header}
+                          className={issue ? `data-grid-cell severity-${issue.severity}` : 'data-grid-cell'}
+                          title={issue?.message}
+                          onClick={() => startEditing(rowIndex, header)}
+                        >
+                          {cellText(rows[rowIndex][header])}
+                        </td>
+                      );
+                    })}
+                    <td>
+                      <button className="btn btn-small" title="Insert a row below" onClick={() => insertBelow(rowIndex)}>+</button>
+                      <button className="btn btn-small" title="Delete row" onClick={() => deleteRow(rowIndex)}>✕</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {editing && pending.length > 0 && (
+            <div style={{ marginTop: '8px' }}>
+              {pending.map(issue => (
+                <p key={issue.message} className={`mapper-hint severity-${issue.severity}`} style={{ margin: '0 0 4px' }}>
+                  {issue.message}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {pageCount > 1 && (
+            <div className="btn-row" style={{ marginTop: '12px' }}>
+              <button className="btn btn-small" onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0}>Prev</button>
+              <span className="setting-label">Page {currentPage + 1} / {pageCount}</span>
+              <button className="btn btn-small" onClick={() => setPage(currentPage + 1)} disabled={currentPage === pageCount - 1}>Next</button>
+            </div>
+          )}
+
+          <div className="validation-header" style={{ marginTop: '16px' }}>
+            <span className="setting-label">Change log: {editCount} applied{history.future.length > 0 && `, ${history.future.length} undone`}</span>
+            <div className="btn-group">
+              <button className="btn btn-small" onClick={downloadLog} disabled={editCount === 0}>CSV</button>
+              <button className="btn btn-small" onClick={() => setShowLog(s => !s)} disabled={editCount + history.future.length === 0}>
+                {showLog ? 'Hide' : 'Show'}
+              </button>
+            </div>
+          </div>
+          {showLog && (
+            <ol className="change-log">
+              {history.past.map((edit, i) => <li key={`past-${i}`}>{describeEdit(edit)}</li>)}
+              {history.future.map((edit, i) => (
+                <li key={`future-${i}`} className="change-log-undone">{describeEdit(edit)}</li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataGrid;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import MarkerShape from './MarkerShape';
+import { MARKER_SHAPES } from '../lib/markers';
+import { eventStyle } from '../lib/events';
+
+const EventsPanel = ({ types, counts, styles, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (types.length === 0) return null;
+
+  const setStyle = (type, field, value) => onChange({
+    ...styles,
+    [type]: { ...styles[type], [field]: value },
+  });
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Event Markers</div>
+        <span className="setting-label">{types.length} types</span>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)}>
+            {expanded ? 'Close Editor' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="preview-table-wrap" style={{ marginTop: '16px' }}>
+          <table className="preview-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Event</th>
+                <th>Count</th>
+                <th>Label</th>
+                <th>Shape</th>
+                <th>Color</th>
+                <th>Size</th>
+                <th>Offset</th>
+                <th>Show</th>
+              </tr>
+            </thead>
+            <tbody>
+              {types.map(type => {
+                const style = eventStyle(type, types, styles);
+                return (
+                  <tr key={type}>
+                    <td>
+                      <svg width="20" height="20">
+                        <MarkerShape shape={style.shape} x={10} y={style.shape === 'arrow' ? 16 : 10} r={6} fill={style.color} />
+                      </svg>
+                    </td>
+                    <td>{type}</td>
+                    <td>{counts[type] || 0}</td>
+                    <td>
+                      <input type="text" value={style.label} onChange={(e) => setStyle(type, 'label', e.target.value)} />
+                    </td>
+                    <td>
+                      <select value={style.shape} onChange={(e) => setStyle(type, 'shape', e.target.value)}>
+                        {MARKER_SHAPES.map(shape => <option key={shape} value={shape}>{shape}</option>)}
+                      </select>
+                    </td>
+                    <td>
+                      <input type="color" value={style.color} onChange={(e) => setStyle(type, 'color', e.target.value)} />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="2"
+                        max="16"
+                        style={{ width: '56px' }}
+                        value={style.size}
+                        onChange={(e) => setStyle(type, 'size', parseFloat(e.target.value) || 6)}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="-30"
+                        max="30"
+                        style={{ width: '56px' }}
+                        value={style.offset}
+                        onChange={(e) => setStyle(type, 'offset', parseFloat(e.target.value) || 0)}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={style.visible}
+                        onChange={(e) => setStyle(type, 'visible', e.target.checked)}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+            Offset은 막대 중심 기준 세로 위치(px)입니다. 음수는 위쪽입니다.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventsPanel;
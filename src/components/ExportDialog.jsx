@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from 'react';
+import {
+  EXPORT_FORMATS,
+  DPI_OPTIONS,
+  JOURNAL_PRESETS,
+  MM_PER_INCH,
+  MIN_FONT_PT,
+  exportFormat,
+  figureSize,
+  smallestFontSize,
+  figureSvg,
+  rasterSvg,
+  figurePdf,
+  figuresPdf,
+  pageFileName,
+} from '../lib/figure';
+import { PAGE_MODES } from '../lib/pages';
+import { missingGlyphs } from '../lib/fonts';
+import { loadPlotFonts } from '../lib/loadFonts';
+import { rasterize } from '../lib/rasterize';
+import { downloadBlob } from '../lib/download';
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// `figures` ({ tree, width, height }) are the pages to export; usually just one
+const ExportDialog = ({ figures, options, onOptionsChange, onClose }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // Characters none of the bundled fonts can draw; known once the fonts have loaded
+  const [missing, setMissing] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPlotFonts()
+      .then(fonts => {
+        if (!cancelled) setMissing([...new Set(figures.flatMap(figure => missingGlyphs(figure.tree, fonts)))]);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [figures]);
+
+  const format = exportFormat(options.format);
+  const sizes = figures.map(figure => figureSize(figure, options));
+  const [size] = sizes;
+  const smallestPt = Math.min(...figures.map((figure, i) => smallestFontSize(figure.tree) * sizes[i].pointsPerUnit));
+
+  const set = (changes) => onOptionsChange({ ...options, ...changes });
+
+  const setPreset = (id) => {
+    const preset = JOURNAL_PRESETS.find(p => p.id === id);
+    set(preset ? { preset: id, width: preset.width, unit: 'mm' } : { preset: '' });
+  };
+
+  const setUnit = (unit) => {
+    if (unit === options.unit) return;
+    const width = unit === 'in' ? options.width / MM_PER_INCH : options.width * MM_PER_INCH;
+    set({ unit, width: round(width, unit === 'in' ? 2 : 1) });
+  };
+
+  const runExport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const fonts = await loadPlotFonts();
+      const name = options.fileName || 'swimmer_plot';
+      if (format.value === 'pdf') {
+        const pdf = figures.length > 1 ? figuresPdf(figures, fonts, sizes) : figurePdf(figures[0].tree, fonts, size);
+        downloadBlob(new Blob([pdf], { type: format.type }), `${name}.${format.extension}`, format.type);
+      } else {
+        for (const [i, figure] of figures.entries()) {
+          const fileName = pageFileName(name, format.extension, i, figures.length);
+          if (format.value === 'svg') {
+            downloadBlob(figureSvg(figure.tree, fonts, sizes[i], options.text), fileName, format.type);
+          } else {
+            downloadBlob(await rasterize(rasterSvg(figure.tree, fonts, sizes[i]), sizes[i], format.value, options.dpi), fileName, format.type);
+          }
+        }
+      }
+      onClose();
+    } catch (err) {
+      setError('내보내기 중 오류가 발생했습니다: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="validation-header">
+          <div className="settings-title" style={{ marginBottom: 0 }}>Export Figure</div>
+          <div className="btn-group">
+            <button className="btn btn-small" onClick={onClose}>✕</button>
+          </div>
+        </div>
+
+        <div className="mapper-pairs" style={{ marginTop: '16px' }}>
+          <div className="setting-item">
+            <span className="setting-label mapper-label">Format</span>
+            <select value={options.format} onChange={(e) => set({ format: e.target.value })}>
+              {EXPORT_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+          </div>
+          <div className="setting-item">
+            <span className="setting-label mapper-label">Journal preset</span>
+            <select value={options.preset} onChange={(e) => setPreset(e.target.value)}>
+              <option value="">Custom</option>
+              {JOURNAL_PRESETS.map(p => <option key={p.id} value={p.id}>{p.label} ({p.width} mm)</option>)}
+            </select>
+          </div>
+          <div className="setting-item">
+            <span className="setting-label mapper-label">Width</span>
+            <input
+              type="number"
+              min="1"
+              step={options.unit === 'in' ? 0.1 : 1}
+              style={{ width: '90px' }}
+              value={options.width}
+              onChange={(e) => set({ width: Math.max(parseFloat(e.target.value) || 0, 0.1), preset: '' })}
+            />
+            <select value={options.unit} onChange={(e) => setUnit(e.target.value)}>
+              <option value="mm">mm</option>
+              <option value="in">in</option>
+            </select>
+          </div>
+          {format.raster && (
+            <div className="setting-item">
+              <span className="setting-label mapper-label">Resolution</span>
+              <select value={options.dpi} onChange={(e) => set({ dpi: parseInt(e.target.value) })}>
+                {DPI_OPTIONS.map(dpi => <option key={dpi} value={dpi}>{dpi} DPI</option>)}
+              </select>
+            </div>
+          )}
+          {format.value === 'svg' && (
+            <div className="setting-item">
+              <span className="setting-label mapper-label">Text</span>
+              <select value={options.text} onChange={(e) => set({ text: e.target.value })}>
+                <option value="outline">Convert to outlines</option>
+                <option value="embed">Editable, font embedded</option>
+              </select>
+            </div>
+          )}
+          <div className="setting-item">
+            <span className="setting-label mapper-label">Pages</span>
+            <select value={options.pageBy} onChange={(e) => set({ pageBy: e.target.value })}>
+              {PAGE_MODES.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+            </select>
+            {options.pageBy !== 'none' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  style={{ width: '72px' }}
+                  value={options.perPage}
+                  onChange={(e) => set({ perPage: Math.max(1, parseInt(e.target.value) || 1) })}
+                />
+                <span className="setting-label">patients per page</span>
+              </>
+            )}
+          </div>
+          <div className="setting-item">
+            <span className="setting-label mapper-label">File name</span>
+            <input type="text" value={options.fileName} onChange={(e) => set({ fileName: e.target.value })} />
+            <span className="setting-label">.{format.extension}</span>
+          </div>
+        </div>
+
+        <p className="mapper-hint" style={{ margin: '16px 0 0' }}>
+          {figures.length > 1 && `${figures.length} pages · page 1: `}
+          {round(size.widthMm)} × {round(size.heightMm)} mm ({round(size.widthIn, 2)} × {round(size.heightIn, 2)} in)
+          {format.raster && ` · ${size.pixelWidth} × ${size.pixelHeight} px`}
+          {' · '}가장 작은 글자 {round(smallestPt)} pt
+        </p>
+        {smallestPt < MIN_FONT_PT && (
+          <p className="mapper-hint" style={{ margin: '8px 0 0', color: '#ffb74d' }}>
+            가장 작은 글자가 {MIN_FONT_PT} pt보다 작습니다. 더 넓은 크기(예: double column)를 선택하세요.
+          </p>
+        )}
+        {figures.length > 1 && (
+          <p className="mapper-hint" style={{ margin: '8px 0 0' }}>
+            {format.value === 'pdf' ? '한 PDF 파일에 페이지별로 저장됩니다.' : `페이지마다 별도 파일(${pageFileName(options.fileName || 'swimmer_plot', format.extension, 0, 2)} …)로 저장됩니다.`}
+            {' '}각 페이지에 같은 시간축, 범례, 트랙 머리글이 반복되고 앞 페이지에서 이어지는 그룹에는 "continued"가 붙습니다.
+          </p>
+        )}
+        {missing.length > 0 && !(format.value === 'svg' && options.text === 'embed') && (
+          <p className="mapper-hint" style={{ margin: '8px 0 0', color: '#ffb74d' }}>
+            포함된 글꼴에 없는 글자는 빈 상자로 나옵니다: {missing.join(' ')}
+          </p>
+        )}
+        <p className="mapper-hint" style={{ margin: '8px 0 0' }}>
+          글꼴(Arimo, Arial 호환, 한글은 Pretendard)이 파일에 포함되거나 윤곽선으로 변환되어 다른 컴퓨터나 오프라인에서도 같은 결과가 나옵니다.
+        </p>
+        {error && <div className="error-box">{error}</div>}
+
+        <div className="btn-row" style={{ marginTop: '20px', justifyContent: 'flex-end' }}>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={runExport} disabled={busy || !(options.width > 0)}>
+            {busy ? 'Exporting…' : `Export ${format.label.split(' ')[0]}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { filterOptions, filterValues, matchesFilter, describeFilters, hasActiveFilters } from '../lib/filtering';
+import { compareText } from '../lib/sorting';
+
+const MAX_LISTED_PATIENTS = 50;
+
+const FilterPanel = ({ settings, headers, patients, eventTypes, shownCount, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [search, setSearch] = useState('');
+
+  const { filters, patientOverrides } = settings;
+  const options = filterOptions(headers, eventTypes);
+
+  const setFilter = (index, changes) => onChange({
+    filters: filters.map((filter, i) => (i === index ? { ...filter, ...changes } : filter)),
+  });
+
+  const setField = (index, field) => {
+    const option = options.find(o => o.value === field);
+    setFilter(index, { field, op: option?.op || 'in', values: [], min: '', max: '' });
+  };
+
+  const toggleValue = (index, value) => {
+    const values = filters[index].values || [];
+    setFilter(index, { values: values.includes(value) ? values.filter(v => v !== value) : [...values, value] });
+  };
+
+  const setOverride = (id, value) => {
+    const next = { ...patientOverrides };
+    if (value) next[id] = value;
+    else delete next[id];
+    onChange({ patientOverrides: next });
+  };
+
+  const query = search.trim().toLowerCase();
+  const listed = patients
+    .filter(p => !query || p.id.toLowerCase().includes(query) || patientOverrides[p.id])
+    .sort((a, b) => compareText(a.id, b.id));
+  const summary = describeFilters(filters, patientOverrides, { unit: settings.time.unit });
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Filters</div>
+        <span className="setting-label">
+          {shownCount} / {patients.length} patients shown{summary && ` · ${summary.replace(/^Subset: /, '')}`}
+        </span>
+        <div className="btn-group">
+          {hasActiveFilters(filters, patientOverrides) && (
+            <button className="btn btn-small" onClick={() => onChange({ filters: [], patientOverrides: {} })}>
+              Clear
+            </button>
+          )}
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)}>
+            {expanded ? 'Close Editor' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '16px' }}>
+          <div className="mapper-pairs">
+            {filters.map((filter, index) => (
+              <div className="filter-row" key={index}>
+                <select value={filter.field} onChange={(e) => setField(index, e.target.value)}>
+                  {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+                {filter.field.startsWith('column:') && (
+                  <select value={filter.op} onChange={(e) => setFilter(index, { op: e.target.value })}>
+                    <option value="in">is one of</option>
+                    <option value="range">between</option>
+                  </select>
+                )}
+                {(filter.op === 'has' || filter.op === 'lacks') && (
+                  <select value={filter.op} onChange={(e) => setFilter(index, { op: e.target.value })}>
+                    <option value="has">present</option>
+                    <option value="lacks">absent</option>
+                  </select>
+                )}
+                {filter.op === 'range' && (
+                  <>
+                    <input
+                      type="number"
+                      placeholder="min"
+                      style={{ width: '80px' }}
+                      value={filter.min ?? ''}
+                      onChange={(e) => setFilter(index, { min: e.target.value })}
+                    />
+                    <span className="setting-label">to</span>
+                    <input
+                      type="number"
+                      placeholder="max"
+                      style={{ width: '80px' }}
+                      value={filter.max ?? ''}
+                      onChange={(e) => setFilter(index, { max: e.target.value })}
+                    />
+                  </>
+                )}
+                {filter.op === 'in' && (
+                  <div className="filter-values">
+                    {filterValues(patients, filter.field).map(value => (
+                      <label key={value} className="filter-value">
+                        <input
+                          type="checkbox"
+                          checked={(filter.values || []).includes(value)}
+                          onChange={() => toggleValue(index, value)}
+                        />
+                        {value}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <span className="setting-label">
+                  {patients.filter(p => matchesFilter(p, filter)).length} match
+                </span>
+                <button
+                  className="btn btn-small"
+                  onClick={() => onChange({ filters: filters.filter((_, i) => i !== index) })}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="btn-row" style={{ margin: '8px 0 20px', alignItems: 'center', gap: '16px' }}>
+            <button
+              className="btn btn-small"
+              onClick={() => onChange({ filters: [...filters, { field: 'cohort', op: 'in', values: [] }] })}
+            >
+              + Add filter
+            </button>
+            <label className="setting-item">
+              <input
+                type="checkbox"
+                checked={settings.showFilterFootnote}
+                onChange={(e) => onChange({ showFilterFootnote: e.target.checked })}
+                style={{ width: '18px', height: '18px' }}
+              />
+              <span className="setting-label">Show filters as figure footnote</span>
+            </label>
+          </div>
+
+          <div className="detail-heading">Individual patients</div>
+          <div className="setting-item" style={{ margin: '8px 0' }}>
+            <input
+              type="text"
+              placeholder="Search patient ID"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          <div className="preview-table-wrap">
+            <table className="preview-table">
+              <thead>
+                <tr>
+                  <th>Patient</th>
+                  <th>Cohort</th>
+                  <th>Filters</th>
+                  <th>Override</th>
+                </tr>
+              </thead>
+              <tbody>
+                {listed.slice(0, MAX_LISTED_PATIENTS).map(patient => (
+                  <tr key={patient.key}>
+                    <td>{patient.id}</td>
+                    <td>{patient.cohort}</td>
+                    <td>{filters.every(filter => matchesFilter(patient, filter)) ? 'match' : 'filtered out'}</td>
+                    <td>
+                      <select
+                        value={patientOverrides[patient.id] || ''}
+                        onChange={(e) => setOverride(patient.id, e.target.value)}
+                      >
+                        <option value="">Auto</option>
+                        <option value="include">Always include</option>
+                        <option value="exclude">Exclude</option>
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+            모든 필터를 만족하는 환자만 표시됩니다. 개별 환자 설정(Always include / Exclude)이 필터보다 우선합니다.
+            {listed.length > MAX_LISTED_PATIENTS && ` 처음 ${MAX_LISTED_PATIENTS}명만 표시됩니다. 환자 ID로 검색하세요.`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterPanel;
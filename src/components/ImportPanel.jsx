@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from 'react';
+import { TABLE_ROLES, guessAssignments, validateAssignments, matchReport, tableLabel, filteredRows } from '../lib/tables';
+import { cdiscDataset, filterOptions } from '../lib/cdisc';
+
+const PREVIEW_PATIENTS = 50;
+const LISTED_IDS = 10;
+
+const ROLE_LABELS = Object.fromEntries(TABLE_ROLES.map(role => [role.value, role.label]));
+
+// Sheets and files of a relational import: a role and patient ID column for each,
+// which rows to keep (CDISC parameter, visit...), and how many rows join onto the baseline patients
+const ImportPanel = ({ tables, onConfirm, onCancel }) => {
+  const [assignments, setAssignments] = useState(() => guessAssignments(tables));
+  const errors = validateAssignments(tables, assignments);
+  const report = useMemo(() => matchReport(tables, assignments), [tables, assignments]);
+  const options = useMemo(() => tables.map(filterOptions), [tables]);
+
+  const setAssignment = (index, field, value) => setAssignments(current =>
+    current.map((assignment, i) => (i === index ? { ...assignment, [field]: value } : assignment))
+  );
+
+  // A column without a filter keeps every value; selecting them all removes the filter again
+  const toggleValue = (index, filter, value) => {
+    const filters = { ...assignments[index].filters };
+    const selected = filters[filter.column] || filter.values.map(v => v.value);
+    const next = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+    if (next.length === filter.values.length) delete filters[filter.column];
+    else filters[filter.column] = next;
+    setAssignment(index, 'filters', filters);
+  };
+
+  const filtered = tables
+    .map((table, index) => ({ table, index, options: options[index] }))
+    .filter(({ index, options: tableOptions }) => assignments[index].role !== 'ignore' && tableOptions.length > 0);
+
+  const roles = report.tables.map(table => table.role);
+  const unmatchedPatients = report.patients.filter(patient => roles.some(role => !patient.counts[role]));
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-title">Import Tables</div>
+      <p className="mapper-hint">
+        시트(또는 파일)마다 역할을 지정하세요. Baseline 테이블의 환자 ID를 기준으로 반응 평가, 이벤트, 치료 단계 테이블을 연결합니다.
+        한 시트만 사용하려면 그 시트를 Baseline으로 두고 나머지는 Ignore로 지정하세요.
+      </p>
+
+      <div className="preview-table-wrap">
+        <table className="preview-table">
+          <thead>
+            <tr>
+              <th>Sheet</th>
+              <th>Dataset</th>
+              <th>Rows</th>
+              <th>Role</th>
+              <th>Patient ID column</th>
+              <th>Columns</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tables.map((table, index) => (
+              <tr key={tableLabel(table)}>
+                <td><code>{tableLabel(table)}</code></td>
+                <td>{cdiscDataset(table)?.name || '—'}</td>
+                <td>{table.rows.length}</td>
+                <td>
+                  <select value={assignments[index].role} onChange={(e) => setAssignment(index, 'role', e.target.value)}>
+                    {TABLE_ROLES.map(role => (
+                      <option key={role.value} value={role.value}>{role.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <select value={assignments[index].idColumn} onChange={(e) => setAssignment(index, 'idColumn', e.target.value)}>
+                    <option value="">— 선택 —</option>
+                    {table.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>{table.headers.slice(0, 6).join(', ')}{table.headers.length > 6 && ', …'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {filtered.length > 0 && (
+        <>
+          <div className="settings-title" style={{ marginTop: '20px' }}>Row Filters</div>
+          <p className="mapper-hint">
+            선택한 값의 행만 사용합니다. 반응 평가는 방문별 전체 반응(예: OVRLRESP)과 한 평가자만 남겨야
+            환자마다 방문당 한 번의 평가가 표시됩니다.
+          </p>
+          {filtered.map(({ table, index, options: tableOptions }) => (
+            <div key={tableLabel(table)} style={{ marginBottom: '12px' }}>
+              <p className="mapper-hint" style={{ marginBottom: '6px' }}>
+                <code>{tableLabel(table)}</code>: {filteredRows(table, assignments[index]).length} / {table.rows.length}행 사용
+              </p>
+              {tableOptions.map(filter => {
+                const selected = assignments[index].filters?.[filter.column];
+                return (
+                  <div key={filter.column} className="filter-row">
+                    <span className="setting-label" style={{ minWidth: '140px' }}>
+                      {filter.label} (<code>{filter.column}</code>)
+                    </span>
+                    <div className="filter-values">
+                      {filter.values.map(({ value, count }) => (
+                        <label key={value} className="filter-value">
+                          <input
+                            type="checkbox"
+                            checked={!selected || selected.includes(value)}
+                            onChange={() => toggleValue(index, filter, value)}
+                          />
+                          {value || '(blank)'} <span className="setting-label">({count})</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </>
+      )}
+
+      {report.patients.length > 0 && (
+        <>
+          <div className="settings-title" style={{ marginTop: '20px' }}>Join Preview</div>
+          <p className="mapper-hint">
+            Baseline 환자 {report.patients.length}명
+            {report.duplicates > 0 && ` (중복 ID 행 ${report.duplicates}개는 첫 행만 연결)`}
+          </p>
+          {report.tables.map(table => (
+            <p className="mapper-hint" key={table.index} style={{ marginBottom: '8px' }}>
+              <code>{table.label}</code> ({ROLE_LABELS[table.role]}): {table.matched}행 연결
+              {table.unmatched > 0 && (
+                <span className="severity-warning">
+                  {' '}· 일치하는 환자가 없는 {table.unmatched}행 제외 ({table.unmatchedIds.slice(0, LISTED_IDS).join(', ')}
+                  {table.unmatchedIds.length > LISTED_IDS && ` 외 ${table.unmatchedIds.length - LISTED_IDS}명`})
+                </span>
+              )}
+              {table.missingId > 0 && <span className="severity-warning"> · ID가 비어 있는 {table.missingId}행 제외</span>}
+              {table.patientsWithout > 0 && ` · 기록이 없는 환자 ${table.patientsWithout}명`}
+            </p>
+          ))}
+          {roles.length > 0 && (
+            <div className="preview-table-wrap validation-table-wrap">
+              <table className="preview-table">
+                <thead>
+                  <tr>
+                    <th>Patient ID</th>
+                    {roles.map(role => <th key={role}>{ROLE_LABELS[role]}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...unmatchedPatients, ...report.patients.filter(patient => !unmatchedPatients.includes(patient))]
+                    .slice(0, PREVIEW_PATIENTS)
+                    .map(patient => (
+                      <tr key={patient.id}>
+                        <td>{patient.id}</td>
+                        {roles.map(role => (
+                          <td key={role} className={patient.counts[role] ? undefined : 'severity-warning'}>
+                            {patient.counts[role] || 0}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {report.patients.length > PREVIEW_PATIENTS && (
+            <p className="mapper-hint">연결되지 않은 환자부터 {PREVIEW_PATIENTS}명까지 표시합니다.</p>
+          )}
+        </>
+      )}
+
+      {errors.length > 0 && (
+        <div className="error-box">
+          {errors.map(message => <div key={message}>{message}</div>)}
+        </div>
+      )}
+
+      <div className="btn-row" style={{ marginTop: '20px' }}>
+        <button className="btn" onClick={onCancel}>Cancel</button>
+        <button className="btn btn-primary" onClick={() => onConfirm(assignments)} disabled={errors.length > 0}>
+          Continue to Mapping
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPanel;
@@ -0,0 +1,170 @@
+import React, { useEffect, useRef, useState } from 'react';
+import SvgTree from './SvgTree';
+import PlotCanvas from './PlotCanvas';
+import { parseMarkerRef, tooltipLines } from '../lib/tooltip';
+import { RENDER_MODES, CANVAS_THRESHOLD, hitTest } from '../lib/canvas';
+
+const ZOOM_STEP = 1.25;
+// Narrowest window, as a share of the full axis
+const MIN_ZOOM_SHARE = 0.02;
+const DRAG_THRESHOLD = 3;
+
+// On-screen chart: tooltips, hover/click on rows and zoom/pan of the time axis.
+// `bounds` is the full (unzoomed) axis; `view` the visible window or null.
+// With `canvas` the tree is painted on a canvas and rows are found by position instead of the DOM.
+const InteractivePlot = ({
+  tree,
+  layout,
+  settings,
+  canvas,
+  bounds,
+  view,
+  patients,
+  describe,
+  onViewChange,
+  onHover,
+  onSelect,
+  onRenderModeChange,
+}) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [tooltip, setTooltip] = useState(null);
+  const current = view || bounds;
+
+  const clampView = (min, max) => {
+    const span = Math.min(max - min, bounds.max - bounds.min);
+    if (span >= bounds.max - bounds.min - 1e-9) return null;
+    const minSpan = (bounds.max - bounds.min) * MIN_ZOOM_SHARE;
+    if (span < minSpan) return clampView(min - (minSpan - span) / 2, max + (minSpan - span) / 2);
+    const start = Math.min(Math.max(min, bounds.min), bounds.max - span);
+    return { min: start, max: start + span };
+  };
+
+  const zoom = (factor, center = (current.min + current.max) / 2) => {
+    onViewChange(clampView(center - (center - current.min) * factor, center + (current.max - center) * factor));
+  };
+
+  // Pointer position in chart coordinates and as a time on the visible axis
+  const pointer = (e) => {
+    const chart = containerRef.current.querySelector('svg, canvas');
+    const rect = chart.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (layout.width / rect.width);
+    const y = (e.clientY - rect.top) * (layout.height / rect.height);
+    return { x, y, time: layout.axis.invert(x) };
+  };
+
+  // Patient key and marker under the pointer
+  const target = (e) => {
+    if (canvas) {
+      const { x, y } = pointer(e);
+      return hitTest(layout, settings, x, y) || { key: null, marker: null };
+    }
+    const row = e.target.closest('[data-patient]');
+    return {
+      key: row ? row.getAttribute('data-patient') : null,
+      marker: parseMarkerRef(e.target.closest('[data-marker]')?.getAttribute('data-marker')),
+    };
+  };
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const container = containerRef.current;
+    const handleWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      zoom(e.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP, pointer(e).time);
+    };
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  });
+
+  const handleMouseDown = (e) => {
+    dragRef.current = { x: pointer(e).x, view: current, moved: false };
+  };
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (drag && e.buttons === 1) {
+      const dx = pointer(e).x - drag.x;
+      if (Math.abs(dx) > DRAG_THRESHOLD) drag.moved = true;
+      if (drag.moved && view) {
+        const shift = (dx / (layout.plot.right - layout.plot.left)) * (drag.view.max - drag.view.min);
+        onViewChange(clampView(drag.view.min - shift, drag.view.max - shift));
+        setTooltip(null);
+        return;
+      }
+    }
+
+    const { key, marker } = target(e);
+    onHover(key);
+    const patient = key ? patients.get(key) : null;
+    if (!patient) {
+      setTooltip(null);
+      return;
+    }
+    const box = containerRef.current.getBoundingClientRect();
+    setTooltip({
+      left: e.clientX - box.left + 14,
+      top: e.clientY - box.top + 14,
+      lines: tooltipLines(patient, marker, describe),
+    });
+  };
+
+  const handleMouseUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag && drag.moved) return;
+    const { key } = target(e);
+    if (key) onSelect(key);
+  };
+
+  const handleMouseLeave = () => {
+    dragRef.current = null;
+    setTooltip(null);
+    onHover(null);
+  };
+
+  return (
+    <div>
+      <div className="btn-row zoom-controls">
+        <button className="btn btn-small" onClick={() => zoom(1 / ZOOM_STEP)}>＋</button>
+        <button className="btn btn-small" onClick={() => zoom(ZOOM_STEP)} disabled={!view}>－</button>
+        <button className="btn btn-small" onClick={() => onViewChange(null)} disabled={!view}>Reset Zoom</button>
+        <select value={settings.renderMode} onChange={(e) => onRenderModeChange(e.target.value)}>
+          {RENDER_MODES.map(mode => (
+            <option key={mode.value} value={mode.value}>
+              {mode.value === 'auto' ? `${mode.label} (${canvas ? 'canvas' : 'SVG'})` : mode.label}
+            </option>
+          ))}
+        </select>
+        <span className="zoom-hint">
+          Ctrl + 휠로 시간축 확대/축소, 확대한 상태에서 드래그로 이동. 행을 클릭하면 상세 정보가 열립니다.
+          {settings.renderMode === 'auto' && ` 환자 ${CANVAS_THRESHOLD}명 이상은 빠른 캔버스로 그립니다.`}
+          {canvas && ' 캔버스는 화면 표시에만 쓰이며 내보내기는 항상 벡터입니다.'}
+        </span>
+      </div>
+      <div
+        ref={containerRef}
+        className="interactive-plot"
+        style={{ cursor: view ? 'grab' : canvas && tooltip ? 'pointer' : 'default' }}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseLeave}
+      >
+        {canvas ? <PlotCanvas tree={tree} /> : <SvgTree node={tree} />}
+        {tooltip && (
+          <div className="plot-tooltip" style={{ left: tooltip.left, top: tooltip.top }}>
+            {tooltip.lines.map(([label, value]) => (
+              <div key={label}>
+                <span className="plot-tooltip-label">{label}</span> {value}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InteractivePlot;
@@ -0,0 +1,7 @@
+import React from 'react';
+import SvgTree from './SvgTree';
+import { markerShape } from '../lib/markers';
+
+const MarkerShape = (props) => <SvgTree node={markerShape(props)} />;
+
+export default MarkerShape;
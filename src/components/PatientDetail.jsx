@@ -0,0 +1,99 @@
+import React from 'react';
+import { sheetRow } from '../lib/validation';
+import { formatDate, formatTime } from '../lib/time';
+import { responseLabel } from '../lib/tooltip';
+
+const PatientDetail = ({ patient, vocabulary, unit, eventLabel, pinned, onTogglePin, onClose }) => {
+  const time = (value) => formatTime(value, unit);
+
+  return (
+    <div className="detail-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>{patient.id}</div>
+        <span className="setting-label">{patient.cohort}</span>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={onTogglePin}>{pinned ? 'Unpin' : 'Pin'}</button>
+          <button className="btn btn-small" onClick={onClose}>✕</button>
+        </div>
+      </div>
+
+      <table className="preview-table detail-summary">
+        <tbody>
+          <tr><th>Sheet rows</th><td>{patient.rowIndexes.map(sheetRow).join(', ')}</td></tr>
+          <tr><th>C1D1</th><td>{formatDate(patient.startDate, patient.startImputed)}</td></tr>
+          {patient.originDate.getTime() !== patient.startDate.getTime() && (
+            <tr><th>Time origin</th><td>{formatDate(patient.originDate)}</td></tr>
+          )}
+          <tr><th>Duration</th><td>{time(patient.duration)}</td></tr>
+          <tr><th>On treatment</th><td>{time(patient.treatmentEnd - patient.start)}</td></tr>
+          <tr><th>Status</th><td>{patient.ongoing ? 'Ongoing' : patient.eotTime !== null ? 'Discontinued' : '—'}</td></tr>
+          {patient.discontinuationReason && (
+            <tr><th>EOT reason</th><td>{patient.discontinuationReason}</td></tr>
+          )}
+        </tbody>
+      </table>
+
+      {patient.responses.length > 0 && (
+        <>
+          <div className="detail-heading">Response assessments</div>
+          <table className="preview-table">
+            <thead>
+              <tr><th>Date</th><th>Time</th><th>Response</th></tr>
+            </thead>
+            <tbody>
+              {patient.responses.map((resp, i) => (
+                <tr key={i}>
+                  <td>{formatDate(resp.date, resp.imputed)}</td>
+                  <td>{time(resp.time)}</td>
+                  <td>{responseLabel(resp, vocabulary)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {patient.events.length > 0 && (
+        <>
+          <div className="detail-heading">Events</div>
+          <table className="preview-table">
+            <thead>
+              <tr><th>Date</th><th>Time</th><th>Event</th></tr>
+            </thead>
+            <tbody>
+              {patient.events.map((event, i) => (
+                <tr key={i}>
+                  <td>{formatDate(event.date, event.imputed)}</td>
+                  <td>{time(event.time)}</td>
+                  <td>{eventLabel(event.type)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {patient.phases.length > 0 && (
+        <>
+          <div className="detail-heading">Treatment phases</div>
+          <table className="preview-table">
+            <thead>
+              <tr><th>Phase</th><th>Start</th><th>End</th></tr>
+            </thead>
+            <tbody>
+              {patient.phases.map((phase, i) => (
+                <tr key={i}>
+                  <td>{phase.name}</td>
+                  <td>{time(phase.start)}</td>
+                  <td>{time(phase.end)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PatientDetail;
@@ -0,0 +1,23 @@
+import React, { useEffect, useRef } from 'react';
+import { canvasScale, drawTree } from '../lib/canvas';
+
+// Draws an engine element tree on a canvas at the same on-screen size as the SVG would be
+const PlotCanvas = ({ tree }) => {
+  const canvasRef = useRef(null);
+  const { width, height } = tree.attrs;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const scale = canvasScale(width, height, window.devicePixelRatio || 1);
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    drawTree(ctx, tree);
+  }, [tree, width, height]);
+
+  return <canvas ref={canvasRef} style={{ display: 'block', width: `${width}px`, height: `${height}px` }} />;
+};
+
+export default PlotCanvas;
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import MarkerShape from './MarkerShape';
+import {
+  VOCABULARY_PRESETS,
+  validateVocabulary,
+  loadCustomVocabularies,
+  saveCustomVocabulary,
+  deleteCustomVocabulary,
+  isResponseCategory,
+  isProgressionCategory,
+} from '../lib/vocabularies';
+import { MARKER_SHAPES } from '../lib/markers';
+
+const ResponseCriteriaPanel = ({ vocabulary, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [customVocabularies, setCustomVocabularies] = useState(loadCustomVocabularies);
+
+  const allVocabularies = [...VOCABULARY_PRESETS, ...customVocabularies];
+  const isPreset = VOCABULARY_PRESETS.some(preset => preset.id === vocabulary.id);
+  const errors = validateVocabulary(vocabulary);
+
+  const selectVocabulary = (id) => {
+    const selected = allVocabularies.find(v => v.id === id);
+    if (selected) onChange(selected);
+  };
+
+  // Editing a preset turns it into an unsaved custom copy
+  const edit = (categories) => onChange({
+    ...vocabulary,
+    id: isPreset ? `custom-${Date.now()}` : vocabulary.id,
+    name: isPreset ? `${vocabulary.name} (custom)` : vocabulary.name,
+    categories,
+  });
+
+  const setCategory = (index, field, value) => edit(
+    vocabulary.categories.map((cat, i) => (i === index ? { ...cat, [field]: value } : cat))
+  );
+
+  const addCategory = () => edit([
+    ...vocabulary.categories,
+    {
+      code: '',
+      label: '',
+      color: '#999999',
+      shape: 'circle',
+      rank: vocabulary.categories.length + 1,
+      aliases: [],
+      response: false,
+      progression: false,
+    },
+  ]);
+
+  const removeCategory = (index) => edit(vocabulary.categories.filter((_, i) => i !== index));
+
+  const handleSave = () => {
+    if (errors.length > 0) return;
+    setCustomVocabularies(saveCustomVocabulary(vocabulary));
+  };
+
+  const handleDelete = () => {
+    setCustomVocabularies(deleteCustomVocabulary(vocabulary.id));
+    onChange(VOCABULARY_PRESETS[0]);
+  };
+
+  const isSaved = customVocabularies.some(v => v.id === vocabulary.id);
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Response Criteria</div>
+        <select value={allVocabularies.some(v => v.id === vocabulary.id) ? vocabulary.id : ''} onChange={(e) => selectVocabulary(e.target.value)}>
+          {!allVocabularies.some(v => v.id === vocabulary.id) && <option value="">{vocabulary.name}</option>}
+          {allVocabularies.map(v => (
+            <option key={v.id} value={v.id}>{v.name}</option>
+          ))}
+        </select>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)}>
+            {expanded ? 'Close Editor' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '16px' }}>
+          {!isPreset && (
+            <div className="setting-item" style={{ marginBottom: '12px' }}>
+              <span className="setting-label mapper-label">Name</span>
+              <input
+                type="text"
+                value={vocabulary.name}
+                onChange={(e) => onChange({ ...vocabulary, name: e.target.value })}
+              />
+            </div>
+          )}
+          <div className="preview-table-wrap">
+            <table className="preview-table">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Code</th>
+                  <th>Label</th>
+                  <th>Color</th>
+                  <th>Shape</th>
+                  <th>Rank</th>
+                  <th>Aliases</th>
+                  <th title="Objective response (ORR, time to response)">Resp</th>
+                  <th title="Progression (time to progression)">Prog</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {vocabulary.categories.map((cat, index) => (
+                  <tr key={index}>
+                    <td>
+                      <svg width="16" height="16">
+                        <MarkerShape shape={cat.shape} x={8} y={8} r={6} fill={cat.color} stroke="none" />
+                      </svg>
+                    </td>
+                    <td>
+                      <input type="text" size="8" value={cat.code} onChange={(e) => setCategory(index, 'code', e.target.value)} />
+                    </td>
+                    <td>
+                      <input type="text" value={cat.label} onChange={(e) => setCategory(index, 'label', e.target.value)} />
+                    </td>
+                    <td>
+                      <input type="color" value={cat.color} onChange={(e) => setCategory(index, 'color', e.target.value)} />
+                    </td>
+                    <td>
+                      <select value={cat.shape} onChange={(e) => setCategory(index, 'shape', e.target.value)}>
+                        {MARKER_SHAPES.map(shape => <option key={shape} value={shape}>{shape}</option>)}
+                      </select>
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="1"
+                        style={{ width: '56px' }}
+                        value={cat.rank}
+                        onChange={(e) => setCategory(index, 'rank', parseInt(e.target.value) || 1)}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        placeholder="comma separated"
+                        value={(cat.aliases || []).join(', ')}
+                        onChange={(e) => setCategory(index, 'aliases', e.target.value.split(',').map(a => a.trim()).filter(Boolean))}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={isResponseCategory(cat)}
+                        onChange={(e) => setCategory(index, 'response', e.target.checked)}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={isProgressionCategory(cat)}
+                        onChange={(e) => setCategory(index, 'progression', e.target.checked)}
+                      />
+                    </td>
+                    <td>
+                      <button className="btn btn-small" onClick={() => removeCategory(index)}>✕</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mapper-hint" style={{ margin: '12px 0' }}>
+            대소문자와 앞뒤 공백은 무시하고 코드/별칭과 비교합니다. Rank는 낮을수록 좋은 반응입니다.
+            Resp는 객관적 반응(첫 반응까지 시간), Prog는 질병 진행(진행까지 시간)으로 계산할 카테고리입니다.
+          </p>
+          {errors.length > 0 && (
+            <div className="error-box" style={{ marginBottom: '12px' }}>
+              {errors.map(message => <div key={message}>{message}</div>)}
+            </div>
+          )}
+          <div className="btn-row">
+            <button className="btn btn-small" onClick={addCategory}>+ Add category</button>
+            {!isPreset && (
+              <button className="btn btn-small" onClick={handleSave} disabled={errors.length > 0}>Save</button>
+            )}
+            {isSaved && <button className="btn btn-small" onClick={handleDelete}>Delete</button>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResponseCriteriaPanel;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { sortOptions } from '../lib/sorting';
+import { MAX_GROUP_LEVELS, groupLevelLabel, groupValue, levelValues } from '../lib/grouping';
+
+const SortGroupPanel = ({ settings, headers, patients, eventTypes, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [dragging, setDragging] = useState(null);
+
+  const options = sortOptions(headers, eventTypes);
+  const groupLevels = ['cohort', ...headers.map(header => `column:${header}`)];
+
+  const setSortKey = (index, field, value) => onChange({
+    sortKeys: settings.sortKeys.map((key, i) => {
+      if (i !== index) return key;
+      if (field === 'field') {
+        const option = options.find(o => o.value === value);
+        return { field: value, direction: option?.direction || 'asc' };
+      }
+      return { ...key, [field]: value };
+    }),
+  });
+
+  const setGroupLevel = (index, value) => {
+    const groupBy = settings.groupBy.slice(0, index);
+    if (value) groupBy.push(value, ...settings.groupBy.slice(index + 1).filter(level => level !== value));
+    onChange({ groupBy: groupBy.slice(0, MAX_GROUP_LEVELS) });
+  };
+
+  const setLevelMap = (field, level, value, entry) => onChange({
+    [field]: { ...settings[field], [level]: { ...settings[field][level], [value]: entry } },
+  });
+
+  const moveGroup = (level, values, from, to) => {
+    if (from === to) return;
+    const order = [...values];
+    const [moved] = order.splice(from, 1);
+    order.splice(to, 0, moved);
+    onChange({ groupOrder: { ...settings.groupOrder, [level]: order } });
+  };
+
+  const countOf = (level, value) => patients.filter(patient => groupValue(patient, level) === value).length;
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Sort &amp; Group</div>
+        <span className="setting-label">
+          {settings.sortKeys.map(key => options.find(o => o.value === key.field)?.label || key.field).join(' → ')}
+          {settings.groupBy.length > 0 && ` · grouped by ${settings.groupBy.map(groupLevelLabel).join(' → ')}`}
+        </span>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)}>
+            {expanded ? 'Close Editor' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '16px' }}>
+          <div className="mapper-pairs">
+            {settings.sortKeys.map((key, index) => (
+              <div className="setting-item" key={index}>
+                <span className="setting-label mapper-label">{index === 0 ? 'Sort by' : 'Then by'}</span>
+                <select value={key.field} onChange={(e) => setSortKey(index, 'field', e.target.value)}>
+                  {options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+                <select value={key.direction} onChange={(e) => setSortKey(index, 'direction', e.target.value)}>
+                  <option value="asc">Ascending</option>
+                  <option value="desc">Descending</option>
+                </select>
+                {settings.sortKeys.length > 1 && (
+                  <button
+                    className="btn btn-small"
+                    onClick={() => onChange({ sortKeys: settings.sortKeys.filter((_, i) => i !== index) })}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="btn-row" style={{ margin: '8px 0 20px' }}>
+            <button
+              className="btn btn-small"
+              onClick={() => onChange({ sortKeys: [...settings.sortKeys, { field: 'id', direction: 'asc' }] })}
+            >
+              + Add sort key
+            </button>
+          </div>
+
+          <div className="mapper-pairs">
+            {Array.from({ length: Math.min(settings.groupBy.length + 1, MAX_GROUP_LEVELS) }, (_, index) => (
+              <div className="setting-item" key={index}>
+                <span className="setting-label mapper-label">{index === 0 ? 'Group by' : 'Then by'}</span>
+                <select value={settings.groupBy[index] || ''} onChange={(e) => setGroupLevel(index, e.target.value)}>
+                  <option value="">(none)</option>
+                  {groupLevels
+                    .filter(level => level === settings.groupBy[index] || !settings.groupBy.includes(level))
+                    .map(level => <option key={level} value={level}>{groupLevelLabel(level)}</option>)}
+                </select>
+              </div>
+            ))}
+            <div className="setting-item">
+              <span className="setting-label mapper-label">Counts</span>
+              <input
+                type="checkbox"
+                checked={settings.showGroupCounts}
+                onChange={(e) => onChange({ showGroupCounts: e.target.checked })}
+                style={{ width: '18px', height: '18px' }}
+              />
+              <span className="setting-label">Arm A (n=24)</span>
+            </div>
+          </div>
+
+          {settings.groupBy.map(level => {
+            const values = levelValues(patients, level, settings.groupOrder[level]);
+            return (
+              <div key={level} style={{ marginTop: '16px' }}>
+                <div className="detail-heading">{groupLevelLabel(level)}</div>
+                <div className="group-list">
+                  {values.map((value, index) => (
+                    <div
+                      key={value}
+                      className={`group-item${dragging?.level === level && dragging.index === index ? ' group-item-dragging' : ''}`}
+                      draggable
+                      onDragStart={() => setDragging({ level, index })}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={() => {
+                        if (dragging?.level === level) moveGroup(level, values, dragging.index, index);
+                        setDragging(null);
+                      }}
+                      onDragEnd={() => setDragging(null)}
+                    >
+                      <span className="group-handle">⋮⋮</span>
+                      <span className="group-value">{value}</span>
+                      <input
+                        type="text"
+                        placeholder={value}
+                        value={settings.groupLabels[level]?.[value] || ''}
+                        onChange={(e) => setLevelMap('groupLabels', level, value, e.target.value)}
+                      />
+                      <input
+                        type="color"
+                        value={settings.groupColors[level]?.[value] || '#333333'}
+                        onChange={(e) => setLevelMap('groupColors', level, value, e.target.value)}
+                      />
+                      {settings.groupColors[level]?.[value] && (
+                        <button className="btn btn-small" onClick={() => setLevelMap('groupColors', level, value, undefined)}>
+                          Reset
+                        </button>
+                      )}
+                      <span className="setting-label">n={countOf(level, value)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+          {settings.groupBy.length > 0 && (
+            <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+              그룹을 드래그해 순서를 바꿀 수 있습니다. 표시 이름을 비워 두면 데이터 값이 그대로 표시됩니다.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SortGroupPanel;
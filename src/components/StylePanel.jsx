@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import {
+  THEME_PRESETS,
+  COLOR_FIELDS,
+  FONT_SIZE_FIELDS,
+  LINE_STYLES,
+  applyTheme,
+  themeFromSettings,
+  themeMatches,
+  themeToJson,
+  parseTheme,
+  loadSavedThemes,
+  saveTheme,
+  deleteTheme,
+} from '../lib/styles';
+import { downloadBlob } from '../lib/download';
+
+// Out-of-range values stay in the box while typing and are only applied once valid
+const NumberSetting = ({ label, value, min, max, step = 1, unit = 'px', onChange }) => {
+  const [draft, setDraft] = useState(null);
+  return (
+    <div className="setting-item">
+      <span className="setting-label mapper-label">{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        style={{ width: '72px' }}
+        value={draft ?? value}
+        onChange={(e) => {
+          setDraft(e.target.value);
+          const number = parseFloat(e.target.value);
+          if (!isNaN(number) && number >= min && number <= max) onChange(number);
+        }}
+        onBlur={() => setDraft(null)}
+      />
+      {unit && <span className="setting-label">{unit}</span>}
+    </div>
+  );
+};
+
+const ColorSetting = ({ label, value, onChange }) => (
+  <div className="setting-item">
+    <span className="setting-label mapper-label">{label}</span>
+    <input type="color" value={value} onChange={(e) => onChange(e.target.value)} />
+  </div>
+);
+
+const StylePanel = ({ settings, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [savedThemes, setSavedThemes] = useState(loadSavedThemes);
+  const [themeId, setThemeId] = useState('default');
+  const [themeName, setThemeName] = useState('');
+  const [error, setError] = useState(null);
+
+  const allThemes = [...THEME_PRESETS, ...savedThemes];
+  const current = allThemes.find(theme => theme.id === themeId);
+  const modified = !current || !themeMatches(current, settings);
+  const isSaved = savedThemes.some(theme => theme.id === themeId);
+  const { style } = settings;
+
+  const setStyle = (key, value) => onChange({ style: { ...style, [key]: value } });
+  const setColor = (key, value) => onChange({ style: { ...style, colors: { ...style.colors, [key]: value } } });
+
+  const selectTheme = (id) => {
+    const theme = allThemes.find(t => t.id === id);
+    if (!theme) return;
+    setThemeId(id);
+    setThemeName(THEME_PRESETS.includes(theme) ? '' : theme.name);
+    setError(null);
+    onChange(applyTheme(theme));
+  };
+
+  // Saving under the name of an existing saved theme overwrites it
+  const handleSave = () => {
+    const name = themeName.trim();
+    if (!name) return;
+    const existing = savedThemes.find(theme => theme.name === name);
+    const theme = themeFromSettings(settings, { id: existing ? existing.id : `theme-${Date.now()}`, name });
+    setSavedThemes(saveTheme(theme));
+    setThemeId(theme.id);
+  };
+
+  const handleDelete = () => {
+    setSavedThemes(deleteTheme(themeId));
+    selectTheme('default');
+  };
+
+  const handleExport = () => {
+    const name = themeName.trim() || (current && !modified ? current.name : 'Custom theme');
+    const fileName = `${name.replace(/[^\w-]+/g, '_')}.theme.json`;
+    downloadBlob(themeToJson(themeFromSettings(settings, { id: themeId, name })), fileName, 'application/json');
+  };
+
+  const handleImport = (file) => {
+    setError(null);
+    file.text()
+      .then(text => {
+        const theme = parseTheme(text);
+        setSavedThemes(saveTheme(theme));
+        setThemeId(theme.id);
+        setThemeName(theme.name);
+        onChange(applyTheme(theme));
+      })
+      .catch(err => setError(`테마를 불러오지 못했습니다: ${err.message}`));
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Style</div>
+        <select value={themeId} onChange={(e) => selectTheme(e.target.value)}>
+          {allThemes.map(theme => (
+            <option key={theme.id} value={theme.id}>
+              {theme.name}{theme.id === themeId && modified ? ' (modified)' : ''}
+            </option>
+          ))}
+        </select>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)}>
+            {expanded ? 'Close Editor' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '16px' }}>
+          <div className="mapper-grid">
+            <div className="mapper-subpanel mapper-pairs">
+              <div className="settings-title" style={{ marginBottom: 0 }}>Bars</div>
+              <NumberSetting label="Height" value={settings.barHeight} min={6} max={40} onChange={(barHeight) => onChange({ barHeight })} />
+              <NumberSetting label="Gap" value={settings.barGap} min={0} max={30} onChange={(barGap) => onChange({ barGap })} />
+              <NumberSetting label="Corner radius" value={style.barRadius} min={0} max={12} onChange={(v) => setStyle('barRadius', v)} />
+              <NumberSetting label="Opacity" value={style.barOpacity} min={0.1} max={1} step={0.05} unit="" onChange={(v) => setStyle('barOpacity', v)} />
+            </div>
+
+            <div className="mapper-subpanel mapper-pairs">
+              <div className="settings-title" style={{ marginBottom: 0 }}>Response markers</div>
+              <NumberSetting label="Radius" value={style.markerSize} min={2} max={14} step={0.5} onChange={(v) => setStyle('markerSize', v)} />
+              <ColorSetting label="Outline" value={style.markerStroke} onChange={(v) => setStyle('markerStroke', v)} />
+              <NumberSetting label="Outline width" value={style.markerStrokeWidth} min={0} max={4} step={0.25} onChange={(v) => setStyle('markerStrokeWidth', v)} />
+            </div>
+
+            <div className="mapper-subpanel mapper-pairs">
+              <div className="settings-title" style={{ marginBottom: 0 }}>Colors</div>
+              {COLOR_FIELDS.map(field => (
+                <ColorSetting key={field.key} label={field.label} value={style.colors[field.key]} onChange={(v) => setColor(field.key, v)} />
+              ))}
+              <ColorSetting label="Text" value={style.textColor} onChange={(v) => setStyle('textColor', v)} />
+              <div className="setting-item">
+                <span className="setting-label mapper-label">Grayscale</span>
+                <input
+                  type="checkbox"
+                  checked={style.grayscale}
+                  onChange={(e) => setStyle('grayscale', e.target.checked)}
+                  style={{ width: '18px', height: '18px' }}
+                />
+              </div>
+            </div>
+
+            <div className="mapper-subpanel mapper-pairs">
+              <div className="settings-title" style={{ marginBottom: 0 }}>Font sizes</div>
+              {FONT_SIZE_FIELDS.map(field => (
+                <NumberSetting key={field.key} label={field.label} value={style[field.key]} min={5} max={36} onChange={(v) => setStyle(field.key, v)} />
+              ))}
+            </div>
+
+            <div className="mapper-subpanel mapper-pairs">
+              <div className="settings-title" style={{ marginBottom: 0 }}>Plot area</div>
+              <NumberSetting label="Width" value={style.width} min={400} max={2400} step={10} onChange={(v) => setStyle('width', v)} />
+              <NumberSetting label="Left margin" value={style.marginLeft} min={60} max={400} onChange={(v) => setStyle('marginLeft', v)} />
+              <NumberSetting label="Right margin" value={style.marginRight} min={20} max={400} onChange={(v) => setStyle('marginRight', v)} />
+            </div>
+
+            <div className="mapper-subpanel mapper-pairs">
+              <div className="settings-title" style={{ marginBottom: 0 }}>Grid &amp; axis</div>
+              <div className="setting-item">
+                <span className="setting-label mapper-label">Grid</span>
+                <input
+                  type="checkbox"
+                  checked={settings.showGrid}
+                  onChange={(e) => onChange({ showGrid: e.target.checked })}
+                  style={{ width: '18px', height: '18px' }}
+                />
+                <select value={style.gridStyle} disabled={!settings.showGrid} onChange={(e) => setStyle('gridStyle', e.target.value)}>
+                  {LINE_STYLES.map(line => <option key={line.value} value={line.value}>{line.label}</option>)}
+                </select>
+                <input type="color" value={style.gridColor} disabled={!settings.showGrid} onChange={(e) => setStyle('gridColor', e.target.value)} />
+              </div>
+              <NumberSetting label="Grid line width" value={style.gridWidth} min={0.25} max={4} step={0.25} onChange={(v) => setStyle('gridWidth', v)} />
+              <ColorSetting label="Axis line" value={style.axisColor} onChange={(v) => setStyle('axisColor', v)} />
+              <NumberSetting label="Axis line width" value={style.axisWidth} min={0.25} max={4} step={0.25} onChange={(v) => setStyle('axisWidth', v)} />
+              <NumberSetting label="Tick length" value={style.tickLength} min={0} max={12} onChange={(v) => setStyle('tickLength', v)} />
+            </div>
+          </div>
+
+          <p className="mapper-hint" style={{ margin: '12px 0' }}>
+            그림 글꼴은 앱에 포함된 Arimo(Arial 호환)로 고정되어 모든 내보내기 형식에서 같은 모양을 유지합니다.
+            크기는 그림 좌표(px) 기준이며 내보낼 때 인쇄 너비에 맞춰 pt로 환산되므로, 너비를 늘리면 인쇄된 글자는 작아집니다.
+          </p>
+          {error && <div className="error-box" style={{ marginBottom: '12px' }}>{error}</div>}
+          <div className="btn-row">
+            <input
+              type="text"
+              placeholder="Theme name"
+              value={themeName}
+              onChange={(e) => setThemeName(e.target.value)}
+            />
+            <button className="btn btn-small" onClick={handleSave} disabled={!themeName.trim()}>Save theme</button>
+            {isSaved && <button className="btn btn-small" onClick={handleDelete}>Delete</button>}
+            <button className="btn btn-small" onClick={handleExport}>Export JSON</button>
+            <label className="btn btn-small">
+              Import JSON…
+              <input
+                type="file"
+                accept=".json,application/json"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  if (e.target.files[0]) handleImport(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StylePanel;
@@ -0,0 +1,91 @@
+import React, { useMemo } from 'react';
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { CONFIRMATION_RULES, summarize, summaryRows } from '../lib/summary';
+import { downloadBlob } from '../lib/download';
+
+const SummaryPanel = ({ patients, settings, vocabulary, onChange }) => {
+  const rows = useMemo(
+    () => summaryRows(summarize(patients, settings, vocabulary), vocabulary, settings),
+    [patients, settings, vocabulary]
+  );
+  const [header, ...body] = rows;
+
+  const downloadCsv = () => {
+    downloadBlob('\uFEFF' + Papa.unparse(rows.map(row => row.map(cell => cell.trim()))), 'response_summary.csv', 'text/csv;charset=utf-8');
+  };
+
+  const downloadXlsx = () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Summary');
+    const bytes = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    downloadBlob(
+      new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+      'response_summary.xlsx',
+    );
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Response Summary</div>
+        <div className="setting-item">
+          <span className="setting-label">Confirmation:</span>
+          <select value={settings.responseConfirmation} onChange={(e) => onChange({ responseConfirmation: e.target.value })}>
+            {CONFIRMATION_RULES.map(rule => <option key={rule.value} value={rule.value}>{rule.label}</option>)}
+          </select>
+          {settings.responseConfirmation !== 'none' && (
+            <>
+              <input
+                type="number"
+                min="0"
+                style={{ width: '64px' }}
+                value={settings.confirmationDays}
+                onChange={(e) => onChange({ confirmationDays: Math.max(0, parseInt(e.target.value) || 0) })}
+              />
+              <span className="setting-label">days</span>
+            </>
+          )}
+        </div>
+        <div className="setting-item">
+          <span className="setting-label">N/ORR on Plot:</span>
+          <input
+            type="checkbox"
+            checked={settings.showGroupStats}
+            onChange={(e) => onChange({ showGroupStats: e.target.checked })}
+            style={{ width: '18px', height: '18px' }}
+          />
+        </div>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={downloadCsv}>CSV</button>
+          <button className="btn btn-small" onClick={downloadXlsx}>XLSX</button>
+        </div>
+      </div>
+
+      <div className="preview-table-wrap" style={{ marginTop: '16px' }}>
+        <table className="preview-table summary-table">
+          <thead>
+            <tr>
+              {header.map((cell, i) => <th key={i}>{cell}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {body.map(([label, ...cells]) => (
+              <tr key={label}>
+                <td className={label.startsWith('  ') ? 'summary-sub' : undefined}>{label.trim()}</td>
+                {cells.map((cell, i) => <td key={i}>{cell}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+        필터된 환자 기준입니다. ORR은 반응 기준에서 Resp로 표시된 카테고리, CR 비율은 CR 이상 카테고리로 계산합니다.
+        확인(confirmation) 규칙을 켜면 지정한 간격 이후의 평가에서 같거나 더 좋은 반응이 다시 나온 경우만 반응으로 인정합니다(사이에 PD가 있으면 불인정).
+        반응 지속 기간은 첫 반응부터 진행 또는 사망까지이며, 없으면 마지막 관찰 시점에서 중도절단(Kaplan–Meier)합니다.
+      </p>
+    </div>
+  );
+};
+
+export default SummaryPanel;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { camelAttr } from '../lib/svg';
+
+const toProps = (attrs) => Object.fromEntries(
+  Object.entries(attrs).map(([name, value]) => [name === 'class' ? 'className' : camelAttr(name), value])
+);
+
+// Renders an engine element tree (src/lib/svg.js) as React elements
+const SvgTree = ({ node }) => {
+  if (typeof node === 'string' || typeof node === 'number') return node;
+  return React.createElement(
+    node.tag,
+    toProps(node.attrs),
+    ...node.children.map((child, i) => <SvgTree key={child.attrs?.key ?? i} node={child} />)
+  );
+};
+
+export default SvgTree;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { groupLevelLabel } from '../lib/grouping';
+import { TRACK_TYPES, newTrack, trackLabel, trackValues, trackColor } from '../lib/tracks';
+
+const TrackPanel = ({ settings, headers, patients, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  const tracks = settings.annotationTracks;
+  const fields = ['cohort', ...headers.map(header => `column:${header}`)];
+
+  const setTrack = (index, changes) => onChange({
+    annotationTracks: tracks.map((track, i) => (i === index ? { ...track, ...changes } : track)),
+  });
+
+  const setField = (index, field) => setTrack(index, { ...newTrack(patients, field), label: tracks[index].label });
+
+  const moveTrack = (index, offset) => {
+    const order = [...tracks];
+    const [moved] = order.splice(index, 1);
+    order.splice(index + offset, 0, moved);
+    onChange({ annotationTracks: order });
+  };
+
+  const addTrack = () => {
+    const unused = fields.find(field => field !== 'cohort' && !tracks.some(track => track.field === field)) || 'cohort';
+    onChange({ annotationTracks: [...tracks, newTrack(patients, unused)] });
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Annotation Tracks</div>
+        <span className="setting-label">
+          {tracks.length > 0 ? tracks.map(trackLabel).join(', ') : '(no tracks)'}
+          {settings.showPatientIds && ' · patient IDs'}
+        </span>
+        <div className="btn-group">
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)}>
+            {expanded ? 'Close Editor' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '16px' }}>
+          <div className="setting-item" style={{ marginBottom: '16px' }}>
+            <span className="setting-label mapper-label">Patient IDs</span>
+            <input
+              type="checkbox"
+              checked={settings.showPatientIds}
+              onChange={(e) => onChange({ showPatientIds: e.target.checked })}
+              style={{ width: '18px', height: '18px' }}
+            />
+            <span className="setting-label">Label each row next to the bars</span>
+          </div>
+
+          {tracks.map((track, index) => (
+            <div key={index} style={{ marginBottom: '16px' }}>
+              <div className="setting-item">
+                <select value={track.field} onChange={(e) => setField(index, e.target.value)}>
+                  {fields.map(field => <option key={field} value={field}>{groupLevelLabel(field)}</option>)}
+                </select>
+                <input
+                  type="text"
+                  placeholder={groupLevelLabel(track.field)}
+                  value={track.label || ''}
+                  onChange={(e) => setTrack(index, { label: e.target.value })}
+                />
+                <select value={track.type} onChange={(e) => setTrack(index, { type: e.target.value })}>
+                  {TRACK_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                </select>
+                {track.type === 'categorical' && (
+                  <>
+                    <span className="setting-label">Legend:</span>
+                    <input
+                      type="checkbox"
+                      checked={track.legend !== false}
+                      onChange={(e) => setTrack(index, { legend: e.target.checked })}
+                      style={{ width: '18px', height: '18px' }}
+                    />
+                  </>
+                )}
+                <button className="btn btn-small" disabled={index === 0} onClick={() => moveTrack(index, -1)}>↑</button>
+                <button className="btn btn-small" disabled={index === tracks.length - 1} onClick={() => moveTrack(index, 1)}>↓</button>
+                <button
+                  className="btn btn-small"
+                  onClick={() => onChange({ annotationTracks: tracks.filter((_, i) => i !== index) })}
+                >
+                  ✕
+                </button>
+              </div>
+              {track.type === 'categorical' && (() => {
+                const values = trackValues(patients, track);
+                return (
+                  <div className="group-list" style={{ marginTop: '8px' }}>
+                    {values.map(value => (
+                      <div key={value} className="group-item">
+                        <span className="group-value">{value}</span>
+                        <input
+                          type="color"
+                          value={trackColor(value, values, track.colors)}
+                          onChange={(e) => setTrack(index, { colors: { ...track.colors, [value]: e.target.value } })}
+                        />
+                        {track.colors?.[value] && (
+                          <button
+                            className="btn btn-small"
+                            onClick={() => setTrack(index, { colors: { ...track.colors, [value]: undefined } })}
+                          >
+                            Reset
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                );
+              })()}
+            </div>
+          ))}
+
+          <div className="btn-row" style={{ margin: '8px 0 0' }}>
+            <button className="btn btn-small" onClick={addTrack}>+ Add track</button>
+          </div>
+          <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+            트랙은 막대 왼쪽에 목록 순서대로(왼쪽부터) 그려집니다. 범주형(예: 세포유전학적 위험도, ISS 병기, 용량)은 색 타일로,
+            숫자와 텍스트(예: 이전 치료 차수)는 값 그대로 표시됩니다. 빈 값은 비워 둡니다. 타일 색은 범례에 트랙별로 추가됩니다.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrackPanel;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import Papa from 'papaparse';
+import { FLAGGED_ROW_MODES, flaggedRowSeverity } from '../lib/validation';
+import { downloadBlob } from '../lib/download';
+
+const ValidationReport = ({ issues, totalRows, plottedCount, flaggedRows, onFlaggedRowsChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [severityFilter, setSeverityFilter] = useState('all');
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = issues.filter(issue => issue.severity === 'warning').length;
+  // Notes such as imputed partial dates; they do not flag rows
+  const infoCount = issues.length - errorCount - warningCount;
+  const flaggedCount = flaggedRowSeverity(issues).size;
+
+  const visibleIssues = severityFilter === 'all'
+    ? issues
+    : issues.filter(issue => issue.severity === severityFilter);
+
+  const downloadReport = () => {
+    const csv = Papa.unparse(issues.map(issue => ({
+      Row: issue.row,
+      Patient_ID: issue.patientId,
+      Severity: issue.severity,
+      Column: issue.field || '',
+      Message: issue.message,
+    })));
+    downloadBlob('\uFEFF' + csv, 'validation_report.csv', 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Data Validation</div>
+        <span className={`badge ${errorCount ? 'badge-error' : 'badge-ok'}`}>{errorCount} errors</span>
+        <span className={`badge ${warningCount ? 'badge-warning' : 'badge-ok'}`}>{warningCount} warnings</span>
+        {infoCount > 0 && <span className="badge badge-info">{infoCount} notes</span>}
+        <span className="setting-label">
+          {totalRows} rows · {flaggedCount} flagged · {plottedCount} plotted
+        </span>
+        <div className="btn-group">
+          <select value={flaggedRows} onChange={(e) => onFlaggedRowsChange(e.target.value)}>
+            {FLAGGED_ROW_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+          <button className="btn btn-small" onClick={downloadReport} disabled={issues.length === 0}>CSV</button>
+          <button className="btn btn-small" onClick={() => setExpanded(e => !e)} disabled={issues.length === 0}>
+            {expanded ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {errorCount + warningCount === 0 && (
+        <p className="mapper-hint" style={{ margin: '12px 0 0' }}>모든 행이 검증을 통과했습니다.</p>
+      )}
+
+      {expanded && issues.length > 0 && (
+        <>
+          <div className="btn-row" style={{ margin: '16px 0 12px' }}>
+            {['all', 'error', 'warning', 'info'].map(value => (
+              <button
+                key={value}
+                className={`btn btn-small ${severityFilter === value ? 'btn-primary' : ''}`}
+                onClick={() => setSeverityFilter(value)}
+              >
+                {value}
+              </button>
+            ))}
+          </div>
+          <div className="preview-table-wrap validation-table-wrap">
+            <table className="preview-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Patient ID</th>
+                  <th>Severity</th>
+                  <th>Column</th>
+                  <th>Message</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleIssues.map((issue, i) => (
+                  <tr key={i}>
+                    <td>{issue.row}</td>
+                    <td>{issue.patientId}</td>
+                    <td className={`severity-${issue.severity}`}>{issue.severity}</td>
+                    <td>{issue.field}</td>
+                    <td style={{ whiteSpace: 'normal' }}>{issue.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReport;
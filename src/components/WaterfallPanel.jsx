@@ -0,0 +1,169 @@
+import React, { useMemo, useRef, useState } from 'react';
+import SvgTree from './SvgTree';
+import { tooltipLines } from '../lib/tooltip';
+import { WATERFALL_ORDERS, WATERFALL_PLACEMENTS, computeWaterfall, renderWaterfall } from '../lib/waterfall';
+
+// Best % change per patient, linked to the swimmer plot: hovering or clicking a bar
+// highlights and selects the same patient's row and vice versa.
+const WaterfallPanel = ({ layout, settings, vocabulary, patients, describe, interaction, onHover, onSelect, onChange }) => {
+  const containerRef = useRef(null);
+  const [tooltip, setTooltip] = useState(null);
+  const { waterfall } = settings;
+
+  const panel = useMemo(
+    () => (waterfall.show ? computeWaterfall(layout, settings) : null),
+    [layout, settings, waterfall.show]
+  );
+  const tree = useMemo(
+    () => (panel ? renderWaterfall(panel, settings, { vocabulary, id: 'waterfall-plot-svg', interaction }) : null),
+    [panel, settings, vocabulary, interaction]
+  );
+
+  const setWaterfall = (changes) => onChange({ waterfall: { ...waterfall, ...changes } });
+  const setNumber = (field, value, fallback) => {
+    const number = parseFloat(value);
+    setWaterfall({ [field]: isFinite(number) ? number : fallback });
+  };
+
+  const handleMouseMove = (e) => {
+    const bar = e.target.closest('[data-patient]');
+    const key = bar ? bar.getAttribute('data-patient') : null;
+    onHover(key);
+    const patient = key ? patients.get(key) : null;
+    if (!patient) {
+      setTooltip(null);
+      return;
+    }
+    const box = containerRef.current.getBoundingClientRect();
+    setTooltip({
+      left: e.clientX - box.left + 14,
+      top: e.clientY - box.top + 14,
+      lines: tooltipLines(patient, null, describe),
+    });
+  };
+
+  const handleClick = (e) => {
+    const bar = e.target.closest('[data-patient]');
+    if (bar) onSelect(bar.getAttribute('data-patient'));
+  };
+
+  const handleMouseLeave = () => {
+    setTooltip(null);
+    onHover(null);
+  };
+
+  return (
+    <div className="settings-panel">
+      <div className="validation-header">
+        <div className="settings-title" style={{ marginBottom: 0 }}>Waterfall Plot</div>
+        <div className="setting-item">
+          <span className="setting-label">Show:</span>
+          <input
+            type="checkbox"
+            checked={waterfall.show}
+            onChange={(e) => setWaterfall({ show: e.target.checked })}
+            style={{ width: '18px', height: '18px' }}
+          />
+        </div>
+        {waterfall.show && (
+          <>
+            <div className="setting-item">
+              <span className="setting-label">Order:</span>
+              <select value={waterfall.order} onChange={(e) => setWaterfall({ order: e.target.value })}>
+                {WATERFALL_ORDERS.map(order => <option key={order.value} value={order.value}>{order.label}</option>)}
+              </select>
+            </div>
+            <div className="setting-item">
+              <span className="setting-label">Export:</span>
+              <select value={waterfall.placement} onChange={(e) => setWaterfall({ placement: e.target.value })}>
+                {WATERFALL_PLACEMENTS.map(placement => <option key={placement.value} value={placement.value}>{placement.label}</option>)}
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+
+      {waterfall.show && (
+        <div style={{ marginTop: '16px' }}>
+          <div className="setting-item" style={{ flexWrap: 'wrap' }}>
+            <span className="setting-label">Reference lines:</span>
+            <input
+              type="number"
+              style={{ width: '64px' }}
+              value={waterfall.upperLine}
+              onChange={(e) => setNumber('upperLine', e.target.value, 20)}
+            />
+            <input
+              type="number"
+              style={{ width: '64px' }}
+              value={waterfall.lowerLine}
+              onChange={(e) => setNumber('lowerLine', e.target.value, -30)}
+            />
+            <span className="setting-label">Cap at:</span>
+            <input
+              type="number"
+              min="20"
+              style={{ width: '64px' }}
+              value={waterfall.maxChange}
+              onChange={(e) => setNumber('maxChange', e.target.value, 100)}
+            />
+            <span className="setting-label">Height:</span>
+            <input
+              type="number"
+              min="120"
+              step="20"
+              style={{ width: '72px' }}
+              value={waterfall.height}
+              onChange={(e) => setWaterfall({ height: Math.max(120, parseInt(e.target.value) || 300) })}
+            />
+            <span className="setting-label">Patient IDs:</span>
+            <input
+              type="checkbox"
+              checked={waterfall.showIds}
+              onChange={(e) => setWaterfall({ showIds: e.target.checked })}
+              style={{ width: '18px', height: '18px' }}
+            />
+          </div>
+
+          {panel.bars.length === 0 ? (
+            <p className="mapper-hint" style={{ margin: '12px 0 0' }}>
+              표시할 % 변화 값이 없습니다. Column Mapping에서 "Best % change" 열이나 평가별 측정값(예: SLD) 열을 지정하세요.
+            </p>
+          ) : (
+            <div
+              ref={containerRef}
+              className="interactive-plot"
+              style={{ marginTop: '12px' }}
+              onMouseMove={handleMouseMove}
+              onClick={handleClick}
+              onMouseLeave={handleMouseLeave}
+            >
+              <SvgTree node={tree} />
+              {tooltip && (
+                <div className="plot-tooltip" style={{ left: tooltip.left, top: tooltip.top }}>
+                  {tooltip.lines.map(([label, value]) => (
+                    <div key={label}>
+                      <span className="plot-tooltip-label">{label}</span> {value}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+          {panel.missing > 0 && (
+            <p className="mapper-hint" style={{ margin: '8px 0 0' }}>
+              % 변화 값이 없는 환자 {panel.missing}명은 제외되었습니다.
+            </p>
+          )}
+          <p className="mapper-hint" style={{ margin: '8px 0 0' }}>
+            막대 색은 최우수 반응(Best response)을 따르고, 점선은 +20%(진행)와 −30%(부분 반응) 기준입니다. 보고된 % 변화 열이
+            있으면 그 값 중 최솟값을, 없으면 첫 측정값을 baseline으로 계산합니다. 막대에 마우스를 올리거나 클릭하면 위 그래프의
+            같은 환자가 강조·선택됩니다. 내보내기에는 두 그래프가 하나의 그림으로 합쳐집니다.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WaterfallPanel;
@@ -0,0 +1,123 @@
+// Candidate tick intervals per unit, smallest first
+const NICE_INTERVALS = {
+  days: [1, 2, 7, 14, 28, 30, 60, 90, 180, 365, 730],
+  weeks: [1, 2, 4, 8, 12, 26, 52, 104],
+  months: [0.5, 1, 3, 6, 12, 24, 60],
+  years: [0.25, 0.5, 1, 2, 5, 10],
+};
+// Whole-study axes keep the customary spacing (3-monthly, weekly) even when short
+const DEFAULT_MIN_INTERVAL = { days: 7, months: 3 };
+const MAX_TICKS = 10;
+// Share of the plot width given to the part before a break
+const BREAK_SHARE = 0.85;
+const BREAK_GAP = 14;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+export const autoTickInterval = (range, unit, maxTicks = MAX_TICKS, minimum = DEFAULT_MIN_INTERVAL[unit] || 0) => {
+  const candidates = (NICE_INTERVALS[unit] || NICE_INTERVALS.months).filter(interval => interval >= minimum);
+  return candidates.find(interval => range / interval <= maxTicks) || candidates[candidates.length - 1];
+};
+
+const tickRange = (from, to, interval) => {
+  const ticks = [];
+  const first = Math.ceil(round(from / interval)) * interval;
+  for (let t = first; t <= to + 1e-9; t += interval) ticks.push(round(t));
+  return ticks;
+};
+
+const timeExtent = (patients) => {
+  const times = patients.flatMap(p => [
+    p.start,
+    p.end,
+    ...p.responses.map(r => r.time),
+    ...p.events.map(event => event.time),
+  ]);
+  return times.length > 0 ? [Math.min(...times), Math.max(...times)] : [0, 0];
+};
+
+// One or two bars far longer than the rest: break between the bulk and the outliers
+export const suggestBreak = (patients, interval) => {
+  const ends = patients.map(p => p.end).sort((a, b) => b - a);
+  for (let count = 1; count <= 2; count++) {
+    if (ends.length <= count + 2) break;
+    const shortestOutlier = ends[count - 1];
+    const bulk = ends[count];
+    if (shortestOutlier < bulk * 1.5 || shortestOutlier - bulk < interval * 3) continue;
+    const start = (Math.floor(bulk / interval) + 1) * interval;
+    const end = (Math.floor(shortestOutlier / interval) - 1) * interval;
+    if (end - start >= interval) return { start: round(start), end: round(end) };
+  }
+  return null;
+};
+
+// `scale` maps a time to an x coordinate inside [x0, x0 + width]; with a break,
+// times between `break.start` and `break.end` are squeezed into a small gap.
+// A `view` ({ min, max }) shows only that window, e.g. while zoomed in.
+export const computeAxis = (patients, {
+  unit = 'months',
+  tickInterval = 0,
+  max = null,
+  brokenAxis = false,
+  breakStart = null,
+  breakEnd = null,
+  view = null,
+} = {}, { x0 = 100, width = 700 } = {}) => {
+  const [dataMin, dataMax] = timeExtent(patients);
+  const span = view ? view.max - view.min : Math.max(dataMax - Math.min(dataMin, 0), 1);
+  // Zoomed windows may be shorter than the customary spacing
+  const interval = tickInterval > 0 ? tickInterval : autoTickInterval(span, unit, MAX_TICKS, view ? 0 : undefined);
+  const min = view ? view.min : Math.min(0, Math.floor(dataMin / interval) * interval);
+  let axisMax = max !== null && max > min
+    ? max
+    : patients.length > 0 ? Math.ceil(dataMax / interval) * interval + interval : interval * 7;
+  if (view) axisMax = view.max;
+
+  let gap = null;
+  if (brokenAxis && !view) {
+    gap = breakStart !== null && breakEnd !== null ? { start: breakStart, end: breakEnd } : suggestBreak(patients, interval);
+    if (gap && !(gap.start > min && gap.end > gap.start && gap.end < axisMax)) gap = null;
+  }
+
+  let ticks = tickRange(min, axisMax, interval);
+  if (gap) {
+    // Each side of the break gets its own tick spacing unless one is set
+    const leftInterval = tickInterval > 0 ? tickInterval : autoTickInterval(gap.start - min, unit);
+    const rightInterval = tickInterval > 0 ? tickInterval : autoTickInterval(axisMax - gap.end, unit, 3);
+    ticks = [...new Set([
+      ...tickRange(min, gap.start, leftInterval),
+      gap.start,
+      gap.end,
+      ...tickRange(gap.end, axisMax, rightInterval),
+    ])].sort((a, b) => a - b);
+  }
+
+  let toX;
+  let invert;
+  let breakX = null;
+  if (gap) {
+    const leftWidth = width * BREAK_SHARE - BREAK_GAP / 2;
+    const rightX = x0 + width * BREAK_SHARE + BREAK_GAP / 2;
+    const rightWidth = x0 + width - rightX;
+    breakX = { start: x0 + leftWidth, end: rightX };
+    toX = (t) => {
+      if (t <= gap.start) return x0 + ((t - min) / (gap.start - min)) * leftWidth;
+      if (t >= gap.end) return rightX + ((t - gap.end) / (axisMax - gap.end)) * rightWidth;
+      return breakX.start + ((t - gap.start) / (gap.end - gap.start)) * BREAK_GAP;
+    };
+    invert = (x) => {
+      if (x <= breakX.start) return min + ((x - x0) / leftWidth) * (gap.start - min);
+      if (x >= rightX) return gap.end + ((x - rightX) / rightWidth) * (axisMax - gap.end);
+      return gap.start + ((x - breakX.start) / BREAK_GAP) * (gap.end - gap.start);
+    };
+  } else {
+    toX = (t) => x0 + ((t - min) / (axisMax - min)) * width;
+    invert = (x) => min + ((x - x0) / width) * (axisMax - min);
+  }
+  // A lower manual maximum cuts bars off at the edge of the axis
+  const scale = (t) => toX(Math.min(Math.max(t, min), axisMax));
+
+  return { min, max: axisMax, interval, ticks, scale, invert, dataMax, break: gap, breakX };
+};
+
+export const formatTick = (value) => String(round(value));
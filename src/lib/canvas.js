@@ -0,0 +1,156 @@
+import { parseTransform } from './pdf.js';
+import { eventTypes, eventStyle } from './events.js';
+import { trackValue } from './tracks.js';
+
+export const RENDER_MODES = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'svg', label: 'SVG' },
+  { value: 'canvas', label: 'Canvas (fast)' },
+];
+
+// In 'auto', cohorts this large are drawn on a canvas: thousands of SVG nodes make every
+// hover and setting change slow to re-render
+export const CANVAS_THRESHOLD = 300;
+
+export const usesCanvas = (renderMode, patientCount) =>
+  renderMode === 'canvas' || (renderMode === 'auto' && patientCount >= CANVAS_THRESHOLD);
+
+// Browsers refuse canvases beyond roughly these sizes; very tall charts get fewer pixels per unit
+const MAX_CANVAS_SIDE = 32000;
+const MAX_CANVAS_PIXELS = 16e6;
+
+// Pixels per chart unit for a `width` x `height` chart on a screen with `pixelRatio`
+export const canvasScale = (width, height, pixelRatio = 1) =>
+  Math.min(pixelRatio, MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height, Math.sqrt(MAX_CANVAS_PIXELS / (width * height)));
+
+const INHERITED = ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-linecap', 'font-size', 'font-family', 'font-weight', 'text-anchor'];
+const TEXT_ALIGN = { start: 'left', middle: 'center', end: 'right' };
+
+const paint = (ctx, scope, { fill = true } = {}) => {
+  if (fill && scope.fill && scope.fill !== 'none' && scope.fill !== 'transparent') {
+    ctx.fillStyle = scope.fill;
+    ctx.fill();
+  }
+  const width = Number(scope['stroke-width'] ?? 1);
+  if (scope.stroke && scope.stroke !== 'none' && width > 0) {
+    ctx.strokeStyle = scope.stroke;
+    ctx.lineWidth = width;
+    ctx.lineCap = scope['stroke-linecap'] || 'butt';
+    const dashes = scope['stroke-dasharray'] && scope['stroke-dasharray'] !== 'none'
+      ? String(scope['stroke-dasharray']).split(/[\s,]+/).map(Number)
+      : [];
+    ctx.setLineDash(dashes);
+    ctx.stroke();
+  }
+};
+
+const points = (value) => String(value).trim().split(/[\s,]+/).map(Number);
+
+// Paints an element tree (see render.js) the way the SVG output would look
+export const drawTree = (ctx, tree) => {
+  const draw = (node, style) => {
+    if (typeof node !== 'object' || node.tag === 'defs') return;
+    const a = node.attrs;
+    const scope = { ...style };
+    INHERITED.forEach(name => {
+      if (a[name] !== undefined && a[name] !== null) scope[name] = a[name];
+    });
+    const n = (name) => Number(a[name] || 0);
+
+    ctx.save();
+    if (a.transform) ctx.transform(...parseTransform(a.transform));
+    if (a.opacity !== undefined) ctx.globalAlpha *= Number(a.opacity);
+    if (a['fill-opacity'] !== undefined) ctx.globalAlpha *= Number(a['fill-opacity']);
+
+    ctx.beginPath();
+    switch (node.tag) {
+      case 'rect':
+        if (n('width') > 0 && n('height') > 0) {
+          if (n('rx') && ctx.roundRect) ctx.roundRect(n('x'), n('y'), n('width'), n('height'), n('rx'));
+          else ctx.rect(n('x'), n('y'), n('width'), n('height'));
+          paint(ctx, scope);
+        }
+        break;
+      case 'circle':
+        ctx.arc(n('cx'), n('cy'), n('r'), 0, Math.PI * 2);
+        paint(ctx, scope);
+        break;
+      case 'line':
+        ctx.moveTo(n('x1'), n('y1'));
+        ctx.lineTo(n('x2'), n('y2'));
+        paint(ctx, scope, { fill: false });
+        break;
+      case 'polygon':
+      case 'polyline': {
+        const values = points(a.points);
+        for (let i = 0; i + 1 < values.length; i += 2) {
+          if (i === 0) ctx.moveTo(values[i], values[i + 1]);
+          else ctx.lineTo(values[i], values[i + 1]);
+        }
+        if (node.tag === 'polygon') ctx.closePath();
+        paint(ctx, scope, { fill: node.tag === 'polygon' });
+        break;
+      }
+      case 'path': {
+        const path = new Path2D(a.d);
+        if (scope.fill && scope.fill !== 'none') {
+          ctx.fillStyle = scope.fill;
+          ctx.fill(path);
+        }
+        if (scope.stroke && scope.stroke !== 'none') {
+          ctx.strokeStyle = scope.stroke;
+          ctx.lineWidth = Number(scope['stroke-width'] ?? 1);
+          ctx.setLineDash([]);
+          ctx.stroke(path);
+        }
+        break;
+      }
+      case 'text':
+        ctx.font = `${scope['font-weight'] || 400} ${scope['font-size'] || 12}px ${scope['font-family']}`;
+        ctx.textAlign = TEXT_ALIGN[scope['text-anchor']] || 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = scope.fill;
+        ctx.fillText(node.children.join(''), n('x'), n('y'));
+        break;
+      default:
+        break;
+    }
+    if (node.tag !== 'text') node.children.forEach(child => draw(child, scope));
+    ctx.restore();
+  };
+
+  const style = { fill: '#000', stroke: 'none', 'font-family': tree.attrs['font-family'] || 'sans-serif' };
+  tree.children.forEach(child => draw(child, style));
+};
+
+// What is under chart point (x, y): { key, marker } like the data-patient / data-marker
+// attributes of the SVG chart, or null outside the rows
+export const hitTest = (layout, settings, x, y) => {
+  const { barHeight, barGap, style } = settings;
+  const rowHeight = barHeight + barGap;
+  if (x < layout.tracks.left - 20 || x > layout.chartWidth) return null;
+  const group = layout.groups.find(g => y >= g.top - barGap / 2 && y < g.top + g.height - barGap / 2);
+  if (!group) return null;
+  const row = group.rows[Math.floor((y - group.top + barGap / 2) / rowHeight)];
+  if (!row) return null;
+  const { patient } = row;
+  const midY = row.y + barHeight / 2;
+  const { axis } = layout;
+  const inView = (t) => t >= axis.min - 1e-9 && t <= axis.max + 1e-9;
+  const near = (time, offset, size) =>
+    inView(time) && Math.abs(axis.scale(time) - x) <= size + 1 && Math.abs(midY + offset - y) <= size + 1;
+
+  // Events are drawn over responses, so they win when both are under the pointer
+  const types = eventTypes(layout.population);
+  const event = patient.events.findIndex(e => {
+    const marker = eventStyle(e.type, types, settings.eventStyles);
+    return marker.visible && near(e.time, marker.offset, marker.size);
+  });
+  if (event >= 0) return { key: patient.key, marker: { kind: 'event', index: event } };
+  const response = patient.responses.findIndex(resp => near(resp.time, 0, style.markerSize));
+  if (response >= 0) return { key: patient.key, marker: { kind: 'response', index: response } };
+  const track = layout.tracks.columns.findIndex(column =>
+    x >= column.x && x <= column.x + column.width && trackValue(patient, column.track.field) !== null);
+  if (track >= 0) return { key: patient.key, marker: { kind: 'track', index: track } };
+  return { key: patient.key, marker: null };
+};
@@ -0,0 +1,70 @@
+import { isBlank } from './records.js';
+
+// CDISC ADaM / SDTM datasets and what each contributes, recognized by dataset name
+// or, for renamed files, by the variables it has
+export const CDISC_DATASETS = [
+  { name: 'ADSL', role: 'baseline', variables: ['USUBJID', 'TRTSDT'] },
+  { name: 'DM', role: 'baseline', variables: ['USUBJID', 'RFSTDTC', 'ARM'] },
+  { name: 'ADRS', role: 'assessments', variables: ['USUBJID', 'PARAMCD', 'AVALC', 'ADT'] },
+  { name: 'RS', role: 'assessments', variables: ['USUBJID', 'RSTESTCD', 'RSDTC'] },
+  { name: 'ADEX', role: 'phases', variables: ['USUBJID', 'EXTRT', 'ASTDT'] },
+  { name: 'EX', role: 'phases', variables: ['USUBJID', 'EXTRT', 'EXSTDTC'] },
+  { name: 'ADAE', role: 'events', variables: ['USUBJID', 'AEDECOD', 'ASTDT'] },
+  { name: 'AE', role: 'events', variables: ['USUBJID', 'AEDECOD', 'AESTDTC'] },
+];
+
+// Variables that select the rows to use: the parameter (overall response per visit rather
+// than best overall response, for a swimmer plot), evaluator, visit and analysis flag.
+// `preferred` values are selected by default; other columns start with every value
+export const CDISC_FILTERS = [
+  { column: 'PARAMCD', label: 'Parameter', preferred: ['OVRLRESP', 'OVRLRES', 'OVRESP', 'RECIST', 'BOR'] },
+  { column: 'RSTESTCD', label: 'Parameter', preferred: ['OVRLRESP', 'OVRLRES', 'OVRESP'] },
+  { column: 'PARQUAL', label: 'Evaluator', preferred: ['INVESTIGATOR'] },
+  { column: 'RSEVAL', label: 'Evaluator', preferred: ['INVESTIGATOR'] },
+  { column: 'AVISIT', label: 'Visit' },
+  { column: 'VISIT', label: 'Visit' },
+  { column: 'ANL01FL', label: 'Analysis flag', preferred: ['Y'] },
+];
+
+const MAX_FILTER_VALUES = 100;
+
+// ADSL and DM hold many dates (informed consent, birth, study end...) that are not plot events;
+// markers come from the mapped death and ASCT dates and any event table instead
+export const cdiscMapping = (mapping) => ({ ...mapping, events: [] });
+
+const datasetName = (table) => String(table.sheet || table.fileName.replace(/\.[^.]+$/, '')).trim().toUpperCase();
+
+export const cdiscDataset = (table) => {
+  const name = datasetName(table);
+  const byName = CDISC_DATASETS.find(dataset => dataset.name === name);
+  if (byName) return byName;
+  const headers = new Set(table.headers.map(header => String(header).toUpperCase()));
+  return CDISC_DATASETS.find(dataset => dataset.variables.every(variable => headers.has(variable))) || null;
+};
+
+// Filterable variables of a table with their values and row counts, in order of appearance
+export const filterOptions = (table) => CDISC_FILTERS
+  .filter(filter => table.headers.includes(filter.column))
+  .filter((filter, i, all) => all.findIndex(f => f.label === filter.label) === i)
+  .map(filter => {
+    const counts = new Map();
+    table.rows.forEach(row => {
+      const value = isBlank(row[filter.column]) ? '' : String(row[filter.column]).trim();
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return { ...filter, values: [...counts].map(([value, count]) => ({ value, count })) };
+  })
+  .filter(filter => filter.values.length > 1 && filter.values.length <= MAX_FILTER_VALUES);
+
+// { column: [selected values] } for the columns with a preferred value present
+export const defaultFilters = (table) => Object.fromEntries(filterOptions(table)
+  .map(filter => [filter.column, (filter.preferred || []).find(value => filter.values.some(v => v.value === value))])
+  .filter(([, value]) => value !== undefined)
+  .map(([column, value]) => [column, [value]]));
+
+export const applyFilters = (rows, filters = {}) => {
+  const entries = Object.entries(filters);
+  if (entries.length === 0) return rows;
+  return rows.filter(row => entries.every(([column, values]) =>
+    values.includes(isBlank(row[column]) ? '' : String(row[column]).trim())));
+};
@@ -0,0 +1,320 @@
+import { MATCH_THRESHOLD, scoreHeader } from './headerMatching.js';
+import { detectEventColumns } from './events.js';
+
+export const COLUMN_ROLES = [
+  {
+    key: 'patientId',
+    label: 'Patient ID',
+    required: true,
+    synonyms: ['patient_id', 'patientid', 'patient', 'subjid', 'usubjid', 'subject', 'subjectid', 'subject_id', 'ptid', 'pid', 'id', 'screening_no'],
+  },
+  {
+    key: 'cohort',
+    label: 'Cohort',
+    required: false,
+    synonyms: ['cohort', 'arm', 'armcd', 'actarm', 'trt01p', 'trt01a', 'trta', 'trtp', 'group', 'treatment', 'dose_level'],
+  },
+  {
+    key: 'startDate',
+    label: 'Treatment start (C1D1)',
+    required: true,
+    synonyms: ['c1d1', 'trtsdt', 'trtstdt', 'rfstdtc', 'rfxstdtc', 'exstdtc', 'start_date', 'treatment_start', 'first_dose', 'first_dose_date'],
+  },
+  {
+    key: 'randomizationDate',
+    label: 'Randomization date',
+    required: false,
+    synonyms: ['randomization_date', 'randomisation_date', 'rand_date', 'randdt', 'randdtc', 'randomization', 'rando_date'],
+  },
+  {
+    key: 'diagnosisDate',
+    label: 'Diagnosis date',
+    required: false,
+    synonyms: ['diagnosis_date', 'diag_date', 'diagdt', 'dxdt', 'dx_date', 'initial_diagnosis_date', 'date_of_diagnosis'],
+  },
+  {
+    key: 'asctDate',
+    label: 'ASCT date',
+    required: false,
+    synonyms: ['asct_date', 'asct', 'asctdt', 'transplant_date', 'sct_date', 'sctdt'],
+  },
+  {
+    key: 'deathDate',
+    label: 'Death date',
+    required: false,
+    synonyms: ['death_date', 'dthdt', 'dthdtc', 'deathdate', 'date_of_death', 'dod'],
+  },
+  {
+    key: 'eotDate',
+    label: 'End of treatment date',
+    required: false,
+    synonyms: ['eot_date', 'eot', 'eotdt', 'trtedt', 'rfxendtc', 'end_of_treatment', 'treatment_end', 'last_dose', 'last_dose_date'],
+  },
+  {
+    key: 'lastFollowupDate',
+    label: 'Last follow-up date',
+    required: false,
+    synonyms: ['last_followup_date', 'last_followup', 'last_fu', 'lfu_date', 'lstalvdt', 'last_contact', 'last_contact_date', 'last_known_alive'],
+  },
+  {
+    key: 'ongoing',
+    label: 'Ongoing (Y/N)',
+    required: false,
+    synonyms: ['ongoing', 'on_treatment', 'ontrt', 'continuing', 'trt_ongoing', 'eotstt'],
+  },
+  {
+    key: 'discontinuationReason',
+    label: 'Discontinuation reason',
+    required: false,
+    synonyms: ['discontinuation_reason', 'disc_reason', 'dcreas', 'dcsreas', 'eot_reason', 'reason_eot', 'eosreas', 'dcdecod', 'dctreas'],
+  },
+  {
+    key: 'percentChange',
+    label: 'Best % change (waterfall)',
+    required: false,
+    synonyms: ['best_pchg', 'pchg', 'best_percent_change', 'percent_change', 'pct_change', 'pct_chg', 'best_change', 'max_reduction', 'tumor_change'],
+  },
+];
+
+export const ASSESSMENT_DATE_SYNONYMS = ['resp_date', 'response_date', 'respdt', 'adt', 'rsdtc', 'rsdt', 'assess_date', 'assessment_date', 'visit_date', 'eval_date'];
+export const ASSESSMENT_RESPONSE_SYNONYMS = ['response', 'resp', 'avalc', 'rsorres', 'rsstresc', 'ovrlresp', 'overall_response', 'result'];
+// Optional tumor size per assessment (sum of target lesion diameters), for the waterfall plot
+export const ASSESSMENT_MEASUREMENT_SYNONYMS = ['sld', 'sum_of_diameters', 'sum_diameters', 'sumdiam', 'target_sum', 'tumor_size', 'tumor_burden', 'measurement'];
+
+const STORAGE_KEY = 'swimmerPlot.columnMappings';
+
+const splitNumbered = (header) => {
+  const match = String(header).match(/^(.*?)[\s_.-]*(\d+)$/);
+  if (!match || !match[1]) return null;
+  return { base: match[1], index: parseInt(match[2], 10) };
+};
+
+export const detectAssessmentColumns = (headers) => {
+  const groups = {};
+  headers.forEach(header => {
+    const parts = splitNumbered(header);
+    if (!parts) return;
+    if (!groups[parts.base]) groups[parts.base] = {};
+    groups[parts.base][parts.index] = header;
+  });
+
+  const pickBase = (synonyms) => {
+    let best = null;
+    let bestScore = MATCH_THRESHOLD;
+    Object.keys(groups).forEach(base => {
+      const score = scoreHeader(base, synonyms);
+      if (score > bestScore) {
+        best = base;
+        bestScore = score;
+      }
+    });
+    return best;
+  };
+
+  const dateBase = pickBase(ASSESSMENT_DATE_SYNONYMS);
+  const responseBase = pickBase(ASSESSMENT_RESPONSE_SYNONYMS);
+  if (!dateBase || !responseBase || dateBase === responseBase) return [];
+  const measurementBase = pickBase(ASSESSMENT_MEASUREMENT_SYNONYMS);
+  const measurements = measurementBase && ![dateBase, responseBase].includes(measurementBase) ? groups[measurementBase] : {};
+
+  return Object.keys(groups[dateBase])
+    .map(Number)
+    .filter(i => groups[responseBase][i])
+    .sort((a, b) => a - b)
+    .map(i => ({
+      date: groups[dateBase][i],
+      response: groups[responseBase][i],
+      ...(measurements[i] ? { measurement: measurements[i] } : {}),
+    }));
+};
+
+export const LAYOUTS = [
+  { value: 'wide', label: 'Wide (one row per patient)' },
+  { value: 'long', label: 'Long (one row per assessment)' },
+];
+
+const PHASE_COLUMN = /^(.*?)[\s_.-]*(start|end|stdt|endt)(?:[\s_.-]*(?:date|dt|dtc))?$/i;
+const START_SUFFIXES = ['start', 'stdt'];
+
+// Wide columns such as Induction_start / Induction_end
+export const detectPhaseColumns = (headers, exclude = []) => {
+  const skip = new Set(exclude.filter(Boolean));
+  const phases = new Map();
+
+  headers.forEach(header => {
+    if (skip.has(header)) return;
+    const match = String(header).match(PHASE_COLUMN);
+    if (!match || !match[1]) return;
+    const name = match[1].replace(/[_.-]+/g, ' ').trim();
+    if (!name || /^(treatment|trt|study|date|resp|response|c1d1)$/i.test(name)) return;
+
+    if (!phases.has(name)) phases.set(name, { name, start: '', end: '' });
+    const isStart = START_SUFFIXES.includes(match[2].toLowerCase());
+    phases.get(name)[isStart ? 'start' : 'end'] = header;
+  });
+
+  return [...phases.values()].filter(phase => phase.start);
+};
+
+export const emptyMapping = () => ({
+  layout: 'wide',
+  ...Object.fromEntries(COLUMN_ROLES.map(role => [role.key, ''])),
+  assessments: [],
+  phases: [],
+  phaseTable: null,
+  events: [],
+  eventRows: { type: '', date: '' },
+  eventTable: null,
+});
+
+// Repeated patient IDs without numbered assessment columns mean one row per visit
+export const detectLayout = (rows, mapping) => {
+  if (!mapping.patientId || mapping.assessments.length > 1) return 'wide';
+  const ids = rows
+    .map(row => row[mapping.patientId])
+    .filter(id => id !== undefined && id !== null && String(id).trim() !== '')
+    .map(id => String(id).trim());
+  return new Set(ids).size < ids.length ? 'long' : 'wide';
+};
+
+export const guessMapping = (headers, rows = []) => {
+  const mapping = emptyMapping();
+  mapping.assessments = detectAssessmentColumns(headers);
+
+  const taken = new Set(mapping.assessments.flatMap(pair => [pair.date, pair.response]));
+  const candidates = [];
+  COLUMN_ROLES.forEach(role => {
+    headers.forEach(header => {
+      if (taken.has(header)) return;
+      const score = scoreHeader(header, role.synonyms);
+      if (score >= MATCH_THRESHOLD) candidates.push({ role: role.key, header, score });
+    });
+  });
+
+  // Greedy assignment, best matches first, each header used at most once
+  candidates.sort((a, b) => b.score - a.score);
+  candidates.forEach(({ role, header }) => {
+    if (mapping[role] || taken.has(header)) return;
+    mapping[role] = header;
+    taken.add(header);
+  });
+
+  // No numbered columns: fall back to a single date/response pair
+  if (mapping.assessments.length === 0) {
+    const bestHeader = (synonyms) => headers
+      .filter(header => !taken.has(header))
+      .map(header => ({ header, score: scoreHeader(header, synonyms) }))
+      .filter(({ score }) => score >= MATCH_THRESHOLD)
+      .sort((a, b) => b.score - a.score)[0]?.header;
+
+    const date = bestHeader(ASSESSMENT_DATE_SYNONYMS);
+    const response = bestHeader(ASSESSMENT_RESPONSE_SYNONYMS);
+    if (date && response && date !== response) {
+      const measurement = bestHeader(ASSESSMENT_MEASUREMENT_SYNONYMS);
+      mapping.assessments = [{ date, response, ...(measurement && ![date, response].includes(measurement) ? { measurement } : {}) }];
+    }
+  }
+
+  const used = [...taken, ...mapping.assessments.flatMap(pair => [pair.date, pair.response, pair.measurement])].filter(Boolean);
+  mapping.phases = detectPhaseColumns(headers, used);
+  mapping.events = detectEventColumns(headers, rows, [...used, ...mapping.phases.flatMap(phase => [phase.start, phase.end])]);
+  mapping.layout = detectLayout(rows, mapping);
+  return mapping;
+};
+
+export const mappedColumns = (mapping) => [
+  ...COLUMN_ROLES.map(role => mapping[role.key]),
+  ...mapping.assessments.flatMap(pair => [pair.date, pair.response, pair.measurement]),
+  ...(mapping.phases || []).flatMap(phase => [phase.start, phase.end]),
+  ...(mapping.events || []).map(event => event.column),
+  mapping.eventRows?.type,
+  mapping.eventRows?.date,
+].filter(Boolean);
+
+export const validateMapping = (mapping) => {
+  const errors = [];
+  COLUMN_ROLES.forEach(role => {
+    if (role.required && !mapping[role.key]) {
+      errors.push(`${role.label} 컬럼을 지정해야 합니다.`);
+    }
+  });
+  if (!mapping.assessments.some(pair => pair.date && pair.response)) {
+    errors.push('반응 평가 날짜/결과 컬럼을 한 쌍 이상 지정해야 합니다.');
+  }
+  (mapping.phases || []).forEach((phase, i) => {
+    if (!phase.name.trim() || !phase.start) {
+      errors.push(`치료 단계 ${i + 1}의 이름과 시작일 컬럼을 지정해야 합니다.`);
+    }
+  });
+  (mapping.events || []).forEach((event, i) => {
+    if (!event.column || !event.type.trim()) {
+      errors.push(`이벤트 ${i + 1}의 컬럼과 이벤트 이름을 지정해야 합니다.`);
+    }
+  });
+  if (!mapping.eventRows?.type !== !mapping.eventRows?.date) {
+    errors.push('이벤트 행을 사용하려면 이벤트 종류와 날짜 컬럼을 모두 지정해야 합니다.');
+  }
+  if (mapping.layout === 'long' && mapping.assessments.length > 1) {
+    errors.push('Long 형식에서는 반응 평가 날짜/결과 컬럼을 한 쌍만 지정합니다.');
+  }
+  return errors;
+};
+
+export const isMappingApplicable = (mapping, headers) => {
+  const available = new Set(headers);
+  const columns = mappedColumns(mapping);
+  return columns.length > 0 && columns.every(column => available.has(column));
+};
+
+const readStorage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const loadSavedMappings = () => readStorage();
+
+export const saveMapping = (name, mapping) => {
+  const saved = readStorage().filter(entry => entry.name !== name);
+  saved.unshift({ name, mapping, savedAt: new Date().toISOString() });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+export const deleteMapping = (name) => {
+  const saved = readStorage().filter(entry => entry.name !== name);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+export const initialMapping = (headers, rows) => {
+  const reusable = readStorage().find(entry => isMappingApplicable(entry.mapping, headers));
+  if (reusable) return { ...emptyMapping(), ...reusable.mapping };
+  return guessMapping(headers, rows);
+};
+
+// A saved mapping (project, earlier data cut) applied to a new file: columns that still
+// exist are kept, missing ones are dropped or re-guessed from the new headers
+export const reapplyMapping = (saved, headers, rows) => {
+  const mapping = { ...emptyMapping(), ...saved };
+  if (isMappingApplicable(mapping, headers)) return { mapping, missing: [] };
+
+  const available = new Set(headers);
+  const present = (column) => !column || available.has(column);
+  const guessed = guessMapping(headers, rows);
+  COLUMN_ROLES.forEach(role => {
+    if (!present(mapping[role.key])) mapping[role.key] = guessed[role.key];
+  });
+  const assessments = mapping.assessments
+    .filter(pair => present(pair.date) && present(pair.response))
+    .map(({ measurement, ...pair }) => (measurement && available.has(measurement) ? { ...pair, measurement } : pair));
+  mapping.assessments = assessments.length > 0 ? assessments : guessed.assessments;
+  mapping.phases = (mapping.phases || []).filter(phase => present(phase.start) && present(phase.end));
+  mapping.events = (mapping.events || []).filter(event => present(event.column));
+  if (!present(mapping.eventRows?.type) || !present(mapping.eventRows?.date)) mapping.eventRows = { type: '', date: '' };
+  const missing = mappedColumns({ ...emptyMapping(), ...saved }).filter(column => !available.has(column));
+  return { mapping, missing: [...new Set(missing)] };
+};
@@ -0,0 +1,198 @@
+import { MS_PER_DAY, originColumn } from './time.js';
+
+// How text dates are read; numbers are Excel serials unless SAS is chosen
+export const DATE_FORMATS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: 'ymd', label: 'YYYY-MM-DD' },
+  { value: 'dmy', label: 'DD/MM/YYYY' },
+  { value: 'mdy', label: 'MM/DD/YYYY' },
+  { value: 'dmony', label: 'DD-MMM-YYYY' },
+  { value: 'sas', label: 'SAS date number (days since 1960)' },
+];
+
+// Partial dates ("2023-01", "UN-JAN-2023", "2023") are dropped or completed
+export const IMPUTATION_RULES = [
+  { value: 'none', label: 'Do not impute' },
+  { value: 'first', label: 'First of the period' },
+  { value: 'mid', label: 'Middle of the period' },
+  { value: 'last', label: 'Last of the period' },
+];
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const UNKNOWN = ['UN', 'UNK', 'UK', 'XX', 'NK'];
+const PART = '(\\d{1,2}|UN|UNK|UK|XX|NK)';
+
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const SAS_EPOCH = Date.UTC(1960, 0, 1);
+
+// Year first: 2023-01-05, 2023/01/05, 2023-01, 2023-01-UN, 20230105, ISO date-times
+const YMD = new RegExp(`^(\\d{4})[-/.]${PART}(?:[-/.]${PART})?(?:[T ][\\d:.]+(?:Z|[+-]\\d{2}:?\\d{2})?)?$`);
+const YMD_COMPACT = /^(\d{4})(\d{2})(\d{2})$/;
+const YEAR = /^(\d{4})$/;
+// Day and month as numbers: 05/01/2023, 5.1.23, UN/01/2023, 01/2023
+const NUMERIC = new RegExp(`^${PART}[-/.]${PART}[-/.](\\d{4}|\\d{2})$`);
+const MONTH_YEAR = /^(\d{1,2})[-/.](\d{4})$/;
+// Month names: 05-JAN-2023, 05JAN2023, 5 Jan 2023, UN-JAN-2023, JAN-2023, UNK-UNK-2023, January 5, 2023
+const NAMED = new RegExp(`^(?:${PART}[-\\s/]?)?([A-Z]{3,9}|UNK|UN)\\.?[-\\s/,]*(\\d{4}|\\d{2})$`);
+const NAMED_MDY = /^([A-Z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/;
+
+const isUnknown = (part) => part === undefined || part === null || UNKNOWN.includes(part);
+
+const fullYear = (text) => {
+  const year = parseInt(text, 10);
+  if (text.length > 2) return year;
+  return year < 50 ? 2000 + year : 1900 + year;
+};
+
+const monthNumber = (name) => {
+  if (isUnknown(name)) return null;
+  const index = MONTHS.indexOf(name.slice(0, 3));
+  return index >= 0 ? index + 1 : undefined;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// { year, month, day } with null for unknown parts, or null when the text is not a date.
+// Year-first and month-name dates are unambiguous and always read; the format decides
+// numeric day/month dates, which YYYY-MM-DD and DD-MMM-YYYY do not accept
+const textParts = (text, format, order) => {
+  let match;
+  const numeric = (day, month, year) => ({
+    year: fullYear(year),
+    month: isUnknown(month) ? null : parseInt(month, 10),
+    day: isUnknown(day) ? null : parseInt(day, 10),
+  });
+
+  if ((match = YMD.exec(text))) return numeric(match[3], match[2], match[1]);
+  if ((match = YMD_COMPACT.exec(text))) return numeric(match[3], match[2], match[1]);
+  if ((match = YEAR.exec(text))) return { year: parseInt(match[1], 10), month: null, day: null };
+  if (format === 'auto' || format === 'dmy' || format === 'mdy') {
+    const dayFirst = (format === 'auto' ? order : format) === 'dmy';
+    if ((match = NUMERIC.exec(text))) {
+      return dayFirst ? numeric(match[1], match[2], match[3]) : numeric(match[2], match[1], match[3]);
+    }
+    if ((match = MONTH_YEAR.exec(text))) return numeric(null, match[1], match[2]);
+  }
+  if ((match = NAMED.exec(text))) {
+    const month = monthNumber(match[2]);
+    if (month === undefined) return null;
+    return { year: fullYear(match[3]), month, day: isUnknown(match[1]) ? null : parseInt(match[1], 10) };
+  }
+  if ((match = NAMED_MDY.exec(text))) {
+    const month = monthNumber(match[1]);
+    return month ? { year: parseInt(match[3], 10), month, day: parseInt(match[2], 10) } : null;
+  }
+  return null;
+};
+
+const fromParts = ({ year, month, day }, imputation) => {
+  if (month !== null && (month < 1 || month > 12)) return null;
+  if (month === null && day !== null) return null;
+  if (day !== null && (day < 1 || day > daysInMonth(year, month))) return null;
+  if (day !== null) return { date: new Date(Date.UTC(year, month - 1, day)), imputed: null };
+
+  const imputed = month === null ? 'month' : 'day';
+  if (imputation === 'none') return { date: null, partial: true, imputed };
+  const m = month ?? { first: 1, mid: 7, last: 12 }[imputation];
+  const d = month === null && imputation === 'mid' ? 1 : { first: 1, mid: 15, last: daysInMonth(year, m) }[imputation];
+  return { date: new Date(Date.UTC(year, m - 1, d)), imputed };
+};
+
+const fromSerial = (value, serial) => {
+  if (!isFinite(value)) return null;
+  const epoch = serial === 'sas' ? SAS_EPOCH : EXCEL_EPOCH;
+  // Whole days only; a time of day would shift the calendar date
+  return { date: new Date(epoch + Math.floor(value) * MS_PER_DAY), imputed: null };
+};
+
+// Calendar dates are UTC midnight, so day arithmetic never depends on the time zone.
+// Returns { date, imputed } (imputed: 'day', 'month' or null), { date: null, partial: true }
+// for a partial date that is not imputed, or null for blanks and text that is not a date
+export const readDate = (value, { format = 'auto', order = 'mdy', serial = 'excel', imputation = 'none' } = {}) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) {
+    if (isNaN(value)) return null;
+    if (value.getTime() % MS_PER_DAY === 0) return { date: value, imputed: null };
+    // Spreadsheet dates arrive as local midnight
+    return { date: new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())), imputed: null };
+  }
+  if (typeof value === 'number') return fromSerial(value, format === 'sas' ? 'sas' : serial);
+
+  const text = String(value).trim().toUpperCase();
+  if (!text) return null;
+  if (/^\d{5}(\.\d+)?$/.test(text)) return fromSerial(parseFloat(text), format === 'sas' ? 'sas' : serial);
+  const parts = textParts(text, format === 'sas' ? 'auto' : format, order);
+  return parts ? fromParts(parts, imputation) : null;
+};
+
+// Day/month order of numeric dates and the epoch of date numbers, from all the date values
+// of a file. `ambiguous` is set when no day is above 12, so the order is only assumed
+export const detectDateFormat = (values) => {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  let numericDates = 0;
+  const serials = [];
+  values.forEach(value => {
+    if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(String(value ?? '').trim())) {
+      serials.push(Number(value));
+      return;
+    }
+    const match = NUMERIC.exec(String(value ?? '').trim().toUpperCase());
+    if (!match) return;
+    numericDates++;
+    const [a, b] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+    if (a > 12 && b <= 12) dayFirst++;
+    if (b > 12 && a <= 12) monthFirst++;
+  });
+
+  // SAS day counts read as Excel serials land before 1980; trial dates do not
+  const year = (epoch, n) => new Date(epoch + n * MS_PER_DAY).getUTCFullYear();
+  const serial = serials.length > 0 && serials.every(n => year(EXCEL_EPOCH, n) < 1980 && year(SAS_EPOCH, n) >= 1960)
+    ? 'sas'
+    : 'excel';
+  return {
+    order: dayFirst > monthFirst ? 'dmy' : 'mdy',
+    serial,
+    ambiguous: numericDates > 0 && dayFirst === 0 && monthFirst === 0,
+    conflicting: dayFirst > 0 && monthFirst > 0,
+  };
+};
+
+export const dateFormatLabel = ({ order, serial }) =>
+  `${order === 'dmy' ? 'DD/MM/YYYY' : 'MM/DD/YYYY'}${serial === 'sas' ? ', SAS date numbers' : ''}`;
+
+// Every mapped date value: main file, origin column and side tables
+export const mappedDateValues = (rows, mapping, time, { phaseTable = null, eventTable = null } = {}) => {
+  const columns = [
+    mapping.startDate,
+    mapping.randomizationDate,
+    mapping.diagnosisDate,
+    mapping.asctDate,
+    mapping.deathDate,
+    mapping.eotDate,
+    mapping.lastFollowupDate,
+    time ? originColumn(time.origin, mapping) : null,
+    ...(mapping.assessments || []).map(pair => pair.date),
+    ...(mapping.phases || []).flatMap(phase => [phase.start, phase.end]),
+    ...(mapping.events || []).map(event => event.column),
+    mapping.eventRows?.date,
+  ].filter(Boolean);
+  const values = (tableRows, tableColumns) => tableRows.flatMap(row => tableColumns.map(column => row[column]));
+  return [
+    ...values(rows, [...new Set(columns)]),
+    ...(phaseTable ? values(phaseTable.rows, [phaseTable.mapping.start, phaseTable.mapping.end].filter(Boolean)) : []),
+    ...(eventTable ? values(eventTable.rows, [eventTable.mapping.date].filter(Boolean)) : []),
+  ].filter(value => value !== undefined && value !== null && value !== '');
+};
+
+// One reader for a whole file: the chosen format, or the one detected from its values
+export const createDateReader = (values, time = {}) => {
+  const format = time.dateFormat || 'auto';
+  const detected = detectDateFormat(format === 'auto' ? values : []);
+  const options = { format, order: detected.order, serial: detected.serial, imputation: time.imputation || 'none' };
+  const read = (value) => readDate(value, options);
+  read.detected = detected;
+  return read;
+};
+
+export const parseDate = (value, options) => readDate(value, options)?.date || null;
@@ -0,0 +1,77 @@
+import { isBlank } from './records.js';
+import { sheetRow, validateData } from './validation.js';
+
+// Edits to the loaded rows, undone and redone in order:
+// { type: 'set', rowIndex, column, from, to, patientId }
+// { type: 'insert', rowIndex, row } / { type: 'delete', rowIndex, row, patientId }
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+export const applyEdit = (source, edit) => {
+  const rows = [...source.rows];
+  if (edit.type === 'set') rows[edit.rowIndex] = { ...rows[edit.rowIndex], [edit.column]: edit.to };
+  if (edit.type === 'insert') rows.splice(edit.rowIndex, 0, edit.row);
+  if (edit.type === 'delete') rows.splice(edit.rowIndex, 1);
+  return { ...source, rows };
+};
+
+export const revertEdit = (source, edit) => {
+  const rows = [...source.rows];
+  if (edit.type === 'set') rows[edit.rowIndex] = { ...rows[edit.rowIndex], [edit.column]: edit.from };
+  if (edit.type === 'insert') rows.splice(edit.rowIndex, 1);
+  if (edit.type === 'delete') rows.splice(edit.rowIndex, 0, edit.row);
+  return { ...source, rows };
+};
+
+// A new edit drops whatever was undone before it
+export const recordEdit = (history, edit) => ({ past: [...history.past, edit], future: [] });
+
+export const undoHistory = (history) => ({
+  past: history.past.slice(0, -1),
+  future: [history.past[history.past.length - 1], ...history.future],
+});
+
+export const redoHistory = (history) => ({
+  past: [...history.past, history.future[0]],
+  future: history.future.slice(1),
+});
+
+export const cellText = (value) => {
+  if (isBlank(value)) return '';
+  if (value instanceof Date) return isNaN(value) ? '' : value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+// Typed text keeps the cell a number when it was one (Excel serial dates, % change)
+export const cellValue = (text, previous) => {
+  const trimmed = text.trim();
+  if (trimmed === '') return '';
+  if (typeof previous === 'number' && /^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  return trimmed;
+};
+
+// In a long file a new row below another keeps its patient ID, so the patient gains a visit;
+// in a wide file (one row per patient) it starts blank rather than duplicating the ID
+export const insertedRow = (source, rowIndex, mapping = null) => {
+  const row = Object.fromEntries(source.headers.map(header => [header, '']));
+  const above = source.rows[rowIndex - 1];
+  if (mapping?.layout === 'long' && mapping.patientId && above) row[mapping.patientId] = above[mapping.patientId];
+  return row;
+};
+
+const shown = (value) => (isBlank(value) ? '(blank)' : cellText(value));
+const patient = (edit) => (edit.patientId ? ` (${edit.patientId})` : '');
+
+export const describeEdit = (edit) => {
+  if (edit.type === 'set') {
+    return `Row ${sheetRow(edit.rowIndex)}${patient(edit)} · ${edit.column}: ${shown(edit.from)} → ${shown(edit.to)}`;
+  }
+  if (edit.type === 'insert') return `Added row ${sheetRow(edit.rowIndex)}`;
+  return `Deleted row ${sheetRow(edit.rowIndex)}${patient(edit)}`;
+};
+
+// Issues a value would raise in its cell, checked before it is entered
+export const draftIssues = (source, mapping, options, { rowIndex, column, value }) => {
+  const rows = applyEdit(source, { type: 'set', rowIndex, column, to: value }).rows;
+  return validateData(rows, mapping, options)
+    .filter(issue => issue.rowIndex === rowIndex && issue.field === column && issue.severity !== 'info');
+};
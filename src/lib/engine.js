@@ -0,0 +1,42 @@
+import { processData } from './processData.js';
+import { validateData, excludedRows } from './validation.js';
+import { DEFAULT_VOCABULARY } from './vocabularies.js';
+import { resolveSettings } from './settings.js';
+import { computeLayout } from './layout.js';
+import { filterPatients } from './filtering.js';
+import { renderPlot } from './render.js';
+import { computeWaterfall, renderWaterfall, compositeFigure } from './waterfall.js';
+import { toSvgString } from './svg.js';
+
+// Headless pipeline used by the CLI: rows + mapping -> validated patients -> filtered subset -> layout -> element tree.
+// The React UI runs the same steps separately so each one can be memoized.
+// `figure` is what gets exported: the plot, with the waterfall panel when it is switched on.
+export const createPlot = ({
+  rows,
+  mapping,
+  vocabulary = DEFAULT_VOCABULARY,
+  settings: overrides = {},
+  phaseTable = null,
+  eventTable = null,
+}) => {
+  const settings = resolveSettings(overrides);
+  const issues = validateData(rows, mapping, { vocabulary, time: settings.time, phaseTable, eventTable });
+  const processed = processData(rows, mapping, {
+    exclude: excludedRows(issues, settings.flaggedRows),
+    vocabulary,
+    phaseTable,
+    eventTable,
+    time: settings.time,
+  });
+  const patients = filterPatients(processed, settings.filters, settings.patientOverrides);
+  const layout = computeLayout(patients, settings, { vocabulary });
+  const tree = renderPlot(layout, settings, { vocabulary });
+  let figure = { tree, width: layout.width, height: layout.height };
+  if (settings.waterfall.show) {
+    const waterfall = computeWaterfall(layout, settings);
+    figure = compositeFigure(figure, { ...waterfall, tree: renderWaterfall(waterfall, settings, { vocabulary }) }, settings.waterfall.placement);
+  }
+  return { settings, issues, patients, layout, tree, figure };
+};
+
+export const renderSvg = (input) => toSvgString(createPlot(input).figure.tree);
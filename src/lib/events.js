@@ -0,0 +1,124 @@
+import { MATCH_THRESHOLD, scoreHeader } from './headerMatching.js';
+import { isBlank } from './records.js';
+
+export const BUILTIN_EVENT_STYLES = {
+  ASCT: { label: 'ASCT', shape: 'diamond', color: '#9B59B6', size: 6, offset: 0, visible: true },
+  Death: { label: 'Death', shape: 'x', color: '#E53935', size: 5, offset: 0, visible: true },
+};
+
+const EVENT_PALETTE = ['#FF7F0E', '#17BECF', '#D62728', '#2CA02C', '#8C564B', '#E377C2', '#BCBD22', '#7F7F7F'];
+const EVENT_SHAPES = ['triangle', 'star', 'arrow', 'square', 'diamond', 'circle'];
+
+export const EVENT_TABLE_ROLES = [
+  {
+    key: 'patientId',
+    label: 'Patient ID',
+    required: true,
+    synonyms: ['patient_id', 'patientid', 'subjid', 'usubjid', 'subject', 'ptid', 'id'],
+  },
+  {
+    key: 'type',
+    label: 'Event type',
+    required: true,
+    synonyms: ['event', 'event_type', 'eventtype', 'type', 'category', 'aeterm', 'aedecod', 'term', 'paramcd'],
+  },
+  {
+    key: 'date',
+    label: 'Event date',
+    required: true,
+    synonyms: ['date', 'event_date', 'eventdate', 'adt', 'astdt', 'aestdtc', 'dtc', 'onset_date'],
+  },
+];
+
+export const guessEventTableMapping = (headers) => {
+  const mapping = {};
+  const taken = new Set();
+  EVENT_TABLE_ROLES.forEach(role => {
+    const best = headers
+      .filter(header => !taken.has(header))
+      .map(header => ({ header, score: scoreHeader(header, role.synonyms) }))
+      .filter(({ score }) => score >= MATCH_THRESHOLD)
+      .sort((a, b) => b.score - a.score)[0];
+    mapping[role.key] = best ? best.header : '';
+    if (best) taken.add(best.header);
+  });
+  return mapping;
+};
+
+export const validateEventTableMapping = (mapping) =>
+  EVENT_TABLE_ROLES
+    .filter(role => role.required && !mapping[role.key])
+    .map(role => `이벤트 테이블의 ${role.label} 컬럼을 지정해야 합니다.`);
+
+// Event type name for a column: strips numbering and date suffixes (SAE_date2 -> SAE)
+export const eventTypeFromColumn = (column) =>
+  String(column)
+    .replace(/[\s_.-]*\d+$/, '')
+    .replace(/[\s_.-]*(date|dt|dtc)$/i, '')
+    .replace(/[_.-]+/g, ' ')
+    .trim() || String(column);
+
+const looksLikeDate = (value) => {
+  if (isBlank(value)) return false;
+  if (value instanceof Date) return true;
+  if (typeof value === 'number') return value > 20000 && value < 80000;
+  return /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|^\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|^\d{1,2}[-\s][A-Za-z]{3}[-\s]\d{2,4}/.test(String(value).trim());
+};
+
+// Unmapped columns whose name or values look like dates
+export const detectEventColumns = (headers, rows, used = []) => {
+  const skip = new Set(used.filter(Boolean));
+  const sample = rows.slice(0, 50);
+  return headers
+    .filter(header => !skip.has(header))
+    .filter(header => {
+      const values = sample.map(row => row[header]).filter(value => !isBlank(value));
+      if (values.length === 0) return /(date|dt|dtc)$/i.test(header);
+      return values.filter(looksLikeDate).length / values.length >= 0.8;
+    })
+    .map(column => ({ column, type: eventTypeFromColumn(column) }));
+};
+
+// Raw (unparsed) event entries per patient ID from the separate event table
+export const groupEventTable = (eventTable) => {
+  const byPatient = new Map();
+  if (!eventTable) return byPatient;
+  const { rows, mapping } = eventTable;
+
+  rows.forEach((row, rowIndex) => {
+    const id = row[mapping.patientId];
+    if (isBlank(id) || isBlank(row[mapping.type]) || isBlank(row[mapping.date])) return;
+    const key = String(id).trim();
+    if (!byPatient.has(key)) byPatient.set(key, []);
+    byPatient.get(key).push({ type: String(row[mapping.type]).trim(), date: row[mapping.date], rowIndex });
+  });
+
+  return byPatient;
+};
+
+export const eventTypes = (patients) => {
+  const types = [];
+  patients.forEach(patient => {
+    patient.events.forEach(event => {
+      if (!types.includes(event.type)) types.push(event.type);
+    });
+  });
+  return types.sort((a, b) => {
+    const builtins = Object.keys(BUILTIN_EVENT_STYLES);
+    const rank = (type) => (builtins.includes(type) ? builtins.indexOf(type) : builtins.length);
+    return rank(a) - rank(b);
+  });
+};
+
+export const eventStyle = (type, types, overrides = {}) => {
+  const index = Math.max(types.filter(t => !BUILTIN_EVENT_STYLES[t]).indexOf(type), 0);
+  const defaults = BUILTIN_EVENT_STYLES[type] || {
+    label: type,
+    shape: EVENT_SHAPES[index % EVENT_SHAPES.length],
+    color: EVENT_PALETTE[index % EVENT_PALETTE.length],
+    size: 6,
+    offset: 0,
+    visible: true,
+  };
+  return { ...defaults, ...overrides[type] };
+};
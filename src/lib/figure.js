@@ -0,0 +1,92 @@
+import { toSvgString } from './svg.js';
+import { outlineText, embedFont } from './fonts.js';
+import { treeToPdf, treesToPdf } from './pdf.js';
+import { DEFAULT_PER_PAGE } from './pages.js';
+
+export const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+
+export const EXPORT_FORMATS = [
+  { value: 'pdf', label: 'PDF (vector)', extension: 'pdf', type: 'application/pdf', raster: false },
+  { value: 'svg', label: 'SVG (vector)', extension: 'svg', type: 'image/svg+xml', raster: false },
+  { value: 'png', label: 'PNG', extension: 'png', type: 'image/png', raster: true },
+  { value: 'tiff', label: 'TIFF', extension: 'tif', type: 'image/tiff', raster: true },
+];
+
+export const DPI_OPTIONS = [300, 600];
+
+// Figure widths from the journals' artwork guidelines, in mm
+export const JOURNAL_PRESETS = [
+  { id: 'nature-single', label: 'Nature — single column', width: 89 },
+  { id: 'nature-double', label: 'Nature — double column', width: 183 },
+  { id: 'cell-single', label: 'Cell Press — single column', width: 85 },
+  { id: 'cell-double', label: 'Cell Press — full width', width: 174 },
+  { id: 'science-double', label: 'Science — two columns', width: 121 },
+  { id: 'science-triple', label: 'Science — three columns', width: 184 },
+  { id: 'elsevier-single', label: 'Elsevier — single column', width: 90 },
+  { id: 'elsevier-double', label: 'Elsevier — double column', width: 190 },
+];
+
+// Journals generally ask for text of at least this size in the printed figure
+export const MIN_FONT_PT = 5;
+
+export const DEFAULT_EXPORT = {
+  format: 'pdf',
+  preset: 'nature-double',
+  width: 183,
+  unit: 'mm',
+  dpi: 300,
+  text: 'outline',
+  fileName: 'swimmer_plot',
+  // Large cohorts can be split over several pages (see splitPages)
+  pageBy: 'none',
+  perPage: DEFAULT_PER_PAGE,
+};
+
+export const exportFormat = (value) => EXPORT_FORMATS.find(format => format.value === value) || EXPORT_FORMATS[0];
+
+// Physical and pixel size for a chart of `width` x `height` user units; the aspect ratio never changes
+export const figureSize = ({ width, height }, { width: target, unit = 'mm', dpi = 300 }) => {
+  const widthIn = unit === 'in' ? target : target / MM_PER_INCH;
+  const heightIn = (widthIn * height) / width;
+  return {
+    widthIn,
+    heightIn,
+    widthMm: widthIn * MM_PER_INCH,
+    heightMm: heightIn * MM_PER_INCH,
+    widthPt: widthIn * POINTS_PER_INCH,
+    heightPt: heightIn * POINTS_PER_INCH,
+    pixelWidth: Math.round(widthIn * dpi),
+    pixelHeight: Math.round(heightIn * dpi),
+    // Printed size in points of one user unit, e.g. to check font sizes
+    pointsPerUnit: (widthIn * POINTS_PER_INCH) / width,
+  };
+};
+
+export const smallestFontSize = (node) => {
+  if (typeof node !== 'object') return Infinity;
+  const own = node.attrs['font-size'] !== undefined ? Number(node.attrs['font-size']) : Infinity;
+  return Math.min(own, ...node.children.map(smallestFontSize));
+};
+
+const withSize = (tree, width, height) => ({ ...tree, attrs: { ...tree.attrs, width, height } });
+
+// Self-contained SVG at its print size; `text` is 'outline' (paths) or 'embed' (editable, font inside)
+export const figureSvg = (tree, fonts, size, text = 'outline') => {
+  const contained = text === 'embed' ? embedFont(tree, fonts) : outlineText(tree, fonts);
+  return toSvgString(withSize(contained, `${Math.round(size.widthMm * 100) / 100}mm`, `${Math.round(size.heightMm * 100) / 100}mm`));
+};
+
+// Outlined SVG sized in pixels, ready to be rasterized at the export DPI
+export const rasterSvg = (tree, fonts, size) =>
+  toSvgString(withSize(outlineText(tree, fonts), size.pixelWidth, size.pixelHeight));
+
+export const figurePdf = (tree, fonts, size) => treeToPdf(outlineText(tree, fonts), size);
+
+// One PDF with a page per figure; `sizes` are each figure's figureSize
+export const figuresPdf = (figures, fonts, sizes) =>
+  treesToPdf(figures.map((figure, i) => ({ tree: outlineText(figure.tree, fonts), size: sizes[i] })));
+
+// Formats without pages get one file per page: swimmer_plot_p1.png, swimmer_plot_p2.png, ...
+export const pageFileName = (name, extension, index, count) =>
+  count > 1 ? `${name}_p${index + 1}.${extension}` : `${name}.${extension}`;
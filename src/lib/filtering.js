@@ -0,0 +1,98 @@
+import { sortValue, compareText } from './sorting.js';
+import { groupValue, groupLevelLabel } from './grouping.js';
+import { formatTime } from './time.js';
+
+const NO_RESPONSE = 'None';
+
+// `in` keeps listed values, `range` keeps numbers within [min, max], `has` / `lacks` test an event type
+export const FILTER_FIELDS = [
+  { value: 'cohort', label: 'Cohort', op: 'in' },
+  { value: 'bestResponse', label: 'Best response', op: 'in' },
+  { value: 'duration', label: 'Duration', op: 'range' },
+];
+
+export const filterOptions = (headers = [], types = []) => [
+  ...FILTER_FIELDS,
+  ...types.map(type => ({ value: `event:${type}`, label: `Event: ${type}`, op: 'has' })),
+  ...headers.map(header => ({ value: `column:${header}`, label: `Column: ${header}`, op: 'in' })),
+];
+
+export const filterFieldLabel = (field) => {
+  const builtin = FILTER_FIELDS.find(option => option.value === field);
+  if (builtin) return builtin.label;
+  if (field.startsWith('event:')) return field.slice('event:'.length);
+  return groupLevelLabel(field);
+};
+
+const categoryValue = (patient, field) =>
+  (field === 'bestResponse' ? patient.bestResponse || NO_RESPONSE : groupValue(patient, field));
+
+// Distinct values offered for an `in` filter; best responses go in vocabulary rank order
+export const filterValues = (patients, field) => {
+  if (field === 'bestResponse') {
+    const ranks = new Map();
+    patients.forEach(p => ranks.set(p.bestResponse || NO_RESPONSE, p.bestResponseRank ?? Infinity));
+    return [...ranks.keys()].sort((a, b) => ranks.get(a) - ranks.get(b));
+  }
+  return [...new Set(patients.map(p => categoryValue(p, field)))].sort(compareText);
+};
+
+const bound = (value) => (value === '' || value === null || value === undefined || isNaN(Number(value)) ? null : Number(value));
+
+export const matchesFilter = (patient, filter) => {
+  const { field, op } = filter;
+  if (op === 'has' || op === 'lacks') {
+    const type = field.slice('event:'.length);
+    return patient.events.some(event => event.type === type) === (op === 'has');
+  }
+  if (op === 'range') {
+    const value = sortValue(patient, field);
+    const min = bound(filter.min);
+    const max = bound(filter.max);
+    if (min === null && max === null) return true;
+    if (typeof value !== 'number') return false;
+    return (min === null || value >= min) && (max === null || value <= max);
+  }
+  return !filter.values?.length || filter.values.includes(categoryValue(patient, field));
+};
+
+// Manual overrides (by patient ID) win over the filters: 'include' always shows, 'exclude' always hides
+export const filterPatients = (patients, filters = [], overrides = {}) => patients.filter(patient => {
+  const override = overrides[patient.id];
+  if (override === 'exclude') return false;
+  if (override === 'include') return true;
+  return filters.every(filter => matchesFilter(patient, filter));
+});
+
+const isActive = (filter) => {
+  if (filter.op === 'range') return bound(filter.min) !== null || bound(filter.max) !== null;
+  if (filter.op === 'in') return filter.values?.length > 0;
+  return true;
+};
+
+export const hasActiveFilters = (filters = [], overrides = {}) =>
+  filters.some(isActive) || Object.keys(overrides).length > 0;
+
+const describeFilter = (filter, unit) => {
+  const label = filterFieldLabel(filter.field);
+  if (filter.op === 'has') return `with ${label}`;
+  if (filter.op === 'lacks') return `without ${label}`;
+  if (filter.op === 'range') {
+    const format = (value) => (filter.field === 'duration' ? formatTime(value, unit) : String(value));
+    const min = bound(filter.min);
+    const max = bound(filter.max);
+    if (min !== null && max !== null) return `${label} ${format(min)}–${format(max)}`;
+    return min !== null ? `${label} ≥ ${format(min)}` : `${label} ≤ ${format(max)}`;
+  }
+  return `${label}: ${filter.values.join(', ')}`;
+};
+
+// One-line summary for the figure footnote, e.g. "Subset: Cohort: B; Duration ≥ 6 months"
+export const describeFilters = (filters = [], overrides = {}, { unit = 'months' } = {}) => {
+  const parts = filters.filter(isActive).map(filter => describeFilter(filter, unit));
+  const excluded = Object.values(overrides).filter(value => value === 'exclude').length;
+  const included = Object.values(overrides).filter(value => value === 'include').length;
+  if (excluded) parts.push(`${excluded} patient${excluded > 1 ? 's' : ''} excluded`);
+  if (included) parts.push(`${included} patient${included > 1 ? 's' : ''} added`);
+  return parts.length > 0 ? `Subset: ${parts.join('; ')}` : '';
+};
@@ -0,0 +1,131 @@
+// The package's CommonJS entry hides named exports from Node; its ES module build works everywhere
+import { parse as parseFont } from 'opentype.js/dist/opentype.mjs';
+import { h } from './svg.js';
+
+// Arimo is metric-compatible with Arial. It ships with the app so exported
+// figures do not depend on the fonts installed on the viewer's machine.
+// Characters its Latin subset lacks come from the next face that has them:
+// Arimo's Latin Extended subset (ł, ő), then Pretendard (Hangul, ≥, →).
+export const PLOT_FONT_STACK = "Arimo, 'Arimo Latin Ext', Pretendard, Arial, Helvetica, sans-serif";
+export const FONT_FILES = [
+  {
+    family: 'Arimo',
+    regular: '@fontsource/arimo/files/arimo-latin-400-normal.woff',
+    bold: '@fontsource/arimo/files/arimo-latin-700-normal.woff',
+  },
+  {
+    family: 'Arimo Latin Ext',
+    regular: '@fontsource/arimo/files/arimo-latin-ext-400-normal.woff',
+    bold: '@fontsource/arimo/files/arimo-latin-ext-700-normal.woff',
+  },
+  {
+    family: 'Pretendard',
+    regular: 'pretendard/dist/web/static/woff-subset/Pretendard-Regular.subset.woff',
+    bold: 'pretendard/dist/web/static/woff-subset/Pretendard-Bold.subset.woff',
+  },
+];
+
+// Raw font files ([{ regular, bold }] of ArrayBuffers, in FONT_FILES order) ->
+// parsed faces per weight plus the bytes for embedding
+export const parseFonts = (files) => {
+  const faces = (weight) => files.map((file, i) => ({
+    family: FONT_FILES[i].family,
+    data: file[weight],
+    font: parseFont(file[weight]),
+  }));
+  return { regular: faces('regular'), bold: faces('bold') };
+};
+
+export const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const isBold = (weight) => weight === 'bold' || Number(weight) >= 600;
+
+const hasGlyph = (face, char) => face.font.charToGlyph(char).index !== 0;
+
+// Consecutive characters drawn by the same face; a character no face has stays
+// with the first one and comes out as its empty box
+const glyphRuns = (faces, text) => {
+  const runs = [];
+  [...text].forEach(char => {
+    const face = faces.find(f => hasGlyph(f, char)) || faces[0];
+    const last = runs[runs.length - 1];
+    if (last && last.face === face) last.text += char;
+    else runs.push({ face, text: char });
+  });
+  return runs;
+};
+
+const INHERITED = ['font-size', 'font-weight', 'text-anchor'];
+
+// <text> -> <path> with the same position, anchor and transform
+const textToPath = (node, fonts, inherited) => {
+  const attrs = { ...inherited, ...node.attrs };
+  const size = Number(attrs['font-size'] ?? 16);
+  const runs = glyphRuns(isBold(attrs['font-weight']) ? fonts.bold : fonts.regular, node.children.join(''));
+  const advances = runs.map(run => run.face.font.getAdvanceWidth(run.text, size));
+  const width = advances.reduce((sum, advance) => sum + advance, 0);
+  const shift = { middle: width / 2, end: width }[attrs['text-anchor']] || 0;
+  let x = Number(attrs.x || 0) - shift;
+  const d = runs.map((run, i) => {
+    const path = run.face.font.getPath(run.text, x, Number(attrs.y || 0), size);
+    x += advances[i];
+    return path.toPathData(2);
+  }).join('');
+  return h('path', {
+    d,
+    fill: node.attrs.fill,
+    opacity: node.attrs.opacity,
+    transform: node.attrs.transform,
+  });
+};
+
+// Every text element replaced by glyph outlines: the output no longer needs any font
+export const outlineText = (node, fonts, inherited = {}) => {
+  if (typeof node !== 'object') return node;
+  if (node.tag === 'text') return textToPath(node, fonts, inherited);
+  const scope = { ...inherited };
+  INHERITED.forEach(name => {
+    if (node.attrs[name] !== undefined) scope[name] = node.attrs[name];
+  });
+  return { ...node, children: node.children.map(child => outlineText(child, fonts, scope)) };
+};
+
+// Characters of the figure's text that none of the bundled faces can draw
+export const missingGlyphs = (node, fonts) => {
+  const missing = new Set();
+  const visit = (child) => {
+    if (typeof child !== 'object') return;
+    if (child.tag !== 'text') {
+      child.children.forEach(visit);
+      return;
+    }
+    [...child.children.join('')].forEach(char => {
+      if (!/\s/.test(char) && [fonts.regular, fonts.bold].some(faces => !faces.some(f => hasGlyph(f, char)))) missing.add(char);
+    });
+  };
+  visit(node);
+  return [...missing];
+};
+
+// Text stays editable; the fonts travel inside the file as data URIs, one family per face
+// so the viewer falls back through them the same way outlineText does
+export const embedFont = (tree, fonts) => {
+  const face = (entry, weight) => `@font-face{font-family:'${entry.family}';font-weight:${weight};` +
+    `src:url(data:font/woff;base64,${toBase64(entry.data)}) format('woff');}`;
+  const faces = [...fonts.regular.map(entry => face(entry, 400)), ...fonts.bold.map(entry => face(entry, 700))];
+  return {
+    ...tree,
+    attrs: { ...tree.attrs, 'font-family': PLOT_FONT_STACK },
+    children: [
+      h('defs', {}, h('style', {}, faces.join(''))),
+      ...tree.children,
+    ],
+  };
+};
@@ -0,0 +1,39 @@
+import { isBlank } from './records.js';
+import { compareText } from './sorting.js';
+
+export const MAX_GROUP_LEVELS = 2;
+const BLANK_GROUP = 'Unknown';
+
+// A grouping level is the mapped cohort ('cohort') or any source column ('column:<name>')
+export const groupLevelLabel = (level) => (level === 'cohort' ? 'Cohort' : level.slice('column:'.length));
+
+export const groupValue = (patient, level) => {
+  if (level === 'cohort') return patient.cohort;
+  const value = patient.values?.[level.slice('column:'.length)];
+  return isBlank(value) ? BLANK_GROUP : String(value).trim();
+};
+
+// Values in the user's order first, the rest in natural order
+export const orderedValues = (values, order = []) => [
+  ...order.filter(value => values.includes(value)),
+  ...values.filter(value => !order.includes(value)).sort(compareText),
+];
+
+export const levelValues = (patients, level, order) =>
+  orderedValues([...new Set(patients.map(patient => groupValue(patient, level)))], order);
+
+export const groupLabel = (level, value, labels = {}) => labels[level]?.[value] || value;
+
+// Leaf groups in display order: [{ path: [{ level, value }], patients }]
+export const groupPatients = (patients, groupBy = [], groupOrder = {}) => {
+  const split = (members, depth, path) => {
+    if (depth >= groupBy.length) return [{ path, patients: members }];
+    const level = groupBy[depth];
+    return levelValues(members, level, groupOrder[level]).flatMap(value => split(
+      members.filter(patient => groupValue(patient, level) === value),
+      depth + 1,
+      [...path, { level, value }],
+    ));
+  };
+  return split(patients, 0, []);
+};
@@ -0,0 +1,54 @@
+export const MATCH_THRESHOLD = 0.6;
+
+export const normalizeHeader = (header) =>
+  String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const bigrams = (text) => {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+};
+
+// Sørensen–Dice coefficient on character bigrams
+export const similarity = (a, b) => {
+  const x = normalizeHeader(a);
+  const y = normalizeHeader(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const gramsX = bigrams(x);
+  const gramsY = bigrams(y);
+  const counts = new Map();
+  gramsX.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+
+  let overlap = 0;
+  gramsY.forEach(g => {
+    const n = counts.get(g);
+    if (n) {
+      overlap++;
+      counts.set(g, n - 1);
+    }
+  });
+  return (2 * overlap) / (gramsX.length + gramsY.length);
+};
+
+export const scoreHeader = (header, synonyms) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return 0;
+
+  let best = 0;
+  synonyms.forEach(synonym => {
+    const target = normalizeHeader(synonym);
+    let score;
+    if (normalized === target) {
+      score = 1;
+    } else if (target.length >= 3 && (normalized.startsWith(target) || normalized.endsWith(target))) {
+      score = 0.85;
+    } else {
+      score = similarity(normalized, target);
+    }
+    if (score > best) best = score;
+  });
+  return best;
+};
@@ -0,0 +1,136 @@
+// Byte-level helpers for raster exports: DPI metadata for PNG and a baseline TIFF encoder
+
+const INCHES_PER_METER = 39.3701;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set([...type].map(c => c.charCodeAt(0)), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+};
+
+// PNG with a pHYs chunk right after IHDR so editors open it at the intended print size
+export const setPngDpi = (png, dpi) => {
+  const bytes = new Uint8Array(png);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [bytes.subarray(0, 8)];
+  const pixelsPerMeter = Math.round(dpi * INCHES_PER_METER);
+  const phys = new Uint8Array(9);
+  new DataView(phys.buffer).setUint32(0, pixelsPerMeter);
+  new DataView(phys.buffer).setUint32(4, pixelsPerMeter);
+  phys[8] = 1;
+
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') chunks.push(bytes.subarray(offset, end));
+    if (type === 'IHDR') chunks.push(pngChunk('pHYs', phys));
+    offset = end;
+  }
+
+  const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    output.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return output;
+};
+
+// PackBits run-length encoding of one row into `out` from `position`; returns the new position
+const packBits = (row, out, position) => {
+  let i = 0;
+  while (i < row.length) {
+    let run = 1;
+    while (i + run < row.length && run < 128 && row[i + run] === row[i]) run++;
+    if (run > 1) {
+      out[position++] = 257 - run;
+      out[position++] = row[i];
+      i += run;
+      continue;
+    }
+    let literal = 1;
+    while (i + literal < row.length && literal < 128 &&
+      !(i + literal + 1 < row.length && row[i + literal] === row[i + literal + 1])) literal++;
+    out[position++] = literal - 1;
+    out.set(row.subarray(i, i + literal), position);
+    position += literal;
+    i += literal;
+  }
+  return position;
+};
+
+// Baseline RGB TIFF (PackBits) from RGBA pixels; alpha is flattened onto white
+export const encodeTiff = ({ width, height, data, dpi }) => {
+  const rowBytes = width * 3;
+  const row = new Uint8Array(rowBytes);
+  // Worst case: one header byte per 128 literal bytes
+  const buffer = new Uint8Array(height * (rowBytes + Math.ceil(rowBytes / 128)));
+  let length = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4;
+      const alpha = data[source + 3] / 255;
+      for (let c = 0; c < 3; c++) row[x * 3 + c] = Math.round(data[source + c] * alpha + 255 * (1 - alpha));
+    }
+    length = packBits(row, buffer, length);
+  }
+  const packed = buffer.subarray(0, length);
+
+  const tags = [
+    [256, 4, 1, width],
+    [257, 4, 1, height],
+    [258, 3, 3, 'bits'],
+    [259, 3, 1, 32773],
+    [262, 3, 1, 2],
+    [273, 4, 1, 'pixels'],
+    [277, 3, 1, 3],
+    [278, 4, 1, height],
+    [279, 4, 1, packed.length],
+    [282, 5, 1, 'xres'],
+    [283, 5, 1, 'yres'],
+    [284, 3, 1, 1],
+    [296, 3, 1, 2],
+  ];
+  const ifdSize = 2 + tags.length * 12 + 4;
+  const extra = { bits: 8 + ifdSize, xres: 8 + ifdSize + 6, yres: 8 + ifdSize + 14, pixels: 8 + ifdSize + 22 };
+  const output = new Uint8Array(extra.pixels + packed.length);
+  const view = new DataView(output.buffer);
+
+  view.setUint16(0, 0x4949);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, tags.length, true);
+  tags.forEach(([tag, type, count, value], i) => {
+    const entry = 10 + i * 12;
+    view.setUint16(entry, tag, true);
+    view.setUint16(entry + 2, type, true);
+    view.setUint32(entry + 4, count, true);
+    if (typeof value === 'string') view.setUint32(entry + 8, extra[value], true);
+    else if (type === 3) view.setUint16(entry + 8, value, true);
+    else view.setUint32(entry + 8, value, true);
+  });
+  view.setUint32(10 + tags.length * 12, 0, true);
+  [0, 2, 4].forEach(offset => view.setUint16(extra.bits + offset, 8, true));
+  [extra.xres, extra.yres].forEach(offset => {
+    view.setUint32(offset, Math.round(dpi), true);
+    view.setUint32(offset + 4, 1, true);
+  });
+  output.set(packed, extra.pixels);
+  return output;
+};
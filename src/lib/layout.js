@@ -0,0 +1,227 @@
+import { computeAxis } from './axis.js';
+import { sortPatients } from './sorting.js';
+import { groupPatients, groupLabel } from './grouping.js';
+import { describeFilters } from './filtering.js';
+import { groupStatsText } from './summary.js';
+import { legendEntries, shownLegendEntries, legendRows, legendColumn, estimateTextWidth } from './legend.js';
+import { trackValue, trackValues, trackLabel, trackText } from './tracks.js';
+import { DEFAULT_VOCABULARY } from './vocabularies.js';
+
+const PLOT_TOP = 40;
+const FIRST_ROW_Y = 50;
+const GROUP_SPACING = 40;
+const AXIS_SPACE = 40;
+const MARGIN = 10;
+const HEADER_GAP = 8;
+const LEGEND_GAP = 10;
+const NOTE_PADDING = 6;
+const TILE_WIDTH = 14;
+const TRACK_GAP = 6;
+const TEXT_PADDING = 4;
+
+const optionalNumber = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+export const axisOptions = (settings) => ({
+  unit: settings.time.unit,
+  tickInterval: settings.tickInterval,
+  max: optionalNumber(settings.axisMax),
+  brokenAxis: settings.brokenAxis,
+  breakStart: optionalNumber(settings.breakStart),
+  breakEnd: optionalNumber(settings.breakEnd),
+});
+
+const pathKey = (path, depth) => path.slice(0, depth + 1).map(step => step.value).join('\u0000');
+
+// Labelled bracket per run of leaf groups sharing the same value at one level;
+// depth 0 is the innermost level (drawn next to the bars). `whole` are the leaf groups of the
+// full cohort when laying out one page: labels then count the whole group and say when it
+// started on an earlier page.
+const groupSpans = (groups, settings, vocabulary, whole = null) => {
+  const levels = settings.groupBy.length;
+  const spans = [];
+  for (let i = 0; i < levels; i++) {
+    groups.forEach((group, index) => {
+      const key = pathKey(group.path, i);
+      const previous = spans[spans.length - 1];
+      if (previous && previous.level === i && previous.key === key && previous.lastIndex === index - 1) {
+        previous.bottom = group.top + group.height;
+        previous.count += group.rows.length;
+        previous.patients.push(...group.rows.map(row => row.patient));
+        previous.lastIndex = index;
+        return;
+      }
+      const { level, value } = group.path[i];
+      spans.push({
+        level: i,
+        key,
+        depth: levels - 1 - i,
+        value,
+        label: groupLabel(level, value, settings.groupLabels),
+        color: settings.groupColors?.[level]?.[value] || null,
+        top: group.top,
+        bottom: group.top + group.height,
+        count: group.rows.length,
+        patients: group.rows.map(row => row.patient),
+        lastIndex: index,
+      });
+    });
+  }
+  // N and ORR replace the plain count when both are on
+  const suffix = (patients) => {
+    if (settings.showGroupStats) return ` (${groupStatsText(patients, vocabulary, settings)})`;
+    return settings.showGroupCounts ? ` (n=${patients.length})` : '';
+  };
+  return spans.map(({ lastIndex, patients, ...span }) => {
+    if (!whole) return { ...span, text: span.label + suffix(patients) };
+    const members = whole.filter(group => pathKey(group.path, span.level) === span.key).flatMap(group => group.patients);
+    const continued = members[0] !== patients[0];
+    return { ...span, continued, text: span.label + (continued ? ', continued' : '') + suffix(members) };
+  });
+};
+
+// Annotation track columns from `left` rightwards, then patient IDs next to the bars.
+// `right` is where the time axis may start.
+const trackColumns = (patients, settings, left) => {
+  const { labelFontSize } = settings.style;
+  const textWidth = (text) => Math.ceil(estimateTextWidth(text, labelFontSize));
+  let x = left;
+  const columns = settings.annotationTracks.filter(track => track.field).map(track => {
+    const label = trackLabel(track);
+    const content = track.type === 'categorical'
+      ? TILE_WIDTH
+      : Math.max(0, ...patients.map(patient => textWidth(trackText(trackValue(patient, track.field), track.type))));
+    const column = { track, label, values: trackValues(patients, track), x, width: Math.max(content, textWidth(label)) + TEXT_PADDING };
+    x += column.width + TRACK_GAP;
+    return column;
+  });
+  let ids = null;
+  if (settings.showPatientIds && patients.length > 0) {
+    ids = { x, width: Math.max(...patients.map(patient => textWidth(patient.id))) + TEXT_PADDING };
+    x += ids.width + TRACK_GAP;
+  }
+  return { left, columns, ids, right: x, tileWidth: TILE_WIDTH, headerY: null };
+};
+
+// Footnote lines: the user's text ({N} = patients shown), the active filters, then the page number
+const noteLines = (settings, count, page) => [
+  ...(settings.footnote || '').split('\n').filter(line => line.trim()).map(line => line.replace(/\{N\}/g, count)),
+  settings.showFilterFootnote && describeFilters(settings.filters, settings.patientOverrides, { unit: settings.time.unit }),
+  page && `Page ${page.index + 1} of ${page.count}`,
+].filter(Boolean);
+
+// Position of every bar, the time axis, titles, legend and footnotes for the whole figure.
+// `patients` is the already filtered set. For one page of a multi-page export, `patients` are
+// that page's rows and `population` the whole set, which keeps the axis, tracks, legend and
+// group counts the same on every page; `page` is { index, count }.
+export const computeLayout = (patients, settings, {
+  view = null,
+  vocabulary = DEFAULT_VOCABULARY,
+  colors = settings.style.colors,
+  population = patients,
+  page = null,
+} = {}) => {
+  const { style } = settings;
+  const rowHeight = settings.barHeight + settings.barGap;
+  // Tracks and patient IDs widen the figure rather than squeezing the bars
+  const tracks = trackColumns(population, settings, style.marginLeft);
+  const chartWidth = style.width + tracks.right - tracks.left;
+  const plotLeft = tracks.right;
+  const plotRight = chartWidth - style.marginRight;
+  const axis = computeAxis(population, { ...axisOptions(settings), view }, { x0: plotLeft, width: plotRight - plotLeft });
+
+  // Title block and a top legend push the chart down
+  let top = 0;
+  const header = [];
+  if (settings.title) {
+    top += style.titleFontSize + 8;
+    header.push({ text: settings.title, y: top - 6, size: style.titleFontSize, weight: 700 });
+  }
+  if (settings.subtitle) {
+    top += style.subtitleFontSize + 7;
+    header.push({ text: settings.subtitle, y: top - 5, size: style.subtitleFontSize, weight: 400 });
+  }
+  if (header.length > 0) top += HEADER_GAP;
+
+  const position = settings.legendPosition;
+  const entries = position === 'none'
+    ? []
+    : shownLegendEntries(legendEntries(population, settings, { vocabulary, colors }), settings);
+  let legend = null;
+  if (entries.length > 0 && position === 'top') {
+    legend = { position, ...legendRows(entries, MARGIN, top + LEGEND_GAP, chartWidth - 2 * MARGIN, style.legendFontSize) };
+    top += legend.height + LEGEND_GAP;
+  }
+  // Track headers sit above the first row
+  if (tracks.columns.length > 0) {
+    top += style.labelFontSize;
+    tracks.headerY = FIRST_ROW_Y + top - 6;
+  }
+
+  let y = FIRST_ROW_Y + top;
+  const sorted = sortPatients(patients, settings.sortKeys);
+  const groups = groupPatients(sorted, settings.groupBy, settings.groupOrder).map(({ path, patients: members }) => {
+    const groupTop = y;
+    const height = members.length * rowHeight;
+    y += height + GROUP_SPACING;
+    return {
+      key: path.map(step => step.value).join(' / ') || 'All',
+      path,
+      top: groupTop,
+      height,
+      rows: members.map((patient, i) => ({ patient, y: groupTop + i * rowHeight })),
+    };
+  });
+  const whole = population === patients
+    ? null
+    : groupPatients(sortPatients(population, settings.sortKeys), settings.groupBy, settings.groupOrder);
+  const plot = { left: plotLeft, right: plotRight, top: PLOT_TOP + top, bottom: y - FIRST_ROW_Y + AXIS_SPACE };
+  // Tick labels and the axis title below the axis line
+  const tickLabelY = plot.bottom + style.tickLength + style.tickFontSize + 3;
+  const axisLabels = { tick: tickLabelY, title: tickLabelY + 5 + style.axisTitleFontSize };
+  let bottom = axisLabels.title + 2;
+
+  if (entries.length > 0 && position === 'bottom') {
+    legend = { position, ...legendRows(entries, MARGIN, bottom, chartWidth - 2 * MARGIN, style.legendFontSize) };
+    bottom += legend.height + LEGEND_GAP;
+  }
+  const noteLineHeight = style.footnoteFontSize + 3;
+  const footnotes = noteLines(settings, population.length, page).map((text, i) => ({ text, y: bottom + (i + 1) * noteLineHeight }));
+  if (footnotes.length > 0) bottom += footnotes.length * noteLineHeight + NOTE_PADDING;
+
+  let width = chartWidth;
+  if (entries.length > 0 && position === 'right') {
+    legend = { position, ...legendColumn(entries, chartWidth, plot.top, false, style.legendFontSize) };
+    width += legend.width + MARGIN;
+    bottom = Math.max(bottom, plot.top + legend.height + MARGIN);
+  }
+  if (entries.length > 0 && position === 'inside') {
+    const { width: boxWidth } = legendColumn(entries, 0, 0, true, style.legendFontSize);
+    const column = legendColumn(entries, plot.right - boxWidth, plot.top, true, style.legendFontSize);
+    legend = { position, ...column, box: { x: plot.right - boxWidth, y: plot.top, width: column.width, height: column.height } };
+  }
+
+  return {
+    width,
+    height: bottom,
+    // Area used by bars, group labels and end-of-bar text; a right legend sits beyond it
+    chartWidth,
+    plot,
+    tracks,
+    axisLabels,
+    header,
+    legend,
+    footnotes,
+    axis,
+    groups,
+    spans: groupSpans(groups, settings, vocabulary, whole),
+    // Leaf groups of the whole cohort; a page showing one of several groups still labels it
+    groupCount: whole ? whole.length : groups.length,
+    patientCount: patients.length,
+    population,
+    page,
+  };
+};
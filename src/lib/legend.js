@@ -0,0 +1,130 @@
+import { UNKNOWN_RESPONSE_COLOR } from './vocabularies.js';
+import { buildResponseSegments } from './segments.js';
+import { phaseNames, phaseColor } from './phases.js';
+import { eventTypes, eventStyle } from './events.js';
+import { trackLegendEntries } from './tracks.js';
+
+export const LEGEND_POSITIONS = [
+  { value: 'top', label: 'Top' },
+  { value: 'right', label: 'Right' },
+  { value: 'bottom', label: 'Bottom' },
+  { value: 'inside', label: 'Inside (top right)' },
+  { value: 'none', label: 'Hidden' },
+];
+
+export const LEGEND_FONT_SIZE = 11;
+const SWATCH_WIDTH = 24;
+const SWATCH_GAP = 6;
+const ITEM_GAP = 18;
+const ROW_HEIGHT = 18;
+const PADDING = 8;
+
+// Layout has no font metrics; this average glyph width is close enough for Arial-like fonts
+export const estimateTextWidth = (text, fontSize) => String(text).length * fontSize * 0.56;
+
+// Everything the chart actually shows, in the order of the old on-screen legend.
+// `swatch` says how the sample is drawn: marker, segment (bar + marker), bar, thin, line, ongoing or tile.
+export const legendEntries = (patients, settings, { vocabulary, colors }) => {
+  const segmented = settings.barMode === 'segmented';
+  const presentCodes = new Set(patients.flatMap(p => p.responses.map(r => r.code)));
+  const categories = presentCodes.size > 0
+    ? vocabulary.categories.filter(cat => presentCodes.has(cat.code))
+    : vocabulary.categories;
+  const entries = categories.map(cat => ({
+    id: `response:${cat.code}`,
+    label: cat.label ? `${cat.code} (${cat.label})` : cat.code,
+    swatch: segmented ? 'segment' : 'marker',
+    shape: cat.shape,
+    color: cat.color,
+    opacity: settings.style.barOpacity,
+  }));
+  if (presentCodes.has(null)) {
+    entries.push({ id: 'response:other', label: 'Other / unmatched', swatch: 'marker', shape: 'circle', color: UNKNOWN_RESPONSE_COLOR });
+  }
+  if (segmented && settings.showNotAssessed) {
+    entries.push({ id: 'notAssessed', label: 'Not yet assessed', swatch: 'bar', color: colors.notAssessed });
+  }
+
+  const types = eventTypes(patients);
+  types.forEach(type => {
+    const style = eventStyle(type, types, settings.eventStyles);
+    if (style.visible) entries.push({ id: `event:${type}`, label: style.label, swatch: 'marker', shape: style.shape, color: style.color });
+  });
+
+  if (!segmented) {
+    const names = phaseNames(patients);
+    names.forEach(name => entries.push({
+      id: `phase:${name}`,
+      label: name,
+      swatch: 'bar',
+      color: phaseColor(name, names, settings.phaseColors),
+      opacity: settings.style.barOpacity,
+    }));
+  }
+
+  const hasPlainBars = patients.some(p => p.phases.length === 0);
+  const hasFollowUp = patients.some(p => p.end > p.treatmentEnd);
+  const hasPlainSegments = segmented &&
+    patients.some(p => buildResponseSegments(p, settings).some(segment => segment.code === undefined));
+  if (segmented ? hasPlainSegments : hasFollowUp && hasPlainBars) {
+    entries.push({
+      id: 'onTreatment',
+      label: segmented ? 'On treatment (no response state)' : 'On treatment',
+      swatch: 'bar',
+      color: colors.bar,
+      opacity: settings.style.barOpacity,
+    });
+  }
+  if (hasFollowUp) entries.push({ id: 'followUp', label: 'Follow-up', swatch: 'thin', color: colors.followUp });
+  if (patients.some(p => p.eotTime !== null && !p.ongoing)) {
+    const hasReasons = patients.some(p => p.discontinuationReason && !p.ongoing);
+    entries.push({
+      id: 'eot',
+      label: `End of treatment${settings.showDiscontinuationReason && hasReasons ? ' (reason)' : ''}`,
+      swatch: 'line',
+      color: colors.EOT,
+    });
+  }
+  if (patients.some(p => p.ongoing)) entries.push({ id: 'ongoing', label: 'Ongoing', swatch: 'ongoing', color: colors.ongoing });
+  return [...entries, ...trackLegendEntries(patients, settings)];
+};
+
+// Entries after the user's hide/rename choices
+export const shownLegendEntries = (entries, settings) => entries
+  .filter(entry => !settings.legendHidden.includes(entry.id))
+  .map(entry => ({ ...entry, label: settings.legendLabels[entry.id] || entry.label }));
+
+const itemWidth = (entry, fontSize) => SWATCH_WIDTH + SWATCH_GAP + estimateTextWidth(entry.label, fontSize);
+const rowHeight = (fontSize) => Math.max(ROW_HEIGHT, fontSize + 7);
+
+// Items flowing left to right, wrapping at `width`
+export const legendRows = (entries, x, y, width, fontSize = LEGEND_FONT_SIZE) => {
+  const lineHeight = rowHeight(fontSize);
+  const items = [];
+  let cursorX = x;
+  let cursorY = y;
+  entries.forEach(entry => {
+    const w = itemWidth(entry, fontSize);
+    if (cursorX > x && cursorX + w > x + width) {
+      cursorX = x;
+      cursorY += lineHeight;
+    }
+    items.push({ entry, x: cursorX, y: cursorY });
+    cursorX += w + ITEM_GAP;
+  });
+  return { items, height: entries.length > 0 ? cursorY - y + lineHeight : 0 };
+};
+
+// One entry per line; `box` adds padding for the framed legend inside the plot
+export const legendColumn = (entries, x, y, box = false, fontSize = LEGEND_FONT_SIZE) => {
+  const lineHeight = rowHeight(fontSize);
+  const padding = box ? PADDING : 0;
+  const width = Math.max(0, ...entries.map(entry => itemWidth(entry, fontSize))) + padding * 2;
+  return {
+    items: entries.map((entry, i) => ({ entry, x: x + padding, y: y + padding + i * lineHeight })),
+    width,
+    height: entries.length * lineHeight + padding * 2,
+  };
+};
+
+export const LEGEND_SWATCH = { width: SWATCH_WIDTH, gap: SWATCH_GAP, rowHeight: ROW_HEIGHT };
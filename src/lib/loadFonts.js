@@ -0,0 +1,37 @@
+import arimoRegularUrl from '@fontsource/arimo/files/arimo-latin-400-normal.woff?url';
+import arimoBoldUrl from '@fontsource/arimo/files/arimo-latin-700-normal.woff?url';
+import arimoExtRegularUrl from '@fontsource/arimo/files/arimo-latin-ext-400-normal.woff?url';
+import arimoExtBoldUrl from '@fontsource/arimo/files/arimo-latin-ext-700-normal.woff?url';
+import pretendardRegularUrl from 'pretendard/dist/web/static/woff-subset/Pretendard-Regular.subset.woff?url';
+import pretendardBoldUrl from 'pretendard/dist/web/static/woff-subset/Pretendard-Bold.subset.woff?url';
+import { parseFonts } from './fonts.js';
+
+// Same faces and order as FONT_FILES; Vite needs the paths spelled out to bundle them
+const FONT_URLS = [
+  { regular: arimoRegularUrl, bold: arimoBoldUrl },
+  { regular: arimoExtRegularUrl, bold: arimoExtBoldUrl },
+  { regular: pretendardRegularUrl, bold: pretendardBoldUrl },
+];
+
+let pending = null;
+
+const fetchFont = (url) => fetch(url).then(res => {
+  if (!res.ok) throw new Error(`글꼴을 불러오지 못했습니다 (${res.status})`);
+  return res.arrayBuffer();
+});
+
+// The font files are bundled with the app, so exports work offline
+export const loadPlotFonts = () => {
+  if (!pending) {
+    pending = Promise.all(FONT_URLS.map(async ({ regular, bold }) => ({
+      regular: await fetchFont(regular),
+      bold: await fetchFont(bold),
+    })))
+      .then(parseFonts)
+      .catch(err => {
+        pending = null;
+        throw err;
+      });
+  }
+  return pending;
+};
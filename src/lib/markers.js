@@ -0,0 +1,48 @@
+import { h } from './svg.js';
+
+export const MARKER_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'star', 'x', 'arrow'];
+
+// Shapes drawn with strokes only; their color goes to the stroke
+export const STROKE_SHAPES = ['x'];
+
+const starPoints = (x, y, r) => Array.from({ length: 10 }, (_, i) => {
+  const radius = i % 2 === 0 ? r * 1.25 : r * 0.55;
+  const angle = (Math.PI / 5) * i - Math.PI / 2;
+  return `${x + radius * Math.cos(angle)},${y + radius * Math.sin(angle)}`;
+}).join(' ');
+
+export const markerShape = ({ shape = 'circle', x, y, r = 6, fill, stroke = '#fff', strokeWidth = 1 }) => {
+  const common = { fill, stroke, 'stroke-width': strokeWidth };
+
+  switch (shape) {
+    case 'square': {
+      const half = r * 0.85;
+      return h('rect', { x: x - half, y: y - half, width: half * 2, height: half * 2, ...common });
+    }
+    case 'triangle': {
+      const t = r * 1.15;
+      return h('polygon', { points: `${x},${y - t} ${x + t},${y + t * 0.8} ${x - t},${y + t * 0.8}`, ...common });
+    }
+    case 'diamond': {
+      const d = r * 1.15;
+      return h('polygon', { points: `${x},${y - d} ${x + d},${y} ${x},${y + d} ${x - d},${y}`, ...common });
+    }
+    case 'star':
+      return h('polygon', { points: starPoints(x, y, r), ...common });
+    case 'x':
+      return h('g', { stroke: fill, 'stroke-width': 2.5, 'stroke-linecap': 'round' },
+        h('line', { x1: x - r, y1: y - r, x2: x + r, y2: y + r }),
+        h('line', { x1: x + r, y1: y - r, x2: x - r, y2: y + r }),
+      );
+    case 'arrow': {
+      // Downward arrow whose tip sits on (x, y)
+      const w = r * 0.8;
+      return h('polygon', {
+        points: `${x},${y} ${x + w},${y - w} ${x + w * 0.35},${y - w} ${x + w * 0.35},${y - r * 2} ${x - w * 0.35},${y - r * 2} ${x - w * 0.35},${y - w} ${x - w},${y - w}`,
+        ...common,
+      });
+    }
+    default:
+      return h('circle', { cx: x, cy: y, r, ...common });
+  }
+};
@@ -0,0 +1,23 @@
+import { findCategory, isResponseCategory, isProgressionCategory } from './vocabularies.js';
+
+// Per-patient response outcomes; times are measured from the start of the bar (C1D1)
+export const responseOutcome = (responses, vocabulary, start) => {
+  let best = null;
+  let firstResponse = null;
+  let firstProgression = null;
+
+  responses.forEach(resp => {
+    const category = findCategory(vocabulary, resp.code);
+    if (!category) return;
+    if (!best || category.rank < best.rank) best = category;
+    if (firstResponse === null && isResponseCategory(category)) firstResponse = resp.time;
+    if (firstProgression === null && isProgressionCategory(category)) firstProgression = resp.time;
+  });
+
+  return {
+    bestResponse: best ? best.code : null,
+    bestResponseRank: best ? best.rank : null,
+    timeToResponse: firstResponse === null ? null : firstResponse - start,
+    timeToProgression: firstProgression === null ? null : firstProgression - start,
+  };
+};
@@ -0,0 +1,52 @@
+import { sortPatients } from './sorting.js';
+import { groupPatients, groupValue } from './grouping.js';
+import { computeLayout } from './layout.js';
+import { renderPlot } from './render.js';
+import { computeWaterfall, renderWaterfall } from './waterfall.js';
+
+export const PAGE_MODES = [
+  { value: 'none', label: 'Single figure' },
+  { value: 'count', label: 'By patient count' },
+  { value: 'group', label: 'By group' },
+];
+
+export const DEFAULT_PER_PAGE = 40;
+
+// Patients of each page, in display order. 'count' fills pages up to `perPage` rows;
+// 'group' also starts a new page at each value of the outermost grouping level.
+export const splitPages = (patients, settings, { pageBy = 'none', perPage = DEFAULT_PER_PAGE } = {}) => {
+  if (pageBy === 'none' || patients.length === 0) return [patients];
+  const limit = Math.max(1, Math.floor(perPage) || DEFAULT_PER_PAGE);
+  const outer = pageBy === 'group' ? settings.groupBy[0] : null;
+  const ordered = groupPatients(sortPatients(patients, settings.sortKeys), settings.groupBy, settings.groupOrder)
+    .flatMap(group => group.patients);
+  const pages = [];
+  let current = [];
+  ordered.forEach(patient => {
+    const previous = current[current.length - 1];
+    const newGroup = outer && previous && groupValue(previous, outer) !== groupValue(patient, outer);
+    if (current.length >= limit || newGroup) {
+      pages.push(current);
+      current = [];
+    }
+    current.push(patient);
+  });
+  pages.push(current);
+  return pages;
+};
+
+// Exported figures ({ tree, width, height }), one per page. Every page repeats the axis, legend
+// and track headers of the whole cohort; a waterfall panel gets a page of its own at the end.
+export const pageFigures = (patients, settings, options, { vocabulary, colors = settings.style.colors }) => {
+  const pages = splitPages(patients, settings, options);
+  const figures = pages.map((members, index) => {
+    const page = pages.length > 1 ? { index, count: pages.length } : null;
+    const layout = computeLayout(members, settings, { vocabulary, colors, population: patients, page });
+    return { tree: renderPlot(layout, settings, { vocabulary, colors }), width: layout.width, height: layout.height };
+  });
+  if (settings.waterfall.show) {
+    const waterfall = computeWaterfall(computeLayout(patients, settings, { vocabulary, colors }), settings);
+    figures.push({ tree: renderWaterfall(waterfall, settings, { vocabulary }), width: waterfall.width, height: waterfall.height });
+  }
+  return figures;
+};
@@ -0,0 +1,54 @@
+import * as XLSX from 'xlsx';
+import Papa from 'papaparse';
+import { isXptFile, parseXpt } from './xpt.js';
+
+export const isCsvFile = (fileName) => fileName.toLowerCase().endsWith('.csv');
+
+const sheetTable = (workbook, sheetName) => {
+  const sheet = workbook.Sheets[sheetName];
+  return {
+    rows: XLSX.utils.sheet_to_json(sheet),
+    headers: (XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || []).map(String),
+  };
+};
+
+// CSV text, workbook or SAS transport bytes -> one { fileName, sheet, headers, rows } per
+// non-empty sheet or dataset (a CSV file is a single table with sheet null)
+export const parseWorkbook = (content, fileName) => {
+  let tables;
+  if (isCsvFile(fileName)) {
+    const result = Papa.parse(String(content), { header: true, skipEmptyLines: true });
+    tables = [{ fileName, sheet: null, headers: result.meta.fields || [], rows: result.data }];
+  } else if (isXptFile(fileName)) {
+    tables = parseXpt(content).map(({ sheet, headers, rows }) => ({ fileName, sheet, headers, rows }));
+  } else {
+    const workbook = XLSX.read(content, { type: 'array' });
+    tables = workbook.SheetNames.map(sheet => ({ fileName, sheet, ...sheetTable(workbook, sheet) }));
+  }
+
+  tables = tables.filter(table => table.rows.length > 0);
+  if (tables.length === 0) {
+    throw new Error('데이터 행이 없습니다.');
+  }
+  return tables;
+};
+
+// CSV text, workbook or SAS transport bytes (ArrayBuffer / Uint8Array) ->
+// { fileName, sheet, headers, rows } from the named sheet or dataset, or the first one
+export const parseSpreadsheet = (content, fileName, sheet = null) => {
+  const tables = parseWorkbook(content, fileName);
+  const table = sheet ? tables.find(t => t.sheet === sheet) : tables[0];
+  if (!table) {
+    throw new Error(`"${sheet}" 시트가 없거나 비어 있습니다.`);
+  }
+  return { fileName, sheet: table.sheet, headers: table.headers, rows: table.rows };
+};
+
+// { headers, rows } -> CSV text or XLSX bytes, columns in their original order
+export const writeSpreadsheet = ({ headers, rows }, format) => {
+  const data = rows.map(row => headers.map(header => row[header] ?? ''));
+  if (format === 'csv') return Papa.unparse({ fields: headers, data });
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([headers, ...data]), 'Data');
+  return XLSX.write(book, { type: 'array', bookType: 'xlsx' });
+};
@@ -0,0 +1,264 @@
+// Vector PDF from element trees, one page each. Text must already be outlined
+// (see outlineText), so the file needs no fonts at all.
+
+const NAMED_COLORS = { black: '#000000', white: '#ffffff' };
+// Control point distance for quarter circles drawn as cubic Béziers
+const KAPPA = 0.5523;
+
+const num = (value) => {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+};
+
+const parseColor = (value) => {
+  if (!value || value === 'none' || value === 'transparent') return null;
+  let hex = NAMED_COLORS[value] || value;
+  if (/^#[0-9a-f]{3}$/i.test(hex)) hex = '#' + [...hex.slice(1)].map(c => c + c).join('');
+  if (!/^#[0-9a-f]{6}$/i.test(hex)) return null;
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+};
+
+const multiply = ([a, b, c, d, e, f], [a2, b2, c2, d2, e2, f2]) => [
+  a * a2 + c * b2, b * a2 + d * b2,
+  a * c2 + c * d2, b * c2 + d * d2,
+  a * e2 + c * f2 + e, b * e2 + d * f2 + f,
+];
+
+// SVG transform list -> one matrix [a b c d e f]
+export const parseTransform = (value) => {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  String(value).replace(/(\w+)\s*\(([^)]*)\)/g, (_, name, args) => {
+    const [p0 = 0, p1, p2] = args.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (name === 'translate') matrix = multiply(matrix, [1, 0, 0, 1, p0, p1 || 0]);
+    if (name === 'scale') matrix = multiply(matrix, [p0, 0, 0, p1 ?? p0, 0, 0]);
+    if (name === 'rotate') {
+      const angle = (p0 * Math.PI) / 180;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const cx = p1 || 0;
+      const cy = p2 || 0;
+      matrix = multiply(matrix, [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy]);
+    }
+    if (name === 'matrix') matrix = multiply(matrix, args.split(/[\s,]+/).filter(Boolean).map(Number));
+    return '';
+  });
+  return matrix;
+};
+
+const pointList = (points) => {
+  const values = String(points).trim().split(/[\s,]+/).map(Number);
+  const list = [];
+  for (let i = 0; i + 1 < values.length; i += 2) list.push([values[i], values[i + 1]]);
+  return list;
+};
+
+// SVG path data (M L H V C Q Z, absolute or relative) -> PDF path operators
+const pathOps = (d) => {
+  const tokens = String(d).match(/[MLHVCQZmlhvcqz]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+  const ops = [];
+  let i = 0;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  const next = () => Number(tokens[i++]);
+
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) command = tokens[i++];
+    const relative = command === command.toLowerCase();
+    const dx = relative ? x : 0;
+    const dy = relative ? y : 0;
+    switch (command.toUpperCase()) {
+      case 'M':
+        x = next() + dx;
+        y = next() + dy;
+        startX = x;
+        startY = y;
+        ops.push(`${num(x)} ${num(y)} m`);
+        // Further pairs after a moveto are linetos
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        x = next() + dx;
+        y = next() + dy;
+        ops.push(`${num(x)} ${num(y)} l`);
+        break;
+      case 'H':
+        x = next() + dx;
+        ops.push(`${num(x)} ${num(y)} l`);
+        break;
+      case 'V':
+        y = next() + dy;
+        ops.push(`${num(x)} ${num(y)} l`);
+        break;
+      case 'C': {
+        const values = [next() + dx, next() + dy, next() + dx, next() + dy, next() + dx, next() + dy];
+        [x, y] = values.slice(4);
+        ops.push(`${values.map(num).join(' ')} c`);
+        break;
+      }
+      case 'Q': {
+        const qx = next() + dx;
+        const qy = next() + dy;
+        const ex = next() + dx;
+        const ey = next() + dy;
+        const c1 = [x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y)];
+        const c2 = [ex + (2 / 3) * (qx - ex), ey + (2 / 3) * (qy - ey)];
+        ops.push(`${[...c1, ...c2, ex, ey].map(num).join(' ')} c`);
+        x = ex;
+        y = ey;
+        break;
+      }
+      case 'Z':
+        ops.push('h');
+        x = startX;
+        y = startY;
+        break;
+      default:
+        i++;
+    }
+  }
+  return ops.join('\n');
+};
+
+const rectOps = (x, y, w, h, r) => {
+  if (!r) return `${num(x)} ${num(y)} ${num(w)} ${num(h)} re`;
+  r = Math.min(r, w / 2, h / 2);
+  const k = r * KAPPA;
+  return [
+    `${num(x + r)} ${num(y)} m`,
+    `${num(x + w - r)} ${num(y)} l`,
+    `${num(x + w - r + k)} ${num(y)} ${num(x + w)} ${num(y + r - k)} ${num(x + w)} ${num(y + r)} c`,
+    `${num(x + w)} ${num(y + h - r)} l`,
+    `${num(x + w)} ${num(y + h - r + k)} ${num(x + w - r + k)} ${num(y + h)} ${num(x + w - r)} ${num(y + h)} c`,
+    `${num(x + r)} ${num(y + h)} l`,
+    `${num(x + r - k)} ${num(y + h)} ${num(x)} ${num(y + h - r + k)} ${num(x)} ${num(y + h - r)} c`,
+    `${num(x)} ${num(y + r)} l`,
+    `${num(x)} ${num(y + r - k)} ${num(x + r - k)} ${num(y)} ${num(x + r)} ${num(y)} c`,
+    'h',
+  ].join('\n');
+};
+
+const circleOps = (cx, cy, r) => {
+  const k = r * KAPPA;
+  return [
+    `${num(cx + r)} ${num(cy)} m`,
+    `${num(cx + r)} ${num(cy + k)} ${num(cx + k)} ${num(cy + r)} ${num(cx)} ${num(cy + r)} c`,
+    `${num(cx - k)} ${num(cy + r)} ${num(cx - r)} ${num(cy + k)} ${num(cx - r)} ${num(cy)} c`,
+    `${num(cx - r)} ${num(cy - k)} ${num(cx - k)} ${num(cy - r)} ${num(cx)} ${num(cy - r)} c`,
+    `${num(cx + k)} ${num(cy - r)} ${num(cx + r)} ${num(cy - k)} ${num(cx + r)} ${num(cy)} c`,
+    'h',
+  ].join('\n');
+};
+
+const shapeOps = (tag, a) => {
+  const n = (name) => Number(a[name] || 0);
+  switch (tag) {
+    case 'rect': return n('width') > 0 && n('height') > 0 ? rectOps(n('x'), n('y'), n('width'), n('height'), n('rx')) : null;
+    case 'circle': return circleOps(n('cx'), n('cy'), n('r'));
+    case 'line': return `${num(n('x1'))} ${num(n('y1'))} m\n${num(n('x2'))} ${num(n('y2'))} l`;
+    case 'polygon':
+    case 'polyline': {
+      const points = pointList(a.points);
+      if (points.length === 0) return null;
+      return points.map(([x, y], i) => `${num(x)} ${num(y)} ${i === 0 ? 'm' : 'l'}`).join('\n') + (tag === 'polygon' ? '\nh' : '');
+    }
+    case 'path': return pathOps(a.d);
+    default: return null;
+  }
+};
+
+const INHERITED = ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-linecap'];
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+
+// Content stream of one page; `alphaState` names the shared transparency states
+const pageContent = (tree, { widthPt, heightPt }, alphaState) => {
+  const [, , viewWidth, viewHeight] = String(tree.attrs.viewBox || `0 0 ${tree.attrs.width} ${tree.attrs.height}`)
+    .split(/[\s,]+/).map(Number);
+  const content = [];
+
+  const draw = (node, style) => {
+    if (typeof node !== 'object' || node.tag === 'defs') return;
+    const a = node.attrs;
+    const scope = { ...style, opacity: style.opacity * (a.opacity === undefined ? 1 : Number(a.opacity)) };
+    INHERITED.forEach(name => {
+      if (a[name] !== undefined && a[name] !== null) scope[name] = a[name];
+    });
+    if (a['fill-opacity'] !== undefined) scope.fillOpacity = Number(a['fill-opacity']);
+
+    content.push('q');
+    if (a.transform) content.push(`${parseTransform(a.transform).map(num).join(' ')} cm`);
+
+    const ops = shapeOps(node.tag, a);
+    if (ops) {
+      const fill = node.tag === 'line' || node.tag === 'polyline' ? null : parseColor(scope.fill);
+      const stroke = parseColor(scope.stroke);
+      const strokeWidth = Number(scope['stroke-width'] ?? 1);
+      if (fill || (stroke && strokeWidth > 0)) {
+        const fillAlpha = scope.opacity * (scope.fillOpacity ?? 1);
+        if (fillAlpha < 1 || scope.opacity < 1) content.push(`/${alphaState(fillAlpha, scope.opacity)} gs`);
+        if (fill) content.push(`${fill.map(num).join(' ')} rg`);
+        if (stroke) {
+          content.push(`${stroke.map(num).join(' ')} RG`, `${num(strokeWidth)} w`);
+          content.push(`${LINE_CAPS[scope['stroke-linecap']] || 0} J`);
+          const dashes = scope['stroke-dasharray'] && scope['stroke-dasharray'] !== 'none'
+            ? String(scope['stroke-dasharray']).split(/[\s,]+/).map(Number)
+            : [];
+          content.push(`[${dashes.map(num).join(' ')}] 0 d`);
+        }
+        content.push(ops, fill && stroke && strokeWidth > 0 ? 'B' : fill ? 'f' : 'S');
+      }
+    }
+    node.children.forEach(child => draw(child, scope));
+    content.push('Q');
+  };
+
+  // PDF space is bottom-up in points; flip and scale the SVG space into it
+  const scaleX = widthPt / viewWidth;
+  const scaleY = heightPt / viewHeight;
+  content.push(`${num(scaleX)} 0 0 ${num(-scaleY)} 0 ${num(heightPt)} cm`);
+  tree.children.forEach(child => draw(child, { fill: '#000', stroke: 'none', opacity: 1 }));
+  return content.join('\n');
+};
+
+// `pages` are [{ tree, size }] with size { widthPt, heightPt }; each tree's viewBox is scaled to fill its page
+export const treesToPdf = (pages) => {
+  const states = new Map();
+  const alphaState = (fillAlpha, strokeAlpha) => {
+    const key = `${num(fillAlpha)}/${num(strokeAlpha)}`;
+    if (!states.has(key)) states.set(key, { name: `GS${states.size}`, fillAlpha, strokeAlpha });
+    return states.get(key).name;
+  };
+  const streams = pages.map(({ tree, size }) => pageContent(tree, size, alphaState));
+
+  const extGStates = [...states.values()]
+    .map(state => `/${state.name} << /Type /ExtGState /ca ${num(state.fillAlpha)} /CA ${num(state.strokeAlpha)} >>`)
+    .join(' ');
+  // Catalog and page tree, then a page and its content stream per page, then the info dictionary
+  const pageIds = pages.map((_, i) => 3 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    ...pages.flatMap(({ size }, i) => [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(size.widthPt)} ${num(size.heightPt)}] ` +
+        `/Resources << /ExtGState << ${extGStates} >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${streams[i].length} >>\nstream\n${streams[i]}\nendstream`,
+    ]),
+    `<< /Producer (Swimmer's Plot Generator) /CreationDate (D:${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}Z) >>`,
+  ];
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = output.length;
+    output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new TextEncoder().encode(output);
+};
+
+export const treeToPdf = (tree, size) => treesToPdf([{ tree, size }]);
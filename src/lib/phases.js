@@ -0,0 +1,86 @@
+import { MATCH_THRESHOLD, scoreHeader } from './headerMatching.js';
+import { isBlank } from './records.js';
+
+export const PHASE_PALETTE = ['#4C72B0', '#DD8452', '#55A868', '#C44E52', '#8172B3', '#937860', '#DA8BC3', '#8C8C8C'];
+
+export const PHASE_TABLE_ROLES = [
+  {
+    key: 'patientId',
+    label: 'Patient ID',
+    required: true,
+    synonyms: ['patient_id', 'patientid', 'subjid', 'usubjid', 'subject', 'ptid', 'id'],
+  },
+  {
+    key: 'phase',
+    label: 'Phase name',
+    required: true,
+    synonyms: ['phase', 'phase_name', 'period', 'aperiod', 'aphase', 'epoch', 'line', 'regimen', 'treatment_phase', 'stage', 'extrt'],
+  },
+  {
+    key: 'start',
+    label: 'Start date',
+    required: true,
+    synonyms: ['start', 'start_date', 'phase_start', 'astdt', 'stdt', 'exstdtc', 'begin', 'from'],
+  },
+  {
+    key: 'end',
+    label: 'End date',
+    required: false,
+    synonyms: ['end', 'end_date', 'phase_end', 'aendt', 'endt', 'exendtc', 'stop', 'to'],
+  },
+];
+
+export const guessPhaseTableMapping = (headers) => {
+  const mapping = {};
+  const taken = new Set();
+  PHASE_TABLE_ROLES.forEach(role => {
+    const best = headers
+      .filter(header => !taken.has(header))
+      .map(header => ({ header, score: scoreHeader(header, role.synonyms) }))
+      .filter(({ score }) => score >= MATCH_THRESHOLD)
+      .sort((a, b) => b.score - a.score)[0];
+    mapping[role.key] = best ? best.header : '';
+    if (best) taken.add(best.header);
+  });
+  return mapping;
+};
+
+export const validatePhaseTableMapping = (mapping) =>
+  PHASE_TABLE_ROLES
+    .filter(role => role.required && !mapping[role.key])
+    .map(role => `단계 테이블의 ${role.label} 컬럼을 지정해야 합니다.`);
+
+// Raw (unparsed) phase entries per patient ID from the separate phase table
+export const groupPhaseTable = (phaseTable) => {
+  const byPatient = new Map();
+  if (!phaseTable) return byPatient;
+  const { rows, mapping } = phaseTable;
+
+  rows.forEach((row, rowIndex) => {
+    const id = row[mapping.patientId];
+    if (isBlank(id) || isBlank(row[mapping.phase])) return;
+    const key = String(id).trim();
+    if (!byPatient.has(key)) byPatient.set(key, []);
+    byPatient.get(key).push({
+      name: String(row[mapping.phase]).trim(),
+      start: row[mapping.start],
+      end: mapping.end ? row[mapping.end] : undefined,
+      rowIndex,
+    });
+  });
+
+  return byPatient;
+};
+
+export const phaseNames = (patients) => {
+  const names = [];
+  patients.forEach(patient => {
+    (patient.phases || []).forEach(phase => {
+      if (!names.includes(phase.name)) names.push(phase.name);
+    });
+  });
+  return names;
+};
+
+export const phaseColor = (name, names, overrides = {}) =>
+  overrides[name] || PHASE_PALETTE[Math.max(names.indexOf(name), 0) % PHASE_PALETTE.length];
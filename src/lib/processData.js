@@ -0,0 +1,188 @@
+import { buildRecords } from './records.js';
+import { createMatcher, DEFAULT_VOCABULARY } from './vocabularies.js';
+import { groupPhaseTable } from './phases.js';
+import { groupEventTable } from './events.js';
+import { DEFAULT_TIME, MS_PER_DAY, originColumn, unitDays } from './time.js';
+import { responseOutcome } from './metrics.js';
+import { parseNumber, bestPercentChange } from './waterfall.js';
+import { createDateReader, mappedDateValues } from './dates.js';
+
+const ONGOING_TRUE = ['y', 'yes', 'true', '1', 'ongoing', 'o', 'continuing', '예'];
+const ONGOING_FALSE = ['n', 'no', 'false', '0', 'discontinued', 'd', 'completed', '아니오'];
+
+// true / false, or undefined for blanks and values that are neither
+export const parseOngoing = (value) => {
+  if (value === true || value === false) return value;
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim().toLowerCase();
+  if (ONGOING_TRUE.includes(text)) return true;
+  if (ONGOING_FALSE.includes(text)) return false;
+  return undefined;
+};
+
+export const processData = (rawData, mapping, {
+  exclude = new Set(),
+  vocabulary = DEFAULT_VOCABULARY,
+  phaseTable = null,
+  eventTable = null,
+  time = DEFAULT_TIME,
+} = {}) => {
+  const matchResponse = createMatcher(vocabulary);
+  const tablePhases = groupPhaseTable(phaseTable);
+  const tableEvents = groupEventTable(eventTable);
+  const msPerUnit = MS_PER_DAY * unitDays(time);
+  const originKey = originColumn(time.origin, mapping);
+  // Bars are at least one month long, whatever the display unit
+  const minimumLength = (time.monthDays * MS_PER_DAY) / msPerUnit;
+  const readDate = createDateReader(mappedDateValues(rawData, mapping, time, { phaseTable, eventTable }), time);
+  const parseDate = (value) => readDate(value)?.date || null;
+  const isImputed = (value) => Boolean(readDate(value)?.imputed);
+
+  return buildRecords(rawData, mapping, { exclude }).map(({ row, rows, rowIndexes, assessments }) => {
+    const index = rowIndexes[0];
+    const c1d1 = parseDate(row[mapping.startDate]);
+    if (!c1d1) return null;
+    const origin = originKey ? parseDate(row[originKey]) : null;
+    if (!origin) return null;
+
+    const toTime = (date) => (date - origin) / msPerUnit;
+
+    const responses = [];
+    assessments.forEach(assessment => {
+      if (assessment.date && assessment.response) {
+        const respDate = parseDate(assessment.date);
+        if (respDate) {
+          responses.push({
+            time: toTime(respDate),
+            date: respDate,
+            imputed: isImputed(assessment.date),
+            response: assessment.response,
+            code: matchResponse(assessment.response)?.code ?? null,
+          });
+        }
+      }
+    });
+    responses.sort((a, b) => a.time - b.time);
+
+    // Tumor sizes for the waterfall; the earliest one (usually a baseline scan) is the reference
+    const measurements = assessments
+      .map(assessment => ({ date: parseDate(assessment.date), value: parseNumber(assessment.measurement) }))
+      .filter(({ date, value }) => date && value !== null)
+      .map(({ date, value }) => ({ time: toTime(date), value }))
+      .sort((a, b) => a.time - b.time);
+
+    const timeOf = (column) => {
+      if (!column || !row[column]) return null;
+      const date = parseDate(row[column]);
+      return date ? toTime(date) : null;
+    };
+
+    const start = toTime(c1d1);
+    const asctTime = timeOf(mapping.asctDate);
+    const deathTime = timeOf(mapping.deathDate);
+    const eotTime = timeOf(mapping.eotDate);
+    const followupTime = timeOf(mapping.lastFollowupDate);
+
+    const rawId = mapping.patientId ? row[mapping.patientId] : undefined;
+    const phaseEntries = [
+      ...(mapping.phases || []).map(phase => ({
+        name: phase.name,
+        start: row[phase.start],
+        end: phase.end ? row[phase.end] : undefined,
+      })),
+      ...(rawId ? tablePhases.get(String(rawId).trim()) || [] : []),
+    ];
+    const phases = phaseEntries
+      .map(phase => {
+        const phaseStart = parseDate(phase.start);
+        const phaseEnd = parseDate(phase.end);
+        return phaseStart ? {
+          name: phase.name,
+          start: toTime(phaseStart),
+          end: phaseEnd ? toTime(phaseEnd) : null,
+        } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+
+    const events = [];
+    const seenEvents = new Set();
+    const addEvent = (type, value) => {
+      const date = parseDate(value);
+      if (!type || !date) return;
+      const key = `${type}|${date.getTime()}`;
+      if (seenEvents.has(key)) return;
+      seenEvents.add(key);
+      events.push({ type, time: toTime(date), date, imputed: isImputed(value) });
+    };
+
+    if (asctTime !== null) addEvent('ASCT', row[mapping.asctDate]);
+    if (deathTime !== null) addEvent('Death', row[mapping.deathDate]);
+    // Every source row contributes, so long files can carry repeated events
+    rows.forEach(({ row: sourceRow }) => {
+      (mapping.events || []).forEach(event => addEvent(event.type, sourceRow[event.column]));
+      if (mapping.eventRows?.type && mapping.eventRows?.date) {
+        const type = sourceRow[mapping.eventRows.type];
+        addEvent(type === undefined || type === null ? '' : String(type).trim(), sourceRow[mapping.eventRows.date]);
+      }
+    });
+    (rawId ? tableEvents.get(String(rawId).trim()) || [] : []).forEach(event => addEvent(event.type, event.date));
+    events.sort((a, b) => a.time - b.time);
+
+    const latest = (times) => (times.length > 0 ? Math.max(...times) : start);
+    const end = Math.max(
+      latest(responses.map(r => r.time)),
+      latest(events.map(event => event.time)),
+      latest(phases.map(phase => Math.max(phase.start, phase.end ?? start))),
+      eotTime ?? start,
+      followupTime ?? start,
+      start + minimumLength,
+    );
+    // Open-ended phases run until the next phase starts, or to the end of the bar
+    phases.forEach((phase, i) => {
+      if (phase.end === null) phase.end = i + 1 < phases.length ? phases[i + 1].start : end;
+    });
+
+    const ongoing = mapping.ongoing ? parseOngoing(row[mapping.ongoing]) === true : false;
+    // Without an EOT date the whole bar (or the phases, when given) counts as time on treatment
+    let treatmentEnd = end;
+    if (eotTime !== null && !ongoing) {
+      treatmentEnd = Math.min(Math.max(eotTime, start), end);
+    } else if (phases.length > 0 && !ongoing) {
+      treatmentEnd = Math.max(...phases.map(phase => phase.end));
+    }
+    const reason = mapping.discontinuationReason ? row[mapping.discontinuationReason] : null;
+
+    return {
+      key: `row-${index}`,
+      rowIndex: index,
+      rowIndexes,
+      id: String((mapping.patientId && row[mapping.patientId]) || `Patient ${index + 1}`),
+      cohort: String((mapping.cohort && row[mapping.cohort]) || 'Unknown'),
+      start,
+      end,
+      duration: end - start,
+      startDate: c1d1,
+      startImputed: isImputed(row[mapping.startDate]),
+      originDate: origin,
+      treatmentEnd,
+      responses,
+      asctTime,
+      deathTime,
+      events,
+      eotTime,
+      followupTime,
+      phases,
+      ...responseOutcome(responses, vocabulary, start),
+      measurements,
+      bestPercentChange: bestPercentChange(
+        mapping.percentChange ? rows.map(({ row: sourceRow }) => sourceRow[mapping.percentChange]) : [],
+        measurements,
+      ),
+      // Source values, for sorting and grouping by arbitrary columns
+      values: row,
+      ongoing,
+      discontinuationReason: reason === null || reason === undefined || String(reason).trim() === '' ? null : String(reason).trim(),
+    };
+  }).filter(Boolean);
+};
@@ -0,0 +1,99 @@
+import { emptyMapping } from './columnMapping.js';
+import { resolveSettings } from './settings.js';
+
+// A project is everything needed to rebuild a figure: mapping, response criteria and
+// settings (style, filters, group order, ...), plus optionally the data tables themselves.
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.swimmer.json';
+
+const table = (source) => (source ? { fileName: source.fileName, headers: source.headers, rows: source.rows } : null);
+
+// `fileName` defaults to the main data file; pass it when the project has no data loaded
+export const createProject = ({
+  mapping,
+  vocabulary,
+  settings,
+  source,
+  phaseSource,
+  eventSource,
+  fileName = source?.fileName || null,
+}, { includeData = false } = {}) => ({
+  swimmerPlotProject: PROJECT_VERSION,
+  savedAt: new Date().toISOString(),
+  fileName,
+  mapping,
+  vocabulary,
+  settings,
+  data: includeData && source
+    ? { source: table(source), phaseSource: table(phaseSource), eventSource: table(eventSource) }
+    : null,
+});
+
+export const projectToJson = (project) => JSON.stringify(project, null, 2);
+
+const isTable = (value) => !!value && typeof value.fileName === 'string' &&
+  Array.isArray(value.headers) && Array.isArray(value.rows);
+
+// Project file text -> project with defaults filled in; throws with a message for the user
+export const parseProject = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('JSON 형식이 아닙니다.');
+  }
+  if (!parsed || typeof parsed !== 'object' || !parsed.swimmerPlotProject) {
+    throw new Error('Swimmer plot 프로젝트 파일이 아닙니다.');
+  }
+  if (parsed.swimmerPlotProject > PROJECT_VERSION) {
+    throw new Error(`더 새로운 버전(v${parsed.swimmerPlotProject})에서 저장된 프로젝트입니다. 앱을 업데이트하세요.`);
+  }
+  if (parsed.vocabulary && !Array.isArray(parsed.vocabulary.categories)) {
+    throw new Error('프로젝트의 반응 평가 기준이 올바르지 않습니다.');
+  }
+  const data = parsed.data && isTable(parsed.data.source)
+    ? {
+      source: parsed.data.source,
+      phaseSource: isTable(parsed.data.phaseSource) ? parsed.data.phaseSource : null,
+      eventSource: isTable(parsed.data.eventSource) ? parsed.data.eventSource : null,
+    }
+    : null;
+  return {
+    ...parsed,
+    mapping: parsed.mapping ? { ...emptyMapping(), ...parsed.mapping } : null,
+    vocabulary: parsed.vocabulary || null,
+    settings: resolveSettings(parsed.settings),
+    data,
+  };
+};
+
+const SESSION_KEY = 'swimmerPlot.session';
+
+// The last session, restored on startup. Data that does not fit in browser storage is
+// dropped, keeping the configuration so it can be re-applied to the file.
+export const saveSession = (state) => {
+  const write = (includeData) => localStorage.setItem(SESSION_KEY, JSON.stringify({
+    ...createProject(state, { includeData }),
+    stage: state.stage,
+  }));
+  try {
+    write(true);
+    return true;
+  } catch {
+    try {
+      write(false);
+    } catch {
+      // Storage unavailable (private mode, quota): nothing to restore next time
+    }
+    return false;
+  }
+};
+
+export const loadSession = () => {
+  try {
+    const stored = localStorage.getItem(SESSION_KEY);
+    return stored ? parseProject(stored) : null;
+  } catch {
+    return null;
+  }
+};
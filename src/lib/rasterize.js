@@ -0,0 +1,30 @@
+import { setPngDpi, encodeTiff } from './imageFormats.js';
+
+const drawSvg = (svg, width, height) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+    resolve(canvas);
+  };
+  img.onerror = () => reject(new Error('이미지를 만들지 못했습니다. 크기나 DPI를 줄여 보세요.'));
+  img.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svg)));
+});
+
+// `svg` must already be sized in pixels (see rasterSvg)
+export const rasterize = async (svg, { pixelWidth, pixelHeight }, format, dpi) => {
+  const canvas = await drawSvg(svg, pixelWidth, pixelHeight);
+  if (format === 'tiff') {
+    const { data } = canvas.getContext('2d').getImageData(0, 0, pixelWidth, pixelHeight);
+    return new Blob([encodeTiff({ width: pixelWidth, height: pixelHeight, data, dpi })], { type: 'image/tiff' });
+  }
+  const png = await new Promise((resolve, reject) => canvas.toBlob(blob => (
+    blob ? resolve(blob) : reject(new Error('이미지를 만들지 못했습니다. 크기나 DPI를 줄여 보세요.'))
+  ), 'image/png'));
+  return new Blob([setPngDpi(await png.arrayBuffer(), dpi)], { type: 'image/png' });
+};
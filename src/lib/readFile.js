@@ -0,0 +1,27 @@
+import { isCsvFile, parseSpreadsheet, parseWorkbook } from './parse.js';
+
+const readWith = (file, parse) => new Promise((resolve, reject) => {
+  const isCsv = isCsvFile(file.name);
+  const reader = new FileReader();
+
+  reader.onload = (e) => {
+    try {
+      resolve(parse(e.target.result, file.name));
+    } catch (err) {
+      reject(err);
+    }
+  };
+  reader.onerror = () => reject(reader.error);
+
+  if (isCsv) {
+    reader.readAsText(file);
+  } else {
+    reader.readAsArrayBuffer(file);
+  }
+});
+
+export const readSpreadsheet = (file) => readWith(file, parseSpreadsheet);
+
+// Every sheet of every file, for the relational import
+export const readTables = (files) => Promise.all(files.map(file => readWith(file, parseWorkbook)))
+  .then(results => results.flat());
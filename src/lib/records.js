@@ -0,0 +1,63 @@
+export const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const wideRecord = (row, rowIndex, mapping) => ({
+  rowIndexes: [rowIndex],
+  row,
+  rows: [{ row, rowIndex }],
+  assessments: mapping.assessments.map(pair => ({
+    rowIndex,
+    dateColumn: pair.date,
+    responseColumn: pair.response,
+    date: row[pair.date],
+    response: row[pair.response],
+    measurement: pair.measurement ? row[pair.measurement] : undefined,
+  })),
+});
+
+// Long layout: one row per assessment. Patient-level columns take the first
+// non-blank value within the patient's rows.
+const longRecords = (rows, mapping) => {
+  const pair = mapping.assessments[0] || { date: '', response: '' };
+  const groups = new Map();
+
+  rows.forEach(({ row, rowIndex }) => {
+    const id = mapping.patientId ? row[mapping.patientId] : undefined;
+    const groupKey = isBlank(id) ? `__row${rowIndex}` : String(id).trim();
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push({ row, rowIndex });
+  });
+
+  return [...groups.values()].map(groupRows => {
+    const merged = {};
+    groupRows.forEach(({ row }) => {
+      Object.keys(row).forEach(column => {
+        if (isBlank(merged[column]) && !isBlank(row[column])) merged[column] = row[column];
+      });
+    });
+
+    return {
+      rowIndexes: groupRows.map(({ rowIndex }) => rowIndex),
+      row: merged,
+      rows: groupRows,
+      assessments: groupRows
+        .filter(({ row }) => !isBlank(row[pair.date]) || !isBlank(row[pair.response]))
+        .map(({ row, rowIndex }) => ({
+          rowIndex,
+          dateColumn: pair.date,
+          responseColumn: pair.response,
+          date: row[pair.date],
+          response: row[pair.response],
+          measurement: pair.measurement ? row[pair.measurement] : undefined,
+        })),
+    };
+  });
+};
+
+export const buildRecords = (rows, mapping, { exclude = new Set() } = {}) => {
+  const included = rows
+    .map((row, rowIndex) => ({ row, rowIndex }))
+    .filter(({ rowIndex }) => !exclude.has(rowIndex));
+
+  if (mapping.layout === 'long') return longRecords(included, mapping);
+  return included.map(({ row, rowIndex }) => wideRecord(row, rowIndex, mapping));
+};
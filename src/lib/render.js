@@ -0,0 +1,420 @@
+import { h } from './svg.js';
+import { markerShape } from './markers.js';
+import { formatTick } from './axis.js';
+import { defaultAxisTitle } from './time.js';
+import { UNKNOWN_RESPONSE_COLOR, findCategory } from './vocabularies.js';
+import { NOT_ASSESSED, buildResponseSegments, stateChangeResponses } from './segments.js';
+import { phaseNames, phaseColor } from './phases.js';
+import { eventTypes, eventStyle } from './events.js';
+import { PLOT_FONT_STACK } from './fonts.js';
+import { LEGEND_SWATCH } from './legend.js';
+import { dashArray, grayscaleTree } from './styles.js';
+import { trackValue, trackColor, trackText } from './tracks.js';
+
+const truncate = (text, length) => (text.length > length ? text.slice(0, length - 1) + '…' : text);
+
+const renderAxis = (layout, settings) => {
+  const { axis, plot, axisLabels } = layout;
+  const { style } = settings;
+  const toX = axis.scale;
+  const axisLine = (x1, x2) => h('line', { x1, y1: plot.bottom, x2, y2: plot.bottom, stroke: style.axisColor, 'stroke-width': style.axisWidth });
+
+  return [
+    settings.showGrid && axis.ticks.map(tick => h('line', {
+      key: `grid-${tick}`,
+      x1: toX(tick),
+      y1: plot.top,
+      x2: toX(tick),
+      y2: plot.bottom,
+      stroke: style.gridColor,
+      'stroke-width': style.gridWidth,
+      'stroke-dasharray': dashArray(style.gridStyle, style.gridWidth),
+    })),
+    axis.breakX
+      ? [axisLine(plot.left, axis.breakX.start), axisLine(axis.breakX.end, plot.right)]
+      : axisLine(plot.left, plot.right),
+    axis.ticks.map(tick => h('g', { key: `tick-${tick}` },
+      style.tickLength > 0 && h('line', {
+        x1: toX(tick),
+        y1: plot.bottom,
+        x2: toX(tick),
+        y2: plot.bottom + style.tickLength,
+        stroke: style.axisColor,
+        'stroke-width': style.axisWidth,
+      }),
+      h('text', { x: toX(tick), y: axisLabels.tick, 'text-anchor': 'middle', 'font-size': style.tickFontSize, fill: style.textColor }, formatTick(tick)),
+    )),
+    h('text', {
+      x: (plot.left + plot.right) / 2,
+      y: axisLabels.title,
+      'text-anchor': 'middle',
+      'font-size': style.axisTitleFontSize,
+      fill: style.textColor,
+      'font-weight': 500,
+    }, settings.axisTitle || defaultAxisTitle(settings.time)),
+  ];
+};
+
+const renderBreak = (layout, style) => {
+  const { axis, plot } = layout;
+  if (!axis.breakX) return null;
+  return h('g', {},
+    h('rect', {
+      x: axis.breakX.start,
+      y: plot.top,
+      width: axis.breakX.end - axis.breakX.start,
+      height: plot.bottom - plot.top + 5,
+      fill: '#fff',
+    }),
+    [axis.breakX.start, axis.breakX.end].map(x => h('line', {
+      key: x,
+      x1: x - 4,
+      y1: plot.bottom + 6,
+      x2: x + 4,
+      y2: plot.bottom - 6,
+      stroke: style.axisColor,
+      'stroke-width': style.axisWidth * 1.5,
+    })),
+  );
+};
+
+const ROW_HIGHLIGHTS = {
+  selected: '#FFE8A3',
+  pinned: '#FFF4CC',
+  hovered: '#EAF3F8',
+};
+
+// Background of a hovered, pinned or selected patient; the waterfall panel uses the same colors
+export const rowHighlight = (key, interaction) => {
+  if (interaction.selected === key) return ROW_HIGHLIGHTS.selected;
+  if (interaction.pinned.has(key)) return ROW_HIGHLIGHTS.pinned;
+  if (interaction.hovered === key) return ROW_HIGHLIGHTS.hovered;
+  return 'transparent';
+};
+
+// Tile or value of one annotation track, and the patient ID, left of the bars
+const renderTrackCells = (patient, y, settings, tracks, interaction) => {
+  const { barHeight, style } = settings;
+  const textY = y + barHeight / 2 + style.labelFontSize * 0.35;
+  return [
+    tracks.columns.map((column, i) => {
+      const value = trackValue(patient, column.track.field);
+      if (value === null) return null;
+      const attrs = { key: `track-${i}`, 'data-marker': interaction ? `track:${i}` : null };
+      if (column.track.type === 'categorical') {
+        return h('rect', {
+          ...attrs,
+          x: column.x + (column.width - tracks.tileWidth) / 2,
+          y,
+          width: tracks.tileWidth,
+          height: barHeight,
+          fill: trackColor(value, column.values, column.track.colors),
+        });
+      }
+      const number = column.track.type === 'number';
+      return h('text', {
+        ...attrs,
+        x: number ? column.x + column.width - 2 : column.x + column.width / 2,
+        y: textY,
+        'text-anchor': number ? 'end' : 'middle',
+        'font-size': style.labelFontSize,
+        fill: style.textColor,
+      }, trackText(value, column.track.type));
+    }),
+    tracks.ids && h('text', {
+      x: tracks.ids.x + tracks.ids.width - 2,
+      y: textY,
+      'text-anchor': 'end',
+      'font-size': style.labelFontSize,
+      fill: style.textColor,
+    }, patient.id),
+  ];
+};
+
+const renderPatient = (patient, y, settings, context) => {
+  const { vocabulary, colors, toX, inView, allPhaseNames, allEventTypes, layout, interaction } = context;
+  const { barHeight, barGap, style } = settings;
+  const barStart = toX(patient.start);
+  const barEnd = toX(patient.end);
+  const treatmentEnd = toX(patient.treatmentEnd);
+  const midY = y + barHeight / 2;
+
+  const segmentColor = (code, plainColor) => {
+    if (code === undefined) return plainColor;
+    if (code === NOT_ASSESSED) return colors.notAssessed;
+    return findCategory(vocabulary, code)?.color || UNKNOWN_RESPONSE_COLOR;
+  };
+
+  const followUpRect = (x1, x2, fill, key) => h('rect', {
+    key,
+    x: x1,
+    y: midY - barHeight * 0.2,
+    width: x2 - x1,
+    height: barHeight * 0.4,
+    fill,
+  });
+
+  let bars;
+  if (settings.barMode === 'segmented') {
+    bars = buildResponseSegments(patient, settings).flatMap((segment, i) => {
+      const parts = [];
+      const split = Math.min(Math.max(patient.treatmentEnd, segment.start), segment.end);
+      if (split > segment.start) {
+        parts.push(h('rect', {
+          key: `${i}-t`,
+          x: toX(segment.start),
+          y,
+          width: toX(split) - toX(segment.start),
+          height: barHeight,
+          fill: segmentColor(segment.code, colors.bar),
+          opacity: style.barOpacity,
+        }));
+      }
+      if (segment.end > split) {
+        parts.push(followUpRect(toX(split), toX(segment.end), segmentColor(segment.code, colors.followUp), `${i}-f`));
+      }
+      return parts;
+    });
+  } else {
+    bars = [
+      patient.end > patient.treatmentEnd && followUpRect(treatmentEnd, barEnd, colors.followUp),
+      patient.phases.length > 0 ? patient.phases.map((phase, i) => {
+        const phaseX = toX(Math.max(phase.start, patient.start));
+        const phaseWidth = Math.max(toX(phase.end) - phaseX, 2);
+        return h('g', { key: `phase-${i}` },
+          h('rect', {
+            x: phaseX,
+            y,
+            width: phaseWidth,
+            height: barHeight,
+            fill: phaseColor(phase.name, allPhaseNames, settings.phaseColors),
+            stroke: '#fff',
+            'stroke-width': 0.5,
+            opacity: style.barOpacity,
+          }),
+          settings.showPhaseLabels && phaseWidth > phase.name.length * style.labelFontSize * 0.6 + 8 && h('text', {
+            x: phaseX + phaseWidth / 2,
+            y: midY + style.labelFontSize * 0.35,
+            'text-anchor': 'middle',
+            'font-size': style.labelFontSize,
+            fill: '#fff',
+          }, phase.name),
+        );
+      }) : h('rect', {
+        x: barStart,
+        y,
+        width: treatmentEnd - barStart,
+        height: barHeight,
+        fill: colors.bar,
+        rx: style.barRadius,
+        opacity: style.barOpacity,
+      }),
+    ];
+  }
+
+  const responses = settings.barMode === 'segmented' && settings.dotsAtChangesOnly
+    ? stateChangeResponses(patient.responses)
+    : patient.responses;
+
+  return h('g', { key: patient.key, 'data-patient': interaction ? patient.key : null },
+    interaction && h('rect', {
+      x: layout.tracks.left - 20,
+      y: y - barGap / 2,
+      width: layout.chartWidth - layout.tracks.left + 20,
+      height: barHeight + barGap,
+      fill: rowHighlight(patient.key, interaction),
+      cursor: 'pointer',
+    }),
+    renderTrackCells(patient, y, settings, layout.tracks, interaction),
+    bars,
+    patient.eotTime !== null && !patient.ongoing && inView(patient.treatmentEnd) && h('line', {
+      x1: treatmentEnd,
+      y1: y - 2,
+      x2: treatmentEnd,
+      y2: y + barHeight + 2,
+      stroke: colors.EOT,
+      'stroke-width': 2,
+    }),
+    patient.ongoing && inView(patient.end) && h('polygon', {
+      points: `${barEnd + 2},${y} ${barEnd + 12},${midY} ${barEnd + 2},${y + barHeight}`,
+      fill: colors.ongoing,
+    }),
+    settings.showDiscontinuationReason && patient.discontinuationReason && !patient.ongoing && inView(patient.end) && h('text', {
+      x: barEnd + 6,
+      y: midY + style.labelFontSize * 0.4,
+      'font-size': style.labelFontSize,
+      fill: colors.EOT,
+    }, truncate(patient.discontinuationReason, 14)),
+    responses.map((resp, i) => {
+      if (!inView(resp.time)) return null;
+      const category = findCategory(vocabulary, resp.code);
+      const index = patient.responses.indexOf(resp);
+      return h('g', { key: `resp-${i}`, 'data-marker': interaction ? `response:${index}` : null }, markerShape({
+        shape: category?.shape,
+        x: toX(resp.time),
+        y: midY,
+        r: style.markerSize,
+        fill: category?.color || UNKNOWN_RESPONSE_COLOR,
+        stroke: style.markerStroke,
+        strokeWidth: style.markerStrokeWidth,
+      }));
+    }),
+    patient.events.map((event, i) => {
+      const eventMarker = eventStyle(event.type, allEventTypes, settings.eventStyles);
+      if (!eventMarker.visible || !inView(event.time)) return null;
+      return h('g', { key: `event-${i}`, 'data-marker': interaction ? `event:${i}` : null }, markerShape({
+        shape: eventMarker.shape,
+        x: toX(event.time),
+        y: midY + eventMarker.offset,
+        r: eventMarker.size,
+        fill: eventMarker.color,
+        stroke: style.markerStroke,
+        strokeWidth: style.markerStrokeWidth,
+      }));
+    }),
+  );
+};
+
+// Each nesting level sits one column further left
+const LEVEL_OFFSET = 34;
+
+const renderGroupSpan = (span, settings, left) => {
+  const labelX = left - 50 - span.depth * LEVEL_OFFSET;
+  const bracketX = left - 30 - span.depth * LEVEL_OFFSET;
+  const labelY = (span.top + span.bottom) / 2;
+  const bracketBottom = span.bottom - settings.barGap;
+  const color = span.color || settings.style.textColor;
+  return h('g', { key: `span-${span.level}-${span.key}` },
+    h('text', {
+      x: labelX,
+      y: labelY,
+      'text-anchor': 'middle',
+      'font-size': span.depth === 0 && settings.groupBy.length > 1 ? settings.style.groupFontSize - 2 : settings.style.groupFontSize,
+      'font-weight': 600,
+      fill: color,
+      transform: `rotate(-90, ${labelX}, ${labelY})`,
+    }, span.text),
+    h('path', {
+      d: `M ${bracketX} ${span.top} L ${bracketX + 5} ${span.top} L ${bracketX + 5} ${bracketBottom} L ${bracketX} ${bracketBottom}`,
+      stroke: span.color || '#666',
+      'stroke-width': 1,
+      fill: 'none',
+    }),
+  );
+};
+
+// Sample drawn in a SWATCH.width x 14 box
+export const legendSwatch = (entry) => {
+  const { width } = LEGEND_SWATCH;
+  switch (entry.swatch) {
+    case 'segment':
+      return [
+        h('rect', { x: 0, y: 1, width, height: 12, fill: entry.color, opacity: entry.opacity }),
+        markerShape({ shape: entry.shape, x: width / 2, y: 7, r: 5, fill: entry.color }),
+      ];
+    case 'bar':
+      return h('rect', { x: 0, y: 1, width, height: 12, rx: 2, fill: entry.color, opacity: entry.opacity });
+    case 'thin':
+      return h('rect', { x: 0, y: 5, width, height: 4, fill: entry.color });
+    case 'tile':
+      return h('rect', { x: width / 2 - 6, y: 1, width: 12, height: 12, fill: entry.color });
+    case 'line':
+      return h('line', { x1: width / 2, y1: 0, x2: width / 2, y2: 14, stroke: entry.color, 'stroke-width': 2 });
+    case 'ongoing':
+      return h('polygon', { points: `${width / 2 - 5},1 ${width / 2 + 6},7 ${width / 2 - 5},13`, fill: entry.color });
+    default:
+      return markerShape({
+        shape: entry.shape,
+        x: width / 2,
+        y: entry.shape === 'arrow' ? 13 : 7,
+        r: entry.shape === 'x' ? 5 : 6,
+        fill: entry.color,
+        stroke: 'none',
+      });
+  }
+};
+
+const renderLegend = (legend, style) => {
+  if (!legend) return null;
+  return h('g', { key: 'legend' },
+    legend.box && h('rect', {
+      ...legend.box,
+      fill: '#fff',
+      stroke: '#ccc',
+      'stroke-width': 1,
+      opacity: 0.92,
+    }),
+    legend.items.map(({ entry, x, y }) => h('g', { key: entry.id, transform: `translate(${x}, ${y})` },
+      legendSwatch(entry),
+      h('text', {
+        x: LEGEND_SWATCH.width + LEGEND_SWATCH.gap,
+        y: 7 + style.legendFontSize * 0.36,
+        'font-size': style.legendFontSize,
+        fill: style.textColor,
+      }, entry.label),
+    )),
+  );
+};
+
+// Whole chart as an element tree; see toSvgString / SvgTree for output.
+// `interaction` ({ hovered, selected, pinned }) is for the on-screen chart only:
+// it adds row highlights and data-* attributes used to find what the pointer is over.
+export const renderPlot = (layout, settings, { vocabulary, colors = settings.style.colors, id, interaction = null } = {}) => {
+  // Phase and event styles follow the whole cohort so every page of a split export matches
+  const patients = layout.population;
+  const { axis } = layout;
+  const context = {
+    vocabulary,
+    colors,
+    layout,
+    interaction,
+    toX: axis.scale,
+    // Markers beyond a manual maximum or a zoomed window are hidden rather than piled up at the edge
+    inView: (t) => t >= axis.min - 1e-9 && t <= axis.max + 1e-9,
+    allPhaseNames: phaseNames(patients),
+    allEventTypes: eventTypes(patients),
+  };
+  const showGroupLabels = settings.groupBy.length > 0 && layout.groupCount > 1;
+
+  const { style } = settings;
+  const tree = h('svg', {
+    id,
+    width: layout.width,
+    height: layout.height,
+    viewBox: `0 0 ${layout.width} ${layout.height}`,
+    'font-family': PLOT_FONT_STACK,
+  },
+    renderAxis(layout, settings),
+    showGroupLabels && layout.spans.map(span => renderGroupSpan(span, settings, layout.tracks.left)),
+    layout.tracks.columns.map((column, i) => h('text', {
+      key: `track-header-${i}`,
+      x: column.x + column.width / 2,
+      y: layout.tracks.headerY,
+      'text-anchor': 'middle',
+      'font-size': style.labelFontSize,
+      'font-weight': 600,
+      fill: style.textColor,
+    }, column.label)),
+    layout.groups.map(group => h('g', { key: group.key },
+      group.rows.map(row => renderPatient(row.patient, row.y, settings, context)),
+    )),
+    renderBreak(layout, style),
+    renderLegend(layout.legend, style),
+    layout.header.map((line, i) => h('text', {
+      key: `header-${i}`,
+      x: 10,
+      y: line.y,
+      'font-size': line.size,
+      'font-weight': line.weight,
+      fill: style.textColor,
+    }, line.text)),
+    layout.footnotes.map((note, i) => h('text', {
+      key: `note-${i}`,
+      x: 10,
+      y: note.y,
+      'font-size': style.footnoteFontSize,
+      fill: style.textColor,
+    }, note.text)),
+  );
+  return style.grayscale ? grayscaleTree(tree) : tree;
+};
@@ -0,0 +1,44 @@
+export const BAR_MODES = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'segmented', label: 'Segmented by response' },
+];
+
+export const NOT_ASSESSED = '__not_assessed__';
+
+// Intervals of [start, end) time units colored by the response state in effect.
+// `code` is a vocabulary code, null for unmatched responses, NOT_ASSESSED
+// before the first assessment, or undefined for plain (uncolored) bar.
+export const buildResponseSegments = (patient, { carryForward = true, showNotAssessed = false } = {}) => {
+  const { start, end } = patient;
+  const responses = patient.responses.filter(r => r.time >= start && r.time <= end);
+  const segments = [];
+
+  const push = (from, to, code) => {
+    if (to <= from) return;
+    const last = segments[segments.length - 1];
+    if (last && last.code === code && last.end === from) {
+      last.end = to;
+    } else {
+      segments.push({ start: from, end: to, code });
+    }
+  };
+
+  const firstTime = responses.length > 0 ? responses[0].time : end;
+  push(start, firstTime, showNotAssessed ? NOT_ASSESSED : undefined);
+
+  responses.forEach((resp, i) => {
+    const next = responses[i + 1];
+    if (next) {
+      push(resp.time, next.time, resp.code);
+    } else {
+      push(resp.time, end, carryForward ? resp.code : undefined);
+    }
+  });
+
+  return segments;
+};
+
+const stateKey = (resp) => resp.code ?? `raw:${resp.response}`;
+
+export const stateChangeResponses = (responses) =>
+  responses.filter((resp, i) => i === 0 || stateKey(resp) !== stateKey(responses[i - 1]));
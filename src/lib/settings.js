@@ -0,0 +1,68 @@
+import { DEFAULT_TIME } from './time.js';
+import { DEFAULT_SORT_KEYS } from './sorting.js';
+import { DEFAULT_STYLE, resolveStyle } from './styles.js';
+import { DEFAULT_WATERFALL, resolveWaterfall } from './waterfall.js';
+
+export const DEFAULT_SETTINGS = {
+  sortKeys: DEFAULT_SORT_KEYS,
+  groupBy: ['cohort'],
+  groupOrder: {},
+  groupLabels: {},
+  groupColors: {},
+  showGroupCounts: false,
+  showGroupStats: false,
+  responseConfirmation: 'none',
+  confirmationDays: 28,
+  filters: [],
+  patientOverrides: {},
+  showFilterFootnote: false,
+  title: '',
+  subtitle: '',
+  footnote: '',
+  legendPosition: 'top',
+  legendHidden: [],
+  legendLabels: {},
+  annotationTracks: [],
+  showPatientIds: false,
+  waterfall: DEFAULT_WATERFALL,
+  style: DEFAULT_STYLE,
+  // On-screen chart only: 'auto' switches to canvas for large cohorts (see usesCanvas)
+  renderMode: 'auto',
+  showGrid: true,
+  barHeight: 20,
+  barGap: 8,
+  flaggedRows: 'plot',
+  showDiscontinuationReason: true,
+  barMode: 'solid',
+  carryForward: true,
+  showNotAssessed: false,
+  dotsAtChangesOnly: false,
+  showPhaseLabels: true,
+  phaseColors: {},
+  eventStyles: {},
+  time: DEFAULT_TIME,
+  tickInterval: 0,
+  axisMax: '',
+  axisTitle: '',
+  brokenAxis: false,
+  breakStart: '',
+  breakEnd: '',
+};
+
+export const PLOT_COLORS = DEFAULT_STYLE.colors;
+
+// Older configs used a single `sortBy` field and a `groupByCohort` switch
+const legacySettings = ({ sortBy, groupByCohort, ...rest }) => ({
+  ...(sortBy && !rest.sortKeys ? { sortKeys: [{ field: sortBy, direction: sortBy === 'duration' ? 'desc' : 'asc' }] } : {}),
+  ...(groupByCohort !== undefined && !rest.groupBy ? { groupBy: groupByCohort ? ['cohort'] : [] } : {}),
+  ...rest,
+});
+
+// Partial settings (e.g. from a CLI config) on top of the defaults
+export const resolveSettings = (overrides = {}) => ({
+  ...DEFAULT_SETTINGS,
+  ...legacySettings(overrides),
+  time: { ...DEFAULT_TIME, ...overrides.time },
+  style: resolveStyle(overrides.style),
+  waterfall: resolveWaterfall(overrides.waterfall),
+});
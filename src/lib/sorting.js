@@ -0,0 +1,70 @@
+import { isBlank } from './records.js';
+
+export const SORT_FIELDS = [
+  { value: 'duration', label: 'Duration', direction: 'desc' },
+  { value: 'id', label: 'Patient ID', direction: 'asc' },
+  { value: 'bestResponse', label: 'Best response', direction: 'asc' },
+  { value: 'timeToResponse', label: 'Time to first response', direction: 'asc' },
+  { value: 'timeToProgression', label: 'Time to progression', direction: 'asc' },
+  { value: 'bestPercentChange', label: 'Best % change', direction: 'desc' },
+];
+
+export const DEFAULT_SORT_KEYS = [{ field: 'duration', direction: 'desc' }];
+
+// Built-in fields, then presence of each event type, then every source column
+export const sortOptions = (headers = [], types = []) => [
+  ...SORT_FIELDS,
+  ...types.map(type => ({ value: `event:${type}`, label: `Has event: ${type}`, direction: 'desc' })),
+  ...headers.map(header => ({ value: `column:${header}`, label: `Column: ${header}`, direction: 'asc' })),
+];
+
+export const compareText = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+const columnValue = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  return text !== '' && !isNaN(Number(text)) ? Number(text) : text;
+};
+
+export const sortValue = (patient, field) => {
+  switch (field) {
+    case 'duration': return patient.duration;
+    case 'id': return patient.id;
+    case 'bestResponse': return patient.bestResponseRank;
+    case 'timeToResponse': return patient.timeToResponse;
+    case 'timeToProgression': return patient.timeToProgression;
+    case 'bestPercentChange': return patient.bestPercentChange ?? null;
+    default:
+  }
+  if (field.startsWith('event:')) {
+    const type = field.slice('event:'.length);
+    return patient.events.some(event => event.type === type) ? 1 : 0;
+  }
+  if (field.startsWith('column:')) return columnValue(patient.values?.[field.slice('column:'.length)]);
+  return null;
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return compareText(a, b);
+};
+
+// Missing values go last whatever the direction; ties fall through to the next key
+export const sortPatients = (patients, sortKeys = DEFAULT_SORT_KEYS) => {
+  const keys = sortKeys.filter(key => key.field);
+  return [...patients].sort((a, b) => {
+    for (const { field, direction } of keys) {
+      const va = sortValue(a, field);
+      const vb = sortValue(b, field);
+      if (va === null && vb === null) continue;
+      if (va === null) return 1;
+      if (vb === null) return -1;
+      const result = compareValues(va, vb);
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+};
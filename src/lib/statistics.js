@@ -0,0 +1,64 @@
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Kaplan-Meier median for [{ time, event }] (event false = censored); null when not reached
+export const kaplanMeierMedian = (observations) => {
+  const sorted = [...observations].sort((a, b) => a.time - b.time || b.event - a.event);
+  let atRisk = sorted.length;
+  let survival = 1;
+  for (let i = 0; i < sorted.length;) {
+    const { time } = sorted[i];
+    let events = 0;
+    let leaving = 0;
+    while (i < sorted.length && sorted[i].time === time) {
+      if (sorted[i].event) events++;
+      leaving++;
+      i++;
+    }
+    if (events > 0) {
+      survival *= 1 - events / atRisk;
+      if (survival <= 0.5 + 1e-12) return time;
+    }
+    atRisk -= leaving;
+  }
+  return null;
+};
+
+// P(X <= x) for X ~ Binomial(n, p)
+const binomialCdf = (x, n, p) => {
+  if (p <= 0) return 1;
+  if (p >= 1) return x >= n ? 1 : 0;
+  // Terms in log space: (1 - p)^n underflows for large cohorts
+  let logTerm = n * Math.log(1 - p);
+  let sum = Math.exp(logTerm);
+  for (let k = 1; k <= x; k++) {
+    logTerm += Math.log((n - k + 1) / k) + Math.log(p / (1 - p));
+    sum += Math.exp(logTerm);
+  }
+  return Math.min(sum, 1);
+};
+
+const bisect = (f, target, increasing) => {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if ((f(mid) < target) === increasing) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// Exact (Clopper-Pearson) confidence interval for x successes out of n
+export const binomialInterval = (x, n, level = 0.95) => {
+  if (n === 0) return null;
+  const alpha = (1 - level) / 2;
+  return {
+    lower: x === 0 ? 0 : bisect(p => 1 - binomialCdf(x - 1, n, p), alpha, true),
+    upper: x === n ? 1 : bisect(p => binomialCdf(x, n, p), alpha, false),
+  };
+};
@@ -0,0 +1,194 @@
+// Everything about how the chart looks, independent of the data shown.
+// Themes bundle a style with the bar height, gap and grid switch that live in the flat settings.
+export const DEFAULT_STYLE = {
+  colors: {
+    bar: '#87CEEB',
+    followUp: '#C9DDE8',
+    notAssessed: '#E0E0E0',
+    EOT: '#37474F',
+    ongoing: '#1F77B4',
+  },
+  textColor: '#333333',
+  markerSize: 6,
+  markerStroke: '#ffffff',
+  markerStrokeWidth: 1,
+  barOpacity: 0.85,
+  barRadius: 3,
+  tickFontSize: 12,
+  axisTitleFontSize: 13,
+  groupFontSize: 14,
+  labelFontSize: 10,
+  legendFontSize: 11,
+  titleFontSize: 18,
+  subtitleFontSize: 13,
+  footnoteFontSize: 11,
+  width: 900,
+  marginLeft: 100,
+  marginRight: 100,
+  gridStyle: 'dashed',
+  gridColor: '#e0e0e0',
+  gridWidth: 1,
+  axisColor: '#333333',
+  axisWidth: 1,
+  tickLength: 5,
+  grayscale: false,
+};
+
+export const COLOR_FIELDS = [
+  { key: 'bar', label: 'Bar' },
+  { key: 'followUp', label: 'Follow-up' },
+  { key: 'notAssessed', label: 'Not assessed' },
+  { key: 'EOT', label: 'End of treatment' },
+  { key: 'ongoing', label: 'Ongoing' },
+];
+
+export const FONT_SIZE_FIELDS = [
+  { key: 'tickFontSize', label: 'Ticks' },
+  { key: 'axisTitleFontSize', label: 'Axis title' },
+  { key: 'groupFontSize', label: 'Group labels' },
+  { key: 'labelFontSize', label: 'Bar labels' },
+  { key: 'legendFontSize', label: 'Legend' },
+  { key: 'titleFontSize', label: 'Title' },
+  { key: 'subtitleFontSize', label: 'Subtitle' },
+  { key: 'footnoteFontSize', label: 'Footnote' },
+];
+
+export const LINE_STYLES = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'dashed', label: 'Dashed' },
+  { value: 'dotted', label: 'Dotted' },
+];
+
+export const dashArray = (lineStyle, width = 1) => ({
+  solid: null,
+  dashed: `${4 * width},${4 * width}`,
+  dotted: `${width},${2 * width}`,
+}[lineStyle] ?? null);
+
+// Partial style (saved theme, CLI config) on top of the defaults
+export const resolveStyle = (style = {}) => ({
+  ...DEFAULT_STYLE,
+  ...style,
+  colors: { ...DEFAULT_STYLE.colors, ...style.colors },
+});
+
+const preset = (id, name, style, extra = {}) => ({ id, name, style: resolveStyle(style), barHeight: 20, barGap: 8, showGrid: true, ...extra });
+
+export const THEME_PRESETS = [
+  preset('default', 'Default', {}),
+  // Fonts sized for a 183 mm double-column figure (about 5-7 pt), flat bars, no grid
+  preset('nature', 'Nature style', {
+    textColor: '#000000',
+    markerSize: 5,
+    markerStrokeWidth: 0.5,
+    barOpacity: 1,
+    barRadius: 0,
+    tickFontSize: 11,
+    axisTitleFontSize: 12,
+    groupFontSize: 12,
+    legendFontSize: 11,
+    titleFontSize: 14,
+    subtitleFontSize: 12,
+    footnoteFontSize: 10,
+    axisColor: '#000000',
+  }, { barHeight: 14, barGap: 6, showGrid: false }),
+  preset('grayscale', 'Grayscale', {
+    grayscale: true,
+    colors: { bar: '#BDBDBD', followUp: '#E0E0E0', notAssessed: '#EEEEEE', EOT: '#212121', ongoing: '#424242' },
+    markerStroke: '#000000',
+    gridStyle: 'dotted',
+    gridColor: '#bdbdbd',
+  }),
+  preset('compact', 'Compact', { markerSize: 4.5, barRadius: 2, tickFontSize: 11, groupFontSize: 12 }, { barHeight: 12, barGap: 4 }),
+];
+
+// The parts of the settings a theme carries
+export const themeFromSettings = (settings, { id, name }) => ({
+  id,
+  name,
+  style: settings.style,
+  barHeight: settings.barHeight,
+  barGap: settings.barGap,
+  showGrid: settings.showGrid,
+});
+
+export const applyTheme = (theme) => ({
+  style: resolveStyle(theme.style),
+  ...(theme.barHeight !== undefined ? { barHeight: theme.barHeight } : {}),
+  ...(theme.barGap !== undefined ? { barGap: theme.barGap } : {}),
+  ...(theme.showGrid !== undefined ? { showGrid: theme.showGrid } : {}),
+});
+
+export const themeMatches = (theme, settings) =>
+  JSON.stringify(applyTheme(theme)) === JSON.stringify(applyTheme(themeFromSettings(settings, theme)));
+
+export const themeToJson = (theme) => JSON.stringify({ swimmerPlotTheme: 1, ...theme }, null, 2);
+
+// Imported theme files; throws with a message for the user
+export const parseTheme = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('JSON 형식이 아닙니다.');
+  }
+  if (!parsed || typeof parsed !== 'object' || typeof parsed.style !== 'object' || parsed.style === null) {
+    throw new Error('테마 파일이 아닙니다. "style" 항목이 필요합니다.');
+  }
+  const unknown = Object.keys(parsed.style).filter(key => !(key in DEFAULT_STYLE));
+  if (unknown.length > 0) throw new Error(`알 수 없는 스타일 항목: ${unknown.join(', ')}`);
+  const { swimmerPlotTheme, ...rest } = parsed;
+  return {
+    ...rest,
+    id: `theme-${Date.now()}`,
+    name: String(parsed.name || 'Imported theme'),
+    style: resolveStyle(parsed.style),
+  };
+};
+
+// Luminance-weighted gray for #rgb / #rrggbb; other values (none, url(...)) pass through
+export const toGray = (color) => {
+  if (typeof color !== 'string') return color;
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+  if (!match) return color;
+  const hex = match[1].length === 3 ? [...match[1]].map(c => c + c).join('') : match[1];
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b).toString(16).padStart(2, '0');
+  return `#${gray}${gray}${gray}`;
+};
+
+// Response, event, phase and group colors come from elsewhere, so grayscale is applied to the finished tree
+export const grayscaleTree = (node) => {
+  if (typeof node !== 'object') return node;
+  const attrs = { ...node.attrs };
+  ['fill', 'stroke'].forEach(name => {
+    if (attrs[name] !== undefined) attrs[name] = toGray(attrs[name]);
+  });
+  return { ...node, attrs, children: node.children.map(grayscaleTree) };
+};
+
+const STORAGE_KEY = 'swimmerPlot.themes';
+
+const readStorage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const loadSavedThemes = () => readStorage();
+
+export const saveTheme = (theme) => {
+  const saved = readStorage().filter(entry => entry.id !== theme.id);
+  saved.unshift(theme);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+export const deleteTheme = (id) => {
+  const saved = readStorage().filter(entry => entry.id !== id);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+};
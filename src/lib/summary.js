@@ -0,0 +1,166 @@
+import { findCategory, isResponseCategory, isProgressionCategory, normalizeResponse } from './vocabularies.js';
+import { responseOutcome } from './metrics.js';
+import { groupPatients, groupLabel } from './grouping.js';
+import { unitDays, unitAbbreviation } from './time.js';
+import { median, kaplanMeierMedian, binomialInterval } from './statistics.js';
+
+export const CONFIRMATION_RULES = [
+  { value: 'none', label: 'Not required' },
+  { value: 'next', label: 'Next assessment ≥ interval later' },
+  { value: 'later', label: 'Any later assessment ≥ interval' },
+];
+
+// A response counts only when a later assessment, at least the interval later and before any
+// progression, shows a response of the same or a better category. It is then kept at the worse
+// of the two categories (CR confirmed by PR counts as PR); unconfirmed responses are dropped.
+export const confirmedResponses = (responses, vocabulary, { rule = 'none', minGap = 0 } = {}) => {
+  if (rule === 'none') return responses;
+  return responses.flatMap((resp, i) => {
+    const category = findCategory(vocabulary, resp.code);
+    if (!isResponseCategory(category)) return [resp];
+    const candidates = [];
+    for (const next of responses.slice(i + 1)) {
+      const nextCategory = findCategory(vocabulary, next.code);
+      if (isProgressionCategory(nextCategory)) break;
+      if (next.time - resp.time < minGap - 1e-9) continue;
+      candidates.push(nextCategory);
+      if (rule === 'next') break;
+    }
+    const confirmers = candidates.filter(isResponseCategory);
+    if (confirmers.length === 0) return [];
+    const bestConfirmer = confirmers.reduce((best, cat) => (cat.rank < best.rank ? cat : best));
+    return [bestConfirmer.rank > category.rank ? { ...resp, code: bestConfirmer.code } : resp];
+  });
+};
+
+// Categories counted for the CR rate: CR and anything ranked above it (sCR, iCR, ...)
+const completeResponseRank = (vocabulary) => {
+  const cr = vocabulary.categories.find(cat => ['CR', 'ICR'].includes(normalizeResponse(cat.code)));
+  return cr ? cr.rank : null;
+};
+
+export const confirmationOptions = (settings) => ({
+  rule: settings.responseConfirmation,
+  minGap: settings.confirmationDays / unitDays(settings.time),
+});
+
+// Outcome for one patient under the confirmation rule; times in the axis unit, from C1D1
+export const patientSummary = (patient, vocabulary, confirmation) => {
+  const responses = confirmedResponses(patient.responses, vocabulary, confirmation);
+  const outcome = responseOutcome(responses, vocabulary, patient.start);
+  const best = findCategory(vocabulary, outcome.bestResponse);
+  const crRank = completeResponseRank(vocabulary);
+  const responder = isResponseCategory(best);
+
+  let responseDuration = null;
+  if (responder) {
+    const responseTime = patient.start + outcome.timeToResponse;
+    const progression = patient.responses.find(resp => resp.time > responseTime &&
+      isProgressionCategory(findCategory(vocabulary, resp.code)));
+    const ends = [progression?.time, patient.deathTime].filter(time => time !== null && time !== undefined && time >= responseTime);
+    responseDuration = ends.length > 0
+      ? { time: Math.min(...ends) - responseTime, event: true }
+      : { time: patient.end - responseTime, event: false };
+  }
+
+  return {
+    bestResponse: outcome.bestResponse,
+    responder,
+    completeResponder: responder && crRank !== null && best.rank <= crRank,
+    timeToResponse: responder ? outcome.timeToResponse : null,
+    responseDuration,
+    treatment: { time: patient.treatmentEnd - patient.start, event: !patient.ongoing },
+  };
+};
+
+const rate = (count, n) => ({ count, n, interval: binomialInterval(count, n) });
+
+export const summarizeGroup = (patients, vocabulary, confirmation) => {
+  const outcomes = patients.map(patient => patientSummary(patient, vocabulary, confirmation));
+  const n = outcomes.length;
+  const responders = outcomes.filter(outcome => outcome.responder);
+  const timesToResponse = responders.map(outcome => outcome.timeToResponse);
+  return {
+    n,
+    bestResponse: [
+      ...vocabulary.categories.map(cat => ({
+        code: cat.code,
+        count: outcomes.filter(outcome => outcome.bestResponse === cat.code).length,
+      })),
+      { code: null, count: outcomes.filter(outcome => outcome.bestResponse === null).length },
+    ],
+    orr: rate(responders.length, n),
+    crRate: completeResponseRank(vocabulary) === null ? null : rate(outcomes.filter(o => o.completeResponder).length, n),
+    timeToResponse: timesToResponse.length > 0
+      ? { median: median(timesToResponse), min: Math.min(...timesToResponse), max: Math.max(...timesToResponse) }
+      : null,
+    responseDuration: responders.length > 0
+      ? {
+        median: kaplanMeierMedian(responders.map(outcome => outcome.responseDuration)),
+        events: responders.filter(outcome => outcome.responseDuration.event).length,
+      }
+      : null,
+    treatment: n > 0
+      ? { median: kaplanMeierMedian(outcomes.map(outcome => outcome.treatment)), ongoing: outcomes.filter(o => !o.treatment.event).length }
+      : null,
+  };
+};
+
+// One column per leaf group of the plot, plus all patients shown
+export const summarize = (patients, settings, vocabulary) => {
+  const confirmation = confirmationOptions(settings);
+  const groups = settings.groupBy.length > 0
+    ? groupPatients(patients, settings.groupBy, settings.groupOrder).map(group => ({
+      label: group.path.map(step => groupLabel(step.level, step.value, settings.groupLabels)).join(' / '),
+      ...summarizeGroup(group.patients, vocabulary, confirmation),
+    }))
+    : [];
+  return [...groups, { label: 'All patients', ...summarizeGroup(patients, vocabulary, confirmation) }];
+};
+
+const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+const number = (value) => String(Math.round(value * 10) / 10);
+const countPercent = (count, n) => (n > 0 ? `${count} (${percent(count / n)})` : '0');
+const rateText = (value) => {
+  if (!value) return '—';
+  if (value.n === 0) return '—';
+  const { lower, upper } = value.interval;
+  return `${countPercent(value.count, value.n)} [${percent(lower)}–${percent(upper)}]`;
+};
+
+// Rows of text cells, shared by the on-screen table and the CSV/XLSX export
+export const summaryRows = (summary, vocabulary, settings) => {
+  const unit = unitAbbreviation(settings.time.unit);
+  const cells = (format) => summary.map(format);
+  const categoryLabel = (code) => {
+    if (code === null) return 'Not evaluable / no assessment';
+    const cat = findCategory(vocabulary, code);
+    return cat?.label ? `${code} (${cat.label})` : code;
+  };
+  return [
+    ['', ...summary.map(group => group.label)],
+    ['N', ...cells(group => String(group.n))],
+    ['Best overall response, n (%)', ...cells(() => '')],
+    ...summary[0].bestResponse.map(({ code }, i) => [
+      `  ${categoryLabel(code)}`,
+      ...cells(group => countPercent(group.bestResponse[i].count, group.n)),
+    ]),
+    ['ORR, n (%) [95% CI]', ...cells(group => rateText(group.orr))],
+    ['CR or better, n (%) [95% CI]', ...cells(group => rateText(group.crRate))],
+    [`Median time to response, ${unit} (range)`, ...cells(group => (group.timeToResponse
+      ? `${number(group.timeToResponse.median)} (${number(group.timeToResponse.min)}–${number(group.timeToResponse.max)})`
+      : '—'))],
+    [`Median duration of response, ${unit} (KM)`, ...cells(group => (group.responseDuration
+      ? `${group.responseDuration.median === null ? 'NR' : number(group.responseDuration.median)} (${group.responseDuration.events} events)`
+      : '—'))],
+    [`Median time on treatment, ${unit} (KM)`, ...cells(group => (group.treatment
+      ? `${group.treatment.median === null ? 'NR' : number(group.treatment.median)} (${group.treatment.ongoing} ongoing)`
+      : '—'))],
+  ];
+};
+
+// Short form beside group labels on the plot
+export const groupStatsText = (patients, vocabulary, settings) => {
+  const { orr } = summarizeGroup(patients, vocabulary, confirmationOptions(settings));
+  return orr.n > 0 ? `N=${orr.n}, ORR ${Math.round((orr.count / orr.n) * 100)}%` : 'N=0';
+};
@@ -0,0 +1,33 @@
+// Minimal element tree shared by the SVG string renderer and the React UI.
+// Attribute names are plain SVG names (stroke-width, text-anchor, ...).
+export const h = (tag, attrs = {}, ...children) => ({
+  tag,
+  attrs,
+  children: children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false && child !== ''),
+});
+
+const escapeText = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttr = (value) => escapeText(value).replace(/"/g, '&quot;');
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100));
+
+const formatAttrs = (attrs) => Object.entries(attrs)
+  .filter(([key, value]) => key !== 'key' && value !== null && value !== undefined && value !== false)
+  .map(([key, value]) => ` ${key}="${escapeAttr(typeof value === 'number' ? formatNumber(value) : value)}"`)
+  .join('');
+
+export const toSvgString = (node) => {
+  if (typeof node === 'string' || typeof node === 'number') return escapeText(node);
+  const attrs = node.tag === 'svg' ? { xmlns: 'http://www.w3.org/2000/svg', ...node.attrs } : node.attrs;
+  if (node.children.length === 0) return `<${node.tag}${formatAttrs(attrs)}/>`;
+  return `<${node.tag}${formatAttrs(attrs)}>${node.children.map(toSvgString).join('')}</${node.tag}>`;
+};
+
+// stroke-width -> strokeWidth, for React props; data-* attributes stay as they are
+export const camelAttr = (name) => (name.startsWith('data-')
+  ? name
+  : name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase()));
@@ -0,0 +1,217 @@
+import { MATCH_THRESHOLD, scoreHeader } from './headerMatching.js';
+import { COLUMN_ROLES, guessMapping } from './columnMapping.js';
+import { guessPhaseTableMapping } from './phases.js';
+import { guessEventTableMapping } from './events.js';
+import { isBlank } from './records.js';
+import { cdiscDataset, defaultFilters, applyFilters } from './cdisc.js';
+
+// What each sheet or file contributes when several are joined on patient ID
+export const TABLE_ROLES = [
+  { value: 'baseline', label: 'Baseline (one row per patient)' },
+  { value: 'assessments', label: 'Response assessments' },
+  { value: 'events', label: 'Events' },
+  { value: 'phases', label: 'Treatment phases' },
+  { value: 'ignore', label: 'Ignore' },
+];
+
+const SHEET_NAME_SYNONYMS = {
+  baseline: ['baseline', 'patient', 'patients', 'subject', 'subjects', 'demographics', 'dm', 'adsl'],
+  assessments: ['response', 'responses', 'assessment', 'assessments', 'rs', 'adrs', 'tumor', 'tr', 'adtr', 'recist', 'visit'],
+  events: ['event', 'events', 'ae', 'adae', 'adverse_events'],
+  phases: ['phase', 'phases', 'treatment', 'exposure', 'ex', 'adex', 'regimen'],
+};
+
+const ID_SYNONYMS = COLUMN_ROLES.find(role => role.key === 'patientId').synonyms;
+
+export const tableLabel = (table) => (table.sheet ? `${table.fileName} › ${table.sheet}` : table.fileName);
+
+export const idKey = (value) => (isBlank(value) ? null : String(value).trim());
+
+export const guessIdColumn = (headers) => headers
+  .map(header => ({ header, score: scoreHeader(header, ID_SYNONYMS) }))
+  .filter(({ score }) => score >= MATCH_THRESHOLD)
+  .sort((a, b) => b.score - a.score)[0]?.header || '';
+
+const repeatsIds = (rows, idColumn) => {
+  const ids = rows.map(row => idKey(row[idColumn])).filter(Boolean);
+  return new Set(ids).size < ids.length;
+};
+
+// CDISC datasets first, then the sheet name (Patients, Responses...), then the columns it has
+export const guessTableRole = (table) => {
+  const dataset = cdiscDataset(table);
+  if (dataset) return dataset.role;
+  const name = table.sheet || table.fileName.replace(/\.[^.]+$/, '');
+  const byName = Object.entries(SHEET_NAME_SYNONYMS)
+    .map(([role, synonyms]) => ({ role, score: scoreHeader(name, synonyms) }))
+    .filter(({ score }) => score >= 0.8)
+    .sort((a, b) => b.score - a.score)[0];
+  if (byName) return byName.role;
+
+  const { headers, rows } = table;
+  const idColumn = guessIdColumn(headers);
+  if (!idColumn) return 'ignore';
+  const phases = guessPhaseTableMapping(headers);
+  if (phases.phase && phases.start) return 'phases';
+  const mapping = guessMapping(headers, rows);
+  const perVisit = repeatsIds(rows, idColumn);
+  if (perVisit && mapping.assessments.length > 0 && !mapping.startDate) return 'assessments';
+  const events = guessEventTableMapping(headers);
+  if (perVisit && events.type && events.date && !mapping.startDate) return 'events';
+  return 'baseline';
+};
+
+// One baseline, and at most one table per other role: the first guess wins, later ones are ignored.
+// `filters` keep only the rows with the selected values ({ PARAMCD: ['OVRLRESP'] })
+export const guessAssignments = (tables) => {
+  const taken = new Set();
+  const assignments = tables.map(table => {
+    let role = guessTableRole(table);
+    if (taken.has(role)) role = 'ignore';
+    if (role !== 'ignore') taken.add(role);
+    return { role, idColumn: guessIdColumn(table.headers), filters: defaultFilters(table) };
+  });
+  if (!taken.has('baseline')) {
+    // A single table (one ADRS file, say) is its own baseline
+    const index = tables.length === 1 ? 0 : assignments.findIndex(assignment => assignment.role === 'ignore');
+    if (index >= 0) assignments[index] = { ...assignments[index], role: 'baseline' };
+  }
+  return assignments;
+};
+
+export const filteredRows = (table, assignment) => applyFilters(table.rows, assignment.filters);
+
+export const validateAssignments = (tables, assignments) => {
+  const errors = [];
+  const count = (role) => assignments.filter(assignment => assignment.role === role).length;
+  if (count('baseline') !== 1) errors.push('Baseline 테이블을 하나만 지정해야 합니다.');
+  TABLE_ROLES.filter(role => !['baseline', 'ignore'].includes(role.value)).forEach(role => {
+    if (count(role.value) > 1) errors.push(`${role.label} 테이블은 하나만 지정할 수 있습니다.`);
+  });
+  assignments.forEach((assignment, index) => {
+    if (assignment.role !== 'ignore' && !assignment.idColumn) {
+      errors.push(`${tableLabel(tables[index])}: 환자 ID 컬럼을 지정해야 합니다.`);
+    }
+  });
+  return errors;
+};
+
+const byPatient = (rows, idColumn) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const id = idKey(row[idColumn]);
+    if (id === null) return;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(row);
+  });
+  return groups;
+};
+
+// The table given a role, with only its filtered rows
+const assigned = (tables, assignments, role) => {
+  const index = assignments.findIndex(assignment => assignment.role === role);
+  if (index < 0) return null;
+  const table = { ...tables[index], rows: filteredRows(tables[index], assignments[index]) };
+  return { table, idColumn: assignments[index].idColumn, index };
+};
+
+// Rows matched / unmatched per table and records per baseline patient
+export const matchReport = (tables, assignments) => {
+  const baseline = assigned(tables, assignments, 'baseline');
+  if (!baseline) return { patients: [], tables: [] };
+  const patientIds = [...byPatient(baseline.table.rows, baseline.idColumn).keys()];
+  const known = new Set(patientIds);
+  const joined = ['assessments', 'events', 'phases']
+    .map(role => ({ role, entry: assigned(tables, assignments, role) }))
+    .filter(({ entry }) => entry && entry.idColumn);
+
+  const counts = new Map(patientIds.map(id => [id, {}]));
+  const tableReports = joined.map(({ role, entry }) => {
+    const groups = byPatient(entry.table.rows, entry.idColumn);
+    let matched = 0;
+    const unmatchedIds = [];
+    groups.forEach((rows, id) => {
+      if (known.has(id)) {
+        matched += rows.length;
+        counts.get(id)[role] = rows.length;
+      } else {
+        unmatchedIds.push(id);
+      }
+    });
+    const missingId = entry.table.rows.filter(row => idKey(row[entry.idColumn]) === null).length;
+    return {
+      index: entry.index,
+      role,
+      label: tableLabel(entry.table),
+      matched,
+      unmatched: entry.table.rows.length - matched - missingId,
+      unmatchedIds,
+      missingId,
+      patientsWithout: patientIds.filter(id => !groups.has(id)).length,
+    };
+  });
+
+  return {
+    patients: patientIds.map(id => ({ id, counts: counts.get(id) })),
+    duplicates: baseline.table.rows.length - patientIds.length,
+    tables: tableReports,
+  };
+};
+
+const sameValue = (a, b) => (isBlank(a) ? '' : String(a).trim()) === (isBlank(b) ? '' : String(b).trim());
+
+// Assessment columns that clash with baseline ones are renamed after their sheet, unless
+// they only repeat the baseline value (ADaM datasets carry ADSL variables along)
+const renamedColumns = (table, idColumn, baseline) => {
+  const suffix = table.sheet || table.fileName.replace(/\.[^.]+$/, '');
+  const taken = new Set(baseline.table.headers);
+  const patients = byPatient(baseline.table.rows, baseline.idColumn);
+  const repeats = (header) => table.rows.every(row => {
+    const patient = patients.get(idKey(row[idColumn]));
+    return !patient || sameValue(row[header], patient[0][header]);
+  });
+  return table.headers
+    .filter(header => header !== idColumn && !(taken.has(header) && repeats(header)))
+    .map(header => [header, taken.has(header) ? `${header} (${suffix})` : header]);
+};
+
+// Baseline and assessment rows become one long table (a row per assessment, baseline
+// columns repeated); events and phases stay side tables. Rows whose ID is not in the
+// baseline table are left out, as listed by matchReport
+export const joinTables = (tables, assignments) => {
+  const baseline = assigned(tables, assignments, 'baseline');
+  const assessments = assigned(tables, assignments, 'assessments');
+  const side = (role) => {
+    const entry = assigned(tables, assignments, role);
+    return entry ? { source: { fileName: tableLabel(entry.table), headers: entry.table.headers, rows: entry.table.rows }, idColumn: entry.idColumn } : null;
+  };
+
+  const { table, idColumn } = baseline;
+  let headers = table.headers;
+  let rows = table.rows;
+  let fileName = tableLabel(table);
+  if (assessments) {
+    const columns = renamedColumns(assessments.table, assessments.idColumn, baseline);
+    const visits = byPatient(assessments.table.rows, assessments.idColumn);
+    const seen = new Set();
+    headers = [...table.headers, ...columns.map(([, name]) => name)];
+    rows = table.rows.flatMap(row => {
+      const id = idKey(row[idColumn]);
+      // Repeated baseline rows for one patient get the assessments once
+      if (id === null || seen.has(id) || !visits.has(id)) return [row];
+      seen.add(id);
+      return visits.get(id).map(visit => ({
+        ...row,
+        ...Object.fromEntries(columns.filter(([column]) => column in visit).map(([column, name]) => [name, visit[column]])),
+      }));
+    });
+    fileName = `${fileName} + ${assessments.table.sheet || assessments.table.fileName}`;
+  }
+
+  return {
+    source: { fileName, headers, rows },
+    phases: side('phases'),
+    events: side('events'),
+    cdisc: cdiscDataset(table)?.name || null,
+  };
+};
@@ -0,0 +1,71 @@
+export const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+export const TIME_UNITS = [
+  { value: 'days', label: 'Days', plural: 'days' },
+  { value: 'weeks', label: 'Weeks', plural: 'weeks' },
+  { value: 'months', label: 'Months', plural: 'months' },
+  { value: 'years', label: 'Years', plural: 'years' },
+];
+
+export const MONTH_DEFINITIONS = [
+  { value: 30.44, label: '30.44 days' },
+  { value: 30.4375, label: '30.4375 days (365.25 / 12)' },
+  { value: 30, label: '30 days' },
+];
+
+export const YEAR_DEFINITIONS = [
+  { value: 365.25, label: '365.25 days' },
+  { value: 365, label: '365 days' },
+];
+
+// Built-in origins refer to mapping roles; any other column is stored as `column:<name>`
+export const ORIGIN_ROLES = [
+  { value: 'startDate', label: 'C1D1 (treatment start)', axisLabel: 'treatment' },
+  { value: 'randomizationDate', label: 'Randomization', axisLabel: 'randomization' },
+  { value: 'diagnosisDate', label: 'Diagnosis', axisLabel: 'diagnosis' },
+  { value: 'asctDate', label: 'ASCT', axisLabel: 'ASCT' },
+];
+
+export const DEFAULT_TIME = {
+  origin: 'startDate',
+  unit: 'months',
+  monthDays: 30.44,
+  yearDays: 365.25,
+  // How date values are read (src/lib/dates.js)
+  dateFormat: 'auto',
+  imputation: 'none',
+};
+
+export const unitDays = (time) => ({
+  days: 1,
+  weeks: 7,
+  months: time.monthDays,
+  years: time.yearDays,
+})[time.unit] || time.monthDays;
+
+export const originColumn = (origin, mapping) =>
+  origin.startsWith('column:') ? origin.slice('column:'.length) : mapping[origin] || mapping.startDate;
+
+export const originLabel = (origin) => {
+  if (origin.startsWith('column:')) return origin.slice('column:'.length);
+  return ORIGIN_ROLES.find(role => role.value === origin)?.label || origin;
+};
+
+export const defaultAxisTitle = (time) => {
+  const unit = TIME_UNITS.find(u => u.value === time.unit)?.plural || time.unit;
+  if (time.origin === 'startDate') return `Time on treatment (${unit})`;
+  const role = ORIGIN_ROLES.find(r => r.value === time.origin);
+  return `Time from ${role ? role.axisLabel : originLabel(time.origin)} (${unit})`;
+};
+
+export const unitAbbreviation = (unit) => ({ days: 'd', weeks: 'wk', months: 'mo', years: 'yr' })[unit] || unit;
+
+// Calendar date as YYYY-MM-DD, marked when it was completed from a partial date
+export const formatDate = (date, imputed = false) => {
+  if (!date) return '';
+  const text = date.toISOString().slice(0, 10);
+  return imputed ? `${text} (imputed)` : text;
+};
+
+export const formatTime = (value, unit) =>
+  `${Math.round(value * 10) / 10} ${TIME_UNITS.find(u => u.value === unit)?.plural || unit}`;
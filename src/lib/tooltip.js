@@ -0,0 +1,45 @@
+import { findCategory } from './vocabularies.js';
+import { formatDate, formatTime } from './time.js';
+import { trackValue, trackText } from './tracks.js';
+import { formatChange } from './waterfall.js';
+
+// "response:2" / "event:0" / "track:1" from the data-marker attribute of the on-screen chart
+export const parseMarkerRef = (value) => {
+  if (!value) return null;
+  const [kind, index] = value.split(':');
+  return { kind, index: Number(index) };
+};
+
+export const responseLabel = (resp, vocabulary) => {
+  const category = findCategory(vocabulary, resp.code);
+  if (!category) return String(resp.response);
+  return category.label ? `${category.code} (${category.label})` : category.code;
+};
+
+// [label, value] pairs describing a patient row or one of its markers.
+// `tracks` are the layout's annotation track columns, indexed like the track markers.
+export const tooltipLines = (patient, marker, { vocabulary, unit, eventLabel = (type) => type, tracks = [] }) => {
+  const lines = [['Patient', patient.id], ['Cohort', patient.cohort]];
+
+  if (marker?.kind === 'response' && patient.responses[marker.index]) {
+    const resp = patient.responses[marker.index];
+    lines.push(['Response', responseLabel(resp, vocabulary)], ['Date', formatDate(resp.date, resp.imputed)], ['Time', formatTime(resp.time, unit)]);
+  } else if (marker?.kind === 'event' && patient.events[marker.index]) {
+    const event = patient.events[marker.index];
+    lines.push(['Event', eventLabel(event.type)], ['Date', formatDate(event.date, event.imputed)], ['Time', formatTime(event.time, unit)]);
+  } else if (marker?.kind === 'track' && tracks[marker.index]) {
+    const { track, label } = tracks[marker.index];
+    lines.push([label, trackText(trackValue(patient, track.field), track.type)]);
+  } else {
+    lines.push(['C1D1', formatDate(patient.startDate, patient.startImputed)], ['Duration', formatTime(patient.duration, unit)]);
+    const last = patient.responses[patient.responses.length - 1];
+    if (last) lines.push(['Last response', responseLabel(last, vocabulary)]);
+    if (patient.bestPercentChange !== null && patient.bestPercentChange !== undefined) {
+      lines.push(['Best % change', formatChange(patient.bestPercentChange)]);
+    }
+    if (patient.ongoing) lines.push(['Status', 'Ongoing']);
+    else if (patient.discontinuationReason) lines.push(['EOT reason', patient.discontinuationReason]);
+  }
+
+  return lines;
+};
@@ -0,0 +1,57 @@
+import { isBlank } from './records.js';
+import { compareText } from './sorting.js';
+import { groupLevelLabel } from './grouping.js';
+
+// Baseline characteristic columns drawn left of the bars: colored tiles for categories,
+// the value itself for text and numbers. Fields are 'cohort' or 'column:<name>' like grouping levels.
+export const TRACK_TYPES = [
+  { value: 'categorical', label: 'Colored tiles' },
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+];
+
+export const TRACK_PALETTE = ['#66C2A5', '#FC8D62', '#8DA0CB', '#E78AC3', '#A6D854', '#FFD92F', '#E5C494', '#B3B3B3'];
+
+export const trackValue = (patient, field) => {
+  if (field === 'cohort') return patient.cohort;
+  const value = patient.values?.[field.slice('column:'.length)];
+  return isBlank(value) ? null : String(value).trim();
+};
+
+const isNumeric = (value) => value !== null && !isNaN(Number(value));
+
+// Many distinct numbers read better as numbers than as a wall of colors
+export const guessTrackType = (patients, field) => {
+  const values = [...new Set(patients.map(patient => trackValue(patient, field)).filter(value => value !== null))];
+  if (values.length > 6 && values.every(isNumeric)) return 'number';
+  return 'categorical';
+};
+
+export const newTrack = (patients, field) => ({ field, label: '', type: guessTrackType(patients, field), colors: {}, legend: true });
+
+export const trackLabel = (track) => track.label || groupLevelLabel(track.field);
+
+export const trackValues = (patients, track) =>
+  [...new Set(patients.map(patient => trackValue(patient, track.field)).filter(value => value !== null))].sort(compareText);
+
+export const trackColor = (value, values, overrides = {}) =>
+  overrides[value] || TRACK_PALETTE[Math.max(values.indexOf(value), 0) % TRACK_PALETTE.length];
+
+export const trackText = (value, type) => {
+  if (value === null) return '';
+  if (type === 'number' && isNumeric(value)) return String(Math.round(Number(value) * 100) / 100);
+  return value;
+};
+
+// Legend entries for the tile tracks, one per value
+export const trackLegendEntries = (patients, settings) => settings.annotationTracks
+  .filter(track => track.field && track.type === 'categorical' && track.legend !== false)
+  .flatMap(track => {
+    const values = trackValues(patients, track);
+    return values.map(value => ({
+      id: `track:${track.field}:${value}`,
+      label: `${trackLabel(track)}: ${value}`,
+      swatch: 'tile',
+      color: trackColor(value, values, track.colors),
+    }));
+  });
@@ -0,0 +1,239 @@
+import { parseOngoing } from './processData.js';
+import { DATE_FORMATS, createDateReader, mappedDateValues } from './dates.js';
+import { COLUMN_ROLES } from './columnMapping.js';
+import { buildRecords, isBlank } from './records.js';
+import { createMatcher, DEFAULT_VOCABULARY } from './vocabularies.js';
+import { DEFAULT_TIME, formatDate, originColumn, originLabel } from './time.js';
+import { parseNumber } from './waterfall.js';
+
+export const FLAGGED_ROW_MODES = [
+  { value: 'plot', label: 'Plot all rows' },
+  { value: 'exclude-errors', label: 'Exclude rows with errors' },
+  { value: 'exclude-all', label: 'Exclude rows with errors or warnings' },
+];
+
+// Spreadsheet row number as the user sees it (header is row 1)
+export const sheetRow = (rowIndex) => rowIndex + 2;
+
+// Side tables only take part in detecting the date format, as in processData
+export const validateData = (rows, mapping, {
+  vocabulary = DEFAULT_VOCABULARY,
+  time = DEFAULT_TIME,
+  phaseTable = null,
+  eventTable = null,
+} = {}) => {
+  const matchResponse = createMatcher(vocabulary);
+  const readDate = createDateReader(mappedDateValues(rows, mapping, time, { phaseTable, eventTable }), time);
+  const format = DATE_FORMATS.find(f => f.value === time.dateFormat && f.value !== 'auto');
+  const formatHint = format ? ` (날짜 형식: ${format.label})` : '';
+  const issues = [];
+  const add = (rowIndex, patientId, severity, field, message) => {
+    issues.push({ row: sheetRow(rowIndex), rowIndex, patientId, severity, field, message });
+  };
+  // Imputed dates are only noted ('info'); they never exclude a row
+  const noteImputed = (rowIndex, patientId, column, value, result, label) => {
+    if (result?.date && result.imputed) {
+      add(rowIndex, patientId, 'info', column, `${label} 부분 날짜 "${value}"를 ${formatDate(result.date)}(으)로 대체했습니다.`);
+    }
+  };
+  const isLong = mapping.layout === 'long';
+
+  const idCounts = {};
+  if (mapping.patientId && !isLong) {
+    rows.forEach(row => {
+      const id = row[mapping.patientId];
+      if (!isBlank(id)) idCounts[String(id)] = (idCounts[String(id)] || 0) + 1;
+    });
+  }
+
+  buildRecords(rows, mapping).forEach(record => {
+    const { row, rowIndexes } = record;
+    const firstRow = rowIndexes[0];
+    const rawId = mapping.patientId ? row[mapping.patientId] : undefined;
+    const patientId = isBlank(rawId) ? '' : String(rawId);
+
+    if (!patientId) {
+      add(firstRow, patientId, 'warning', mapping.patientId, `환자 ID가 없어 "Patient ${firstRow + 1}"(으)로 표시됩니다.`);
+    } else if (idCounts[patientId] > 1) {
+      add(firstRow, patientId, 'error', mapping.patientId, `중복된 환자 ID입니다 (${idCounts[patientId]}개 행).`);
+    }
+
+    if (isLong && record.rows.length > 1) {
+      COLUMN_ROLES.forEach(role => {
+        const column = mapping[role.key];
+        // % change may be given per visit; the best one is used
+        if (!column || role.key === 'patientId' || role.key === 'percentChange') return;
+        const values = new Set(record.rows
+          .map(({ row: r }) => r[column])
+          .filter(value => !isBlank(value))
+          .map(String));
+        if (values.size > 1) {
+          add(firstRow, patientId, 'warning', column, `환자 내 행마다 값이 다릅니다 (${[...values].join(', ')}). 첫 번째 값을 사용합니다.`);
+        }
+      });
+    }
+
+    const startValue = row[mapping.startDate];
+    const startResult = readDate(startValue);
+    const start = startResult?.date || null;
+    if (isBlank(startValue)) {
+      add(firstRow, patientId, 'error', mapping.startDate, '치료 시작일이 없습니다.');
+    } else if (startResult?.partial) {
+      add(firstRow, patientId, 'error', mapping.startDate, `치료 시작일이 일부만 있습니다: "${startValue}". 부분 날짜 대체 규칙을 지정하면 사용할 수 있습니다.`);
+    } else if (!start) {
+      add(firstRow, patientId, 'error', mapping.startDate, `치료 시작일을 해석할 수 없습니다: "${startValue}"${formatHint}`);
+    }
+    noteImputed(firstRow, patientId, mapping.startDate, startValue, startResult, '치료 시작일');
+
+    const origin = originColumn(time.origin, mapping);
+    if (origin && origin !== mapping.startDate) {
+      const originValue = row[origin];
+      const originResult = readDate(originValue);
+      if (isBlank(originValue)) {
+        add(firstRow, patientId, 'warning', origin, `시간 기준일(${originLabel(time.origin)})이 없어 플롯에서 제외됩니다.`);
+      } else if (!originResult?.date) {
+        add(firstRow, patientId, 'warning', origin, `시간 기준일(${originLabel(time.origin)})을 해석할 수 없어 플롯에서 제외됩니다: "${originValue}"${formatHint}`);
+      }
+      noteImputed(firstRow, patientId, origin, originValue, originResult, '시간 기준일');
+    }
+
+    const checkDate = (rowIndex, column, value, label) => {
+      const result = readDate(value);
+      const date = result?.date || null;
+      noteImputed(rowIndex, patientId, column, value, result, label);
+      if (result?.partial) {
+        add(rowIndex, patientId, 'warning', column, `${label} 날짜가 일부만 있습니다: "${value}". 부분 날짜 대체 규칙을 지정하면 사용할 수 있습니다.`);
+      } else if (!date) {
+        add(rowIndex, patientId, 'warning', column, `${label} 날짜를 해석할 수 없습니다: "${value}"${formatHint}`);
+      } else if (start && date < start) {
+        add(rowIndex, patientId, 'warning', column, `${label} 날짜가 치료 시작일보다 앞섭니다 (음수 시간).`);
+      }
+      return date;
+    };
+
+    let previous = null;
+    const seenDates = new Map();
+    record.assessments.forEach((assessment, i) => {
+      const { rowIndex, dateColumn, responseColumn } = assessment;
+      const label = isLong ? '반응 평가' : `반응 평가 ${i + 1}`;
+      const hasDate = !isBlank(assessment.date);
+      const hasResponse = !isBlank(assessment.response);
+
+      // A dated tumor measurement without a response is a baseline scan
+      if (hasDate && !hasResponse && isBlank(assessment.measurement)) {
+        add(rowIndex, patientId, 'warning', responseColumn || dateColumn, `${label}: 날짜는 있으나 반응 결과가 없습니다.`);
+      } else if (!hasDate && hasResponse) {
+        add(rowIndex, patientId, 'warning', dateColumn || responseColumn, `${label}: 반응 결과는 있으나 날짜가 없습니다.`);
+      }
+
+      if (!isBlank(assessment.measurement) && parseNumber(assessment.measurement) === null) {
+        add(rowIndex, patientId, 'warning', mapping.assessments[isLong ? 0 : i].measurement, `${label}: 종양 크기 "${assessment.measurement}"가 숫자가 아닙니다.`);
+      }
+
+      if (hasResponse && !matchResponse(assessment.response)) {
+        add(rowIndex, patientId, 'warning', responseColumn, `${label}: ${vocabulary.name} 기준에 없는 반응 값 "${assessment.response}" (회색으로 표시됨)`);
+      }
+
+      if (!hasDate) return;
+      const date = checkDate(rowIndex, dateColumn, assessment.date, label);
+      if (!date) return;
+
+      if (isLong) {
+        // Long rows may come in any order; only same-day conflicts are suspicious
+        const day = date.toISOString().slice(0, 10);
+        const other = seenDates.get(day);
+        if (other !== undefined && String(other) !== String(assessment.response)) {
+          add(rowIndex, patientId, 'warning', dateColumn, `${label}: 같은 날짜(${day})에 서로 다른 반응 결과가 있습니다.`);
+        }
+        seenDates.set(day, assessment.response);
+      } else {
+        if (previous && date < previous) {
+          add(rowIndex, patientId, 'warning', dateColumn, `${label}: 이전 평가보다 날짜가 앞섭니다 (순서 오류).`);
+        }
+        previous = date;
+      }
+    });
+
+    if (mapping.asctDate && !isBlank(row[mapping.asctDate])) {
+      checkDate(firstRow, mapping.asctDate, row[mapping.asctDate], 'ASCT');
+    }
+    if (mapping.deathDate && !isBlank(row[mapping.deathDate])) {
+      checkDate(firstRow, mapping.deathDate, row[mapping.deathDate], '사망');
+    }
+
+    let eot = null;
+    if (mapping.eotDate && !isBlank(row[mapping.eotDate])) {
+      eot = checkDate(firstRow, mapping.eotDate, row[mapping.eotDate], '치료 종료');
+    }
+    if (mapping.lastFollowupDate && !isBlank(row[mapping.lastFollowupDate])) {
+      const followup = checkDate(firstRow, mapping.lastFollowupDate, row[mapping.lastFollowupDate], '마지막 추적관찰');
+      if (followup && eot && followup < eot) {
+        add(firstRow, patientId, 'warning', mapping.lastFollowupDate, '마지막 추적관찰일이 치료 종료일보다 앞섭니다.');
+      }
+    }
+
+    record.rows.forEach(({ row: sourceRow, rowIndex }) => {
+      (mapping.events || []).forEach(event => {
+        if (!event.column || isBlank(sourceRow[event.column])) return;
+        // Long files repeat patient-level columns on each row; check the value once
+        if (rowIndex !== firstRow && String(sourceRow[event.column]) === String(row[event.column])) return;
+        checkDate(rowIndex, event.column, sourceRow[event.column], `이벤트 "${event.type}"`);
+      });
+      const { type, date } = mapping.eventRows || {};
+      if (type && date && !isBlank(sourceRow[date])) {
+        checkDate(rowIndex, date, sourceRow[date], `이벤트 "${sourceRow[type] ?? ''}"`);
+      }
+    });
+
+    (mapping.phases || []).forEach(phase => {
+      const label = `치료 단계 "${phase.name}"`;
+      const start = !isBlank(row[phase.start]) ? checkDate(firstRow, phase.start, row[phase.start], `${label} 시작`) : null;
+      const end = phase.end && !isBlank(row[phase.end]) ? checkDate(firstRow, phase.end, row[phase.end], `${label} 종료`) : null;
+      if (!start && end) {
+        add(firstRow, patientId, 'warning', phase.start, `${label}: 종료일은 있으나 시작일이 없어 표시되지 않습니다.`);
+      } else if (start && end && end < start) {
+        add(firstRow, patientId, 'warning', phase.end, `${label}: 종료일이 시작일보다 앞섭니다.`);
+      }
+    });
+
+    if (mapping.percentChange) {
+      record.rows.forEach(({ row: sourceRow, rowIndex }) => {
+        const value = sourceRow[mapping.percentChange];
+        if (!isBlank(value) && parseNumber(value) === null) {
+          add(rowIndex, patientId, 'warning', mapping.percentChange, `% 변화 값을 해석할 수 없습니다: "${value}"`);
+        }
+      });
+    }
+
+    if (mapping.ongoing && !isBlank(row[mapping.ongoing])) {
+      const ongoing = parseOngoing(row[mapping.ongoing]);
+      if (ongoing === undefined) {
+        add(firstRow, patientId, 'warning', mapping.ongoing, `Ongoing 값을 해석할 수 없습니다: "${row[mapping.ongoing]}" (Y/N)`);
+      } else if (ongoing && eot) {
+        add(firstRow, patientId, 'warning', mapping.ongoing, '치료 지속(Ongoing) 환자에게 치료 종료일이 있습니다. 종료일은 무시됩니다.');
+      }
+    }
+  });
+
+  return issues.sort((a, b) => a.rowIndex - b.rowIndex);
+};
+
+export const flaggedRowSeverity = (issues) => {
+  const severity = new Map();
+  issues.forEach(issue => {
+    if (issue.severity === 'info') return;
+    if (issue.severity === 'error' || !severity.has(issue.rowIndex)) {
+      severity.set(issue.rowIndex, issue.severity);
+    }
+  });
+  return severity;
+};
+
+export const excludedRows = (issues, mode) => {
+  const excluded = new Set();
+  if (mode === 'plot') return excluded;
+  flaggedRowSeverity(issues).forEach((severity, rowIndex) => {
+    if (mode === 'exclude-all' || severity === 'error') excluded.add(rowIndex);
+  });
+  return excluded;
+};
@@ -0,0 +1,146 @@
+export const UNKNOWN_RESPONSE_COLOR = '#999';
+
+// `response` marks objective responses (counted for ORR / time to response),
+// `progression` the categories that mean disease progression
+const category = (code, label, color, shape, rank, aliases = [], flags = {}) => ({
+  code,
+  label,
+  color,
+  shape,
+  rank,
+  aliases,
+  response: false,
+  progression: false,
+  ...flags,
+});
+const RESPONSE = { response: true };
+const PROGRESSION = { progression: true };
+
+export const VOCABULARY_PRESETS = [
+  {
+    id: 'basic',
+    name: 'CR / PR / SD / PD',
+    categories: [
+      category('CR', 'Complete Response', '#2E9B6F', 'circle', 1, [], RESPONSE),
+      category('PR', 'Partial Response', '#F5C342', 'circle', 2, [], RESPONSE),
+      category('SD', 'Stable Disease', '#7FBADC', 'circle', 3),
+      category('PD', 'Progressive Disease', '#8B8B8B', 'circle', 4, [], PROGRESSION),
+    ],
+  },
+  {
+    id: 'imwg',
+    name: 'IMWG (Multiple Myeloma)',
+    categories: [
+      category('sCR', 'Stringent Complete Response', '#1B6B47', 'circle', 1, ['SCR', 'stringent CR'], RESPONSE),
+      category('CR', 'Complete Response', '#2E9B6F', 'circle', 2, [], RESPONSE),
+      category('VGPR', 'Very Good Partial Response', '#8BC34A', 'circle', 3, [], RESPONSE),
+      category('PR', 'Partial Response', '#F5C342', 'circle', 4, [], RESPONSE),
+      category('MR', 'Minimal Response', '#F39C12', 'circle', 5),
+      category('SD', 'Stable Disease', '#7FBADC', 'circle', 6),
+      category('PD', 'Progressive Disease', '#8B8B8B', 'circle', 7, [], PROGRESSION),
+    ],
+  },
+  {
+    id: 'recist11',
+    name: 'RECIST 1.1',
+    categories: [
+      category('CR', 'Complete Response', '#2E9B6F', 'circle', 1, [], RESPONSE),
+      category('PR', 'Partial Response', '#F5C342', 'circle', 2, [], RESPONSE),
+      category('SD', 'Stable Disease', '#7FBADC', 'circle', 3),
+      category('NON-CR/NON-PD', 'Non-CR/Non-PD', '#B3D4E6', 'square', 4, ['NCRNPD', 'NON-CR NON-PD']),
+      category('PD', 'Progressive Disease', '#8B8B8B', 'circle', 5, [], PROGRESSION),
+      category('NE', 'Not Evaluable', '#CCCCCC', 'square', 6, ['NA', 'UNK']),
+    ],
+  },
+  {
+    id: 'lugano',
+    name: 'Lugano 2014 (Lymphoma)',
+    categories: [
+      category('CR', 'Complete (Metabolic) Response', '#2E9B6F', 'circle', 1, ['CMR'], RESPONSE),
+      category('PR', 'Partial (Metabolic) Response', '#F5C342', 'circle', 2, ['PMR'], RESPONSE),
+      category('SD', 'Stable Disease / No Metabolic Response', '#7FBADC', 'circle', 3, ['NMR']),
+      category('PD', 'Progressive (Metabolic) Disease', '#8B8B8B', 'circle', 4, ['PMD'], PROGRESSION),
+    ],
+  },
+  {
+    id: 'irecist',
+    name: 'iRECIST',
+    categories: [
+      category('iCR', 'Immune Complete Response', '#2E9B6F', 'circle', 1, [], RESPONSE),
+      category('iPR', 'Immune Partial Response', '#F5C342', 'circle', 2, [], RESPONSE),
+      category('iSD', 'Immune Stable Disease', '#7FBADC', 'circle', 3),
+      category('iUPD', 'Immune Unconfirmed PD', '#E59866', 'triangle', 4),
+      category('iCPD', 'Immune Confirmed PD', '#8B8B8B', 'triangle', 5, [], PROGRESSION),
+      category('NE', 'Not Evaluable', '#CCCCCC', 'square', 6),
+    ],
+  },
+];
+
+export const DEFAULT_VOCABULARY = VOCABULARY_PRESETS[0];
+
+const STORAGE_KEY = 'swimmerPlot.vocabularies';
+
+export const normalizeResponse = (value) =>
+  String(value ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+export const createMatcher = (vocabulary) => {
+  const lookup = new Map();
+  vocabulary.categories.forEach(cat => {
+    [cat.code, ...(cat.aliases || [])].forEach(name => {
+      const key = normalizeResponse(name);
+      if (key && !lookup.has(key)) lookup.set(key, cat);
+    });
+  });
+  return (value) => lookup.get(normalizeResponse(value)) || null;
+};
+
+export const findCategory = (vocabulary, code) =>
+  vocabulary.categories.find(cat => cat.code === code) || null;
+
+// Custom vocabularies saved before the flags existed fall back to the usual codes
+const RESPONSE_CODES = ['SCR', 'CR', 'VGPR', 'PR', 'ICR', 'IPR', 'CMR', 'PMR'];
+const PROGRESSION_CODES = ['PD', 'ICPD', 'PMD'];
+
+export const isResponseCategory = (cat) =>
+  !!cat && (cat.response ?? RESPONSE_CODES.includes(normalizeResponse(cat.code)));
+
+export const isProgressionCategory = (cat) =>
+  !!cat && (cat.progression ?? PROGRESSION_CODES.includes(normalizeResponse(cat.code)));
+
+export const validateVocabulary = (vocabulary) => {
+  const errors = [];
+  const seen = new Set();
+  vocabulary.categories.forEach(cat => {
+    const names = [cat.code, ...(cat.aliases || [])].map(normalizeResponse).filter(Boolean);
+    if (!normalizeResponse(cat.code)) errors.push('코드가 비어 있는 반응 카테고리가 있습니다.');
+    names.forEach(name => {
+      if (seen.has(name)) errors.push(`"${name}" 코드/별칭이 중복됩니다.`);
+      seen.add(name);
+    });
+  });
+  return errors;
+};
+
+const readStorage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const loadCustomVocabularies = () => readStorage();
+
+export const saveCustomVocabulary = (vocabulary) => {
+  const saved = readStorage().filter(entry => entry.id !== vocabulary.id);
+  saved.unshift(vocabulary);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+};
+
+export const deleteCustomVocabulary = (id) => {
+  const saved = readStorage().filter(entry => entry.id !== id);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  return saved;
+};
@@ -0,0 +1,250 @@
+import { h } from './svg.js';
+import { UNKNOWN_RESPONSE_COLOR, findCategory } from './vocabularies.js';
+import { PLOT_FONT_STACK } from './fonts.js';
+import { estimateTextWidth } from './legend.js';
+import { rowHighlight } from './render.js';
+import { dashArray, grayscaleTree } from './styles.js';
+
+// Waterfall of best percent change from baseline, drawn as a second panel under (or beside)
+// the swimmer plot from the same filtered patients, colors and response criteria.
+export const DEFAULT_WATERFALL = {
+  show: false,
+  order: 'change',
+  placement: 'below',
+  height: 300,
+  upperLine: 20,
+  lowerLine: -30,
+  // Bars beyond this are cut at the top and labelled with their value
+  maxChange: 100,
+  showIds: false,
+};
+
+export const WATERFALL_ORDERS = [
+  { value: 'change', label: 'Largest increase first' },
+  { value: 'swimmer', label: 'Same as swimmer plot' },
+];
+
+export const WATERFALL_PLACEMENTS = [
+  { value: 'below', label: 'Below' },
+  { value: 'right', label: 'Right' },
+];
+
+export const resolveWaterfall = (waterfall = {}) => ({ ...DEFAULT_WATERFALL, ...waterfall });
+
+// 12, "-35.2", "−35 %" -> number; null for blanks and text
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().replace(/[−–]/g, '-').replace(/\s*%$/, '');
+  if (text === '') return null;
+  const number = Number(text);
+  return isFinite(number) ? number : null;
+};
+
+// Best (lowest) percent change from baseline. Reported values (a % change column, possibly one
+// per visit) win; otherwise it is computed from [{ time, value }] tumor measurements, the
+// earliest being the baseline. null when neither gives an answer.
+export const bestPercentChange = (reported, measurements) => {
+  const changes = reported.map(parseNumber).filter(value => value !== null);
+  if (changes.length > 0) return Math.min(...changes);
+  if (measurements.length < 2) return null;
+  const [baseline, ...later] = [...measurements].sort((a, b) => a.time - b.time);
+  if (!(baseline.value > 0)) return null;
+  return Math.min(...later.map(m => ((m.value - baseline.value) / baseline.value) * 100));
+};
+
+export const formatChange = (value) => `${value > 0 ? '+' : ''}${Math.round(value * 10) / 10}%`;
+
+const hasChange = (patient) => patient.bestPercentChange !== null && patient.bestPercentChange !== undefined;
+
+const TOP_PADDING = 18;
+const BOTTOM_PADDING = 10;
+const BAR_SHARE = 0.8;
+
+// Bars share the swimmer plot's horizontal extent so the two panels line up when stacked.
+// Patients come from the swimmer layout, already filtered and in row order.
+export const computeWaterfall = (swimmerLayout, settings) => {
+  const { waterfall, style } = settings;
+  const rows = swimmerLayout.groups.flatMap(group => group.rows.map(row => row.patient));
+  const measured = rows.filter(hasChange);
+  const patients = waterfall.order === 'swimmer'
+    ? measured
+    : [...measured].sort((a, b) => b.bestPercentChange - a.bestPercentChange);
+
+  const values = patients.map(patient => patient.bestPercentChange);
+  const highest = Math.min(Math.max(waterfall.upperLine, ...values, 0), waterfall.maxChange);
+  const lowest = Math.max(Math.min(waterfall.lowerLine, ...values, 0), -100);
+  const step = highest - lowest > 200 ? 50 : 20;
+  const max = Math.ceil(highest / step) * step;
+  const min = Math.max(Math.floor(lowest / step) * step, -100);
+  const ticks = [];
+  for (let tick = min; tick <= max + 1e-9; tick += step) ticks.push(tick);
+
+  const idSpace = waterfall.showIds && patients.length > 0
+    ? Math.ceil(Math.max(...patients.map(patient => estimateTextWidth(patient.id, style.labelFontSize)))) + 6
+    : 0;
+  const plot = {
+    left: swimmerLayout.plot.left,
+    right: swimmerLayout.plot.right,
+    top: TOP_PADDING,
+    bottom: waterfall.height - BOTTOM_PADDING - idSpace,
+  };
+  const scale = (value) => plot.top + ((max - value) / (max - min)) * (plot.bottom - plot.top);
+
+  const slot = patients.length > 0 ? (plot.right - plot.left) / patients.length : 0;
+  const barWidth = Math.max(slot * BAR_SHARE, 1);
+  const zero = scale(0);
+  const bars = patients.map((patient, i) => {
+    const value = Math.min(patient.bestPercentChange, max);
+    const y = scale(value);
+    return {
+      patient,
+      x: plot.left + i * slot + (slot - barWidth) / 2,
+      slot: { x: plot.left + i * slot, width: slot },
+      width: barWidth,
+      y: Math.min(y, zero),
+      height: Math.abs(zero - y),
+      clipped: patient.bestPercentChange > max,
+    };
+  });
+
+  return {
+    width: swimmerLayout.chartWidth,
+    height: waterfall.height,
+    plot,
+    scale,
+    ticks,
+    zero,
+    lines: [waterfall.upperLine, waterfall.lowerLine]
+      .filter(value => value >= min && value <= max)
+      .map(value => ({ value, y: scale(value) })),
+    bars,
+    // Shown patients without a % change, left out of the panel
+    missing: rows.length - measured.length,
+  };
+};
+
+export const renderWaterfall = (layout, settings, { vocabulary, id, interaction = null } = {}) => {
+  const { style } = settings;
+  const { plot } = layout;
+  const axisText = (attrs, text) => h('text', { 'font-size': style.tickFontSize, fill: style.textColor, ...attrs }, text);
+  const titleX = plot.left - 12 - estimateTextWidth(`${layout.ticks[0]}`, style.tickFontSize) - style.axisTitleFontSize;
+  const titleY = (plot.top + plot.bottom) / 2;
+  // Read bottom to top, ending just under the axis
+  const idLabel = (bar) => {
+    const x = bar.x + bar.width / 2 + style.labelFontSize * 0.35;
+    const y = plot.bottom + 6;
+    return h('text', {
+      x,
+      y,
+      'text-anchor': 'end',
+      'font-size': style.labelFontSize,
+      fill: style.textColor,
+      transform: `rotate(-90, ${x}, ${y})`,
+    }, bar.patient.id);
+  };
+
+  const tree = h('svg', {
+    id,
+    width: layout.width,
+    height: layout.height,
+    viewBox: `0 0 ${layout.width} ${layout.height}`,
+    'font-family': PLOT_FONT_STACK,
+  },
+    layout.ticks.map(tick => h('g', { key: `tick-${tick}` },
+      settings.showGrid && tick !== 0 && h('line', {
+        x1: plot.left,
+        y1: layout.scale(tick),
+        x2: plot.right,
+        y2: layout.scale(tick),
+        stroke: style.gridColor,
+        'stroke-width': style.gridWidth,
+        'stroke-dasharray': dashArray(style.gridStyle, style.gridWidth),
+      }),
+      style.tickLength > 0 && h('line', {
+        x1: plot.left - style.tickLength,
+        y1: layout.scale(tick),
+        x2: plot.left,
+        y2: layout.scale(tick),
+        stroke: style.axisColor,
+        'stroke-width': style.axisWidth,
+      }),
+      axisText({ x: plot.left - style.tickLength - 3, y: layout.scale(tick) + style.tickFontSize * 0.35, 'text-anchor': 'end' }, tick),
+    )),
+    h('line', { x1: plot.left, y1: plot.top, x2: plot.left, y2: plot.bottom, stroke: style.axisColor, 'stroke-width': style.axisWidth }),
+    h('text', {
+      x: titleX,
+      y: titleY,
+      'text-anchor': 'middle',
+      'font-size': style.axisTitleFontSize,
+      'font-weight': 500,
+      fill: style.textColor,
+      transform: `rotate(-90, ${titleX}, ${titleY})`,
+    }, 'Best change from baseline (%)'),
+    layout.bars.map(bar => {
+      const category = findCategory(vocabulary, bar.patient.bestResponse);
+      return h('g', { key: bar.patient.key, 'data-patient': interaction ? bar.patient.key : null },
+        interaction && h('rect', {
+          x: bar.slot.x,
+          y: plot.top,
+          width: bar.slot.width,
+          height: plot.bottom - plot.top,
+          fill: rowHighlight(bar.patient.key, interaction),
+          cursor: 'pointer',
+        }),
+        h('rect', {
+          x: bar.x,
+          y: bar.y,
+          width: bar.width,
+          height: Math.max(bar.height, 0.5),
+          fill: category?.color || UNKNOWN_RESPONSE_COLOR,
+          opacity: style.barOpacity,
+        }),
+        bar.clipped && h('text', {
+          x: bar.x + bar.width / 2,
+          y: bar.y - 4,
+          'text-anchor': 'middle',
+          'font-size': style.labelFontSize,
+          fill: style.textColor,
+        }, formatChange(bar.patient.bestPercentChange)),
+        settings.waterfall.showIds && idLabel(bar),
+      );
+    }),
+    h('line', { x1: plot.left, y1: layout.zero, x2: plot.right, y2: layout.zero, stroke: style.axisColor, 'stroke-width': style.axisWidth }),
+    layout.lines.map(line => h('g', { key: `ref-${line.value}` },
+      h('line', {
+        x1: plot.left,
+        y1: line.y,
+        x2: plot.right,
+        y2: line.y,
+        stroke: style.axisColor,
+        'stroke-width': 1,
+        'stroke-dasharray': dashArray('dashed', 1),
+      }),
+      h('text', {
+        x: plot.right + 4,
+        y: line.y + style.labelFontSize * 0.35,
+        'font-size': style.labelFontSize,
+        fill: style.textColor,
+      }, formatChange(line.value)),
+    )),
+  );
+  return style.grayscale ? grayscaleTree(tree) : tree;
+};
+
+// The swimmer plot and the waterfall as one figure, for export
+export const compositeFigure = (plot, waterfall, placement = 'below') => {
+  const below = placement !== 'right';
+  const width = below ? Math.max(plot.width, waterfall.width) : plot.width + waterfall.width;
+  const height = below ? plot.height + waterfall.height : Math.max(plot.height, waterfall.height);
+  const tree = h('svg', {
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': PLOT_FONT_STACK,
+  },
+    h('g', {}, plot.tree.children),
+    h('g', { transform: below ? `translate(0, ${plot.height})` : `translate(${plot.width}, 0)` }, waterfall.tree.children),
+  );
+  return { tree, width, height };
+};
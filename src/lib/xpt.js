@@ -0,0 +1,108 @@
+// SAS transport (XPORT version 5) files, as submitted with CDISC datasets.
+// Each member (dataset) becomes a table; numbers are IBM mainframe doubles.
+
+const RECORD = 80;
+const HEADER = 'HEADER RECORD*******';
+const SAS_EPOCH = Date.UTC(1960, 0, 1);
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Date and datetime formats whose values are written out as YYYY-MM-DD; datetimes are
+// checked first since DATETIME and DATEAMPM also start with DATE
+const DATE_FORMATS = /^(DATE|YYMMDD|MMDDYY|DDMMYY|E8601DA|IS8601DA|B8601DA|YYMMDDN|MINGUO|NLDATE|WEEKDATE|WORDDATE)/;
+const DATETIME_FORMATS = /^(DATETIME|E8601DT|IS8601DT|B8601DT|DATEAMPM)/;
+
+export const isXptFile = (fileName) => /\.xpt$/i.test(fileName);
+
+const text = (bytes, start, length) => {
+  let value = '';
+  for (let i = start; i < start + length && i < bytes.length; i++) value += String.fromCharCode(bytes[i]);
+  return value;
+};
+
+const isHeader = (bytes, offset, name) => text(bytes, offset, RECORD).startsWith(`${HEADER}${name}`);
+
+// IBM hexadecimal floating point: sign bit, base-16 exponent biased by 64, 56-bit fraction
+const ibmDouble = (bytes, offset, length) => {
+  const b = Array.from({ length: 8 }, (_, i) => (i < length ? bytes[offset + i] : 0));
+  // Missing values: '.', '_' or 'A'–'Z' followed by zeros
+  if (b.slice(1).every(x => x === 0) && (b[0] === 0x2e || b[0] === 0x5f || (b[0] >= 0x41 && b[0] <= 0x5a))) return null;
+  if (b.every(x => x === 0)) return 0;
+  const sign = b[0] & 0x80 ? -1 : 1;
+  const exponent = (b[0] & 0x7f) - 64;
+  const high = b[1] * 2 ** 16 + b[2] * 2 ** 8 + b[3];
+  const low = ((b[4] << 24) >>> 0) + (b[5] << 16) + (b[6] << 8) + b[7];
+  return sign * ((high * 2 ** 32 + low) / 2 ** 56) * 16 ** exponent;
+};
+
+// Values outside the range of a Date are left blank rather than failing the whole file
+const isoDay = (days) => {
+  const date = new Date(SAS_EPOCH + Math.floor(days) * MS_PER_DAY);
+  return Number.isFinite(days) && !isNaN(date) ? date.toISOString().slice(0, 10) : '';
+};
+
+const readVariables = (bytes, offset, count, size) => Array.from({ length: count }, (_, i) => {
+  const at = offset + i * size;
+  const short = (n) => (bytes[at + n] << 8) | bytes[at + n + 1];
+  return {
+    numeric: short(0) === 1,
+    length: short(4),
+    name: text(bytes, at + 8, 8).trim(),
+    label: text(bytes, at + 16, 40).trim(),
+    format: text(bytes, at + 56, 8).trim().toUpperCase(),
+    position: ((bytes[at + 84] << 24) >>> 0) + (bytes[at + 85] << 16) + (bytes[at + 86] << 8) + bytes[at + 87],
+  };
+});
+
+const readValue = (bytes, offset, variable) => {
+  if (!variable.numeric) return text(bytes, offset, variable.length).replace(/\s+$/, '');
+  const value = ibmDouble(bytes, offset, variable.length);
+  if (value === null) return '';
+  if (DATETIME_FORMATS.test(variable.format)) return isoDay(value / 86400);
+  if (DATE_FORMATS.test(variable.format)) return isoDay(value);
+  return value;
+};
+
+// bytes -> [{ sheet: dataset name, label, headers, rows }]
+export const parseXpt = (content) => {
+  const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+  if (!isHeader(bytes, 0, 'LIBRARY HEADER RECORD')) {
+    if (isHeader(bytes, 0, 'LIBV8   HEADER RECORD')) throw new Error('SAS 전송 파일 버전 8은 지원하지 않습니다. 버전 5(XPORT)로 저장하세요.');
+    throw new Error('SAS 전송(XPT) 파일이 아닙니다.');
+  }
+
+  const datasets = [];
+  let offset = 3 * RECORD;
+  while (offset < bytes.length && isHeader(bytes, offset, 'MEMBER  HEADER RECORD')) {
+    const namestrSize = parseInt(text(bytes, offset + 74, 4), 10) || 140;
+    const descriptor = offset + 2 * RECORD;
+    const name = text(bytes, descriptor + 8, 8).trim();
+    const label = text(bytes, descriptor + RECORD + 32, 40).trim();
+    const namestrHeader = descriptor + 2 * RECORD;
+    const count = parseInt(text(bytes, namestrHeader + 54, 4), 10);
+    const variables = readVariables(bytes, namestrHeader + RECORD, count, namestrSize);
+
+    const obsHeader = namestrHeader + RECORD + Math.ceil((count * namestrSize) / RECORD) * RECORD;
+    if (!isHeader(bytes, obsHeader, 'OBS     HEADER RECORD')) throw new Error(`${name}: 관측값 헤더를 찾을 수 없습니다.`);
+    const start = obsHeader + RECORD;
+    const width = variables.reduce((sum, variable) => sum + variable.length, 0);
+
+    // The next member starts on a record boundary; the last one runs to the end of the file
+    let end = bytes.length;
+    for (let at = start; at + RECORD <= bytes.length; at += RECORD) {
+      if (isHeader(bytes, at, 'MEMBER  HEADER RECORD')) {
+        end = at;
+        break;
+      }
+    }
+
+    const rows = [];
+    for (let at = start; width > 0 && at + width <= end; at += width) {
+      // Trailing blanks pad the last record
+      if (bytes.subarray(at, at + width).every(x => x === 0x20)) continue;
+      rows.push(Object.fromEntries(variables.map(variable => [variable.name, readValue(bytes, at + variable.position, variable)])));
+    }
+    datasets.push({ sheet: name, label, headers: variables.map(variable => variable.name), rows });
+    offset = end;
+  }
+  return datasets;
+};
@@ -1,5 +1,7 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
+import '@fontsource/arimo/400.css'
+import '@fontsource/arimo/700.css'
 import App from './App'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
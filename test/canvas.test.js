@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h } from '../src/lib/svg.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { drawTree, hitTest, usesCanvas, canvasScale, CANVAS_THRESHOLD } from '../src/lib/canvas.js';
+import { makePatient } from './fixtures.js';
+
+const patient = (id, responses = [], values = {}) => makePatient(id, { end: 12, responses, values });
+
+test('canvas is used above the threshold in auto mode', () => {
+  assert.equal(usesCanvas('auto', CANVAS_THRESHOLD - 1), false);
+  assert.equal(usesCanvas('auto', CANVAS_THRESHOLD), true);
+  assert.equal(usesCanvas('svg', 5000), false);
+  assert.equal(usesCanvas('canvas', 3), true);
+  assert.equal(canvasScale(1000, 800, 2), 2);
+  // Tall charts are drawn at fewer pixels so the canvas stays within browser limits
+  assert.ok(canvasScale(1000, 40000, 2) * 40000 <= 32000);
+});
+
+test('element trees are painted with inherited fills, transforms and text alignment', () => {
+  const calls = [];
+  const ctx = {
+    globalAlpha: 1,
+    save: () => calls.push(['save']),
+    restore: () => calls.push(['restore']),
+    transform: (...args) => calls.push(['transform', ...args]),
+    beginPath: () => {},
+    rect: (...args) => calls.push(['rect', ...args]),
+    arc: (...args) => calls.push(['arc', ...args]),
+    moveTo: () => {},
+    lineTo: () => {},
+    closePath: () => {},
+    setLineDash: (dashes) => calls.push(['dash', ...dashes]),
+    fill: () => calls.push(['fill', ctx.fillStyle]),
+    stroke: () => calls.push(['stroke', ctx.strokeStyle, ctx.lineWidth]),
+    fillText: (text, x, y) => calls.push(['text', text, x, y, ctx.textAlign, ctx.font]),
+  };
+  drawTree(ctx, h('svg', { 'font-family': 'Arimo' },
+    h('g', { fill: '#123456', transform: 'translate(5, 10)' },
+      h('rect', { x: 1, y: 2, width: 3, height: 4 }),
+      h('circle', { cx: 0, cy: 0, r: 2, stroke: '#fff', 'stroke-width': 1.5 }),
+    ),
+    h('line', { x1: 0, y1: 0, x2: 10, y2: 0, stroke: '#000', 'stroke-dasharray': '4 2' }),
+    h('text', { x: 50, y: 20, 'text-anchor': 'middle', 'font-size': 11, 'font-weight': 600 }, 'Arm ', 'A'),
+  ));
+  assert.deepEqual(calls.find(call => call[0] === 'transform'), ['transform', 1, 0, 0, 1, 5, 10]);
+  assert.deepEqual(calls.find(call => call[0] === 'rect'), ['rect', 1, 2, 3, 4]);
+  assert.deepEqual(calls.filter(call => call[0] === 'fill'), [['fill', '#123456'], ['fill', '#123456']]);
+  assert.deepEqual(calls.find(call => call[0] === 'stroke'), ['stroke', '#fff', 1.5]);
+  assert.deepEqual(calls.find(call => call[0] === 'dash' && call.length > 1), ['dash', 4, 2]);
+  assert.deepEqual(calls.find(call => call[0] === 'text'), ['text', 'Arm A', 50, 20, 'center', '600 11px Arimo']);
+});
+
+test('hit testing finds the row, response marker and track under the pointer', () => {
+  const settings = resolveSettings({
+    legendPosition: 'none',
+    annotationTracks: [{ field: 'column:Risk', label: 'Risk', type: 'categorical', colors: {} }],
+  });
+  const patients = [patient('P1', [{ time: 6, code: 'PR' }], { Risk: 'High' }), patient('P2')];
+  const layout = computeLayout(patients, settings);
+  const [first, second] = layout.groups[0].rows;
+  const midY = first.y + settings.barHeight / 2;
+
+  assert.deepEqual(hitTest(layout, settings, layout.axis.scale(6) + 2, midY), { key: first.patient.key, marker: { kind: 'response', index: 0 } });
+  assert.deepEqual(hitTest(layout, settings, layout.axis.scale(2), midY), { key: first.patient.key, marker: null });
+  const column = layout.tracks.columns[0];
+  assert.deepEqual(hitTest(layout, settings, column.x + column.width / 2, midY), { key: first.patient.key, marker: { kind: 'track', index: 0 } });
+  // The gap between rows belongs to the nearer row, as with the SVG highlight
+  assert.equal(hitTest(layout, settings, layout.axis.scale(2), second.y - settings.barGap / 2 + 1).key, second.patient.key);
+  assert.equal(hitTest(layout, settings, layout.axis.scale(2), second.y + 200), null);
+});
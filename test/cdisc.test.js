@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXpt } from '../src/lib/xpt.js';
+import { parseWorkbook } from '../src/lib/parse.js';
+import { cdiscDataset, cdiscMapping, filterOptions, defaultFilters } from '../src/lib/cdisc.js';
+import { guessAssignments, joinTables, filteredRows } from '../src/lib/tables.js';
+import { guessMapping } from '../src/lib/columnMapping.js';
+import { processData } from '../src/lib/processData.js';
+
+// Minimal SAS transport (XPORT v5) writer: { name, variables: [{ name, label?, format?, length? }], rows }
+const ascii = (text, length) => Array.from({ length }, (_, i) => (i < text.length ? text.charCodeAt(i) : 0x20));
+const record = (text) => ascii(text, 80);
+const padded = (bytes) => [...bytes, ...Array((80 - (bytes.length % 80)) % 80).fill(0x20)];
+
+const ibmDouble = (value) => {
+  if (value === null) return [0x2e, 0, 0, 0, 0, 0, 0, 0];
+  if (value === 0) return Array(8).fill(0);
+  let exponent = 0;
+  let fraction = Math.abs(value);
+  while (fraction >= 1) { fraction /= 16; exponent++; }
+  while (fraction < 1 / 16) { fraction *= 16; exponent--; }
+  const bits = BigInt(Math.round(fraction * 2 ** 56));
+  return [(value < 0 ? 0x80 : 0) | (exponent + 64), ...Array.from({ length: 7 }, (_, i) => Number((bits >> BigInt(8 * (6 - i))) & 0xffn))];
+};
+
+const xpt = (datasets) => {
+  const bytes = [
+    ...record('HEADER RECORD*******LIBRARY HEADER RECORD!!!!!!!000000000000000000000000000000'),
+    ...record('SAS     SAS     SASLIB  9.4     X64_10PR'),
+    ...record('01JAN24:00:00:00'),
+  ];
+  datasets.forEach(({ name, label = '', variables, rows }) => {
+    const columns = variables.map(variable => ({ numeric: !variable.length, length: variable.length || 8, ...variable }));
+    bytes.push(
+      ...record('HEADER RECORD*******MEMBER  HEADER RECORD!!!!!!!000000000000000001600000000140'),
+      ...record('HEADER RECORD*******DSCRPTR HEADER RECORD!!!!!!!000000000000000000000000000000'),
+      ...record(`SAS     ${name.padEnd(8)}SASDATA 9.4     X64_10PR`),
+      ...record(`01JAN24:00:00:00${' '.repeat(16)}${label}`),
+      ...record(`HEADER RECORD*******NAMESTR HEADER RECORD!!!!!!!000000${String(columns.length).padStart(4, '0')}00000000000000000000`),
+    );
+    let position = 0;
+    const namestrs = columns.flatMap((column, i) => {
+      const short = (n) => [n >> 8, n & 0xff];
+      const namestr = [
+        ...short(column.numeric ? 1 : 2), 0, 0, ...short(column.length), ...short(i + 1),
+        ...ascii(column.name, 8), ...ascii(column.label || '', 40), ...ascii(column.format || '', 8),
+        ...Array(20).fill(0), (position >> 24) & 0xff, (position >> 16) & 0xff, (position >> 8) & 0xff, position & 0xff,
+        ...Array(52).fill(0),
+      ];
+      position += column.length;
+      return namestr;
+    });
+    bytes.push(...padded(namestrs), ...record('HEADER RECORD*******OBS     HEADER RECORD!!!!!!!000000000000000000000000000000'));
+    const observations = rows.flatMap(row => columns.flatMap(column => (column.numeric
+      ? ibmDouble(row[column.name] ?? null)
+      : ascii(String(row[column.name] ?? ''), column.length))));
+    bytes.push(...padded(observations));
+  });
+  return new Uint8Array(bytes);
+};
+
+// SAS dates count days from 1960-01-01
+const sasDay = (iso) => (Date.parse(iso) - Date.UTC(1960, 0, 1)) / 86400000;
+
+const ADSL = {
+  name: 'ADSL',
+  label: 'Subject-Level Analysis Dataset',
+  variables: [
+    { name: 'USUBJID', length: 12 },
+    { name: 'ARM', length: 8 },
+    { name: 'TRTSDT', format: 'DATE9' },
+    { name: 'TRTEDT', format: 'DATE9' },
+    { name: 'DTHDT', format: 'DATE9' },
+    { name: 'TRTSDTM', format: 'DATETIME20' },
+    { name: 'AGE' },
+  ],
+  rows: [
+    { USUBJID: 'S-01', ARM: 'Dose 1', TRTSDT: sasDay('2024-01-10'), TRTEDT: sasDay('2024-06-30'), TRTSDTM: sasDay('2024-01-10') * 86400 + 9.5 * 3600, AGE: 61 },
+    { USUBJID: 'S-02', ARM: 'Dose 2', TRTSDT: sasDay('2024-02-01'), TRTEDT: sasDay('2024-04-15'), DTHDT: sasDay('2024-05-20'), TRTSDTM: 1e70, AGE: 47.5 },
+  ],
+};
+
+const ADRS = {
+  name: 'ADRS',
+  variables: [
+    { name: 'USUBJID', length: 12 },
+    { name: 'ARM', length: 8 },
+    { name: 'PARAMCD', length: 8 },
+    { name: 'PARQUAL', length: 12 },
+    { name: 'AVISIT', length: 8 },
+    { name: 'AVALC', length: 4 },
+    { name: 'ADT', format: 'YYMMDD10' },
+  ],
+  rows: [
+    ['S-01', 'OVRLRESP', 'INVESTIGATOR', 'WEEK 8', 'PR', '2024-03-06'],
+    ['S-01', 'OVRLRESP', 'IRC', 'WEEK 8', 'SD', '2024-03-06'],
+    ['S-01', 'OVRLRESP', 'INVESTIGATOR', 'WEEK 16', 'CR', '2024-05-01'],
+    ['S-01', 'BOR', 'INVESTIGATOR', 'OVERALL', 'CR', '2024-05-01'],
+    ['S-02', 'OVRLRESP', 'INVESTIGATOR', 'WEEK 8', 'PD', '2024-03-28'],
+    ['S-02', 'BOR', 'INVESTIGATOR', 'OVERALL', 'PD', '2024-03-28'],
+  ].map(([USUBJID, PARAMCD, PARQUAL, AVISIT, AVALC, ADT]) => ({
+    USUBJID, ARM: USUBJID === 'S-01' ? 'Dose 1' : 'Dose 2', PARAMCD, PARQUAL, AVISIT, AVALC, ADT: sasDay(ADT),
+  })),
+};
+
+test('SAS transport datasets are read with dates, numbers and missing values', () => {
+  const [adsl, adrs] = parseXpt(xpt([ADSL, ADRS]));
+  assert.equal(adsl.sheet, 'ADSL');
+  assert.equal(adsl.label, 'Subject-Level Analysis Dataset');
+  assert.deepEqual(adsl.headers, ['USUBJID', 'ARM', 'TRTSDT', 'TRTEDT', 'DTHDT', 'TRTSDTM', 'AGE']);
+  // DATETIME values are seconds; one out of range is left blank
+  assert.deepEqual(adsl.rows, [
+    { USUBJID: 'S-01', ARM: 'Dose 1', TRTSDT: '2024-01-10', TRTEDT: '2024-06-30', DTHDT: '', TRTSDTM: '2024-01-10', AGE: 61 },
+    { USUBJID: 'S-02', ARM: 'Dose 2', TRTSDT: '2024-02-01', TRTEDT: '2024-04-15', DTHDT: '2024-05-20', TRTSDTM: '', AGE: 47.5 },
+  ]);
+  assert.equal(adrs.rows.length, 6);
+  assert.equal(adrs.rows[4].ADT, '2024-03-28');
+
+  const tables = parseWorkbook(xpt([ADSL, ADRS]), 'study.xpt');
+  assert.deepEqual(tables.map(table => [table.fileName, table.sheet]), [['study.xpt', 'ADSL'], ['study.xpt', 'ADRS']]);
+  assert.throws(() => parseXpt(new TextEncoder().encode('USUBJID,ARM\n')), /XPT/);
+});
+
+test('CDISC datasets are recognized by name or variables, with default row filters', () => {
+  const [adsl, adrs] = parseXpt(xpt([ADSL, ADRS])).map(table => ({ ...table, fileName: 'study.xpt' }));
+  assert.equal(cdiscDataset(adsl).name, 'ADSL');
+  assert.equal(cdiscDataset({ ...adrs, fileName: 'responses.csv', sheet: null }).name, 'ADRS');
+  assert.equal(cdiscDataset({ fileName: 'rs.csv', sheet: null, headers: ['ID'], rows: [] }).name, 'RS');
+  assert.equal(cdiscDataset({ fileName: 'data.csv', sheet: null, headers: ['ID'], rows: [] }), null);
+
+  assert.deepEqual(filterOptions(adrs).map(filter => filter.column), ['PARAMCD', 'PARQUAL', 'AVISIT']);
+  assert.deepEqual(filterOptions(adrs)[0].values, [{ value: 'OVRLRESP', count: 4 }, { value: 'BOR', count: 2 }]);
+  assert.deepEqual(defaultFilters(adrs), { PARAMCD: ['OVRLRESP'], PARQUAL: ['INVESTIGATOR'] });
+  assert.deepEqual(filterOptions(adsl), []);
+});
+
+test('ADSL and filtered ADRS join into one assessment per visit', () => {
+  const tables = parseXpt(xpt([ADSL, ADRS])).map(table => ({ ...table, fileName: 'study.xpt' }));
+  const assignments = guessAssignments(tables);
+  assert.deepEqual(assignments.map(assignment => assignment.role), ['baseline', 'assessments']);
+  assert.equal(filteredRows(tables[1], assignments[1]).length, 3);
+
+  const { source, cdisc } = joinTables(tables, assignments);
+  assert.equal(cdisc, 'ADSL');
+  // ARM only repeats the ADSL value, so it is not carried over as "ARM (ADRS)"
+  assert.deepEqual(source.headers, [...ADSL.variables.map(v => v.name), 'PARAMCD', 'PARQUAL', 'AVISIT', 'AVALC', 'ADT']);
+
+  const mapping = cdiscMapping(guessMapping(source.headers, source.rows));
+  assert.equal(mapping.patientId, 'USUBJID');
+  assert.equal(mapping.cohort, 'ARM');
+  assert.equal(mapping.startDate, 'TRTSDT');
+  assert.equal(mapping.eotDate, 'TRTEDT');
+  assert.equal(mapping.deathDate, 'DTHDT');
+  assert.deepEqual(mapping.events, []);
+  const patients = processData(source.rows, mapping);
+  assert.deepEqual(patients.map(p => p.responses.map(r => r.code)), [['PR', 'CR'], ['PD']]);
+});
+
+test('an ADRS file on its own is the baseline', () => {
+  const [adrs] = parseXpt(xpt([ADRS])).map(table => ({ ...table, fileName: 'adrs.xpt' }));
+  const assignments = guessAssignments([adrs]);
+  assert.deepEqual(assignments, [{ role: 'baseline', idColumn: 'USUBJID', filters: { PARAMCD: ['OVRLRESP'], PARQUAL: ['INVESTIGATOR'] } }]);
+  assert.equal(joinTables([adrs], assignments).source.rows.length, 3);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOngoing, processData } from '../src/lib/processData.js';
+import { parseDate, readDate, detectDateFormat, createDateReader } from '../src/lib/dates.js';
+import { validateData, excludedRows } from '../src/lib/validation.js';
+import { guessMapping } from '../src/lib/columnMapping.js';
+import { tooltipLines } from '../src/lib/tooltip.js';
+import { DEFAULT_VOCABULARY } from '../src/lib/vocabularies.js';
+import { DEFAULT_TIME, unitDays, originColumn, defaultAxisTitle } from '../src/lib/time.js';
+
+test('parseDate reads ISO strings', () => {
+  assert.equal(parseDate('2023-01-05').toISOString(), '2023-01-05T00:00:00.000Z');
+});
+
+test('parseDate converts Excel serial numbers', () => {
+  assert.equal(parseDate(44931).toISOString(), '2023-01-05T00:00:00.000Z');
+  assert.equal(parseDate(25569).toISOString(), '1970-01-01T00:00:00.000Z');
+});
+
+test('parseDate passes Date objects through', () => {
+  const date = new Date(Date.UTC(2023, 0, 5));
+  assert.equal(parseDate(date), date);
+});
+
+test('parseDate rejects blank and unparseable values', () => {
+  assert.equal(parseDate(''), null);
+  assert.equal(parseDate(null), null);
+  assert.equal(parseDate('not a date'), null);
+});
+
+const iso = (value, options) => readDate(value, options)?.date?.toISOString().slice(0, 10) ?? null;
+
+test('day/month order is explicit, never left to the browser', () => {
+  assert.equal(iso('03/04/2023'), '2023-03-04');
+  assert.equal(iso('03/04/2023', { order: 'dmy' }), '2023-04-03');
+  assert.equal(iso('03/04/2023', { format: 'dmy' }), '2023-04-03');
+  assert.equal(iso('3.4.23', { format: 'dmy' }), '2023-04-03');
+  // Year-first and month-name dates are read whatever the format; numeric day/month ones
+  // are rejected when another format was chosen
+  assert.equal(iso('05-JAN-2023', { format: 'dmy' }), '2023-01-05');
+  assert.equal(iso('2023-01-05', { format: 'mdy' }), '2023-01-05');
+  assert.equal(iso('03/04/2023', { format: 'dmony' }), null);
+  assert.equal(iso('03/04/2023', { format: 'ymd' }), null);
+  assert.equal(iso('31/02/2023', { format: 'dmy' }), null);
+});
+
+test('month names, compact and date-time forms give the same calendar day', () => {
+  ['05-JAN-2023', '05JAN2023', '5 Jan 2023', 'January 5, 2023', '20230105', '2023/01/05', '2023-01-05T23:30:00+09:00'].forEach(value => {
+    assert.equal(iso(value), '2023-01-05', value);
+  });
+  // Local-midnight Date objects from spreadsheets become UTC midnight of the same day
+  assert.equal(readDate(new Date(2023, 0, 5)).date.toISOString(), '2023-01-05T00:00:00.000Z');
+});
+
+test('SAS date numbers are read when chosen or detected', () => {
+  assert.equal(iso(23015, { format: 'sas' }), '2023-01-05');
+  assert.equal(iso('23015', { format: 'sas' }), '2023-01-05');
+  assert.equal(detectDateFormat([23015, 23100, '2023-03-01']).serial, 'sas');
+  assert.equal(detectDateFormat([44931, 45000]).serial, 'excel');
+  assert.equal(iso(44931.75), '2023-01-05');
+});
+
+test('the day/month order is detected from days above 12', () => {
+  assert.deepEqual(detectDateFormat(['05/01/2023', '25/01/2023']), { order: 'dmy', serial: 'excel', ambiguous: false, conflicting: false });
+  assert.equal(detectDateFormat(['01/25/2023']).order, 'mdy');
+  assert.equal(detectDateFormat(['01/02/2023']).ambiguous, true);
+  assert.equal(detectDateFormat(['25/01/2023', '01/25/2023']).conflicting, true);
+  const read = createDateReader(['05/01/2023', '25/01/2023'], { dateFormat: 'auto' });
+  assert.equal(read('05/01/2023').date.toISOString().slice(0, 10), '2023-01-05');
+});
+
+test('partial dates are dropped or imputed to the first, middle or last of the period', () => {
+  assert.deepEqual(readDate('2023-02'), { date: null, partial: true, imputed: 'day' });
+  assert.equal(parseDate('UN-JAN-2023'), null);
+  const imputed = (value, imputation) => [iso(value, { imputation }), readDate(value, { imputation }).imputed];
+  assert.deepEqual(imputed('2023-02', 'first'), ['2023-02-01', 'day']);
+  assert.deepEqual(imputed('UN-FEB-2024', 'last'), ['2024-02-29', 'day']);
+  assert.deepEqual(imputed('UNK-JAN-2023', 'mid'), ['2023-01-15', 'day']);
+  assert.deepEqual(imputed('2023', 'mid'), ['2023-07-01', 'month']);
+  assert.deepEqual(imputed('UN-UNK-2023', 'last'), ['2023-12-31', 'month']);
+  assert.deepEqual(imputed('02/2023', 'first'), ['2023-02-01', 'day']);
+});
+
+test('imputed dates are noted in validation and tooltips without excluding rows', () => {
+  const rows = [
+    { Patient_ID: 'P1', C1D1: '2023-01-05', Resp_date1: 'UN-MAR-2023', Response1: 'PR' },
+    { Patient_ID: 'P2', C1D1: '2023-01', Resp_date1: '2023-03-01', Response1: 'SD' },
+  ];
+  const mapping = guessMapping(Object.keys(rows[0]), rows);
+  const strict = validateData(rows, mapping);
+  assert.deepEqual(strict.map(issue => [issue.patientId, issue.severity]), [['P1', 'warning'], ['P2', 'error']]);
+  assert.match(strict[1].message, /일부만/);
+
+  const time = { ...DEFAULT_TIME, imputation: 'first' };
+  const issues = validateData(rows, mapping, { time });
+  assert.deepEqual(issues.map(issue => [issue.patientId, issue.severity, issue.field]), [['P1', 'info', 'Resp_date1'], ['P2', 'info', 'C1D1']]);
+  assert.equal(excludedRows(issues, 'exclude-all').size, 0);
+
+  const [p1, p2] = processData(rows, mapping, { time });
+  assert.equal(p1.responses[0].imputed, true);
+  assert.equal(p2.startImputed, true);
+  const lines = tooltipLines(p1, { kind: 'response', index: 0 }, { vocabulary: DEFAULT_VOCABULARY, unit: 'months' });
+  assert.deepEqual(lines.find(([label]) => label === 'Date'), ['Date', '2023-03-01 (imputed)']);
+});
+
+test('parseOngoing understands yes/no variants', () => {
+  assert.equal(parseOngoing('Y'), true);
+  assert.equal(parseOngoing(' ongoing '), true);
+  assert.equal(parseOngoing('No'), false);
+  assert.equal(parseOngoing('maybe'), undefined);
+});
+
+test('unitDays follows the month and year definitions', () => {
+  assert.equal(unitDays({ ...DEFAULT_TIME, unit: 'days' }), 1);
+  assert.equal(unitDays({ ...DEFAULT_TIME, unit: 'weeks' }), 7);
+  assert.equal(unitDays({ ...DEFAULT_TIME, unit: 'months', monthDays: 30 }), 30);
+  assert.equal(unitDays({ ...DEFAULT_TIME, unit: 'years', yearDays: 365 }), 365);
+});
+
+test('originColumn resolves roles, raw columns and unmapped roles', () => {
+  const mapping = { startDate: 'C1D1', randomizationDate: 'RANDDT', diagnosisDate: '' };
+  assert.equal(originColumn('randomizationDate', mapping), 'RANDDT');
+  assert.equal(originColumn('column:Screening', mapping), 'Screening');
+  assert.equal(originColumn('diagnosisDate', mapping), 'C1D1');
+});
+
+test('defaultAxisTitle names the origin and unit', () => {
+  assert.equal(defaultAxisTitle(DEFAULT_TIME), 'Time on treatment (months)');
+  assert.equal(defaultAxisTitle({ ...DEFAULT_TIME, origin: 'randomizationDate', unit: 'weeks' }), 'Time from randomization (weeks)');
+});
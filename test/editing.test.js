@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import {
+  EMPTY_HISTORY, applyEdit, revertEdit, recordEdit, undoHistory, redoHistory,
+  cellValue, insertedRow, describeEdit, draftIssues,
+} from '../src/lib/editing.js';
+import { parseSpreadsheet, writeSpreadsheet } from '../src/lib/parse.js';
+import { guessMapping } from '../src/lib/columnMapping.js';
+import { processData } from '../src/lib/processData.js';
+import { validateData } from '../src/lib/validation.js';
+
+const source = {
+  fileName: 'study.csv',
+  headers: ['Patient_ID', 'C1D1', 'Resp_date', 'Response'],
+  rows: [
+    { Patient_ID: 'P1', C1D1: '2024-01-01', Resp_date: '2024-03-01', Response: 'PR' },
+    { Patient_ID: 'P1', C1D1: '2024-01-01', Resp_date: '2024-05-01', Response: 'CR' },
+    { Patient_ID: 'P2', C1D1: '2024-02-01', Resp_date: '2024-04-01', Response: 'SD' },
+  ],
+};
+
+test('edits apply, revert, and replay through the undo history', () => {
+  const edits = [
+    { type: 'set', rowIndex: 0, column: 'Response', from: 'PR', to: 'SD', patientId: 'P1' },
+    { type: 'insert', rowIndex: 3, row: insertedRow(source, 3, { layout: 'long', patientId: 'Patient_ID' }) },
+    { type: 'delete', rowIndex: 1, row: source.rows[1], patientId: 'P1' },
+  ];
+  let history = EMPTY_HISTORY;
+  let edited = source;
+  edits.forEach(edit => {
+    edited = applyEdit(edited, edit);
+    history = recordEdit(history, edit);
+  });
+  assert.deepEqual(edited.rows.map(row => [row.Patient_ID, row.Response]), [['P1', 'SD'], ['P2', 'SD'], ['P2', '']]);
+  assert.equal(source.rows[0].Response, 'PR');
+
+  // Undo twice, redo once
+  edited = revertEdit(edited, history.past[2]);
+  history = undoHistory(history);
+  edited = revertEdit(edited, history.past[1]);
+  history = undoHistory(history);
+  assert.deepEqual(edited.rows, [{ ...source.rows[0], Response: 'SD' }, ...source.rows.slice(1)]);
+  edited = applyEdit(edited, history.future[0]);
+  history = redoHistory(history);
+  assert.equal(edited.rows.length, 4);
+  assert.deepEqual([history.past.length, history.future.length], [2, 1]);
+
+  // A new edit drops what was undone
+  assert.deepEqual(recordEdit(history, edits[0]).future, []);
+});
+
+test('a row inserted into a wide file does not repeat the patient ID', () => {
+  const wide = {
+    fileName: 'wide.csv',
+    headers: ['Patient_ID', 'C1D1', 'Resp_date_1', 'Response_1'],
+    rows: [
+      { Patient_ID: 'P1', C1D1: '2024-01-01', Resp_date_1: '2024-03-01', Response_1: 'PR' },
+      { Patient_ID: 'P2', C1D1: '2024-02-01', Resp_date_1: '2024-04-01', Response_1: 'SD' },
+    ],
+  };
+  const mapping = guessMapping(wide.headers, wide.rows);
+  assert.equal(mapping.layout, 'wide');
+  const row = insertedRow(wide, 1, mapping);
+  assert.deepEqual(row, { Patient_ID: '', C1D1: '', Resp_date_1: '', Response_1: '' });
+  const edited = applyEdit(wide, { type: 'insert', rowIndex: 1, row });
+  assert.equal(validateData(edited.rows, mapping).filter(issue => issue.rowIndex === 0).length, 0);
+});
+
+test('typed values keep numbers numeric and edits are described for the change log', () => {
+  assert.equal(cellValue(' 45300 ', 45292), 45300);
+  assert.equal(cellValue('2024-01-05', 45292), '2024-01-05');
+  assert.equal(cellValue('-12.5', 'NE'), '-12.5');
+  assert.equal(cellValue('  ', 'PR'), '');
+
+  assert.equal(describeEdit({ type: 'set', rowIndex: 0, column: 'Response', from: 'PR', to: '', patientId: 'P1' }), 'Row 2 (P1) · Response: PR → (blank)');
+  assert.equal(describeEdit({ type: 'insert', rowIndex: 3, row: {} }), 'Added row 5');
+  assert.equal(describeEdit({ type: 'delete', rowIndex: 1, row: {}, patientId: 'P1' }), 'Deleted row 3 (P1)');
+});
+
+test('a draft value is checked in its own cell before it is entered', () => {
+  const mapping = guessMapping(source.headers, source.rows);
+  const issues = draftIssues(source, mapping, {}, { rowIndex: 2, column: 'Response', value: 'XR' });
+  assert.equal(issues.length, 1);
+  assert.match(issues[0].message, /XR/);
+  assert.deepEqual(draftIssues(source, mapping, {}, { rowIndex: 2, column: 'Response', value: 'PD' }), []);
+  assert.equal(draftIssues(source, mapping, {}, { rowIndex: 2, column: 'Resp_date', value: '2024-13-45' })[0].severity, 'warning');
+
+  // The edited rows process like a re-uploaded file
+  const edited = applyEdit(source, { type: 'set', rowIndex: 2, column: 'Response', from: 'SD', to: 'PD' });
+  assert.deepEqual(processData(edited.rows, mapping).map(p => p.responses.map(r => r.code)), [['PR', 'CR'], ['PD']]);
+});
+
+test('the edited dataset is written back to CSV and XLSX', () => {
+  const edited = applyEdit(source, { type: 'set', rowIndex: 0, column: 'Response', from: 'PR', to: 'CR, confirmed' });
+  const csv = writeSpreadsheet(edited, 'csv');
+  assert.equal(csv.split('\r\n')[0], 'Patient_ID,C1D1,Resp_date,Response');
+  assert.equal(csv.split('\r\n')[1], 'P1,2024-01-01,2024-03-01,"CR, confirmed"');
+  assert.deepEqual(parseSpreadsheet(csv, 'edited.csv').rows, edited.rows);
+
+  const book = XLSX.read(writeSpreadsheet(edited, 'xlsx'), { type: 'array' });
+  assert.deepEqual(book.SheetNames, ['Data']);
+  const reread = parseSpreadsheet(writeSpreadsheet(edited, 'xlsx'), 'edited.xlsx');
+  assert.deepEqual(reread.headers, source.headers);
+  assert.deepEqual(reread.rows, edited.rows);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { crc32 } from 'node:zlib';
+import { h, toSvgString } from '../src/lib/svg.js';
+import { FONT_FILES, parseFonts, outlineText, missingGlyphs } from '../src/lib/fonts.js';
+import { figureSize, figureSvg, figurePdf, smallestFontSize } from '../src/lib/figure.js';
+import { setPngDpi, encodeTiff } from '../src/lib/imageFormats.js';
+
+const require = createRequire(import.meta.url);
+const fontFile = (file) => {
+  const bytes = readFileSync(require.resolve(file));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+const fonts = parseFonts(FONT_FILES.map(face => ({ regular: fontFile(face.regular), bold: fontFile(face.bold) })));
+
+const tree = h('svg', { width: 900, height: 300, viewBox: '0 0 900 300' },
+  h('rect', { x: 100, y: 50, width: 200, height: 20, fill: '#87CEEB', rx: 3, opacity: 0.85 }),
+  h('g', { 'font-size': 12 },
+    h('text', { x: 450, y: 290, 'text-anchor': 'middle' }, 'Months'),
+    h('text', { x: 50, y: 100, 'font-weight': 600, transform: 'rotate(-90, 50, 100)' }, 'Arm A'),
+  ),
+);
+
+test('figure size keeps the aspect ratio at any width and DPI', () => {
+  const size = figureSize({ width: 900, height: 300 }, { width: 183, unit: 'mm', dpi: 300 });
+  assert.equal(size.widthMm, 183);
+  assert.equal(Math.round(size.heightMm * 100) / 100, 61);
+  assert.equal(size.pixelWidth, 2161);
+  assert.equal(size.pixelHeight, 720);
+  const inches = figureSize({ width: 900, height: 300 }, { width: 3, unit: 'in', dpi: 600 });
+  assert.deepEqual([inches.pixelWidth, inches.pixelHeight], [1800, 600]);
+  assert.equal(Math.round(smallestFontSize(tree) * size.pointsPerUnit * 10) / 10, 6.9);
+});
+
+test('outlined text leaves no font dependency', () => {
+  const outlined = toSvgString(outlineText(tree, fonts));
+  assert.doesNotMatch(outlined, /<text/);
+  assert.match(outlined, /<path d="M[^"]+" transform="rotate\(-90, 50, 100\)"/);
+
+  const embedded = figureSvg(tree, fonts, figureSize(tree.attrs, { width: 89, unit: 'mm' }), 'embed');
+  assert.match(embedded, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="89mm" height="29.67mm"/);
+  assert.match(embedded, /@font-face\{font-family:'Arimo';font-weight:700;src:url\(data:font\/woff;base64,/);
+  assert.match(embedded, />Arm A<\/text>/);
+});
+
+test('Hangul and Latin Extended text is outlined from the fallback faces', () => {
+  const label = (text) => h('svg', { width: 200, height: 40 }, h('text', { x: 10, y: 30, 'font-size': 12 }, text));
+  const [arimo] = fonts.regular;
+  ['환자', 'Łódź', 'ORR ≥ 30%'].forEach(text => {
+    const [path] = outlineText(label(text), fonts).children;
+    assert.notEqual(path.attrs.d, '');
+    // Arimo alone draws its .notdef box for these
+    assert.notEqual(path.attrs.d, arimo.font.getPath(text, 10, 30, 12).toPathData(2));
+    assert.deepEqual(missingGlyphs(label(text), fonts), []);
+  });
+  assert.deepEqual(missingGlyphs(label('A \uE000B'), fonts), ['\uE000']);
+
+  const embedded = figureSvg(label('환자'), fonts, figureSize({ width: 200, height: 40 }, { width: 89, unit: 'mm' }), 'embed');
+  assert.match(embedded, /@font-face\{font-family:'Pretendard';font-weight:400;/);
+  assert.match(embedded, /font-family="Arimo, 'Arimo Latin Ext', Pretendard, Arial/);
+});
+
+test('PDF is a single vector page at the print size', () => {
+  const pdf = new TextDecoder().decode(figurePdf(tree, fonts, figureSize(tree.attrs, { width: 3, unit: 'in' })));
+  assert.match(pdf, /^%PDF-1.4/);
+  assert.match(pdf, /\/MediaBox \[0 0 216 72\]/);
+  assert.match(pdf, /\/GS0 << \/Type \/ExtGState \/ca 0.85 \/CA 0.85 >>/);
+  assert.match(pdf, /0.529 0.808 0.922 rg/);
+  const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  assert.equal(pdf.slice(xref, xref + 4), 'xref');
+});
+
+test('PNG gets a pHYs chunk with the DPI', () => {
+  const png = Uint8Array.from([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0, 0x1f, 0x15, 0xc4, 0x89,
+    0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82,
+  ]);
+  const out = setPngDpi(png, 300);
+  const view = new DataView(out.buffer);
+  assert.equal(String.fromCharCode(...out.subarray(37, 41)), 'pHYs');
+  assert.equal(view.getUint32(41), 11811);
+  assert.equal(out[49], 1);
+  assert.equal(view.getUint32(50), crc32(out.subarray(37, 50)));
+});
+
+test('TIFF stores RGB pixels, PackBits runs and the resolution', () => {
+  const data = new Uint8Array(4 * 4 * 2).fill(255);
+  data.set([255, 0, 0, 255], 0);
+  const tiff = encodeTiff({ width: 4, height: 2, data, dpi: 600 });
+  const view = new DataView(tiff.buffer);
+  assert.equal(view.getUint16(0), 0x4949);
+  assert.equal(view.getUint16(2, true), 42);
+  const entries = new Map(Array.from({ length: view.getUint16(8, true) }, (_, i) => {
+    const entry = 10 + i * 12;
+    return [view.getUint16(entry, true), view.getUint32(entry + 8, true)];
+  }));
+  assert.equal(entries.get(256) & 0xffff, 4);
+  assert.equal(view.getUint32(entries.get(282), true), 600);
+  const pixels = [...tiff.subarray(entries.get(273), entries.get(273) + entries.get(279))];
+  // Row 1: literal red pixel start, then a run of white; row 2: one run of 12 white bytes
+  assert.deepEqual(pixels.slice(0, 4), [0, 255, 255, 0]);
+  assert.deepEqual(pixels.slice(-2), [257 - 12, 255]);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterPatients, filterValues, describeFilters, hasActiveFilters } from '../src/lib/filtering.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { makePatient } from './fixtures.js';
+
+const patient = (id, cohort, duration, fields = {}) => makePatient(id, { cohort, end: duration, ...fields });
+
+const patients = [
+  patient('P1', 'A', 3, { bestResponse: 'PR', bestResponseRank: 2, values: { Dose: '10' } }),
+  patient('P2', 'B', 8, { bestResponse: 'CR', bestResponseRank: 1, values: { Dose: '20' }, events: [{ type: 'ASCT', time: 4 }] }),
+  patient('P3', 'B', 12, { bestResponse: 'PD', bestResponseRank: 4, values: { Dose: '' } }),
+  patient('P4', 'A', 1),
+];
+
+const ids = (list) => list.map(p => p.id);
+
+test('filters combine with AND', () => {
+  const filters = [
+    { field: 'cohort', op: 'in', values: ['B'] },
+    { field: 'duration', op: 'range', min: '6', max: '' },
+  ];
+  assert.deepEqual(ids(filterPatients(patients, filters)), ['P2', 'P3']);
+  assert.deepEqual(ids(filterPatients(patients, [{ field: 'bestResponse', op: 'in', values: ['CR', 'PR'] }])), ['P1', 'P2']);
+  assert.deepEqual(ids(filterPatients(patients, [{ field: 'event:ASCT', op: 'has' }])), ['P2']);
+  assert.deepEqual(ids(filterPatients(patients, [{ field: 'event:ASCT', op: 'lacks' }])), ['P1', 'P3', 'P4']);
+  assert.deepEqual(ids(filterPatients(patients, [{ field: 'column:Dose', op: 'range', min: 15 }])), ['P2']);
+  assert.deepEqual(ids(filterPatients(patients, [{ field: 'column:Dose', op: 'in', values: ['Unknown'] }])), ['P3', 'P4']);
+});
+
+test('empty filters keep everyone and manual overrides win', () => {
+  assert.equal(filterPatients(patients, [{ field: 'cohort', op: 'in', values: [] }]).length, 4);
+  const filters = [{ field: 'cohort', op: 'in', values: ['A'] }];
+  assert.deepEqual(ids(filterPatients(patients, filters, { P1: 'exclude', P3: 'include' })), ['P3', 'P4']);
+});
+
+test('best response values follow vocabulary rank', () => {
+  assert.deepEqual(filterValues(patients, 'bestResponse'), ['CR', 'PR', 'PD', 'None']);
+  assert.deepEqual(filterValues(patients, 'cohort'), ['A', 'B']);
+});
+
+test('active filters are summarized for the footnote', () => {
+  const filters = [
+    { field: 'cohort', op: 'in', values: ['B'] },
+    { field: 'duration', op: 'range', min: '6', max: '' },
+    { field: 'event:ASCT', op: 'has' },
+    { field: 'bestResponse', op: 'in', values: [] },
+  ];
+  assert.equal(
+    describeFilters(filters, { P4: 'exclude' }),
+    'Subset: Cohort: B; Duration ≥ 6 months; with ASCT; 1 patient excluded'
+  );
+  assert.equal(describeFilters([{ field: 'cohort', op: 'in', values: [] }]), '');
+  assert.equal(hasActiveFilters([{ field: 'duration', op: 'range', min: '', max: '' }]), false);
+});
+
+test('footnote adds space below the axis', () => {
+  const filters = [{ field: 'cohort', op: 'in', values: ['B'] }];
+  const shown = filterPatients(patients, filters);
+  const plain = computeLayout(shown, resolveSettings({ filters }));
+  const noted = computeLayout(shown, resolveSettings({ filters, showFilterFootnote: true }));
+  assert.deepEqual(plain.footnotes, []);
+  assert.equal(noted.footnotes[0].text, 'Subset: Cohort: B');
+  assert.equal(noted.height - plain.height, 20);
+  assert.equal(noted.plot.bottom, plain.plot.bottom);
+});
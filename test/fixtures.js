@@ -0,0 +1,39 @@
+// A patient as processData returns it, for tests that start after processing.
+// `duration` and `treatmentEnd` follow `start` / `end` unless overridden; processData.test.js
+// checks that the fields stay the same as processData's
+export const makePatient = (id, overrides = {}) => {
+  const start = overrides.start ?? 0;
+  const end = overrides.end ?? 10;
+  const startDate = new Date(Date.UTC(2024, 0, 1));
+  return {
+    key: id,
+    rowIndex: 0,
+    rowIndexes: [0],
+    id,
+    cohort: 'A',
+    start,
+    end,
+    duration: end - start,
+    startDate,
+    startImputed: false,
+    originDate: startDate,
+    treatmentEnd: end,
+    responses: [],
+    asctTime: null,
+    deathTime: null,
+    events: [],
+    eotTime: null,
+    followupTime: null,
+    phases: [],
+    bestResponse: null,
+    bestResponseRank: null,
+    timeToResponse: null,
+    timeToProgression: null,
+    measurements: [],
+    bestPercentChange: null,
+    values: {},
+    ongoing: false,
+    discontinuationReason: null,
+    ...overrides,
+  };
+};
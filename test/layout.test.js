@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeAxis, autoTickInterval, suggestBreak } from '../src/lib/axis.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { groupPatients } from '../src/lib/grouping.js';
+import { sortPatients } from '../src/lib/sorting.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { makePatient } from './fixtures.js';
+
+const patient = (id, cohort, end, start = 0) => makePatient(id, { cohort, start, end });
+
+test('auto tick interval keeps ten or fewer ticks', () => {
+  assert.equal(autoTickInterval(20, 'months'), 3);
+  assert.equal(autoTickInterval(45, 'months'), 6);
+  assert.equal(autoTickInterval(100, 'weeks'), 12);
+  assert.equal(autoTickInterval(3, 'years'), 0.5);
+});
+
+test('axis max rounds up to a tick and leaves one spare tick', () => {
+  const axis = computeAxis([patient('P1', 'A', 13.2)]);
+  assert.equal(axis.interval, 3);
+  assert.equal(axis.max, 18);
+  assert.deepEqual(axis.ticks, [0, 3, 6, 9, 12, 15, 18]);
+  assert.equal(axis.scale(0), 100);
+  assert.equal(axis.scale(9), 450);
+  assert.equal(axis.scale(18), 800);
+});
+
+test('manual max clamps bars at the axis edge', () => {
+  const axis = computeAxis([patient('P1', 'A', 30)], { max: 12 });
+  assert.equal(axis.max, 12);
+  assert.equal(axis.scale(30), 800);
+});
+
+test('bars starting before zero extend the axis to the left', () => {
+  const axis = computeAxis([patient('P1', 'A', 10, -2)]);
+  assert.equal(axis.min, -3);
+  assert.equal(axis.scale(-3), 100);
+});
+
+test('suggested break isolates one long outlier', () => {
+  const patients = [5, 6, 7, 8, 9, 60].map((end, i) => patient(`P${i}`, 'A', end));
+  assert.deepEqual(suggestBreak(patients, 6), { start: 12, end: 54 });
+  const axis = computeAxis(patients, { brokenAxis: true });
+  assert.deepEqual(axis.break, { start: 12, end: 54 });
+  assert.ok(axis.ticks.every(t => t <= 12 || t >= 54));
+  assert.ok(axis.scale(12) < axis.scale(30) && axis.scale(30) < axis.scale(54));
+  assert.equal(axis.scale(12), axis.breakX.start);
+  assert.equal(axis.scale(54), axis.breakX.end);
+  assert.equal(axis.scale(axis.max), 800);
+});
+
+test('no break is suggested when bars are evenly spread', () => {
+  const patients = [5, 6, 7, 8, 9, 10].map((end, i) => patient(`P${i}`, 'A', end));
+  assert.equal(suggestBreak(patients, 3), null);
+  assert.equal(computeAxis(patients, { brokenAxis: true }).break, null);
+});
+
+test('patients are sorted longest first and grouped by cohort', () => {
+  const patients = [patient('P1', 'B', 4), patient('P2', 'A', 9), patient('P3', 'B', 12), patient('P4', 'A', 2)];
+  const groups = groupPatients(sortPatients(patients, [{ field: 'duration', direction: 'desc' }]), ['cohort']);
+  assert.deepEqual(groups.map(({ path, patients: members }) => [path[0].value, members.map(p => p.id)]), [
+    ['A', ['P2', 'P4']],
+    ['B', ['P3', 'P1']],
+  ]);
+  const flat = groupPatients(sortPatients(patients, [{ field: 'id', direction: 'asc' }]), []);
+  assert.deepEqual(flat[0].patients.map(p => p.id), ['P1', 'P2', 'P3', 'P4']);
+});
+
+test('nested groups get one labelled span per level with counts', () => {
+  const patients = [
+    { ...patient('P1', 'A', 4), values: { Dose: '10' } },
+    { ...patient('P2', 'A', 3), values: { Dose: '20' } },
+    { ...patient('P3', 'A', 5), values: { Dose: '20' } },
+    { ...patient('P4', 'B', 6), values: { Dose: '10' } },
+  ];
+  const layout = computeLayout(patients, resolveSettings({
+    groupBy: ['cohort', 'column:Dose'],
+    groupOrder: { cohort: ['B'] },
+    groupLabels: { cohort: { A: 'Arm A' } },
+    showGroupCounts: true,
+  }));
+  assert.deepEqual(layout.groups.map(g => g.key), ['B / 10', 'A / 10', 'A / 20']);
+  assert.deepEqual(layout.spans.map(span => [span.depth, span.text]), [
+    [1, 'B (n=1)'],
+    [1, 'Arm A (n=3)'],
+    [0, '10 (n=1)'],
+    [0, '10 (n=1)'],
+    [0, '20 (n=2)'],
+  ]);
+  const armA = layout.spans[1];
+  assert.equal(armA.top, layout.groups[1].top);
+  assert.equal(armA.bottom, layout.groups[2].top + layout.groups[2].height);
+});
+
+test('rows are stacked by bar height plus gap with space between groups', () => {
+  const patients = [patient('P1', 'A', 4), patient('P2', 'A', 3), patient('P3', 'B', 5)];
+  const layout = computeLayout(patients, resolveSettings({ barHeight: 20, barGap: 8, legendPosition: 'none' }));
+  assert.deepEqual(layout.groups.map(g => g.rows.map(r => r.y)), [[50, 78], [146]]);
+  assert.equal(layout.groups[1].top, 50 + 2 * 28 + 40);
+  assert.equal(layout.height, 80 + (2 * 28 + 40) + (28 + 40));
+  assert.equal(layout.plot.bottom, layout.height - 40);
+  assert.equal(layout.patientCount, 3);
+});
+
+test('invert maps x coordinates back to times, across a break too', () => {
+  const patients = [5, 6, 7, 8, 9, 60].map((end, i) => patient(`P${i}`, 'A', end));
+  [computeAxis(patients), computeAxis(patients, { brokenAxis: true })].forEach(axis => {
+    [0, 4.5, 12, 30, 57].forEach(t => assert.ok(Math.abs(axis.invert(axis.scale(t)) - t) < 1e-9));
+  });
+});
+
+test('a zoomed view replaces the axis range and drops the break', () => {
+  const patients = [5, 6, 7, 8, 9, 60].map((end, i) => patient(`P${i}`, 'A', end));
+  const axis = computeAxis(patients, { brokenAxis: true, view: { min: 2, max: 8 } });
+  assert.equal(axis.min, 2);
+  assert.equal(axis.max, 8);
+  assert.equal(axis.break, null);
+  assert.deepEqual(axis.ticks, [2, 3, 4, 5, 6, 7, 8]);
+  assert.equal(axis.scale(2), 100);
+  assert.equal(axis.scale(8), 800);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { legendEntries, shownLegendEntries } from '../src/lib/legend.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { renderPlot } from '../src/lib/render.js';
+import { toSvgString } from '../src/lib/svg.js';
+import { resolveSettings, PLOT_COLORS } from '../src/lib/settings.js';
+import { DEFAULT_VOCABULARY } from '../src/lib/vocabularies.js';
+import { makePatient } from './fixtures.js';
+
+const patient = (id, end, extra = {}) => makePatient(id, { end, ...extra });
+
+const patients = [
+  patient('P1', 10, { responses: [{ time: 2, code: 'PR' }, { time: 5, code: 'CR' }], ongoing: true }),
+  patient('P2', 6, { responses: [{ time: 2, code: 'SD' }], eotTime: 4, treatmentEnd: 4 }),
+];
+const context = { vocabulary: DEFAULT_VOCABULARY, colors: PLOT_COLORS };
+
+test('legend lists only the categories and marks present in the data', () => {
+  const ids = legendEntries(patients, resolveSettings(), context).map(entry => entry.id);
+  assert.deepEqual(ids, ['response:CR', 'response:PR', 'response:SD', 'onTreatment', 'followUp', 'eot', 'ongoing']);
+});
+
+test('hidden entries are dropped and renamed entries keep their swatch', () => {
+  const settings = resolveSettings({ legendHidden: ['followUp'], legendLabels: { 'response:CR': 'Complete' } });
+  const shown = shownLegendEntries(legendEntries(patients, settings, context), settings);
+  assert.equal(shown.length, 6);
+  assert.equal(shown[0].label, 'Complete');
+  assert.equal(shown[0].color, DEFAULT_VOCABULARY.categories.find(cat => cat.code === 'CR').color);
+});
+
+test('title and a top legend push the plot down; a right legend widens the figure', () => {
+  const bare = computeLayout(patients, resolveSettings({ legendPosition: 'none' }), context);
+  const titled = computeLayout(patients, resolveSettings({ legendPosition: 'none', title: 'Study 101', subtitle: 'ITT' }), context);
+  assert.equal(titled.plot.top - bare.plot.top, 26 + 20 + 8);
+  assert.deepEqual(titled.header.map(line => line.text), ['Study 101', 'ITT']);
+
+  const top = computeLayout(patients, resolveSettings({ legendPosition: 'top' }), context);
+  assert.ok(top.plot.top > bare.plot.top);
+  assert.ok(top.legend.items.every(item => item.y < top.plot.top));
+
+  const right = computeLayout(patients, resolveSettings({ legendPosition: 'right' }), context);
+  assert.equal(right.plot.top, bare.plot.top);
+  assert.ok(right.width > bare.width);
+  assert.ok(right.legend.items.every(item => item.x >= right.chartWidth));
+
+  const inside = computeLayout(patients, resolveSettings({ legendPosition: 'inside' }), context);
+  assert.equal(inside.width, bare.width);
+  assert.equal(inside.legend.box.x + inside.legend.box.width, inside.plot.right);
+});
+
+test('footnote lines fill in N and are drawn in the exported SVG', () => {
+  const settings = resolveSettings({ legendPosition: 'bottom', footnote: 'Data cut-off: 2024-03-31\nN = {N}' });
+  const layout = computeLayout(patients, settings, context);
+  assert.deepEqual(layout.footnotes.map(note => note.text), ['Data cut-off: 2024-03-31', 'N = 2']);
+  assert.ok(layout.footnotes[0].y > layout.legend.items[0].y);
+  const svg = toSvgString(renderPlot(layout, settings, context));
+  assert.match(svg, />N = 2</);
+  assert.match(svg, />CR \(Complete Response\)</);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSvgString } from '../src/lib/svg.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { splitPages, pageFigures } from '../src/lib/pages.js';
+import { treesToPdf } from '../src/lib/pdf.js';
+import { pageFileName } from '../src/lib/figure.js';
+import { DEFAULT_VOCABULARY } from '../src/lib/vocabularies.js';
+import { makePatient } from './fixtures.js';
+
+const patient = (id, cohort, end) => makePatient(id, { cohort, end });
+
+// Cohort A: 5 patients, cohort B: 3; the longest bar (30) is in A
+const patients = [
+  ...[30, 9, 8, 7, 6].map((end, i) => patient(`A${i + 1}`, 'A', end)),
+  ...[5, 4, 3].map((end, i) => patient(`B${i + 1}`, 'B', end)),
+];
+const context = { vocabulary: DEFAULT_VOCABULARY };
+
+test('pages follow the display order, by count or starting a page at each group', () => {
+  const settings = resolveSettings({});
+  const ids = (pages) => pages.map(page => page.map(p => p.id));
+  assert.deepEqual(ids(splitPages(patients, settings, { pageBy: 'none' })), [patients.map(p => p.id)]);
+  assert.deepEqual(ids(splitPages(patients, settings, { pageBy: 'count', perPage: 3 })), [
+    ['A1', 'A2', 'A3'],
+    ['A4', 'A5', 'B1'],
+    ['B2', 'B3'],
+  ]);
+  assert.deepEqual(ids(splitPages(patients, settings, { pageBy: 'group', perPage: 3 })), [
+    ['A1', 'A2', 'A3'],
+    ['A4', 'A5'],
+    ['B1', 'B2', 'B3'],
+  ]);
+});
+
+test('every page keeps the whole cohort axis and labels groups carried over as continued', () => {
+  const settings = resolveSettings({ showGroupCounts: true, footnote: 'N = {N}' });
+  const pages = splitPages(patients, settings, { pageBy: 'count', perPage: 3 });
+  const layouts = pages.map((members, index) =>
+    computeLayout(members, settings, { ...context, population: patients, page: { index, count: pages.length } }));
+  const full = computeLayout(patients, settings, context);
+  layouts.forEach(layout => {
+    assert.equal(layout.axis.max, full.axis.max);
+    assert.equal(layout.width, full.width);
+  });
+  assert.deepEqual(layouts[0].spans.map(span => span.text), ['A (n=5)']);
+  assert.deepEqual(layouts[1].spans.map(span => span.text), ['A, continued (n=5)', 'B (n=3)']);
+  assert.deepEqual(layouts[2].spans.map(span => span.text), ['B, continued (n=3)']);
+  assert.deepEqual(layouts[2].footnotes.map(note => note.text), ['N = 8', 'Page 3 of 3']);
+  assert.equal(layouts[2].patientCount, 2);
+});
+
+test('page figures repeat the legend and add the waterfall as a last page', () => {
+  const settings = resolveSettings({ waterfall: { show: true } });
+  const figures = pageFigures(patients, settings, { pageBy: 'group', perPage: 10 }, context);
+  assert.equal(figures.length, 3);
+  const [first, second] = figures.map(figure => toSvgString(figure.tree));
+  assert.match(second, />B</);
+  assert.match(first, />Page 1 of 2</);
+  assert.match(toSvgString(figures[2].tree), /Best change from baseline/);
+});
+
+test('multi-page PDF has one page object per figure', () => {
+  const tree = { tag: 'svg', attrs: { viewBox: '0 0 100 50' }, children: [{ tag: 'rect', attrs: { x: 0, y: 0, width: 10, height: 10, fill: '#ff0000' }, children: [] }] };
+  const pdf = new TextDecoder().decode(treesToPdf([
+    { tree, size: { widthPt: 200, heightPt: 100 } },
+    { tree, size: { widthPt: 200, heightPt: 60 } },
+  ]));
+  assert.match(pdf, /\/Kids \[3 0 R 5 0 R\] \/Count 2/);
+  assert.equal((pdf.match(/\/Type \/Page /g) || []).length, 2);
+  assert.match(pdf, /\/MediaBox \[0 0 200 60\]/);
+  assert.match(pdf, /\/Info 7 0 R/);
+  assert.equal(pageFileName('plot', 'png', 1, 3), 'plot_p2.png');
+  assert.equal(pageFileName('plot', 'png', 0, 1), 'plot.png');
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processData } from '../src/lib/processData.js';
+import { emptyMapping } from '../src/lib/columnMapping.js';
+import { DEFAULT_TIME } from '../src/lib/time.js';
+import { makePatient } from './fixtures.js';
+
+const mapping = {
+  ...emptyMapping(),
+  patientId: 'ID',
+  cohort: 'Arm',
+  startDate: 'C1D1',
+  randomizationDate: 'Rand',
+  eotDate: 'EOT',
+  lastFollowupDate: 'LFU',
+  ongoing: 'Ongoing',
+  assessments: [{ date: 'D1', response: 'R1' }, { date: 'D2', response: 'R2' }],
+};
+
+const row = (overrides = {}) => ({
+  ID: 'P01',
+  Arm: 'A',
+  C1D1: '2023-01-01',
+  Rand: '2022-12-25',
+  D1: '2023-01-31',
+  R1: 'PR',
+  D2: '2023-03-02',
+  R2: 'cr',
+  ...overrides,
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('times are measured in months of 30.44 days from C1D1 by default', () => {
+  const [patient] = processData([row()], mapping);
+  assert.equal(patient.start, 0);
+  close(patient.responses[0].time, 30 / 30.44);
+  close(patient.responses[1].time, 60 / 30.44);
+  assert.equal(patient.responses[1].code, 'CR');
+});
+
+test('duration runs to the latest of assessments, EOT and follow-up', () => {
+  const [patient] = processData([row({ EOT: '2023-04-01', LFU: '2023-06-30' })], mapping);
+  close(patient.treatmentEnd, 90 / 30.44);
+  close(patient.end, 180 / 30.44);
+  close(patient.duration, 180 / 30.44);
+});
+
+test('bars are at least one month long', () => {
+  const [patient] = processData([row({ D1: '', R1: '', D2: '', R2: '' })], mapping);
+  close(patient.duration, 1);
+});
+
+test('ongoing patients keep treating until the end of the bar', () => {
+  const [patient] = processData([row({ EOT: '2023-02-01', LFU: '2023-06-30', Ongoing: 'Y' })], mapping);
+  assert.equal(patient.ongoing, true);
+  assert.equal(patient.treatmentEnd, patient.end);
+});
+
+test('another origin shifts the bar start, and other units rescale', () => {
+  const time = { ...DEFAULT_TIME, origin: 'randomizationDate', unit: 'weeks' };
+  const [patient] = processData([row()], mapping, { time });
+  close(patient.start, 1);
+  close(patient.responses[0].time, 37 / 7);
+  close(patient.duration, 60 / 7);
+});
+
+test('patients without a start or origin date are left out', () => {
+  const rows = [row(), row({ ID: 'P02', C1D1: '' }), row({ ID: 'P03', Rand: 'unknown' })];
+  assert.deepEqual(processData(rows, mapping).map(p => p.id), ['P01', 'P03']);
+  const time = { ...DEFAULT_TIME, origin: 'randomizationDate' };
+  assert.deepEqual(processData(rows, mapping, { time }).map(p => p.id), ['P01']);
+});
+
+test('excluded rows are skipped', () => {
+  const rows = [row(), row({ ID: 'P02' })];
+  assert.deepEqual(processData(rows, mapping, { exclude: new Set([0]) }).map(p => p.id), ['P02']);
+});
+
+test('the shared patient fixture has the same fields as a processed patient', () => {
+  const [patient] = processData([row()], mapping);
+  assert.deepEqual(Object.keys(makePatient('P01')).sort(), Object.keys(patient).sort());
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProject, projectToJson, parseProject, saveSession, loadSession } from '../src/lib/project.js';
+import { guessMapping, reapplyMapping } from '../src/lib/columnMapping.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { VOCABULARY_PRESETS } from '../src/lib/vocabularies.js';
+
+const headers = ['Cohort', 'Patient_ID', 'C1D1', 'Resp_date1', 'Response1', 'ASCT_date'];
+const rows = [{ Cohort: 'A', Patient_ID: 'P01', C1D1: '2023-01-05', Resp_date1: '2023-03-02', Response1: 'PR', ASCT_date: '' }];
+const source = { fileName: 'cut1.csv', headers, rows };
+const mapping = guessMapping(headers, rows);
+const settings = resolveSettings({
+  groupOrder: { cohort: ['B', 'A'] },
+  filters: [{ field: 'cohort', op: 'in', values: ['A'] }],
+  style: { barRadius: 0 },
+});
+const vocabulary = VOCABULARY_PRESETS.find(v => v.id === 'imwg');
+
+test('project files round-trip with or without the data', () => {
+  const withData = parseProject(projectToJson(createProject({ mapping, vocabulary, settings, source }, { includeData: true })));
+  assert.deepEqual(withData.mapping, mapping);
+  assert.deepEqual(withData.settings, settings);
+  assert.equal(withData.vocabulary.id, 'imwg');
+  assert.deepEqual(withData.data.source, source);
+  assert.equal(withData.data.phaseSource, null);
+
+  const configOnly = parseProject(projectToJson(createProject({ mapping, vocabulary, settings, source })));
+  assert.equal(configOnly.data, null);
+  assert.equal(configOnly.fileName, 'cut1.csv');
+});
+
+test('settings missing from older project files get their defaults', () => {
+  const project = parseProject(JSON.stringify({ swimmerPlotProject: 1, settings: { sortBy: 'id' } }));
+  assert.deepEqual(project.settings.sortKeys, [{ field: 'id', direction: 'asc' }]);
+  assert.equal(project.settings.style.barOpacity, 0.85);
+});
+
+test('files that are not projects are rejected', () => {
+  assert.throws(() => parseProject('not json'), /JSON/);
+  assert.throws(() => parseProject('{"settings": {}}'), /프로젝트 파일이 아닙니다/);
+  assert.throws(() => parseProject('{"swimmerPlotProject": 9}'), /v9/);
+});
+
+test('a saved mapping is re-applied to a new data cut', () => {
+  const same = reapplyMapping(mapping, headers, rows);
+  assert.deepEqual(same, { mapping, missing: [] });
+
+  // Next cut renamed the start date column and dropped ASCT
+  const nextHeaders = ['Cohort', 'Patient_ID', 'Start_date', 'Resp_date1', 'Response1'];
+  const nextRows = [{ Cohort: 'B', Patient_ID: 'P02', Start_date: '2023-02-01', Resp_date1: '2023-04-01', Response1: 'SD' }];
+  const next = reapplyMapping(mapping, nextHeaders, nextRows);
+  assert.deepEqual(next.missing, ['C1D1', 'ASCT_date']);
+  assert.equal(next.mapping.startDate, 'Start_date');
+  assert.equal(next.mapping.cohort, 'Cohort');
+  assert.deepEqual(next.mapping.assessments, [{ date: 'Resp_date1', response: 'Response1' }]);
+  assert.deepEqual(next.mapping.events, []);
+});
+
+test('the session keeps the configuration when the data does not fit in storage', () => {
+  const store = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => store.get(key) ?? null,
+    setItem: (key, value) => {
+      if (value.length > 50000) throw new Error('QuotaExceededError');
+      store.set(key, value);
+    },
+    removeItem: (key) => store.delete(key),
+  };
+  try {
+    assert.equal(saveSession({ mapping, vocabulary, settings, source, stage: 'plot' }), true);
+    assert.equal(loadSession().stage, 'plot');
+    assert.deepEqual(loadSession().data.source, source);
+
+    const big = { ...source, rows: Array.from({ length: 1000 }, () => rows[0]) };
+    assert.equal(saveSession({ mapping, vocabulary, settings, source: big, stage: 'plot' }), false);
+    assert.equal(loadSession().data, null);
+    assert.deepEqual(loadSession().mapping, mapping);
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
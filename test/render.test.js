@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { h, toSvgString } from '../src/lib/svg.js';
+import { createPlot, renderSvg } from '../src/lib/engine.js';
+import { renderPlot } from '../src/lib/render.js';
+import { tooltipLines, parseMarkerRef } from '../src/lib/tooltip.js';
+import { DEFAULT_VOCABULARY } from '../src/lib/vocabularies.js';
+import { guessMapping } from '../src/lib/columnMapping.js';
+import { parseSpreadsheet } from '../src/lib/parse.js';
+
+test('toSvgString escapes text and attributes and drops empty values', () => {
+  const svg = toSvgString(h('svg', { width: 10 }, h('text', { title: 'a "b"', key: 'x', hidden: null }, 'R&D <1>'), false, null));
+  assert.equal(svg, '<svg xmlns="http://www.w3.org/2000/svg" width="10"><text title="a &quot;b&quot;">R&amp;D &lt;1&gt;</text></svg>');
+});
+
+test('renderSvg draws one bar group per patient from CSV input', () => {
+  const csv = [
+    'Cohort,Patient_ID,C1D1,Resp_date1,Response1,Resp_date2,Response2',
+    'A,P01,2023-01-05,2023-03-02,PR,2023-05-04,CR',
+    'B,P02,2023-02-10,2023-04-07,SD,,',
+  ].join('\n');
+  const { headers, rows } = parseSpreadsheet(csv, 'data.csv');
+  const svg = renderSvg({ rows, mapping: guessMapping(headers, rows), settings: { legendPosition: 'none' } });
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="900"/);
+  assert.match(svg, />Time on treatment \(months\)</);
+  assert.match(svg, />A</);
+  assert.equal((svg.match(/<circle /g) || []).length, 3);
+});
+
+test('hover/selection attributes appear only when rendering for the screen', () => {
+  const csv = 'Patient_ID,C1D1,Resp_date1,Response1\nP01,2023-01-05,2023-03-02,PR';
+  const { headers, rows } = parseSpreadsheet(csv, 'data.csv');
+  const { layout, settings, tree } = createPlot({ rows, mapping: guessMapping(headers, rows) });
+  assert.doesNotMatch(toSvgString(tree), /data-/);
+  const screen = toSvgString(renderPlot(layout, settings, {
+    vocabulary: DEFAULT_VOCABULARY,
+    interaction: { hovered: null, selected: 'row-0', pinned: new Set() },
+  }));
+  assert.match(screen, /data-patient="row-0"/);
+  assert.match(screen, /data-marker="response:0"/);
+});
+
+test('tooltips show the original date and the computed time', () => {
+  const csv = 'Patient_ID,Cohort,C1D1,Resp_date1,Response1\nP01,A,2023-01-01,2023-01-31,PR';
+  const { headers, rows } = parseSpreadsheet(csv, 'data.csv');
+  const { patients } = createPlot({ rows, mapping: guessMapping(headers, rows), settings: { time: { unit: 'days' } } });
+  assert.deepEqual(tooltipLines(patients[0], parseMarkerRef('response:0'), { vocabulary: DEFAULT_VOCABULARY, unit: 'days' }), [
+    ['Patient', 'P01'],
+    ['Cohort', 'A'],
+    ['Response', 'PR (Partial Response)'],
+    ['Date', '2023-01-31'],
+    ['Time', '30 days'],
+  ]);
+});
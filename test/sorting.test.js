@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortPatients, sortValue } from '../src/lib/sorting.js';
+import { responseOutcome } from '../src/lib/metrics.js';
+import { VOCABULARY_PRESETS } from '../src/lib/vocabularies.js';
+import { makePatient } from './fixtures.js';
+
+const patient = (id, fields = {}) => makePatient(id, { duration: 0, ...fields });
+
+const ids = (patients) => patients.map(p => p.id);
+
+test('response outcome uses vocabulary ranks and response/progression flags', () => {
+  const imwg = VOCABULARY_PRESETS.find(v => v.id === 'imwg');
+  const responses = [
+    { time: 2, code: 'SD' },
+    { time: 3, code: 'MR' },
+    { time: 5, code: 'VGPR' },
+    { time: 7, code: 'PR' },
+    { time: 9, code: 'PD' },
+    { time: 10, code: null },
+  ];
+  assert.deepEqual(responseOutcome(responses, imwg, 1), {
+    bestResponse: 'VGPR',
+    bestResponseRank: 3,
+    timeToResponse: 4,
+    timeToProgression: 8,
+  });
+  assert.deepEqual(responseOutcome([], imwg, 0), {
+    bestResponse: null,
+    bestResponseRank: null,
+    timeToResponse: null,
+    timeToProgression: null,
+  });
+});
+
+test('missing values sort last in both directions', () => {
+  const patients = [patient('A', { timeToResponse: 3 }), patient('B'), patient('C', { timeToResponse: 1 })];
+  assert.deepEqual(ids(sortPatients(patients, [{ field: 'timeToResponse', direction: 'asc' }])), ['C', 'A', 'B']);
+  assert.deepEqual(ids(sortPatients(patients, [{ field: 'timeToResponse', direction: 'desc' }])), ['A', 'C', 'B']);
+});
+
+test('later keys break ties of earlier ones', () => {
+  const patients = [
+    patient('P1', { bestResponseRank: 2, duration: 5 }),
+    patient('P2', { bestResponseRank: 1, duration: 3 }),
+    patient('P3', { bestResponseRank: 2, duration: 9 }),
+  ];
+  const keys = [{ field: 'bestResponse', direction: 'asc' }, { field: 'duration', direction: 'desc' }];
+  assert.deepEqual(ids(sortPatients(patients, keys)), ['P2', 'P3', 'P1']);
+});
+
+test('event presence and source columns can be sorted on', () => {
+  const patients = [
+    patient('P1', { values: { Dose: '20' } }),
+    patient('P2', { values: { Dose: '100' }, events: [{ type: 'SAE', time: 1 }] }),
+    patient('P3', { values: { Dose: '' } }),
+  ];
+  assert.equal(sortValue(patients[1], 'event:SAE'), 1);
+  assert.deepEqual(ids(sortPatients(patients, [{ field: 'event:SAE', direction: 'desc' }])), ['P2', 'P1', 'P3']);
+  // Numeric columns compare as numbers, not text
+  assert.deepEqual(ids(sortPatients(patients, [{ field: 'column:Dose', direction: 'asc' }])), ['P1', 'P2', 'P3']);
+});
+
+test('patient IDs use natural order', () => {
+  const patients = [patient('P10'), patient('P2'), patient('P1')];
+  assert.deepEqual(ids(sortPatients(patients, [{ field: 'id', direction: 'asc' }])), ['P1', 'P2', 'P10']);
+});
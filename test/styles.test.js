@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { THEME_PRESETS, applyTheme, themeFromSettings, themeMatches, themeToJson, parseTheme, toGray } from '../src/lib/styles.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { renderPlot } from '../src/lib/render.js';
+import { toSvgString } from '../src/lib/svg.js';
+import { DEFAULT_VOCABULARY } from '../src/lib/vocabularies.js';
+
+const patients = [{
+  key: 'P1',
+  id: 'P1',
+  cohort: 'A',
+  start: 0,
+  end: 10,
+  duration: 10,
+  treatmentEnd: 10,
+  eotTime: null,
+  ongoing: false,
+  responses: [{ time: 3, code: 'PR' }],
+  events: [],
+  phases: [],
+}];
+
+const draw = (settings) => {
+  const layout = computeLayout(patients, settings);
+  return { layout, svg: toSvgString(renderPlot(layout, settings, { vocabulary: DEFAULT_VOCABULARY })) };
+};
+
+test('partial styles fill in the defaults, including nested colors', () => {
+  const settings = resolveSettings({ style: { barRadius: 0, colors: { bar: '#000000' } } });
+  assert.equal(settings.style.barRadius, 0);
+  assert.equal(settings.style.barOpacity, 0.85);
+  assert.equal(settings.style.colors.bar, '#000000');
+  assert.equal(settings.style.colors.ongoing, '#1F77B4');
+});
+
+test('width, margins, bar and marker styles reach the drawing', () => {
+  const { layout, svg } = draw(resolveSettings({
+    legendPosition: 'none',
+    showGrid: true,
+    style: { width: 1200, marginLeft: 150, marginRight: 50, barRadius: 0, barOpacity: 1, markerSize: 4, gridStyle: 'solid' },
+  }));
+  assert.equal(layout.width, 1200);
+  assert.deepEqual([layout.plot.left, layout.plot.right], [150, 1150]);
+  assert.equal(layout.axis.scale(0), 150);
+  assert.match(svg, /<rect x="150" y="\d+" width="[\d.]+" height="20" fill="#87CEEB" rx="0" opacity="1"\/>/);
+  assert.match(svg, /<circle [^>]*r="4"/);
+  assert.doesNotMatch(svg, /stroke-dasharray/);
+});
+
+test('grayscale converts every color in the finished figure', () => {
+  assert.equal(toGray('#ff0000'), '#4c4c4c');
+  assert.equal(toGray('#fff'), '#ffffff');
+  assert.equal(toGray('none'), 'none');
+  const { svg } = draw(resolveSettings({ style: { grayscale: true } }));
+  const colors = svg.match(/(?:fill|stroke)="#[0-9a-f]{6}"/gi);
+  assert.ok(colors.length > 0);
+  colors.forEach(attr => {
+    const [, hex] = /#(\w{6})/.exec(attr);
+    assert.equal(hex.slice(0, 2).repeat(3), hex, attr);
+  });
+});
+
+test('themes round-trip through JSON and report edits', () => {
+  const nature = THEME_PRESETS.find(t => t.id === 'nature');
+  const settings = resolveSettings(applyTheme(nature));
+  assert.equal(settings.barHeight, 14);
+  assert.equal(settings.showGrid, false);
+  assert.ok(themeMatches(nature, settings));
+  assert.ok(!themeMatches(nature, { ...settings, barGap: 10 }));
+
+  const exported = themeToJson(themeFromSettings(settings, { id: 'x', name: 'Lab template' }));
+  const imported = parseTheme(exported);
+  assert.equal(imported.name, 'Lab template');
+  assert.notEqual(imported.id, 'x');
+  assert.deepEqual(resolveSettings(applyTheme(imported)), settings);
+});
+
+test('theme files with unknown or missing style fields are rejected', () => {
+  assert.throws(() => parseTheme('{'), /JSON/);
+  assert.throws(() => parseTheme('{"name": "x"}'), /"style"/);
+  assert.throws(() => parseTheme('{"style": {"barColour": "#000"}}'), /barColour/);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { median, kaplanMeierMedian, binomialInterval } from '../src/lib/statistics.js';
+import { confirmedResponses, summarize, summaryRows, groupStatsText } from '../src/lib/summary.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { DEFAULT_VOCABULARY } from '../src/lib/vocabularies.js';
+import { makePatient } from './fixtures.js';
+
+const vocabulary = DEFAULT_VOCABULARY;
+const resp = (time, code) => ({ time, code });
+
+const patient = (id, cohort, responses, { end = 12, ongoing = false, deathTime = null } = {}) =>
+  makePatient(id, { cohort, responses, end, ongoing, deathTime });
+
+test('median, Kaplan-Meier median and exact binomial interval', () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 2, 3]), 2.5);
+  assert.equal(median([]), null);
+
+  assert.equal(kaplanMeierMedian([{ time: 2, event: true }, { time: 4, event: true }, { time: 6, event: true }]), 4);
+  // Censoring at 1 leaves 3 at risk: survival 2/3 after t=3, 1/3 after t=5
+  assert.equal(kaplanMeierMedian([
+    { time: 1, event: false }, { time: 3, event: true }, { time: 5, event: true }, { time: 7, event: false },
+  ]), 5);
+  assert.equal(kaplanMeierMedian([{ time: 2, event: true }, { time: 4, event: false }, { time: 6, event: false }]), null);
+
+  const interval = binomialInterval(3, 10);
+  assert.ok(Math.abs(interval.lower - 0.0667) < 1e-4);
+  assert.ok(Math.abs(interval.upper - 0.6525) < 1e-4);
+  assert.deepEqual(binomialInterval(0, 5).lower, 0);
+  assert.ok(Math.abs(binomialInterval(0, 5).upper - 0.5218) < 1e-4);
+  assert.equal(binomialInterval(0, 0), null);
+  // Large cohorts, where the binomial terms would underflow
+  const large = binomialInterval(414, 520);
+  assert.ok(Math.abs(large.lower - 0.7589) < 1e-4);
+  assert.ok(Math.abs(large.upper - 0.8300) < 1e-4);
+});
+
+test('responses need a later response at least the interval apart to count as confirmed', () => {
+  const responses = [resp(1, 'PR'), resp(1.5, 'PR'), resp(3, 'CR'), resp(5, 'PD')];
+  assert.equal(confirmedResponses(responses, vocabulary), responses);
+
+  // PR at 1 is confirmed by CR at 3 (kept as PR); CR at 3 has no confirmation before PD
+  assert.deepEqual(
+    confirmedResponses(responses, vocabulary, { rule: 'later', minGap: 1 }),
+    [resp(1, 'PR'), resp(1.5, 'PR'), resp(5, 'PD')],
+  );
+  // Only the next assessment far enough away counts
+  assert.deepEqual(
+    confirmedResponses([resp(1, 'PR'), resp(2, 'SD'), resp(3, 'PR')], vocabulary, { rule: 'next', minGap: 1 }),
+    [resp(2, 'SD')],
+  );
+  assert.deepEqual(
+    confirmedResponses([resp(1, 'PR'), resp(2, 'SD'), resp(3, 'PR')], vocabulary, { rule: 'later', minGap: 1 }),
+    [resp(1, 'PR'), resp(2, 'SD')],
+  );
+  // A CR confirmed only by a PR counts as PR
+  assert.deepEqual(
+    confirmedResponses([resp(1, 'CR'), resp(2, 'PR')], vocabulary, { rule: 'next', minGap: 1 }),
+    [resp(1, 'PR')],
+  );
+});
+
+const patients = [
+  patient('P1', 'A', [resp(2, 'PR'), resp(4, 'CR'), resp(8, 'PD')]),
+  patient('P2', 'A', [resp(2, 'SD'), resp(4, 'SD')], { ongoing: true }),
+  patient('P3', 'B', [resp(3, 'PR')], { end: 9 }),
+  patient('P4', 'B', []),
+];
+
+test('summary has a column per group plus all patients', () => {
+  const settings = resolveSettings({ groupBy: ['cohort'] });
+  const summary = summarize(patients, settings, vocabulary);
+  assert.deepEqual(summary.map(group => group.label), ['A', 'B', 'All patients']);
+  assert.deepEqual(summary.map(group => group.n), [2, 2, 4]);
+  assert.deepEqual(summary.map(group => group.orr.count), [1, 1, 2]);
+  assert.equal(summary[2].crRate.count, 1);
+  assert.deepEqual(summary[2].timeToResponse, { median: 2.5, min: 2, max: 3 });
+  // P1 responds 2 -> progresses 8 (event), P3 censored at 9 after 6
+  assert.deepEqual(summary[2].responseDuration, { median: 6, events: 1 });
+  assert.deepEqual(summary[2].treatment, { median: 12, ongoing: 1 });
+
+  const rows = summaryRows(summary, vocabulary, settings);
+  assert.deepEqual(rows[0], ['', 'A', 'B', 'All patients']);
+  assert.deepEqual(rows.find(row => row[0] === '  CR (Complete Response)'), ['  CR (Complete Response)', '1 (50%)', '0 (0%)', '1 (25%)']);
+  assert.deepEqual(rows.find(row => row[0] === '  Not evaluable / no assessment').slice(1), ['0 (0%)', '1 (50%)', '1 (25%)']);
+  assert.match(rows.find(row => row[0].startsWith('ORR'))[3], /^2 \(50%\) \[6\.8%–93\.2%\]$/);
+});
+
+test('confirmation changes the ORR', () => {
+  const settings = resolveSettings({ responseConfirmation: 'next', confirmationDays: 28 });
+  const all = summarize(patients, settings, vocabulary).at(-1);
+  assert.equal(all.label, 'All patients');
+  // P1's PR at 2 is confirmed by the CR at 4; P3's single PR is not
+  assert.equal(all.orr.count, 1);
+});
+
+test('group labels show N and ORR when enabled', () => {
+  const settings = resolveSettings({ groupBy: ['cohort'], showGroupStats: true });
+  assert.equal(groupStatsText(patients.slice(0, 2), vocabulary, settings), 'N=2, ORR 50%');
+  const layout = computeLayout(patients, settings, { vocabulary });
+  assert.deepEqual(layout.spans.map(span => span.text), ['A (N=2, ORR 50%)', 'B (N=2, ORR 50%)']);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { parseWorkbook, parseSpreadsheet } from '../src/lib/parse.js';
+import { guessAssignments, validateAssignments, matchReport, joinTables } from '../src/lib/tables.js';
+import { guessMapping } from '../src/lib/columnMapping.js';
+import { processData } from '../src/lib/processData.js';
+
+const workbook = () => {
+  const book = XLSX.utils.book_new();
+  const sheet = (name, rows) => XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(rows), name);
+  sheet('Patients', [
+    { Patient_ID: 'P1', Cohort: 'A', C1D1: '2024-01-01', EOT_date: '2024-07-01' },
+    { Patient_ID: 'P2', Cohort: 'B', C1D1: '2024-02-01', EOT_date: '2024-05-01' },
+    { Patient_ID: 'P3', Cohort: 'B', C1D1: '2024-03-01', EOT_date: '2024-04-01' },
+  ]);
+  sheet('Responses', [
+    { SUBJID: 'P1', Resp_date: '2024-03-01', Response: 'PR' },
+    { SUBJID: 'P1', Resp_date: '2024-05-01', Response: 'CR' },
+    { SUBJID: 'P2', Resp_date: '2024-04-01', Response: 'SD' },
+    { SUBJID: 'P9', Resp_date: '2024-04-01', Response: 'PD' },
+  ]);
+  sheet('Events', [
+    { SUBJID: 'P2', EVENT: 'SAE', EVDT: '2024-03-15' },
+    { SUBJID: 'P3', EVENT: 'SAE', EVDT: '2024-03-20' },
+  ]);
+  sheet('Notes', []);
+  return XLSX.write(book, { type: 'array', bookType: 'xlsx' });
+};
+
+test('every non-empty sheet is read, and one can be picked by name', () => {
+  const tables = parseWorkbook(workbook(), 'study.xlsx');
+  assert.deepEqual(tables.map(table => table.sheet), ['Patients', 'Responses', 'Events']);
+  assert.equal(parseSpreadsheet(workbook(), 'study.xlsx').rows.length, 3);
+  assert.deepEqual(parseSpreadsheet(workbook(), 'study.xlsx', 'Events').headers, ['SUBJID', 'EVENT', 'EVDT']);
+  assert.throws(() => parseSpreadsheet(workbook(), 'study.xlsx', 'Notes'), /Notes/);
+  assert.equal(parseWorkbook('id,x\n1,2\n', 'a.csv')[0].sheet, null);
+});
+
+test('sheet roles and ID columns are guessed, one table per role', () => {
+  const tables = parseWorkbook(workbook(), 'study.xlsx');
+  const assignments = guessAssignments(tables);
+  assert.deepEqual(assignments, [
+    { role: 'baseline', idColumn: 'Patient_ID', filters: {} },
+    { role: 'assessments', idColumn: 'SUBJID', filters: {} },
+    { role: 'events', idColumn: 'SUBJID', filters: {} },
+  ]);
+  assert.deepEqual(validateAssignments(tables, assignments), []);
+  // Without names, the columns decide: a second baseline-like file is ignored
+  const unnamed = tables.map((table, i) => ({ ...table, fileName: `file${i}.csv`, sheet: null }));
+  assert.deepEqual(guessAssignments([unnamed[0], unnamed[1], unnamed[0]]).map(a => a.role), ['baseline', 'assessments', 'ignore']);
+  assert.equal(validateAssignments(tables, [...assignments.slice(0, 2), { role: 'baseline', idColumn: '' }]).length, 2);
+});
+
+test('the match report counts joined rows per table and patient', () => {
+  const tables = parseWorkbook(workbook(), 'study.xlsx');
+  const report = matchReport(tables, guessAssignments(tables));
+  assert.deepEqual(report.patients, [
+    { id: 'P1', counts: { assessments: 2 } },
+    { id: 'P2', counts: { assessments: 1, events: 1 } },
+    { id: 'P3', counts: { events: 1 } },
+  ]);
+  const [assessments, events] = report.tables;
+  assert.deepEqual(
+    { matched: assessments.matched, unmatched: assessments.unmatched, ids: assessments.unmatchedIds, without: assessments.patientsWithout },
+    { matched: 3, unmatched: 1, ids: ['P9'], without: 1 },
+  );
+  assert.equal(events.matched, 2);
+  assert.equal(events.patientsWithout, 1);
+});
+
+test('baseline and assessments join into a long table that processes like one sheet', () => {
+  const tables = parseWorkbook(workbook(), 'study.xlsx');
+  const { source, events, phases } = joinTables(tables, guessAssignments(tables));
+  assert.equal(source.fileName, 'study.xlsx › Patients + Responses');
+  assert.deepEqual(source.headers, ['Patient_ID', 'Cohort', 'C1D1', 'EOT_date', 'Resp_date', 'Response']);
+  // P1 twice, P2 once, P3 without assessments keeps its baseline row; P9 is dropped
+  assert.deepEqual(source.rows.map(row => [row.Patient_ID, row.Response]), [['P1', 'PR'], ['P1', 'CR'], ['P2', 'SD'], ['P3', undefined]]);
+  assert.equal(phases, null);
+  assert.equal(events.idColumn, 'SUBJID');
+
+  const mapping = guessMapping(source.headers, source.rows);
+  assert.equal(mapping.layout, 'long');
+  const eventTable = { rows: events.source.rows, mapping: { patientId: 'SUBJID', type: 'EVENT', date: 'EVDT' } };
+  const patients = processData(source.rows, mapping, { eventTable });
+  assert.deepEqual(patients.map(p => p.responses.map(r => r.code)), [['PR', 'CR'], ['SD'], []]);
+  assert.deepEqual(patients.map(p => p.events.length), [0, 1, 1]);
+});
+
+test('assessment columns named like baseline ones are renamed after their sheet', () => {
+  const tables = [
+    { fileName: 'adsl.csv', sheet: null, headers: ['USUBJID', 'ARM'], rows: [{ USUBJID: 'S1', ARM: 'A' }] },
+    { fileName: 'x.xlsx', sheet: 'ADRS', headers: ['USUBJID', 'ARM', 'ADT', 'AVALC'], rows: [{ USUBJID: 'S1', ARM: 'A2', ADT: '2024-01-01', AVALC: 'PR' }] },
+  ];
+  const { source } = joinTables(tables, [{ role: 'baseline', idColumn: 'USUBJID' }, { role: 'assessments', idColumn: 'USUBJID' }]);
+  assert.deepEqual(source.headers, ['USUBJID', 'ARM', 'ARM (ADRS)', 'ADT', 'AVALC']);
+  assert.deepEqual(source.rows[0], { USUBJID: 'S1', ARM: 'A', 'ARM (ADRS)': 'A2', ADT: '2024-01-01', AVALC: 'PR' });
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSvgString } from '../src/lib/svg.js';
+import { createPlot } from '../src/lib/engine.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { legendEntries } from '../src/lib/legend.js';
+import { tooltipLines } from '../src/lib/tooltip.js';
+import { guessTrackType, newTrack, trackValues, trackColor, trackText, TRACK_PALETTE } from '../src/lib/tracks.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { DEFAULT_VOCABULARY } from '../src/lib/vocabularies.js';
+import { guessMapping } from '../src/lib/columnMapping.js';
+import { parseSpreadsheet } from '../src/lib/parse.js';
+import { makePatient } from './fixtures.js';
+
+const patient = (id, values) => makePatient(id, { values });
+
+const patients = [
+  patient('P-001', { Risk: 'High', Lines: '3', Age: '61' }),
+  patient('P-002', { Risk: 'Standard', Lines: '1', Age: '' }),
+  patient('P-003', { Risk: '', Lines: '2', Age: '70.25' }),
+];
+
+test('track types are guessed from the values', () => {
+  assert.equal(guessTrackType(patients, 'column:Risk'), 'categorical');
+  assert.equal(guessTrackType(patients, 'column:Lines'), 'categorical');
+  const many = Array.from({ length: 8 }, (_, i) => patient(`P${i}`, { Age: String(50 + i) }));
+  assert.equal(guessTrackType(many, 'column:Age'), 'number');
+  assert.deepEqual(newTrack(many, 'column:Age'), { field: 'column:Age', label: '', type: 'number', colors: {}, legend: true });
+});
+
+test('tile colors follow the value order unless overridden', () => {
+  const track = newTrack(patients, 'column:Risk');
+  const values = trackValues(patients, track);
+  assert.deepEqual(values, ['High', 'Standard']);
+  assert.equal(trackColor('Standard', values), TRACK_PALETTE[1]);
+  assert.equal(trackColor('Standard', values, { Standard: '#000000' }), '#000000');
+  assert.equal(trackText('70.25', 'number'), '70.25');
+  assert.equal(trackText('2.0', 'number'), '2');
+  assert.equal(trackText(null, 'text'), '');
+});
+
+test('tracks and patient IDs sit between the group labels and the bars', () => {
+  const plain = computeLayout(patients, resolveSettings({ legendPosition: 'none' }));
+  const settings = resolveSettings({
+    legendPosition: 'none',
+    showPatientIds: true,
+    annotationTracks: [
+      { field: 'column:Risk', label: 'Cytogenetic risk', type: 'categorical', colors: {} },
+      { field: 'column:Age', label: '', type: 'number', colors: {} },
+    ],
+  });
+  const layout = computeLayout(patients, settings);
+  const [risk, age] = layout.tracks.columns;
+  assert.equal(layout.tracks.left, plain.plot.left);
+  assert.equal(risk.x, layout.tracks.left);
+  assert.equal(risk.label, 'Cytogenetic risk');
+  assert.equal(age.label, 'Age');
+  assert.ok(age.x > risk.x + risk.width);
+  assert.ok(layout.tracks.ids.x > age.x + age.width);
+  assert.equal(layout.plot.left, layout.tracks.right);
+  // The bar area keeps its width; the figure grows
+  assert.equal(layout.plot.right - layout.plot.left, plain.plot.right - plain.plot.left);
+  assert.equal(layout.width, plain.width + layout.plot.left - plain.plot.left);
+  // Headers get their own line above the first row
+  assert.ok(layout.tracks.headerY < layout.groups[0].top);
+  assert.ok(layout.groups[0].top > plain.groups[0].top);
+});
+
+test('tile tracks add legend entries and markers the tooltip can describe', () => {
+  const track = { field: 'column:Risk', label: 'Risk', type: 'categorical', colors: {} };
+  const settings = resolveSettings({ annotationTracks: [track] });
+  const context = { vocabulary: DEFAULT_VOCABULARY, colors: settings.style.colors };
+  const ids = legendEntries(patients, settings, context).map(entry => entry.id);
+  assert.deepEqual(ids.filter(id => id.startsWith('track:')), ['track:column:Risk:High', 'track:column:Risk:Standard']);
+  const hidden = resolveSettings({ annotationTracks: [{ ...track, legend: false }] });
+  assert.ok(legendEntries(patients, hidden, context).every(entry => !entry.id.startsWith('track:')));
+
+  const layout = computeLayout(patients, settings);
+  const lines = tooltipLines(patients[0], { kind: 'track', index: 0 }, { vocabulary: DEFAULT_VOCABULARY, unit: 'months', tracks: layout.tracks.columns });
+  assert.deepEqual(lines.at(-1), ['Risk', 'High']);
+});
+
+test('rendered figure has a tile per non-blank value, track headers and patient IDs', () => {
+  const csv = [
+    'Cohort,Patient_ID,C1D1,Resp_date1,Response1,ISS,Prior_lines',
+    'A,P01,2023-01-05,2023-03-02,PR,I,2',
+    'A,P02,2023-02-10,2023-04-07,SD,,4',
+  ].join('\n');
+  const { headers, rows } = parseSpreadsheet(csv, 'data.csv');
+  const { tree } = createPlot({
+    rows,
+    mapping: guessMapping(headers, rows),
+    settings: {
+      legendPosition: 'none',
+      showPatientIds: true,
+      annotationTracks: [
+        { field: 'column:ISS', label: 'ISS', type: 'categorical', colors: { I: '#123456' } },
+        { field: 'column:Prior_lines', label: 'Prior lines', type: 'number', colors: {} },
+      ],
+    },
+  });
+  const svg = toSvgString(tree);
+  assert.equal((svg.match(/fill="#123456"/g) || []).length, 1);
+  assert.match(svg, />ISS</);
+  assert.match(svg, />Prior lines</);
+  assert.match(svg, />4</);
+  assert.match(svg, />P01</);
+  assert.match(svg, />P02</);
+});
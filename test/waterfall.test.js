@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSvgString } from '../src/lib/svg.js';
+import { createPlot } from '../src/lib/engine.js';
+import { computeLayout } from '../src/lib/layout.js';
+import { resolveSettings } from '../src/lib/settings.js';
+import { sortPatients } from '../src/lib/sorting.js';
+import { guessMapping } from '../src/lib/columnMapping.js';
+import { parseSpreadsheet } from '../src/lib/parse.js';
+import { parseNumber, bestPercentChange, formatChange, computeWaterfall, compositeFigure } from '../src/lib/waterfall.js';
+import { makePatient } from './fixtures.js';
+
+const patient = (id, bestPercentChange, end = 10) => makePatient(id, { bestPercentChange, end });
+
+test('percent values parse with signs and percent marks', () => {
+  assert.equal(parseNumber('-35.2'), -35.2);
+  assert.equal(parseNumber('−35 %'), -35);
+  assert.equal(parseNumber(12), 12);
+  assert.equal(parseNumber(''), null);
+  assert.equal(parseNumber('NE'), null);
+  assert.equal(formatChange(12.34), '+12.3%');
+  assert.equal(formatChange(-30), '-30%');
+});
+
+test('best change prefers reported values, else uses the first measurement as baseline', () => {
+  assert.equal(bestPercentChange(['-10', '', '-42.5'], []), -42.5);
+  const measurements = [{ time: 3, value: 45 }, { time: 0, value: 50 }, { time: 6, value: 60 }];
+  assert.equal(bestPercentChange([], measurements), -10);
+  assert.equal(bestPercentChange(['NE'], measurements), -10);
+  assert.equal(bestPercentChange([], [{ time: 0, value: 50 }]), null);
+  assert.equal(bestPercentChange([], [{ time: 0, value: 0 }, { time: 3, value: 5 }]), null);
+});
+
+test('tumor size columns are mapped as measurements and feed the waterfall', () => {
+  const csv = [
+    'Cohort,Patient_ID,C1D1,Resp_date1,Response1,SLD1,Resp_date2,Response2,SLD2',
+    'A,P01,2023-01-05,2022-12-28,,40,2023-03-02,PR,20',
+    'A,P02,2023-02-10,2023-02-01,,50,2023-04-07,PD,65',
+    'A,P03,2023-02-12,2023-02-02,,,2023-04-09,SD,',
+  ].join('\n');
+  const { headers, rows } = parseSpreadsheet(csv, 'data.csv');
+  const mapping = guessMapping(headers, rows);
+  assert.deepEqual(mapping.assessments.map(pair => pair.measurement), ['SLD1', 'SLD2']);
+  const { patients, figure, layout } = createPlot({ rows, mapping, settings: { waterfall: { show: true, showIds: true } } });
+  assert.deepEqual(patients.map(p => p.bestPercentChange), [-50, 30, null]);
+  assert.equal(figure.height, layout.height + 300);
+  const svg = toSvgString(figure.tree);
+  assert.match(svg, />Best change from baseline \(%\)</);
+  assert.match(svg, />-30%</);
+  assert.match(svg, />\+20%</);
+});
+
+test('bars run from the largest increase down, or follow the swimmer rows', () => {
+  const patients = [patient('P1', -60, 5), patient('P2', 150, 8), patient('P3', null, 9), patient('P4', 10, 12)];
+  const settings = resolveSettings({ legendPosition: 'none', waterfall: { show: true } });
+  const layout = computeLayout(patients, settings);
+  const panel = computeWaterfall(layout, settings);
+  assert.deepEqual(panel.bars.map(bar => bar.patient.id), ['P2', 'P4', 'P1']);
+  assert.equal(panel.missing, 1);
+  assert.equal(panel.plot.left, layout.plot.left);
+  assert.equal(panel.plot.right, layout.plot.right);
+  // Capped at +100%, axis down to -60 rounded to the step
+  assert.equal(panel.ticks[0], -60);
+  assert.equal(panel.ticks.at(-1), 100);
+  assert.ok(panel.bars[0].clipped);
+  assert.equal(panel.bars[0].y, panel.plot.top);
+  assert.deepEqual(panel.lines.map(line => line.value), [20, -30]);
+
+  const linked = computeWaterfall(layout, resolveSettings({ ...settings, waterfall: { show: true, order: 'swimmer' } }));
+  assert.deepEqual(linked.bars.map(bar => bar.patient.id), layout.groups[0].rows.map(row => row.patient.id).filter(id => id !== 'P3'));
+});
+
+test('sorting by best change puts the deepest response last and blanks at the end', () => {
+  const patients = [patient('P1', -60), patient('P3', null), patient('P2', 15)];
+  const sorted = sortPatients(patients, [{ field: 'bestPercentChange', direction: 'desc' }]);
+  assert.deepEqual(sorted.map(p => p.id), ['P2', 'P1', 'P3']);
+});
+
+test('composite figure stacks or places the panels side by side', () => {
+  const plot = { tree: { tag: 'svg', attrs: {}, children: [] }, width: 800, height: 500 };
+  const panel = { tree: { tag: 'svg', attrs: {}, children: [] }, width: 760, height: 300 };
+  const below = compositeFigure(plot, panel);
+  assert.equal(below.width, 800);
+  assert.equal(below.height, 800);
+  const right = compositeFigure(plot, panel, 'right');
+  assert.equal(right.width, 1560);
+  assert.equal(right.height, 500);
+});